@@ -0,0 +1,175 @@
+/**
+ * Attachments Panel Component
+ * Lists, opens, adds and removes the receipts attached to a movement
+ * (used by the edit modals of the dashboard and the movements page)
+ */
+
+class AttachmentsPanel {
+    /**
+     * @param {HTMLElement} container - Element receiving the panel
+     * @param {Function} onError - Called with a message when an operation fails
+     */
+    constructor(container, onError = (message) => alert(message)) {
+        this.container = container;
+        this.onError = onError;
+        this.movementId = null;
+        this.attachments = [];
+        this.objectUrls = [];
+        this.changed = false;
+    }
+
+    get model() {
+        return ratchouApp.models.attachments;
+    }
+
+    /**
+     * Show the attachments of a movement
+     * @param {string} movementId - Movement being edited
+     */
+    async open(movementId) {
+        this.movementId = movementId;
+        this.changed = false;
+        this.container.classList.remove('d-none');
+        await this.load();
+    }
+
+    /**
+     * Hide the panel and release the object URLs
+     * (`changed` stays readable to refresh the list indicators)
+     */
+    close() {
+        this.movementId = null;
+        this.attachments = [];
+        this.revokeUrls();
+        this.container.classList.add('d-none');
+        this.container.innerHTML = '';
+    }
+
+    async load() {
+        try {
+            this.attachments = await this.model.getByMovement(this.movementId);
+            this.render();
+        } catch (error) {
+            console.error('Error loading attachments:', error);
+            this.onError('Erreur lors du chargement des pièces jointes');
+        }
+    }
+
+    revokeUrls() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+
+    render() {
+        this.revokeUrls();
+
+        this.container.innerHTML = `
+            <div class="d-flex flex-wrap gap-2 mb-2">
+                ${this.attachments.map(attachment => `
+                    <div class="position-relative border rounded text-center p-1" style="width: 5.5rem;" data-attachment-id="${attachment.id}">
+                        <button type="button" class="btn btn-link p-0 attachment-open" title="Ouvrir ${this.escapeHtml(attachment.file_name)}">
+                            ${attachment.thumbnail
+                                ? `<img src="${attachment.thumbnail}" alt="" class="rounded" style="width: 5rem; height: 5rem; object-fit: cover;">`
+                                : `<span class="d-inline-flex align-items-center justify-content-center" style="width: 5rem; height: 5rem; font-size: 2rem;">${attachment.mime_type === 'application/pdf' ? '📄' : '🖼️'}</span>`}
+                        </button>
+                        <div class="small text-truncate" title="${this.escapeHtml(attachment.file_name)}">${this.escapeHtml(attachment.file_name)}</div>
+                        <div class="small text-muted">${RatchouUtils.file.formatSize(attachment.size)}</div>
+                        <button type="button" class="btn btn-sm btn-danger rounded-circle position-absolute top-0 end-0 p-0 attachment-remove" style="width: 1.4rem; height: 1.4rem; line-height: 1;" title="Supprimer la pièce jointe">✖</button>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="d-flex align-items-center gap-2">
+                <button type="button" class="btn btn-sm btn-outline-secondary rounded-pill attachment-add">📎 Joindre un ticket ou une facture</button>
+                <input type="file" class="d-none" accept="image/*,application/pdf" multiple>
+                ${this.attachments.length === 0 ? '<span class="small text-muted">Aucune pièce jointe</span>' : ''}
+            </div>
+        `;
+
+        const input = this.container.querySelector('input[type="file"]');
+        this.container.querySelector('.attachment-add').addEventListener('click', () => input.click());
+        input.addEventListener('change', () => this.handleFiles(input));
+
+        this.container.querySelectorAll('[data-attachment-id]').forEach(item => {
+            const attachment = this.attachments.find(a => a.id === item.dataset.attachmentId);
+            item.querySelector('.attachment-open').addEventListener('click', () => this.openAttachment(attachment));
+            item.querySelector('.attachment-remove').addEventListener('click', () => this.removeAttachment(attachment));
+        });
+    }
+
+    /**
+     * Store the picked files (photos are compressed by the model)
+     */
+    async handleFiles(input) {
+        const files = Array.from(input.files);
+        input.value = '';
+        if (files.length === 0) return;
+
+        const button = this.container.querySelector('.attachment-add');
+        button.disabled = true;
+        button.textContent = '⏳ Enregistrement...';
+
+        for (const file of files) {
+            const result = await this.model.addFile(this.movementId, file);
+            if (result.success) {
+                this.changed = true;
+            } else {
+                this.onError(`${file.name} : ${result.message}`);
+            }
+        }
+
+        await this.load();
+    }
+
+    /**
+     * Open an attachment in a new tab (download when the browser cannot display it)
+     */
+    async openAttachment(attachment) {
+        try {
+            const blob = await this.model.getBlob(attachment);
+            if (!blob) {
+                this.onError('Contenu de la pièce jointe indisponible sur cet appareil');
+                return;
+            }
+
+            const url = URL.createObjectURL(blob);
+            this.objectUrls.push(url);
+            if (!window.open(url, '_blank')) {
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = attachment.file_name;
+                link.click();
+            }
+        } catch (error) {
+            console.error('Error opening attachment:', error);
+            this.onError('Impossible d\'ouvrir la pièce jointe');
+        }
+    }
+
+    async removeAttachment(attachment) {
+        if (!confirm(`Supprimer la pièce jointe "${attachment.file_name}" ?`)) {
+            return;
+        }
+
+        const result = await this.model.delete(attachment.id);
+        if (result.success) {
+            this.changed = true;
+        } else {
+            this.onError(result.message || 'Erreur lors de la suppression de la pièce jointe');
+        }
+        await this.load();
+    }
+
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, (m) => map[m]);
+    }
+}
+
+// Export for use in other modules
+window.AttachmentsPanel = AttachmentsPanel;
@@ -18,6 +18,32 @@ function generateExportFilename() {
     return `ratchou-${deviceId}-${dateTime}.json`;
 }
 
+/**
+ * Add the attachment files to an archive (the PIECES_JOINTES table only holds their metadata)
+ */
+async function addAttachmentFiles(zip, exportData) {
+    const attachments = window.ratchouApp.models.attachments;
+    for (const row of exportData.data.pieces_jointes?.rows || []) {
+        const attachment = await attachments.getById(row.id);
+        const blob = attachment && await attachments.getBlob(attachment);
+        if (blob) {
+            zip.file(row.file, blob);
+        }
+    }
+}
+
+/**
+ * Restore the attachment contents from an archive (before importFromJSON)
+ */
+async function readAttachmentFiles(zip, allData) {
+    for (const row of allData.PIECES_JOINTES?.rows || []) {
+        const file = row.file && zip.file(row.file);
+        if (file) {
+            row.blob = new Blob([await file.async('arraybuffer')], { type: row.mime_type });
+        }
+    }
+}
+
 /**
  * Export application data as ZIP file
  * @param {Function} onProgress - Progress callback function
@@ -58,7 +84,10 @@ export async function exportDataAsZip(onProgress = null) {
             'beneficiaires': 'BENEFICIAIRES',
             'type_depenses': 'TYPE_DEPENSES',
             'mouvements': 'MOUVEMENTS',
-            'recurrents': 'DEPENSES_FIXES'
+            'recurrents': 'DEPENSES_FIXES',
+            'budgets': 'BUDGETS',
+            'taux_change': 'TAUX_CHANGE',
+            'pieces_jointes': 'PIECES_JOINTES'
         };
 
         // Create metadata file with proper table names
@@ -77,6 +106,7 @@ export async function exportDataAsZip(onProgress = null) {
             const fileName = `ratchou-export-${standardTableName.toLowerCase()}.json`;
             zip.file(fileName, JSON.stringify(exportData.data[tableName], null, 2));
         }
+        await addAttachmentFiles(zip, exportData);
         
         updateProgress(60, 'Compression des données...');
         
@@ -207,7 +237,10 @@ export async function exportPairingFile(securityCode, targetDeviceName, onProgre
             'beneficiaires': 'BENEFICIAIRES',
             'type_depenses': 'TYPE_DEPENSES',
             'mouvements': 'MOUVEMENTS',
-            'recurrents': 'DEPENSES_FIXES'
+            'recurrents': 'DEPENSES_FIXES',
+            'budgets': 'BUDGETS',
+            'taux_change': 'TAUX_CHANGE',
+            'pieces_jointes': 'PIECES_JOINTES'
         };
 
         // 5a. Modified metadata.json with pairing marker
@@ -250,6 +283,7 @@ export async function exportPairingFile(securityCode, targetDeviceName, onProgre
             const fileName = `ratchou-export-${standardTableName.toLowerCase()}.json`;
             zip.file(fileName, JSON.stringify(exportData.data[tableName], null, 2));
         }
+        await addAttachmentFiles(zip, exportData);
 
         updateProgress(60, 'Compression...');
 
@@ -368,17 +402,19 @@ export async function importDataFromZip(file, onProgress = null, deviceId, acces
                 }
 
                 // Validation minimale : vérifier seulement que les clés primaires sont présentes
-                if (tableName === 'UTILISATEUR' && !record.code_acces) {
-                    throw new Error(`Erreur dans ${tableName}.json : Le champ obligatoire 'code_acces' est manquant pour l'enregistrement ${recordId}.`);
+                if (tableName === 'UTILISATEUR' && !record.code_acces && !record.code_hash) {
+                    throw new Error(`Erreur dans ${tableName}.json : Le champ obligatoire 'code_hash' est manquant pour l'enregistrement ${recordId}.`);
                 }
                 if ((tableName === 'COMPTES' || tableName === 'CATEGORIES' || tableName === 'BENEFICIAIRES' ||
-                     tableName === 'TYPE_DEPENSES' || tableName === 'MOUVEMENTS' || tableName === 'DEPENSES_FIXES')
+                     tableName === 'TYPE_DEPENSES' || tableName === 'MOUVEMENTS' || tableName === 'DEPENSES_FIXES' ||
+                     tableName === 'BUDGETS' || tableName === 'TAUX_CHANGE' || tableName === 'PIECES_JOINTES')
                     && !record.id) {
                     throw new Error(`Erreur dans ${tableName}.json : Le champ obligatoire 'id' est manquant pour l'enregistrement ${recordId}.`);
                 }
             }
             allData[tableName] = tableData;
         }
+        await readAttachmentFiles(zip, allData);
 
         // 3. --- CONFIRMATION UTILISATEUR ---
         updateProgress(60, 'En attente de confirmation...');
@@ -408,7 +444,10 @@ export async function importDataFromZip(file, onProgress = null, deviceId, acces
             'BENEFICIAIRES': 'beneficiaires',
             'TYPE_DEPENSES': 'type_depenses',
             'MOUVEMENTS': 'mouvements',
-            'DEPENSES_FIXES': 'recurrents'
+            'DEPENSES_FIXES': 'recurrents',
+            'BUDGETS': 'budgets',
+            'TAUX_CHANGE': 'taux_change',
+            'PIECES_JOINTES': 'pieces_jointes'
         };
 
         const formattedData = {
@@ -526,6 +565,7 @@ export async function importPairingFile(file, securityCode, onProgress = null, d
             const tableData = JSON.parse(await jsonFile.async('text'));
             allData[tableName] = tableData;
         }
+        await readAttachmentFiles(zip, allData);
 
         // 7. Check for existing SYNC_CONFIG
         updateProgress(40, 'Vérification de la configuration existante...');
@@ -610,7 +650,10 @@ export async function importPairingFile(file, securityCode, onProgress = null, d
             'BENEFICIAIRES': 'beneficiaires',
             'TYPE_DEPENSES': 'type_depenses',
             'MOUVEMENTS': 'mouvements',
-            'DEPENSES_FIXES': 'recurrents'
+            'DEPENSES_FIXES': 'recurrents',
+            'BUDGETS': 'budgets',
+            'TAUX_CHANGE': 'taux_change',
+            'PIECES_JOINTES': 'pieces_jointes'
         };
 
         const formattedData = { data: {} };
@@ -45,10 +45,26 @@ export function generateSidebar() {
                     💸 <strong>Mouvements</strong>
                     <small class="d-block text-muted">Rechercher et modifier</small>
                 </a>
+                <a href="${managePath}import-releve.html" class="list-group-item list-group-item-action">
+                    📥 <strong>Import de relevé</strong>
+                    <small class="d-block text-muted">OFX, QIF, CAMT.053, CSV</small>
+                </a>
                 <a href="${managePath}categories.html" class="list-group-item list-group-item-action">
                     📂 <strong>Catégories</strong>
                     <small class="d-block text-muted">Types de dépenses</small>
                 </a>
+                <a href="${managePath}budgets.html" class="list-group-item list-group-item-action">
+                    💰 <strong>Budgets</strong>
+                    <small class="d-block text-muted">Enveloppes mensuelles par catégorie</small>
+                </a>
+                <a href="${managePath}taux-change.html" class="list-group-item list-group-item-action">
+                    💱 <strong>Taux de change</strong>
+                    <small class="d-block text-muted">Comptes en devises, total consolidé</small>
+                </a>
+                <a href="${managePath}rapports.html" class="list-group-item list-group-item-action">
+                    📊 <strong>Rapports</strong>
+                    <small class="d-block text-muted">Dépenses par catégorie, mois...</small>
+                </a>
                 <a href="${managePath}beneficiaires.html" class="list-group-item list-group-item-action">
                     👥 <strong>Bénéficiaires</strong>
                     <small class="d-block text-muted">Magasins, services...</small>
@@ -62,6 +78,10 @@ export function generateSidebar() {
                     🔗 <strong>Synchronisation</strong>
                     <small class="d-block text-muted">Gérer les appareils</small>
                 </a>
+                <a href="${managePath}sync-log.html" class="list-group-item list-group-item-action">
+                    📜 <strong>Journal de synchronisation</strong>
+                    <small class="d-block text-muted">Historique, file d'attente</small>
+                </a>
                 ` : ''}
 
                 <!-- Sous-menu Système (collapse) -->
@@ -0,0 +1,187 @@
+/**
+ * Split Editor Component
+ * Edits the lines (category, payee, amount) of a split movement
+ * Lines are entered in the account currency and must sum to the movement total
+ */
+
+class SplitEditor {
+    /**
+     * @param {HTMLElement} container - Element receiving the editor
+     * @param {Function} getTotal - Returns the movement total as typed (decimal)
+     */
+    constructor(container, getTotal) {
+        this.container = container;
+        this.getTotal = getTotal;
+        this.categories = [];
+        this.payees = [];
+        this.currency = 'EUR';
+        this.lines = [];
+        this.active = false;
+    }
+
+    /**
+     * Set the selectable categories/payees and the currency
+     */
+    setReferences({ categories = [], payees = [], currency = 'EUR' }) {
+        this.categories = categories;
+        this.payees = payees;
+        this.currency = currency;
+    }
+
+    /**
+     * Show the editor with existing lines (storage units) or two new lines
+     * @param {Array} lines - Existing split lines
+     * @param {object} defaults - Category/payee of the first new line
+     */
+    open(lines = [], defaults = {}) {
+        this.lines = lines.length > 0
+            ? lines.map(line => ({
+                category_id: line.category_id || '',
+                payee_id: line.payee_id || '',
+                amount: String(RatchouUtils.currency.fromStorageUnit(line.amount, this.currency))
+            }))
+            : [
+                { category_id: defaults.category_id || '', payee_id: defaults.payee_id || '', amount: this.formatTotal() },
+                { category_id: '', payee_id: defaults.payee_id || '', amount: '' }
+            ];
+
+        this.active = true;
+        this.container.classList.remove('d-none');
+        this.render();
+    }
+
+    /**
+     * Hide the editor and forget the lines
+     */
+    close() {
+        this.active = false;
+        this.lines = [];
+        this.container.classList.add('d-none');
+        this.container.innerHTML = '';
+    }
+
+    /**
+     * @returns {boolean} True when the movement is being split
+     */
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Lines ready for the model (amounts in storage units)
+     */
+    getLines() {
+        return this.lines.map(line => ({
+            category_id: line.category_id || null,
+            payee_id: line.payee_id || null,
+            amount: RatchouUtils.currency.toStorageUnit(this.parseAmount(line.amount), this.currency)
+        }));
+    }
+
+    /**
+     * Amount left to split, in storage units
+     */
+    getRemaining() {
+        const total = RatchouUtils.currency.toStorageUnit(this.parseAmount(this.getTotal()), this.currency);
+        return total - this.getLines().reduce((sum, line) => sum + line.amount, 0);
+    }
+
+    /**
+     * Check the lines before saving
+     * @returns {string|null} Error message or null when valid
+     */
+    validate() {
+        if (this.lines.length < 2) {
+            return 'Une ventilation doit comporter au moins deux lignes';
+        }
+        if (this.getLines().some(line => line.amount === 0)) {
+            return 'Chaque ligne de ventilation doit avoir un montant';
+        }
+        if (this.getRemaining() !== 0) {
+            return `Reste à ventiler : ${RatchouUtils.currency.formatWithCurrency(this.getRemaining(), this.currency)}`;
+        }
+        return null;
+    }
+
+    parseAmount(value) {
+        const amount = parseFloat(String(value || '').replace(',', '.'));
+        return isNaN(amount) ? 0 : amount;
+    }
+
+    formatTotal() {
+        const total = this.parseAmount(this.getTotal());
+        return total ? String(total) : '';
+    }
+
+    /**
+     * Refresh the "remaining" indicator (called when the total changes too)
+     */
+    updateRemaining() {
+        const remainingElement = this.container.querySelector('.split-remaining');
+        if (!remainingElement) return;
+
+        const remaining = this.getRemaining();
+        remainingElement.textContent = remaining === 0
+            ? '✅ Ventilation complète'
+            : `Reste à ventiler : ${RatchouUtils.currency.formatWithCurrency(remaining, this.currency)}`;
+        remainingElement.className = `split-remaining small ${remaining === 0 ? 'text-success' : 'text-danger'}`;
+    }
+
+    render() {
+        const options = (items, selected, emptyLabel) => [
+            `<option value="">${emptyLabel}</option>`,
+            ...items.map(item => `<option value="${item.id}" ${item.id === selected ? 'selected' : ''}>${this.escapeHtml(item.libelle)}</option>`)
+        ].join('');
+
+        this.container.innerHTML = `
+            ${this.lines.map((line, index) => `
+                <div class="d-flex gap-1 mb-2 align-items-center" data-line="${index}">
+                    <select class="form-select form-select-sm" data-field="category_id">${options(this.categories, line.category_id, '📂 Catégorie')}</select>
+                    <select class="form-select form-select-sm" data-field="payee_id">${options(this.payees, line.payee_id, '👥 Bénéficiaire')}</select>
+                    <input type="number" step="any" class="form-control form-control-sm" style="max-width: 7rem;" data-field="amount" value="${line.amount}" placeholder="Montant">
+                    <button type="button" class="btn btn-sm btn-outline-danger rounded-pill split-remove" title="Retirer la ligne" ${this.lines.length <= 2 ? 'disabled' : ''}>✖</button>
+                </div>
+            `).join('')}
+            <div class="d-flex justify-content-between align-items-center">
+                <button type="button" class="btn btn-sm btn-outline-secondary rounded-pill split-add">➕ Ligne</button>
+                <span class="split-remaining small"></span>
+            </div>
+        `;
+
+        this.container.querySelectorAll('[data-line]').forEach(row => {
+            const line = this.lines[Number(row.dataset.line)];
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+                    line[input.dataset.field] = input.value;
+                    this.updateRemaining();
+                });
+            });
+            row.querySelector('.split-remove').addEventListener('click', () => {
+                this.lines.splice(Number(row.dataset.line), 1);
+                this.render();
+            });
+        });
+
+        // A new line is prefilled with the amount left to split
+        this.container.querySelector('.split-add').addEventListener('click', () => {
+            const remaining = this.getRemaining();
+            this.lines.push({
+                category_id: '',
+                payee_id: '',
+                amount: remaining !== 0 ? String(RatchouUtils.currency.fromStorageUnit(remaining, this.currency)) : ''
+            });
+            this.render();
+        });
+
+        this.updateRemaining();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export for use in other modules
+window.SplitEditor = SplitEditor;
@@ -10,6 +10,152 @@ class RatchouAuth {
         this.session = null;
     }
 
+    // Key of the single UTILISATEUR record
+    static USER_ID = 'user';
+
+    // Brute-force protection: free attempts, then an exponential delay
+    static FREE_ATTEMPTS = 3;
+    static LOCK_BASE_SECONDS = 30;
+    static LOCK_MAX_SECONDS = 3600;
+    static WIPE_OPTIONS = [10, 20, 50];
+
+    /**
+     * Get the stored user (access code verifier and device ID)
+     */
+    async getUser() {
+        return (await this.db.get('UTILISATEUR', RatchouAuth.USER_ID)) || null;
+    }
+
+    /**
+     * Check an access code against the stored PBKDF2 verifier
+     */
+    async verifyAccessCode(accessCode) {
+        const user = await this.getUser();
+        if (!user) return false;
+        return RatchouUtils.crypto.verifyAccessCode(accessCode, user);
+    }
+
+    /**
+     * Check an access code with brute-force protection
+     * Failed attempts are counted on the UTILISATEUR record (persistent across reloads);
+     * after FREE_ATTEMPTS failures each new failure doubles the waiting delay.
+     * @returns {object} Standard response; data.wipeRequired is set once the
+     *                   "wipe after N failures" threshold is reached
+     */
+    async checkAccessCode(accessCode) {
+        const user = await this.getUser();
+        if (!user) {
+            return RatchouUtils.error.validation('Code d\'accès incorrect');
+        }
+
+        const remaining = this.getLockRemaining(user);
+        if (remaining > 0) {
+            return RatchouUtils.error.createResponse(false,
+                `Trop de tentatives. Réessayez dans ${RatchouAuth.formatDelay(remaining)}.`,
+                { lockedFor: remaining });
+        }
+
+        if (await RatchouUtils.crypto.verifyAccessCode(accessCode, user)) {
+            if (user.failed_attempts) {
+                await this.db.put('UTILISATEUR', { ...user, failed_attempts: 0, locked_until: null });
+            }
+            return RatchouUtils.error.success('Code d\'accès valide');
+        }
+
+        const failedAttempts = (user.failed_attempts || 0) + 1;
+        const lockSeconds = RatchouAuth.lockDelay(failedAttempts);
+        await this.db.put('UTILISATEUR', {
+            ...user,
+            failed_attempts: failedAttempts,
+            locked_until: lockSeconds > 0 ? Date.now() + lockSeconds * 1000 : null
+        });
+
+        if (user.wipe_after && failedAttempts >= user.wipe_after) {
+            return RatchouUtils.error.createResponse(false,
+                `${failedAttempts} tentatives échouées : les données vont être effacées.`,
+                { wipeRequired: true });
+        }
+
+        let message = 'Code d\'accès incorrect.';
+        if (lockSeconds > 0) {
+            message += ` Réessayez dans ${RatchouAuth.formatDelay(lockSeconds * 1000)}.`;
+        }
+        if (user.wipe_after) {
+            message += ` Effacement des données après ${user.wipe_after - failedAttempts} nouvel(s) échec(s).`;
+        }
+        return RatchouUtils.error.createResponse(false, message, { failedAttempts, lockedFor: lockSeconds * 1000 });
+    }
+
+    /**
+     * Waiting delay (seconds) after a given number of consecutive failures
+     */
+    static lockDelay(failedAttempts) {
+        if (failedAttempts <= RatchouAuth.FREE_ATTEMPTS) return 0;
+        const exponent = failedAttempts - RatchouAuth.FREE_ATTEMPTS - 1;
+        return Math.min(RatchouAuth.LOCK_BASE_SECONDS * 2 ** exponent, RatchouAuth.LOCK_MAX_SECONDS);
+    }
+
+    /**
+     * Remaining lock time in milliseconds (0 when not locked)
+     */
+    getLockRemaining(user) {
+        return user?.locked_until ? Math.max(0, user.locked_until - Date.now()) : 0;
+    }
+
+    /**
+     * Human readable delay ("45 s", "4 min")
+     */
+    static formatDelay(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return seconds < 60 ? `${seconds} s` : `${Math.ceil(seconds / 60)} min`;
+    }
+
+    /**
+     * Get the "wipe after N failures" setting (null = disabled)
+     */
+    async getWipeAfter() {
+        const user = await this.getUser();
+        return user?.wipe_after || null;
+    }
+
+    /**
+     * Set the "wipe after N failures" setting
+     * @param {number|null} count - One of WIPE_OPTIONS, or null to disable
+     */
+    async setWipeAfter(count) {
+        if (count !== null && !RatchouAuth.WIPE_OPTIONS.includes(count)) {
+            return RatchouUtils.error.validation('Nombre de tentatives invalide');
+        }
+
+        const user = await this.getUser();
+        if (!user) {
+            return RatchouUtils.error.validation('Utilisateur introuvable');
+        }
+
+        await this.db.put('UTILISATEUR', { ...user, wipe_after: count });
+        return RatchouUtils.error.success(count
+            ? `Les données seront effacées après ${count} tentatives échouées`
+            : 'Effacement automatique désactivé');
+    }
+
+    /**
+     * Store a new access code as a salted verifier (the code itself is never stored)
+     * @param {string} accessCode - 4-digit code
+     * @param {string} deviceId - Device ID kept with the user
+     */
+    async setAccessCode(accessCode, deviceId) {
+        const user = await this.getUser();
+        const verifier = await RatchouUtils.crypto.createAccessVerifier(accessCode);
+        const { legacy_code, ...rest } = user || {};
+
+        await this.db.put('UTILISATEUR', {
+            ...rest,
+            ...verifier,
+            id: RatchouAuth.USER_ID,
+            device_id: deviceId || user?.device_id
+        });
+    }
+
     /**
      * Verify access code and establish session
      */
@@ -22,11 +168,10 @@ class RatchouAuth {
                 return RatchouUtils.error.validation('Le code doit contenir exactement 4 chiffres');
             }
 
-            // Get stored access code from database
-            const userData = await this.db.get('UTILISATEUR', accessCode);
-            
-            if (!userData) {
-                return RatchouUtils.error.validation('Code d\'accès incorrect');
+            // Check the code against the stored verifier (counts failures, honours the lock)
+            const check = await this.checkAccessCode(accessCode);
+            if (!check.success) {
+                return check;
             }
 
             // Create session with hashed access code for security
@@ -132,23 +277,13 @@ class RatchouAuth {
                 return RatchouUtils.error.validation('Le nouveau code doit contenir exactement 4 chiffres');
             }
 
-            // Get old user data to preserve device_id
-            const oldUserData = await this.db.get('UTILISATEUR', currentCode);
-            if (!oldUserData) {
-                return RatchouUtils.error.validation('Utilisateur introuvable avec le code actuel');
+            // Check the current code against the stored verifier
+            if (!(await this.verifyAccessCode(currentCode))) {
+                return RatchouUtils.error.validation('Code actuel incorrect');
             }
-            const deviceId = oldUserData.device_id;
 
-            // Use a transaction to ensure atomicity
-            const tx = this.db.db.transaction('UTILISATEUR', 'readwrite');
-            const store = tx.objectStore('UTILISATEUR');
-            
-            // Delete old record
-            await store.delete(currentCode);
-            
-            // Add new record
-            const newUserData = { code_acces: newCode, device_id: deviceId };
-            await store.add(newUserData);
+            // Replace the verifier (device_id is preserved)
+            await this.setAccessCode(newCode);
 
             // Update current session with new hashed code
             const newHashedCode = await RatchouUtils.crypto.hashAccessCode(newCode);
@@ -170,6 +305,13 @@ class RatchouAuth {
         try {
             RatchouUtils.debug.log('Initializing auth system');
             
+            // Databases migrated from version 5 still hold the plain code: hash it now
+            const user = await this.getUser();
+            if (user && user.legacy_code) {
+                await this.setAccessCode(user.legacy_code, user.device_id);
+                console.log('🔐 Code d\'accès converti en vérificateur PBKDF2');
+            }
+
             // Check if any user exists
             const userCount = await this.db.count('UTILISATEUR');
             
@@ -206,8 +348,7 @@ class RatchouAuth {
      */
     async isDefaultCodeActive() {
         try {
-            const defaultUser = await this.db.get('UTILISATEUR', '1234');
-            return defaultUser !== null;
+            return await this.verifyAccessCode('1234');
         } catch (error) {
             console.error('Error checking default code:', error);
             return false;
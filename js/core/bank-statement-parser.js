@@ -0,0 +1,389 @@
+/**
+ * Bank Statement Parser for Ratchou
+ * Reads OFX, QIF, CAMT.053 and CSV bank statements into a common format:
+ *   { date: 'YYYY-MM-DD', amount: number (decimal, negative = debit), label, reference }
+ */
+
+class BankStatementParser {
+    static FORMATS = ['OFX', 'QIF', 'CAMT053', 'CSV'];
+
+    /**
+     * Decode a file content (French banks often export in Windows-1252)
+     * @param {ArrayBuffer} buffer - Raw file content
+     * @returns {string} Decoded text
+     */
+    static decode(buffer) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+        } catch (error) {
+            return new TextDecoder('windows-1252').decode(buffer);
+        }
+    }
+
+    /**
+     * Detect the statement format from its content (file name as a hint)
+     * @returns {string|null} OFX, QIF, CAMT053, CSV or null if unknown
+     */
+    static detectFormat(text, fileName = '') {
+        const head = text.slice(0, 2000);
+        const extension = fileName.split('.').pop().toLowerCase();
+
+        if (/<OFX>|OFXHEADER/i.test(head)) return 'OFX';
+        if (/camt\.053|<BkToCstmrStmt/i.test(head)) return 'CAMT053';
+        if (/^\s*!(Type|Account|Option)/im.test(head) || extension === 'qif') return 'QIF';
+        if (['csv', 'txt'].includes(extension) || /[;,\t]/.test(head.split(/\r?\n/)[0] || '')) return 'CSV';
+        return null;
+    }
+
+    /**
+     * Parse a statement
+     * @param {string} text - Decoded file content
+     * @param {object} options - { format, fileName, dateOrder: 'DMY'|'MDY', csv: {...} }
+     * @returns {object} { format, currency, transactions, warnings }
+     */
+    static parse(text, options = {}) {
+        const format = options.format || this.detectFormat(text, options.fileName);
+
+        switch (format) {
+            case 'OFX':
+                return this.parseOFX(text);
+            case 'QIF':
+                return this.parseQIF(text, options.dateOrder || 'DMY');
+            case 'CAMT053':
+                return this.parseCAMT053(text);
+            case 'CSV':
+                return this.parseCSV(text, options.csv || {});
+            default:
+                throw new Error('Format de relevé non reconnu (OFX, QIF, CAMT.053 ou CSV attendu)');
+        }
+    }
+
+    // =================================================================
+    // OFX (SGML v1 and XML v2)
+    // =================================================================
+
+    static parseOFX(text) {
+        const transactions = [];
+        const warnings = [];
+        const currencyMatch = text.match(/<CURDEF>\s*([A-Z]{3})/i);
+
+        // SGML OFX does not always close leaf tags: read each value up to the next tag
+        const field = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match ? match[1].trim() : '';
+        };
+
+        const blocks = text.split(/<STMTTRN>/i).slice(1);
+        for (const rawBlock of blocks) {
+            const block = rawBlock.split(/<\/STMTTRN>/i)[0];
+            const date = this.parseOFXDate(field(block, 'DTPOSTED'));
+            const amount = this.parseAmount(field(block, 'TRNAMT'));
+
+            if (!date || amount === null) {
+                warnings.push(`Opération OFX ignorée (date ou montant invalide) : ${field(block, 'NAME') || field(block, 'FITID')}`);
+                continue;
+            }
+
+            const name = this.decodeEntities(field(block, 'NAME'));
+            const memo = this.decodeEntities(field(block, 'MEMO'));
+
+            transactions.push({
+                date,
+                amount,
+                label: [name, memo].filter(Boolean).filter((v, i, a) => a.indexOf(v) === i).join(' - '),
+                reference: field(block, 'FITID') || null
+            });
+        }
+
+        return { format: 'OFX', currency: currencyMatch ? currencyMatch[1].toUpperCase() : null, transactions, warnings };
+    }
+
+    static parseOFXDate(value) {
+        const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    }
+
+    // =================================================================
+    // QIF
+    // =================================================================
+
+    static parseQIF(text, dateOrder = 'DMY') {
+        const transactions = [];
+        const warnings = [];
+        let current = {};
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('!')) continue;
+
+            const code = line[0];
+            const value = line.slice(1).trim();
+
+            switch (code) {
+                case 'D':
+                    current.date = this.parseQIFDate(value, dateOrder);
+                    break;
+                case 'T':
+                case 'U':
+                    current.amount = this.parseAmount(value);
+                    break;
+                case 'P':
+                    current.payee = value;
+                    break;
+                case 'M':
+                    current.memo = value;
+                    break;
+                case 'N':
+                    current.reference = value;
+                    break;
+                case '^':
+                    if (current.date && current.amount !== undefined && current.amount !== null) {
+                        transactions.push({
+                            date: current.date,
+                            amount: current.amount,
+                            label: [current.payee, current.memo].filter(Boolean).join(' - '),
+                            reference: current.reference || null
+                        });
+                    } else if (Object.keys(current).length > 0) {
+                        warnings.push(`Opération QIF ignorée (date ou montant invalide) : ${current.payee || ''}`);
+                    }
+                    current = {};
+                    break;
+            }
+        }
+
+        return { format: 'QIF', currency: null, transactions, warnings };
+    }
+
+    /**
+     * QIF dates: 31/01/2024, 01/31/2024, 1/31'24, 2024-01-31
+     */
+    static parseQIFDate(value, dateOrder = 'DMY') {
+        const normalized = value.replace(/'/g, '/').replace(/\s/g, '');
+        const iso = normalized.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (iso) return normalized;
+
+        const parts = normalized.split(/[\/.-]/).map(p => parseInt(p, 10));
+        if (parts.length !== 3 || parts.some(isNaN)) return null;
+
+        let [day, month, year] = dateOrder === 'MDY' ? [parts[1], parts[0], parts[2]] : parts;
+        return this.buildDate(year, month, day);
+    }
+
+    // =================================================================
+    // CAMT.053 (ISO 20022)
+    // =================================================================
+
+    static parseCAMT053(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Fichier CAMT.053 invalide (XML mal formé)');
+        }
+
+        // Namespaces vary between banks and versions: match on local names only
+        const children = (node, name) => Array.from(node ? node.children : []).filter(c => c.localName === name);
+        const find = (node, path) => path.split('/').reduce((n, name) => (n ? children(n, name)[0] : null), node);
+        const findAll = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+        const text0 = (node) => (node ? node.textContent.trim() : '');
+
+        const transactions = [];
+        const warnings = [];
+        let currency = null;
+
+        for (const entry of findAll(doc, 'Ntry')) {
+            const amountNode = find(entry, 'Amt');
+            const amount = this.parseAmount(text0(amountNode));
+            const date = text0(find(entry, 'BookgDt/Dt')) || text0(find(entry, 'BookgDt/DtTm')).slice(0, 10)
+                || text0(find(entry, 'ValDt/Dt'));
+
+            if (amount === null || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+                warnings.push('Écriture CAMT.053 ignorée (date ou montant invalide)');
+                continue;
+            }
+
+            currency = currency || (amountNode && amountNode.getAttribute('Ccy'));
+            const isDebit = text0(find(entry, 'CdtDbtInd')) === 'DBIT';
+
+            const remittance = findAll(entry, 'Ustrd').map(text0).filter(Boolean);
+            const party = isDebit
+                ? text0(findAll(entry, 'Cdtr').map(n => find(n, 'Nm') || find(n, 'Pty/Nm'))[0])
+                : text0(findAll(entry, 'Dbtr').map(n => find(n, 'Nm') || find(n, 'Pty/Nm'))[0]);
+            const additional = text0(find(entry, 'AddtlNtryInf'));
+
+            transactions.push({
+                date,
+                amount: isDebit ? -Math.abs(amount) : Math.abs(amount),
+                label: [party, ...remittance].filter(Boolean).join(' - ') || additional,
+                reference: text0(find(entry, 'AcctSvcrRef')) || text0(find(entry, 'NtryRef')) || null
+            });
+        }
+
+        return { format: 'CAMT053', currency, transactions, warnings };
+    }
+
+    // =================================================================
+    // CSV
+    // =================================================================
+
+    /**
+     * Read a CSV into header + rows (delimiter auto-detected)
+     * @returns {object} { delimiter, headers, rows }
+     */
+    static readCSV(text, delimiter = null) {
+        const firstLine = text.split(/\r?\n/).find(l => l.trim()) || '';
+        if (!delimiter) {
+            const counts = [';', ',', '\t'].map(d => [d, firstLine.split(d).length]);
+            delimiter = counts.sort((a, b) => b[1] - a[1])[0][0];
+        }
+
+        const rows = [];
+        let row = [];
+        let value = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(value.trim());
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value.trim());
+                if (row.some(v => v !== '')) rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        row.push(value.trim());
+        if (row.some(v => v !== '')) rows.push(row);
+
+        return { delimiter, headers: rows.shift() || [], rows };
+    }
+
+    /**
+     * Guess CSV column mapping from header names
+     * @returns {object} { date, label, amount, debit, credit } column indexes (-1 if absent)
+     */
+    static guessCSVMapping(headers) {
+        const normalized = headers.map(h => RatchouUtils.text.normalize(h));
+        const findColumn = (...patterns) => normalized.findIndex(h => patterns.some(p => p.test(h)));
+
+        return {
+            date: findColumn(/^date( (d'?)?operation| comptable)?$/, /^date/),
+            label: findColumn(/^libelle/, /^description/, /^label/, /^intitule/, /^detail/),
+            amount: findColumn(/^montant/, /^amount/),
+            debit: findColumn(/^debit/),
+            credit: findColumn(/^credit/)
+        };
+    }
+
+    /**
+     * Parse a CSV statement
+     * @param {object} options - { delimiter, mapping, dateOrder }
+     */
+    static parseCSV(text, options = {}) {
+        const { delimiter, headers, rows } = this.readCSV(text, options.delimiter);
+        const mapping = options.mapping || this.guessCSVMapping(headers);
+        const dateOrder = options.dateOrder || 'DMY';
+        const transactions = [];
+        const warnings = [];
+
+        if (mapping.date < 0 || (mapping.amount < 0 && mapping.debit < 0 && mapping.credit < 0)) {
+            throw new Error('Colonnes date et montant introuvables dans le CSV');
+        }
+
+        rows.forEach((row, index) => {
+            const date = this.parseQIFDate(row[mapping.date] || '', dateOrder);
+
+            let amount = null;
+            if (mapping.amount >= 0 && row[mapping.amount]) {
+                amount = this.parseAmount(row[mapping.amount]);
+            } else {
+                const debit = mapping.debit >= 0 ? this.parseAmount(row[mapping.debit]) : null;
+                const credit = mapping.credit >= 0 ? this.parseAmount(row[mapping.credit]) : null;
+                if (debit) amount = -Math.abs(debit);
+                else if (credit) amount = Math.abs(credit);
+            }
+
+            if (!date || amount === null) {
+                warnings.push(`Ligne ${index + 2} ignorée (date ou montant invalide)`);
+                return;
+            }
+
+            transactions.push({
+                date,
+                amount,
+                label: mapping.label >= 0 ? (row[mapping.label] || '') : '',
+                reference: null
+            });
+        });
+
+        return { format: 'CSV', currency: null, transactions, warnings, delimiter, headers, mapping };
+    }
+
+    // =================================================================
+    // Helpers
+    // =================================================================
+
+    /**
+     * Parse an amount in French or English notation: "-1 234,56", "1,234.56", "12.5", "(12,00)"
+     * @returns {number|null}
+     */
+    static parseAmount(value) {
+        if (value === undefined || value === null) return null;
+
+        let cleaned = String(value).replace(/[\s\u00a0\u202f€$]|EUR|USD/g, '');
+        if (!cleaned) return null;
+
+        const negative = /^\(.*\)$/.test(cleaned) || cleaned.endsWith('-');
+        cleaned = cleaned.replace(/[()]/g, '').replace(/-$/, '');
+
+        const lastComma = cleaned.lastIndexOf(',');
+        const lastDot = cleaned.lastIndexOf('.');
+        if (lastComma > lastDot) {
+            // Comma is the decimal separator
+            cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+        } else {
+            cleaned = cleaned.replace(/,/g, '');
+        }
+
+        const amount = parseFloat(cleaned);
+        if (isNaN(amount)) return null;
+        return negative ? -Math.abs(amount) : amount;
+    }
+
+    static buildDate(year, month, day) {
+        if (year < 100) year += 2000;
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCDate() !== day) return null;
+        return date.toISOString().slice(0, 10);
+    }
+
+    static decodeEntities(value) {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+}
+
+// Export for use in other modules
+window.BankStatementParser = BankStatementParser;
@@ -6,7 +6,7 @@
 // Centralized Database Schema Definition
 const DATABASE_SCHEMA = {
     UTILISATEUR: {
-        keyPath: 'code_acces',
+        keyPath: 'id',
         indexes: {
             device_id: { keyPath: 'device_id', options: { unique: false } },
             updated_at: { keyPath: 'updated_at', options: { unique: false } },
@@ -14,7 +14,13 @@ const DATABASE_SCHEMA = {
             sync_rev: { keyPath: 'rev', options: { unique: false } },
         },
         fields: {
-            code_acces: { type: 'string', required: true },
+            id: { type: 'string', required: true }, // Enregistrement unique 'user'
+            code_hash: { type: 'string', required: true }, // Vérificateur PBKDF2 du code d'accès
+            code_salt: { type: 'string', required: true },
+            code_iterations: { type: 'number', required: true },
+            failed_attempts: { type: 'number', required: false }, // Échecs consécutifs de connexion
+            locked_until: { type: 'number', required: false }, // Timestamp de fin de blocage
+            wipe_after: { type: 'number', required: false }, // Effacement des données après N échecs (null = jamais)
             device_id: { type: 'string', required: true },
             updated_at: { type: 'number', required: true },
             is_deleted: { type: 'number', required: true },
@@ -36,8 +42,10 @@ const DATABASE_SCHEMA = {
             nom_compte: { type: 'string', required: true },
             solde_initial: { type: 'number', required: true },
             is_principal: { type: 'number', required: true }, // 0 or 1
-            currency: { type: 'string', required: false, default: 'EUR' }, // EUR, USD, BTC
+            currency: { type: 'string', required: false, default: 'EUR' }, // Code devise (voir RatchouUtils.currency.isSupported)
             remarque_encrypted: { type: 'string', required: false, default: null }, // Encrypted or plain text remark
+            reconciled_balance: { type: 'number', required: false }, // Solde du dernier relevé rapproché
+            reconciled_date: { type: 'string', required: false }, // Date du dernier relevé rapproché (YYYY-MM-DD)
         }
     },
     CATEGORIES: {
@@ -106,6 +114,7 @@ const DATABASE_SCHEMA = {
             is_deleted: { keyPath: 'is_deleted', options: { unique: false } },
             sync_rev: { keyPath: 'rev', options: { unique: false } },
             recurring_expense_id: { keyPath: 'recurring_expense_id', options: { unique: false } },
+            transfer_id: { keyPath: 'transfer_id', options: { unique: false } },
         },
         fields: {
             id: { type: 'string', required: true },
@@ -117,6 +126,12 @@ const DATABASE_SCHEMA = {
             payee_id: { type: 'string', required: true },
             expense_type_id: { type: 'string', required: true },
             recurring_expense_id: { type: 'string', required: false },
+            import_ref: { type: 'string', required: false }, // Référence bancaire (relevé importé)
+            is_cleared: { type: 'number', required: false }, // 0 or 1 : mouvement pointé
+            reconciled_at: { type: 'string', required: false }, // Date du rapprochement (mouvement verrouillé)
+            splits: { type: 'array', required: false }, // Ventilation : [{ category_id, payee_id, amount, description }]
+            transfer_id: { type: 'string', required: false }, // Virement : identifiant commun aux deux mouvements liés
+            transfer_account_id: { type: 'string', required: false }, // Virement : compte de l'autre mouvement
         }
     },
     DEPENSES_FIXES: {
@@ -144,9 +159,72 @@ const DATABASE_SCHEMA = {
             payee_id: { type: 'string', required: true },
             expense_type_id: { type: 'string', required: true },
             is_active: { type: 'number', required: true },
-            frequency: { type: 'number', required: true },
+            frequency: { type: 'number', required: true }, // Mois entre deux échéances (format d'origine, tenu à jour)
+            recurrence: { type: 'object', required: false }, // { type, interval, shift, end_date, max_occurrences }
             start_date: { type: 'string', required: true },
             last_execution: { type: 'string', required: false },
+            is_review_required: { type: 'number', required: false }, // 1 = échéances validées une à une avant enregistrement
+            skipped_dates: { type: 'array', required: false }, // Échéances ignorées après last_execution (YYYY-MM-DD)
+            is_variable: { type: 'number', required: false }, // 1 = montant estimé d'après les derniers mouvements liés
+            estimate_window: { type: 'number', required: false }, // Nombre de mouvements moyennés (3 par défaut)
+        }
+    },
+    BUDGETS: {
+        keyPath: 'id',
+        indexes: {
+            category_id: { keyPath: 'category_id', options: { unique: false } },
+            device_id: { keyPath: 'device_id', options: { unique: false } },
+            updated_at: { keyPath: 'updated_at', options: { unique: false } },
+            is_deleted: { keyPath: 'is_deleted', options: { unique: false } },
+            sync_rev: { keyPath: 'rev', options: { unique: false } },
+        },
+        fields: {
+            id: { type: 'string', required: true },
+            category_id: { type: 'string', required: true },
+            amount: { type: 'number', required: true }, // Montant mensuel en unité de stockage (positif)
+            currency: { type: 'string', required: false, default: 'EUR' },
+            rollover: { type: 'number', required: true }, // 0 or 1 : report du reliquat non dépensé
+            start_month: { type: 'string', required: true }, // YYYY-MM
+        }
+    },
+    TAUX_CHANGE: {
+        keyPath: 'id',
+        indexes: {
+            base: { keyPath: 'base', options: { unique: false } },
+            quote: { keyPath: 'quote', options: { unique: false } },
+            rate_date: { keyPath: 'rate_date', options: { unique: false } },
+            device_id: { keyPath: 'device_id', options: { unique: false } },
+            updated_at: { keyPath: 'updated_at', options: { unique: false } },
+            is_deleted: { keyPath: 'is_deleted', options: { unique: false } },
+            sync_rev: { keyPath: 'rev', options: { unique: false } },
+        },
+        fields: {
+            id: { type: 'string', required: true },
+            base: { type: 'string', required: true }, // Devise de départ (ex. USD)
+            quote: { type: 'string', required: true }, // Devise d'arrivée (ex. EUR)
+            rate: { type: 'number', required: true }, // 1 base = rate quote
+            rate_date: { type: 'string', required: true }, // YYYY-MM-DD
+            source: { type: 'string', required: false, default: 'manual' }, // manual, import
+        }
+    },
+    PIECES_JOINTES: {
+        keyPath: 'id',
+        indexes: {
+            movement_id: { keyPath: 'movement_id', options: { unique: false } },
+            device_id: { keyPath: 'device_id', options: { unique: false } },
+            updated_at: { keyPath: 'updated_at', options: { unique: false } },
+            is_deleted: { keyPath: 'is_deleted', options: { unique: false } },
+            sync_rev: { keyPath: 'rev', options: { unique: false } },
+        },
+        fields: {
+            id: { type: 'string', required: true },
+            movement_id: { type: 'string', required: true },
+            file_name: { type: 'string', required: true },
+            mime_type: { type: 'string', required: true }, // image/jpeg, application/pdf...
+            size: { type: 'number', required: true }, // Octets
+            blob: { type: 'object', required: false }, // Contenu (Blob)
+            data_url: { type: 'string', required: false }, // Contenu reçu par la synchronisation (base64)
+            thumbnail: { type: 'string', required: false }, // Miniature JPEG (data URL), images uniquement
         }
     },
     SYNC_QUEUE: {
@@ -164,9 +242,11 @@ const DATABASE_SCHEMA = {
             record_id: { type: 'string', required: true },
             operation: { type: 'string', required: true },
             data: { type: 'object', required: true },
+            base: { type: 'object', required: false }, // Version avant modification (merge 3 voies)
             schema_version: { type: 'number', required: true },
             timestamp: { type: 'number', required: true },
-            synced: { type: 'number', required: true }
+            synced: { type: 'number', required: true },
+            pushed_at: { type: 'number', required: false } // Envoi (purge après acquittement du maître)
         }
     },
     SYNC_CONFIG: {
@@ -195,20 +275,23 @@ const DATABASE_SCHEMA = {
         fields: {
             id: { type: 'string', required: true },
             timestamp: { type: 'number', required: true },
-            sync_type: { type: 'string', required: true },
-            status: { type: 'string', required: true },
-            duration_ms: { type: 'number', required: true },
-            records_count: { type: 'number', required: true },
-            errors: { type: 'array', required: false },
-            conflicts: { type: 'array', required: false },
-            details: { type: 'object', required: false }
+            type: { type: 'string', required: true }, // SYNC_SUCCESS, SYNC_ERROR, MASTER_PROMOTED, KEY_ROTATED, COMPACTION
+            sync_type: { type: 'string', required: true }, // SYNC, MASTER_PROMOTED, KEY_ROTATED, COMPACTION
+            status: { type: 'string', required: true }, // SUCCESS, CONFLICT, ERROR
+            duration: { type: 'number', required: false },
+            items_pushed: { type: 'number', required: true },
+            items_pulled: { type: 'number', required: true },
+            error: { type: 'string', required: false },
+            conflicts: { type: 'array', required: false }, // Champs en conflit à revoir
+            conflicts_count: { type: 'number', required: false },
+            details: { type: 'object', required: false } // { pushed, pulled, errors } : enregistrements concernés
         }
     }
 };
 
 
 class IndexedDBWrapper {
-    constructor(dbName = 'ratchou', version = 3) {
+    constructor(dbName = 'ratchou', version = 8) {
         this.dbName = dbName;
         this.version = version;
         this.db = null;
@@ -293,6 +376,31 @@ class IndexedDBWrapper {
             console.log('🔄 Migrating to version 3: Sync infrastructure');
             this.migrateToVersion3(transaction);
         }
+
+        if (oldVersion < 4) {
+            console.log('💰 Migrating to version 4: Category budgets');
+            this.migrateToVersion4(transaction);
+        }
+
+        if (oldVersion < 5) {
+            console.log('🔁 Migrating to version 5: Transfers between accounts');
+            this.migrateToVersion5(transaction);
+        }
+
+        if (oldVersion < 6) {
+            console.log('🔐 Migrating to version 6: Hashed access code');
+            this.migrateToVersion6(db, transaction);
+        }
+
+        if (oldVersion < 7) {
+            console.log('💱 Migrating to version 7: Exchange rates');
+            this.migrateToVersion7(transaction);
+        }
+
+        if (oldVersion < 8) {
+            console.log('📎 Migrating to version 8: Attachments');
+            this.migrateToVersion8(transaction);
+        }
     }
 
     /**
@@ -446,6 +554,90 @@ class IndexedDBWrapper {
         }
     }
 
+    /**
+     * Migration vers version 4
+     * Ajoute le store BUDGETS (budgets mensuels par catégorie)
+     */
+    migrateToVersion4(transaction) {
+        // Le store est créé par createInitialStores(), aucune donnée à migrer
+        console.log('✅ Created BUDGETS store');
+        console.log('✅ Migration to version 4 completed');
+    }
+
+    /**
+     * Migration vers version 5
+     * Ajoute l'index transfer_id sur MOUVEMENTS (virements entre comptes)
+     */
+    migrateToVersion5(transaction) {
+        // L'index est créé par createInitialStores(), les mouvements existants ne sont pas des virements
+        console.log('✅ Created MOUVEMENTS.transfer_id index');
+        console.log('✅ Migration to version 5 completed');
+    }
+
+    /**
+     * Migration vers version 6
+     * UTILISATEUR n'est plus indexé par le code d'accès en clair : le store est recréé
+     * avec la clé 'id'. Le hachage PBKDF2 étant asynchrone, il ne peut pas se faire dans
+     * la transaction d'upgrade : l'ancien code est conservé dans legacy_code puis remplacé
+     * par son vérificateur dès l'ouverture (RatchouAuth.initialize).
+     */
+    migrateToVersion6(db, transaction) {
+        const oldStore = transaction.objectStore('UTILISATEUR');
+        if (oldStore.keyPath !== 'code_acces') {
+            // Nouvelle base : le store a déjà été créé avec la bonne clé
+            console.log('✅ Migration to version 6 completed');
+            return;
+        }
+
+        const request = oldStore.getAll();
+
+        request.onsuccess = () => {
+            const users = request.result || [];
+
+            db.deleteObjectStore('UTILISATEUR');
+            const schema = DATABASE_SCHEMA.UTILISATEUR;
+            const store = db.createObjectStore('UTILISATEUR', { keyPath: schema.keyPath });
+            for (const indexName in schema.indexes) {
+                const index = schema.indexes[indexName];
+                store.createIndex(indexName, index.keyPath, index.options);
+            }
+
+            // Un seul utilisateur par base
+            const user = users.find(u => !u.is_deleted) || users[0];
+            if (user) {
+                const { code_acces, ...rest } = user;
+                store.put({ ...rest, id: 'user', legacy_code: code_acces });
+            }
+
+            console.log(`✅ Recreated UTILISATEUR store (${users.length} user(s) to hash)`);
+            console.log('✅ Migration to version 6 completed');
+        };
+
+        request.onerror = () => {
+            console.error('❌ Error migrating UTILISATEUR:', request.error);
+        };
+    }
+
+    /**
+     * Migration vers version 7
+     * Ajoute le store TAUX_CHANGE (taux de change pour les totaux multi-devises)
+     */
+    migrateToVersion7(transaction) {
+        // Le store est créé par createInitialStores(), aucune donnée à migrer
+        console.log('✅ Created TAUX_CHANGE store');
+        console.log('✅ Migration to version 7 completed');
+    }
+
+    /**
+     * Migration vers version 8
+     * Ajoute le store PIECES_JOINTES (tickets de caisse, factures liés aux mouvements)
+     */
+    migrateToVersion8(transaction) {
+        // Le store est créé par createInitialStores(), aucune donnée à migrer
+        console.log('✅ Created PIECES_JOINTES store');
+        console.log('✅ Migration to version 8 completed');
+    }
+
     /**
      * Initialiser SYNC_CONFIG avec valeurs par défaut (offline-first)
      * @deprecated Cette méthode n'est plus utilisée - SYNC_CONFIG doit être créée
@@ -632,6 +824,68 @@ class IndexedDBWrapper {
         return this.cursorToArray(cursorRequest, limit);
     }
 
+    /**
+     * Paginated cursor walk on an index
+     * Resumes strictly after the position returned by the previous page ({ key, primaryKey }),
+     * so records sharing the same index key are neither skipped nor repeated.
+     * @param {string} storeName - Store name
+     * @param {string} indexName - Index to walk
+     * @param {object} options - { range, direction ('prev' by default), after, limit, filter }
+     * @returns {Promise<object>} { items, next } - next is null once the index is exhausted
+     */
+    async getPage(storeName, indexName, { range = null, direction = 'prev', after = null, limit = 50, filter = null } = {}) {
+        if (after) {
+            range = this.resumeRange(range, after.key, direction);
+        }
+
+        const tx = this.tx([storeName]);
+        const index = tx.objectStore(storeName).index(indexName);
+        const cursorRequest = index.openCursor(range, direction);
+        const order = direction.startsWith('prev') ? 1 : -1;
+
+        return new Promise((resolve, reject) => {
+            const items = [];
+
+            cursorRequest.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    resolve({ items, next: null });
+                    return;
+                }
+
+                // Skip the records already returned with the same index key
+                const alreadySeen = after
+                    && indexedDB.cmp(cursor.key, after.key) === 0
+                    && indexedDB.cmp(cursor.primaryKey, after.primaryKey) * order >= 0;
+
+                if (!alreadySeen && (!filter || filter(cursor.value))) {
+                    items.push(cursor.value);
+                    if (items.length >= limit) {
+                        resolve({ items, next: { key: cursor.key, primaryKey: cursor.primaryKey } });
+                        return;
+                    }
+                }
+                cursor.continue();
+            };
+
+            cursorRequest.onerror = () => reject(new Error('Cursor operation failed: ' + cursorRequest.error));
+        });
+    }
+
+    /**
+     * Narrow a key range so that it starts at a resume key
+     */
+    resumeRange(range, key, direction) {
+        if (direction.startsWith('prev')) {
+            return range && range.lower !== undefined
+                ? IDBKeyRange.bound(range.lower, key, range.lowerOpen, false)
+                : IDBKeyRange.upperBound(key);
+        }
+        return range && range.upper !== undefined
+            ? IDBKeyRange.bound(key, range.upper, false, range.upperOpen)
+            : IDBKeyRange.lowerBound(key);
+    }
+
     /**
      * Search with prefix (for autocomplete)
      */
@@ -697,6 +951,30 @@ class IndexedDBWrapper {
         }
     }
 
+    /**
+     * Write several records (possibly in different stores) in a single transaction,
+     * with synchronization metadata: either all of them are written or none
+     * @param {Array<{storeName: string, data: object, deleted?: boolean}>} records - deleted = soft delete
+     */
+    async putManyWithMeta(records) {
+        const deviceId = RatchouUtils.device.getCurrentDeviceId();
+        const storeNames = [...new Set(records.map(record => record.storeName))];
+        const tx = this.tx(storeNames, 'readwrite');
+
+        return new Promise((resolve, reject) => {
+            for (const { storeName, data, deleted } of records) {
+                const dataWithMeta = deleted
+                    ? RatchouUtils.sync.markDeleted(data, deviceId)
+                    : RatchouUtils.sync.addMeta(data, deviceId);
+                tx.objectStore(storeName).put(dataWithMeta);
+            }
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(new Error(`Failed to put records in ${storeNames.join(', ')}: ${tx.error}`));
+            tx.onabort = () => reject(new Error(`Transaction aborted on ${storeNames.join(', ')}: ${tx.error}`));
+        });
+    }
+
     /**
      * Soft delete operation (mark as deleted without physical removal)
      */
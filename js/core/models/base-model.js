@@ -75,7 +75,7 @@ class BaseModel {
 
             // Re-fetch before queueing to ensure we send the definitive merged state
             const finalData = await this.getById(id);
-            await this.queueSyncOperation('UPDATE', id, finalData);
+            await this.queueSyncOperation('UPDATE', id, finalData, existing);
 
             return RatchouUtils.error.success('Enregistrement mis à jour avec succès', finalData);
         } catch (error) {
@@ -106,7 +106,7 @@ class BaseModel {
 
             // Queue pour sync si activée
             const deletedRecord = await this.getById(id);
-            await this.queueSyncOperation('DELETE', id, deletedRecord);
+            await this.queueSyncOperation('DELETE', id, deletedRecord, existing);
 
             return RatchouUtils.error.success('Enregistrement supprimé avec succès');
         } catch (error) {
@@ -187,7 +187,7 @@ class BaseModel {
         const transformed = { ...data };
 
         // List of known boolean fields that should be numeric for IndexedDB
-        const booleanFields = ['is_active', 'is_principal', 'is_mandatory', 'is_default', 'is_deleted'];
+        const booleanFields = ['is_active', 'is_principal', 'is_mandatory', 'is_default', 'is_deleted', 'is_cleared'];
 
         // Convert boolean values to numbers (true → 1, false → 0)
         for (const field of booleanFields) {
@@ -212,8 +212,9 @@ class BaseModel {
      * @param {string} operation - CREATE, UPDATE, DELETE
      * @param {string} recordId - ID du record
      * @param {object} data - Données complètes du record
+     * @param {object|null} base - Version du record avant modification (ancêtre commun pour le merge 3 voies)
      */
-    async queueSyncOperation(operation, recordId, data) {
+    async queueSyncOperation(operation, recordId, data, base = null) {
         try {
             // Vérifier si sync est configurée
             const syncConfig = await this.db.get('SYNC_CONFIG', 'config');
@@ -228,12 +229,20 @@ class BaseModel {
                 return;
             }
 
+            // Plusieurs modifications avant envoi : l'ancêtre reste la version
+            // d'avant la première (celle que les autres appareils connaissent)
+            const pending = await this.db.getAll('SYNC_QUEUE', 'synced', 0);
+            const previous = pending.find(entry =>
+                entry.store_name === this.storeName && entry.record_id === recordId
+            );
+
             const queueEntry = {
                 id: `sync_${Date.now()}_${RatchouUtils.generateUUID().slice(0, 8)}`,
                 store_name: this.storeName,
                 record_id: recordId,
                 operation: operation,
                 data: data,
+                base: previous ? (previous.base || null) : base,
                 schema_version: 1,
                 timestamp: Date.now(),
                 synced: 0
@@ -241,6 +250,11 @@ class BaseModel {
 
             await this.db.put('SYNC_QUEUE', queueEntry);
             RatchouUtils.debug.log(`✅ Queued ${operation} for ${this.storeName}:${recordId}`);
+
+            // SyncManager envoie sans attendre le prochain polling
+            window.dispatchEvent(new CustomEvent('sync-queue-changed', {
+                detail: { storeName: this.storeName, recordId, operation }
+            }));
         } catch (error) {
             // Échec du queueing = non-critique - l'opération réussit quand même
             console.warn(`Échec queueing sync (non-critique):`, error);
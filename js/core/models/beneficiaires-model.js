@@ -106,9 +106,10 @@ class PayeesModel extends BaseModel {
             // 2. Dissociate all transactions (set payee_id to null)
             for (const transaction of transactions) {
                 console.log(`Dissociating transaction: ${transaction.id}`);
-                const updateResult = await ratchouApp.models.transactions.update(transaction.id, {
-                    payee_id: null
-                });
+                const updateResult = await ratchouApp.models.transactions.update(
+                    transaction.id,
+                    TransactionsModel.dissociationData(transaction, 'payee_id', payeeId)
+                );
                 if (!updateResult.success) {
                     console.error(`Failed to dissociate transaction ${transaction.id}:`, updateResult.message);
                     return RatchouUtils.error.validation(`Erreur lors de la dissociation de la transaction ${transaction.id}`);
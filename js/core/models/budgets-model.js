@@ -0,0 +1,229 @@
+/**
+ * Budgets Model for Ratchou IndexedDB
+ * Manages monthly budgets per category with optional rollover of unspent amounts
+ */
+
+class BudgetsModel extends BaseModel {
+    constructor(db) {
+        super(db, 'BUDGETS');
+    }
+
+    /**
+     * Get the budget of a category (one budget per category)
+     */
+    async getByCategory(categoryId) {
+        try {
+            const budgets = await this.getAll('category_id', IDBKeyRange.only(categoryId));
+            return budgets[0] || null;
+        } catch (error) {
+            console.error('Error getting budget by category:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build a month key (YYYY-MM) from a date or from year/month (month 0-11)
+     */
+    static monthKey(dateOrYear, month = null) {
+        if (month !== null) {
+            return `${dateOrYear}-${String(month + 1).padStart(2, '0')}`;
+        }
+        const date = new Date(dateOrYear);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * Get the status of all budgets for a given month
+     * @param {number} year - Full year
+     * @param {number} month - Month index (0-11)
+     * @returns {Promise<Array>} Budget status sorted by category name
+     */
+    async getMonthlyStatus(year, month) {
+        try {
+            const [budgets, categories, accounts, movements] = await Promise.all([
+                this.getAll(),
+                this.db.getAllActive('CATEGORIES'),
+                this.db.getAllActive('COMPTES'),
+                this.db.getAllActive('MOUVEMENTS')
+            ]);
+
+            const categoryNames = new Map(categories.map(c => [c.id, c.libelle]));
+            const spentByMonth = this.computeSpentByMonth(movements, accounts);
+            const targetMonth = BudgetsModel.monthKey(year, month);
+
+            return budgets
+                .filter(budget => categoryNames.has(budget.category_id))
+                .map(budget => ({
+                    ...this.computeStatus(budget, spentByMonth, targetMonth),
+                    category_name: categoryNames.get(budget.category_id)
+                }))
+                .sort((a, b) => a.category_name.localeCompare(b.category_name));
+        } catch (error) {
+            console.error('Error getting monthly budget status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the budget status of a category for the month of the given date
+     * Used by the dashboard to warn when a transaction exceeds the budget
+     * @returns {Promise<object|null>} Status or null if the category has no budget
+     */
+    async checkCategory(categoryId, date = new Date()) {
+        try {
+            if (!categoryId) return null;
+
+            const budget = await this.getByCategory(categoryId);
+            if (!budget) return null;
+
+            const [accounts, movements] = await Promise.all([
+                this.db.getAllActive('COMPTES'),
+                this.db.getAllActive('MOUVEMENTS')
+            ]);
+
+            const spentByMonth = this.computeSpentByMonth(movements, accounts);
+            return this.computeStatus(budget, spentByMonth, BudgetsModel.monthKey(date));
+        } catch (error) {
+            console.error('Error checking category budget:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Sum expenses per category and month, per currency
+     * Only negative net amounts count as spending (refunds reduce the spending)
+     * @returns {Map<string, number>} Key: `${category_id}|${currency}|${YYYY-MM}`
+     */
+    computeSpentByMonth(movements, accounts) {
+        const accountCurrency = new Map(accounts.map(a => [a.id, a.currency || 'EUR']));
+        const totals = new Map();
+
+        for (const movement of movements) {
+            if (!accountCurrency.has(movement.account_id) || TransactionsModel.isTransfer(movement)) continue;
+
+            // Split movements count each line on its own category
+            for (const line of TransactionsModel.getLines(movement)) {
+                if (!line.category_id) continue;
+
+                const key = `${line.category_id}|${accountCurrency.get(movement.account_id)}|${BudgetsModel.monthKey(movement.date_mouvement)}`;
+                totals.set(key, (totals.get(key) || 0) - line.amount);
+            }
+        }
+
+        return totals;
+    }
+
+    /**
+     * Compute the status of a budget for a target month
+     * With rollover, the unspent amount of each previous month (since start_month)
+     * is carried over; overspending is not carried over.
+     */
+    computeStatus(budget, spentByMonth, targetMonth) {
+        const currency = budget.currency || 'EUR';
+        const spentFor = (monthKey) => Math.max(0, spentByMonth.get(`${budget.category_id}|${currency}|${monthKey}`) || 0);
+
+        let carriedOver = 0;
+        if (budget.rollover && budget.start_month < targetMonth) {
+            const [startYear, startMonth] = budget.start_month.split('-').map(Number);
+            const cursor = new Date(startYear, startMonth - 1, 1);
+
+            while (BudgetsModel.monthKey(cursor) < targetMonth) {
+                carriedOver = Math.max(0, carriedOver + budget.amount - spentFor(BudgetsModel.monthKey(cursor)));
+                cursor.setMonth(cursor.getMonth() + 1);
+            }
+        }
+
+        const active = budget.start_month <= targetMonth;
+        const available = active ? budget.amount + carriedOver : 0;
+        const spent = spentFor(targetMonth);
+        const remaining = available - spent;
+
+        return {
+            ...budget,
+            currency,
+            month: targetMonth,
+            active,
+            carried_over: carriedOver,
+            available,
+            spent,
+            remaining,
+            percent: available > 0 ? Math.round((spent / available) * 100) : (spent > 0 ? 100 : 0),
+            is_over: active && remaining < 0
+        };
+    }
+
+    // =================================================================
+    // Validation and transformation
+    // =================================================================
+
+    validateCreate(data) {
+        super.validateCreate(data);
+
+        RatchouUtils.validate.required(data.category_id, 'category_id');
+        this.validateAmount(data.amount);
+
+        if (!data.currency) {
+            data.currency = 'EUR';
+        }
+        this.validateCurrency(data.currency);
+
+        if (!data.start_month) {
+            data.start_month = BudgetsModel.monthKey(new Date());
+        }
+        this.validateMonth(data.start_month);
+
+        data.rollover = data.rollover ? 1 : 0;
+    }
+
+    validateUpdate(data) {
+        super.validateUpdate(data);
+
+        if (data.amount !== undefined) {
+            this.validateAmount(data.amount);
+        }
+        if (data.currency !== undefined) {
+            this.validateCurrency(data.currency);
+        }
+        if (data.start_month !== undefined) {
+            this.validateMonth(data.start_month);
+        }
+        if (data.rollover !== undefined) {
+            data.rollover = data.rollover ? 1 : 0;
+        }
+    }
+
+    validateAmount(amount) {
+        if (!Number.isInteger(amount) || amount <= 0) {
+            throw new Error('Le montant du budget doit être un nombre positif');
+        }
+    }
+
+    validateCurrency(currency) {
+        if (!RatchouUtils.currency.isSupported(currency)) {
+            throw new Error('Devise non supportée');
+        }
+    }
+
+    validateMonth(monthKey) {
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(monthKey)) {
+            throw new Error('Le mois de départ doit être au format AAAA-MM');
+        }
+    }
+
+    async create(data) {
+        try {
+            const existing = await this.getByCategory(data.category_id);
+            if (existing) {
+                return RatchouUtils.error.validation('Cette catégorie a déjà un budget');
+            }
+
+            return await super.create(data);
+        } catch (error) {
+            console.error('Error creating budget:', error);
+            return RatchouUtils.error.handleIndexedDBError(error, 'création');
+        }
+    }
+}
+
+// Export for use in other modules
+window.BudgetsModel = BudgetsModel;
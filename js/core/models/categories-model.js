@@ -182,8 +182,19 @@ class CategoriesModel extends BaseModel {
             const categories = await this.getAllSorted();
             const categoriesWithStats = [];
 
+            // Count movement lines per category: each split line counts for its own category
+            const lineCounts = new Map();
+            const movements = await this.db.getAllActive('MOUVEMENTS');
+            for (const movement of movements) {
+                for (const line of TransactionsModel.getLines(movement)) {
+                    if (line.category_id) {
+                        lineCounts.set(line.category_id, (lineCounts.get(line.category_id) || 0) + 1);
+                    }
+                }
+            }
+
             for (const category of categories) {
-                const transactionCount = await this.db.count('MOUVEMENTS', 'category_id', IDBKeyRange.only(category.id));
+                const transactionCount = lineCounts.get(category.id) || 0;
                 const recurringCount = await this.db.count('DEPENSES_FIXES', 'category_id', IDBKeyRange.only(category.id));
                 
                 categoriesWithStats.push({
@@ -217,9 +228,10 @@ class CategoriesModel extends BaseModel {
             // 2. Dissociate all transactions (set category_id to null)
             for (const transaction of transactions) {
                 console.log(`Dissociating transaction: ${transaction.id}`);
-                const updateResult = await ratchouApp.models.transactions.update(transaction.id, {
-                    category_id: null
-                });
+                const updateResult = await ratchouApp.models.transactions.update(
+                    transaction.id,
+                    TransactionsModel.dissociationData(transaction, 'category_id', categoryId)
+                );
                 if (!updateResult.success) {
                     console.error(`Failed to dissociate transaction ${transaction.id}:`, updateResult.message);
                     return RatchouUtils.error.validation(`Erreur lors de la dissociation de la transaction ${transaction.id}`);
@@ -247,7 +259,16 @@ class CategoriesModel extends BaseModel {
                 console.warn('Could not check recurring expenses (possibly no getByCategory method):', recurringError);
             }
             
-            // 4. Now safely soft delete the category
+            // 4. Remove the category budget (a budget without category is meaningless)
+            if (ratchouApp.models.budgets) {
+                const budget = await ratchouApp.models.budgets.getByCategory(categoryId);
+                if (budget) {
+                    console.log(`Deleting budget: ${budget.id}`);
+                    await ratchouApp.models.budgets.delete(budget.id);
+                }
+            }
+
+            // 5. Now safely soft delete the category
             console.log('Proceeding with category soft delete');
             const deleteResult = await super.delete(categoryId);
             
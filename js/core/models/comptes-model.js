@@ -189,12 +189,38 @@ class AccountsModel extends BaseModel {
     }
 
     /**
-     * Calculate total balance across all accounts
+     * Calculate total balance across all accounts, in the reference currency
      */
     async getTotalBalance() {
+        const consolidated = await this.getConsolidatedBalance();
+        return consolidated.total;
+    }
+
+    /**
+     * Calculate the balance of all accounts converted into one currency
+     * Accounts without an exchange rate to that currency are left out of the total
+     * @param {string} currency - Target currency (reference currency by default)
+     * @returns {Promise<{total: number, currency: string, missing: Array}>} total in storage unit
+     */
+    async getConsolidatedBalance(currency = ExchangeRatesModel.getReferenceCurrency()) {
         try {
-            const accounts = await this.getAll();
-            return accounts.reduce((total, account) => total + account.balance, 0);
+            const [accounts, converter] = await Promise.all([
+                this.getAll(),
+                new ExchangeRatesModel(this.db).createConverter()
+            ]);
+
+            let total = 0;
+            const missing = [];
+            for (const account of accounts) {
+                const converted = converter.convert(account.balance, account.currency || 'EUR', currency);
+                if (converted === null) {
+                    missing.push(account);
+                } else {
+                    total += converted;
+                }
+            }
+
+            return { total, currency, missing };
         } catch (error) {
             console.error('Error calculating total balance:', error);
             throw error;
@@ -231,8 +257,8 @@ class AccountsModel extends BaseModel {
         }
         // Validate currency
         if (data.currency === undefined) data.currency = 'EUR';
-        if (!['EUR', 'USD', 'BTC'].includes(data.currency)) {
-            throw new Error('Devise invalide. Valeurs autorisées : EUR, USD, BTC');
+        if (!RatchouUtils.currency.isSupported(data.currency)) {
+            throw new Error('Devise non supportée');
         }
         // Validate encrypted remark (optional)
         if (data.remarque_encrypted === undefined) data.remarque_encrypted = null;
@@ -263,8 +289,8 @@ class AccountsModel extends BaseModel {
             data.auto_copy_to_principal = data.auto_copy_to_principal ? 1 : 0;
         }
         // Validate currency if provided
-        if (data.currency !== undefined && !['EUR', 'USD', 'BTC'].includes(data.currency)) {
-            throw new Error('Devise invalide. Valeurs autorisées : EUR, USD, BTC');
+        if (data.currency !== undefined && !RatchouUtils.currency.isSupported(data.currency)) {
+            throw new Error('Devise non supportée');
         }
         // Validate encrypted remark if provided
         if (data.remarque_encrypted !== undefined && data.remarque_encrypted !== null && typeof data.remarque_encrypted !== 'string') {
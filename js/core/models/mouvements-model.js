@@ -13,9 +13,7 @@ class TransactionsModel extends BaseModel {
      */
     async getByAccount(accountId) {
         try {
-            // Get all active transactions and filter by account
-            const allTransactions = await this.getAll();
-            return allTransactions.filter(t => t.account_id === accountId && !t.is_deleted);
+            return await this.getAll('account_id', accountId);
         } catch (error) {
             console.error('Error getting transactions by account:', error);
             throw error;
@@ -24,21 +22,16 @@ class TransactionsModel extends BaseModel {
 
     /**
      * Get recent transactions for an account
+     * Reads only the last entries of the reconcile_key index [account_id, date_mouvement, amount]
      */
     async getRecentByAccount(accountId, limit = 20) {
         try {
-            // Get all active transactions for this account
-            const allTransactions = await this.getAll();
-            
-            // Filter by account and exclude deleted records
-            const accountTransactions = allTransactions.filter(t => 
-                t.account_id === accountId && !t.is_deleted
-            );
-            
-            // Sort by date descending (most recent first)
-            accountTransactions.sort((a, b) => new Date(b.date_mouvement) - new Date(a.date_mouvement));
-            
-            return accountTransactions.slice(0, limit);
+            const page = await this.db.getPage(this.storeName, 'reconcile_key', {
+                range: IDBKeyRange.bound([accountId, ''], [accountId, '\uffff']),
+                limit,
+                filter: transaction => !transaction.is_deleted
+            });
+            return page.items;
         } catch (error) {
             console.error('Error getting recent transactions:', error);
             throw error;
@@ -67,14 +60,58 @@ class TransactionsModel extends BaseModel {
         }
     }
 
+    /**
+     * Find transactions that may correspond to a bank statement line
+     * Uses the reconcile_key index [account_id, date_mouvement, amount] over a date window
+     * @param {string} accountId - Account ID
+     * @param {string} date - Statement date (YYYY-MM-DD)
+     * @param {number} amount - Amount in storage units
+     * @param {number} toleranceDays - Accepted gap between entry date and bank date
+     * @returns {Promise<Array>} Candidates sorted by closest date
+     */
+    async findReconcileCandidates(accountId, date, amount, toleranceDays = 3) {
+        try {
+            const day = new Date(`${date}T00:00:00.000Z`);
+            const from = new Date(day.getTime() - toleranceDays * 86400000).toISOString();
+            const to = new Date(day.getTime() + (toleranceDays + 1) * 86400000).toISOString();
+
+            // Compound keys sort by account, then date: amount is filtered afterwards
+            const range = IDBKeyRange.bound([accountId, from], [accountId, to, []]);
+            const candidates = await this.getAll('reconcile_key', range);
+
+            return candidates
+                .filter(t => t.amount === amount)
+                .sort((a, b) => Math.abs(new Date(a.date_mouvement) - day) - Math.abs(new Date(b.date_mouvement) - day));
+        } catch (error) {
+            console.error('Error finding reconcile candidates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the bank references already imported for an account
+     * @returns {Promise<Set<string>>} Set of import_ref values
+     */
+    async getImportRefs(accountId) {
+        try {
+            const transactions = await this.getAll('account_id', IDBKeyRange.only(accountId));
+            return new Set(transactions.filter(t => t.import_ref).map(t => t.import_ref));
+        } catch (error) {
+            console.error('Error getting import references:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get transactions by category (only active ones)
      */
     async getByCategory(categoryId) {
         try {
-            // Get all active transactions and filter by category
+            // Get all active transactions and filter by category (split lines included)
             const allTransactions = await this.getAll();
-            return allTransactions.filter(t => t.category_id === categoryId && !t.is_deleted);
+            return allTransactions.filter(t =>
+                !t.is_deleted && TransactionsModel.getLines(t).some(line => line.category_id === categoryId)
+            );
         } catch (error) {
             console.error('Error getting transactions by category:', error);
             throw error;
@@ -86,9 +123,11 @@ class TransactionsModel extends BaseModel {
      */
     async getByPayee(payeeId) {
         try {
-            // Get all active transactions and filter by payee
+            // Get all active transactions and filter by payee (split lines included)
             const allTransactions = await this.getAll();
-            return allTransactions.filter(t => t.payee_id === payeeId && !t.is_deleted);
+            return allTransactions.filter(t =>
+                !t.is_deleted && TransactionsModel.getLines(t).some(line => line.payee_id === payeeId)
+            );
         } catch (error) {
             console.error('Error getting transactions by payee:', error);
             throw error;
@@ -127,13 +166,33 @@ class TransactionsModel extends BaseModel {
                 const payee = transaction.payee_id ? await this.db.get('BENEFICIAIRES', transaction.payee_id) : null;
                 const expenseType = transaction.expense_type_id ? await this.db.get('TYPE_DEPENSES', transaction.expense_type_id) : null;
 
-                enrichedTransactions.push({
+                const enriched = {
                     ...transaction,
                     account_name: account?.nom_compte || 'Compte supprimé',
                     category_name: category?.libelle || 'Sans catégorie',
                     payee_name: payee?.libelle || 'Sans bénéficiaire',
                     expense_type_name: expenseType?.libelle || 'Sans type'
-                });
+                };
+
+                if (transaction.transfer_account_id) {
+                    const transferAccount = await this.db.get('COMPTES', transaction.transfer_account_id);
+                    enriched.transfer_account_name = transferAccount?.nom_compte || 'Compte supprimé';
+                }
+
+                if (Array.isArray(transaction.splits) && transaction.splits.length > 0) {
+                    enriched.splits = [];
+                    for (const line of transaction.splits) {
+                        const lineCategory = line.category_id ? await this.db.get('CATEGORIES', line.category_id) : null;
+                        const linePayee = line.payee_id ? await this.db.get('BENEFICIAIRES', line.payee_id) : null;
+                        enriched.splits.push({
+                            ...line,
+                            category_name: lineCategory?.libelle || 'Sans catégorie',
+                            payee_name: linePayee?.libelle || 'Sans bénéficiaire'
+                        });
+                    }
+                }
+
+                enrichedTransactions.push(enriched);
             }
 
             return enrichedTransactions;
@@ -174,27 +233,36 @@ class TransactionsModel extends BaseModel {
                 total_income: 0,
                 total_expenses: 0,
                 net_amount: 0,
+                total_transfers: 0,
                 by_category: {}
             };
 
             for (const transaction of transactions) {
+                stats.net_amount += transaction.amount;
+
+                // Transfers move money between accounts: neither income nor expense
+                if (TransactionsModel.isTransfer(transaction)) {
+                    stats.total_transfers += transaction.amount;
+                    continue;
+                }
+
                 if (transaction.amount > 0) {
                     stats.total_income += transaction.amount;
                 } else {
                     stats.total_expenses += Math.abs(transaction.amount);
                 }
-                stats.net_amount += transaction.amount;
 
-                // Group by category
-                if (transaction.category_id) {
-                    if (!stats.by_category[transaction.category_id]) {
-                        stats.by_category[transaction.category_id] = {
+                // Group by category (each split line counts on its own category)
+                for (const line of TransactionsModel.getLines(transaction)) {
+                    if (!line.category_id) continue;
+                    if (!stats.by_category[line.category_id]) {
+                        stats.by_category[line.category_id] = {
                             count: 0,
                             total: 0
                         };
                     }
-                    stats.by_category[transaction.category_id].count++;
-                    stats.by_category[transaction.category_id].total += transaction.amount;
+                    stats.by_category[line.category_id].count++;
+                    stats.by_category[line.category_id].total += line.amount;
                 }
             }
 
@@ -218,12 +286,19 @@ class TransactionsModel extends BaseModel {
                 // Update account balance
                 await this.updateAccountBalance(data.account_id, data.amount);
 
-                // Increment usage counters
-                if (data.category_id && window.ratchouApp && window.ratchouApp.models && window.ratchouApp.models.categories) {
-                    await window.ratchouApp.models.categories.incrementUsage(data.category_id);
+                // Increment usage counters (once per category/payee, split lines included)
+                const lines = TransactionsModel.getLines(result.data);
+                const categoryIds = new Set(lines.map(line => line.category_id).filter(Boolean));
+                const payeeIds = new Set(lines.map(line => line.payee_id).filter(Boolean));
+                if (window.ratchouApp && window.ratchouApp.models && window.ratchouApp.models.categories) {
+                    for (const categoryId of categoryIds) {
+                        await window.ratchouApp.models.categories.incrementUsage(categoryId);
+                    }
                 }
-                if (data.payee_id && window.ratchouApp && window.ratchouApp.models && window.ratchouApp.models.payees) {
-                    await window.ratchouApp.models.payees.incrementUsage(data.payee_id);
+                if (window.ratchouApp && window.ratchouApp.models && window.ratchouApp.models.payees) {
+                    for (const payeeId of payeeIds) {
+                        await window.ratchouApp.models.payees.incrementUsage(payeeId);
+                    }
                 }
             }
 
@@ -242,6 +317,23 @@ class TransactionsModel extends BaseModel {
                 throw new Error('Transaction not found');
             }
 
+            // Both movements of a transfer are edited together
+            if (originalTransaction.transfer_id) {
+                return await this.updateTransfer(originalTransaction, data);
+            }
+
+            if (this.changesLockedFields(originalTransaction, data)) {
+                return RatchouUtils.error.validation('Mouvement rapproché : le montant, la date et le compte ne peuvent plus être modifiés');
+            }
+
+            // Split lines must still match the total when either of them changes
+            if (data.splits !== undefined || (data.amount !== undefined && originalTransaction.splits)) {
+                if (data.splits === undefined) {
+                    data = { ...data, splits: originalTransaction.splits };
+                }
+                this.validateSplits(data, data.amount !== undefined ? data.amount : originalTransaction.amount);
+            }
+
             const result = await super.update(id, data);
             
             if (result.success) {
@@ -267,11 +359,21 @@ class TransactionsModel extends BaseModel {
                 throw new Error('Transaction not found');
             }
 
+            // Both movements of a transfer are deleted together
+            if (transaction.transfer_id) {
+                return await this.deleteTransfer(transaction.transfer_id);
+            }
+
+            if (this.isLocked(transaction)) {
+                return RatchouUtils.error.validation('Mouvement rapproché : déverrouillez-le avant de le supprimer');
+            }
+
             const result = await super.delete(id);
             
             if (result.success) {
                 // Reverse the transaction amount from account balance
                 await this.updateAccountBalance(transaction.account_id, -transaction.amount);
+                await new AttachmentsModel(this.db).deleteByMovement(id);
             }
 
             return result;
@@ -281,6 +383,398 @@ class TransactionsModel extends BaseModel {
         }
     }
 
+    // =================================================================
+    // Split transactions (ventilation sur plusieurs catégories)
+    // =================================================================
+
+    /**
+     * Lines of a movement: its split lines, or the movement itself as a single line.
+     * Statistics per category/payee must go through this helper.
+     */
+    static getLines(transaction) {
+        if (Array.isArray(transaction.splits) && transaction.splits.length > 0) {
+            return transaction.splits;
+        }
+        return [{
+            category_id: transaction.category_id || null,
+            payee_id: transaction.payee_id || null,
+            amount: transaction.amount,
+            description: transaction.description || null
+        }];
+    }
+
+    /**
+     * Validate and normalize split lines (mutates data)
+     * Lines are in storage units and must sum to the movement amount.
+     * The movement keeps the category and payee of its first line for display and indexes.
+     * @param {object} data - Movement data with `splits` (null or [] removes the split)
+     * @param {number} total - Movement amount in storage units
+     */
+    validateSplits(data, total) {
+        if (data.splits === undefined) return;
+
+        if (data.splits === null || (Array.isArray(data.splits) && data.splits.length === 0)) {
+            data.splits = null;
+            return;
+        }
+
+        if (!Array.isArray(data.splits) || data.splits.length < 2) {
+            throw new Error('Une ventilation doit comporter au moins deux lignes');
+        }
+
+        data.splits = data.splits.map(line => {
+            if (typeof line.amount !== 'number' || line.amount !== Math.floor(line.amount) || line.amount === 0) {
+                throw new Error('Montant de ligne de ventilation invalide');
+            }
+            if (line.category_id && !RatchouUtils.validate.uuid(line.category_id)) {
+                throw new Error('ID de catégorie invalide dans la ventilation');
+            }
+            if (line.payee_id && !RatchouUtils.validate.uuid(line.payee_id)) {
+                throw new Error('ID de bénéficiaire invalide dans la ventilation');
+            }
+            return {
+                category_id: line.category_id || null,
+                payee_id: line.payee_id || null,
+                amount: line.amount,
+                description: line.description || null
+            };
+        });
+
+        const sum = data.splits.reduce((acc, line) => acc + line.amount, 0);
+        if (sum !== total) {
+            throw new Error('La somme des lignes de ventilation ne correspond pas au montant du mouvement');
+        }
+
+        data.category_id = data.splits[0].category_id;
+        data.payee_id = data.splits[0].payee_id;
+    }
+
+    /**
+     * Build the update data removing a category or payee from a movement
+     * (used when the category/payee is deleted)
+     * @param {object} transaction - Movement
+     * @param {string} field - 'category_id' or 'payee_id'
+     * @param {string} refId - Deleted category/payee ID
+     */
+    static dissociationData(transaction, field, refId) {
+        if (Array.isArray(transaction.splits) && transaction.splits.length > 0) {
+            return {
+                splits: transaction.splits.map(line => line[field] === refId ? { ...line, [field]: null } : line)
+            };
+        }
+        return { [field]: null };
+    }
+
+    // =================================================================
+    // Transfers (virements entre comptes)
+    // =================================================================
+
+    /**
+     * A transfer movement is one leg of a transfer: it is neither an income nor an expense
+     */
+    static isTransfer(transaction) {
+        return !!transaction.transfer_id;
+    }
+
+    /**
+     * Get both movements of a transfer
+     * @param {string} transferId - Shared transfer ID
+     * @returns {Promise<Array>} [debit, credit]
+     */
+    async getTransferLegs(transferId) {
+        try {
+            const legs = await this.getAll('transfer_id', IDBKeyRange.only(transferId));
+            return legs.sort((a, b) => a.amount - b.amount);
+        } catch (error) {
+            console.error('Error getting transfer legs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a transfer: a debit on the source account and a credit on the destination
+     * account, linked by a shared transfer_id and written in a single IndexedDB transaction
+     * @param {object} data - Transfer data
+     * @param {string} data.from_account_id - Source account
+     * @param {string} data.to_account_id - Destination account
+     * @param {number} data.amount - Amount leaving the source account (positive, storage units)
+     * @param {number} data.to_amount - Amount received (destination storage units), required when currencies differ
+     * @param {string} data.date_mouvement - Date (defaults to now)
+     * @param {string} data.description - Optional remark
+     * @param {string} data.expense_type_id - Optional expense type
+     */
+    async createTransfer(data) {
+        try {
+            const fromAccount = await this.db.get('COMPTES', data.from_account_id);
+            const toAccount = await this.db.get('COMPTES', data.to_account_id);
+
+            if (!fromAccount || !toAccount || fromAccount.is_deleted || toAccount.is_deleted) {
+                return RatchouUtils.error.validation('Compte source ou destination introuvable');
+            }
+            if (fromAccount.id === toAccount.id) {
+                return RatchouUtils.error.validation('Les comptes source et destination doivent être différents');
+            }
+            if (typeof data.amount !== 'number' || !(data.amount > 0)) {
+                return RatchouUtils.error.validation('Le montant du virement doit être positif');
+            }
+
+            const sameCurrency = (fromAccount.currency || 'EUR') === (toAccount.currency || 'EUR');
+            const toAmount = sameCurrency ? data.amount : data.to_amount;
+            if (typeof toAmount !== 'number' || !(toAmount > 0)) {
+                return RatchouUtils.error.validation('Les deux comptes n\'ont pas la même devise : indiquez le montant reçu');
+            }
+
+            const transferId = RatchouUtils.generateUUID();
+            const common = {
+                transfer_id: transferId,
+                date_mouvement: data.date_mouvement ? RatchouUtils.date.toISO(data.date_mouvement) : RatchouUtils.date.now(),
+                description: data.description || null,
+                expense_type_id: data.expense_type_id || null,
+                category_id: null,
+                payee_id: null
+            };
+
+            const debit = {
+                ...common,
+                id: RatchouUtils.generateUUID(),
+                account_id: fromAccount.id,
+                transfer_account_id: toAccount.id,
+                amount: -data.amount
+            };
+            const credit = {
+                ...common,
+                id: RatchouUtils.generateUUID(),
+                account_id: toAccount.id,
+                transfer_account_id: fromAccount.id,
+                amount: toAmount
+            };
+
+            this.validateCreate(debit);
+            this.validateCreate(credit);
+
+            await this.commitTransfer([
+                { before: null, after: debit },
+                { before: null, after: credit }
+            ]);
+
+            return RatchouUtils.error.success('Virement créé avec succès', { transfer_id: transferId, debit, credit });
+        } catch (error) {
+            console.error('Error creating transfer:', error);
+            return RatchouUtils.error.handleIndexedDBError(error, 'création du virement');
+        }
+    }
+
+    /**
+     * Update one leg of a transfer and keep the other leg in line:
+     * the date is shared, and so is the amount when both accounts use the same currency.
+     * The direction of each leg (debit/credit) and its account cannot change.
+     */
+    async updateTransfer(leg, data) {
+        if (data.account_id !== undefined && data.account_id !== leg.account_id) {
+            return RatchouUtils.error.validation('Le compte d\'un virement ne peut pas être modifié');
+        }
+
+        const legs = await this.getTransferLegs(leg.transfer_id);
+        const counterpart = legs.find(t => t.id !== leg.id);
+
+        const legData = { ...data, splits: null };
+        this.validateUpdate(legData);
+        if (legData.amount !== undefined) {
+            legData.amount = leg.amount < 0 ? -Math.abs(legData.amount) : Math.abs(legData.amount);
+        }
+
+        const counterpartData = {};
+        if (legData.date_mouvement !== undefined) {
+            counterpartData.date_mouvement = legData.date_mouvement;
+        }
+        if (legData.amount !== undefined && counterpart) {
+            const legAccount = await this.db.get('COMPTES', leg.account_id);
+            const counterpartAccount = await this.db.get('COMPTES', counterpart.account_id);
+            if ((legAccount?.currency || 'EUR') === (counterpartAccount?.currency || 'EUR')) {
+                counterpartData.amount = -legData.amount;
+            }
+        }
+
+        if (this.changesLockedFields(leg, legData) || (counterpart && this.changesLockedFields(counterpart, counterpartData))) {
+            return RatchouUtils.error.validation('Virement rapproché : le montant et la date ne peuvent plus être modifiés');
+        }
+
+        const changes = [{ before: leg, after: { ...leg, ...legData } }];
+        if (counterpart) {
+            changes.push({ before: counterpart, after: { ...counterpart, ...counterpartData } });
+        }
+        await this.commitTransfer(changes);
+
+        return RatchouUtils.error.success('Virement mis à jour avec succès', await this.getById(leg.id));
+    }
+
+    /**
+     * Delete both legs of a transfer and restore both account balances
+     */
+    async deleteTransfer(transferId) {
+        const legs = await this.getTransferLegs(transferId);
+
+        if (legs.some(t => this.isLocked(t))) {
+            return RatchouUtils.error.validation('Virement rapproché : déverrouillez-le avant de le supprimer');
+        }
+
+        await this.commitTransfer(legs.map(t => ({ before: t, after: t })), true);
+
+        const attachments = new AttachmentsModel(this.db);
+        for (const leg of legs) {
+            await attachments.deleteByMovement(leg.id);
+        }
+        return RatchouUtils.error.success('Virement supprimé avec succès');
+    }
+
+    /**
+     * Write transfer legs and the resulting account balances in a single IndexedDB transaction,
+     * then queue the legs for synchronization
+     * @param {Array<{before: object|null, after: object}>} changes - Each leg before (null on creation) and after
+     * @param {boolean} deleted - Soft delete the legs
+     */
+    async commitTransfer(changes, deleted = false) {
+        const balanceDiffs = new Map();
+        for (const { before, after } of changes) {
+            const diff = (deleted ? 0 : after.amount) - (before ? before.amount : 0);
+            balanceDiffs.set(after.account_id, (balanceDiffs.get(after.account_id) || 0) + diff);
+        }
+
+        const records = changes.map(({ after }) => ({
+            storeName: 'MOUVEMENTS',
+            data: this.transformForStorage({ ...after }),
+            deleted
+        }));
+        for (const [accountId, diff] of balanceDiffs) {
+            if (diff === 0) continue;
+            const account = await this.db.get('COMPTES', accountId);
+            if (account) {
+                records.push({ storeName: 'COMPTES', data: { ...account, balance: account.balance + diff } });
+            }
+        }
+
+        await this.db.putManyWithMeta(records);
+
+        for (const { before, after } of changes) {
+            const operation = deleted ? 'DELETE' : (before ? 'UPDATE' : 'CREATE');
+            await this.queueSyncOperation(operation, after.id, await this.getById(after.id), before);
+        }
+    }
+
+    // =================================================================
+    // Reconciliation (pointage / rapprochement bancaire)
+    // =================================================================
+
+    /**
+     * A reconciled movement is locked: amount, date and account can no longer change
+     * (category, payee and remark stay editable)
+     */
+    isLocked(transaction) {
+        return !!(transaction && transaction.reconciled_at);
+    }
+
+    /**
+     * Locked fields stay locked whatever the update carries: unlocking goes through unlock()
+     */
+    changesLockedFields(original, data) {
+        if (!this.isLocked(original)) return false;
+
+        return (data.amount !== undefined && data.amount !== original.amount)
+            || (data.account_id !== undefined && data.account_id !== original.account_id)
+            || (data.date_mouvement !== undefined && RatchouUtils.date.toISO(data.date_mouvement) !== original.date_mouvement);
+    }
+
+    /**
+     * Tick / untick a movement during reconciliation
+     */
+    async setCleared(id, cleared) {
+        const transaction = await this.getById(id);
+        if (this.isLocked(transaction)) {
+            return RatchouUtils.error.validation('Mouvement déjà rapproché');
+        }
+        return await super.update(id, { is_cleared: cleared ? 1 : 0 });
+    }
+
+    /**
+     * Unlock a reconciled movement (it stays pointed)
+     */
+    async unlock(id) {
+        return await super.update(id, { reconciled_at: null });
+    }
+
+    /**
+     * Get the reconciliation state of an account
+     * Cleared balance = current balance minus movements not yet pointed
+     * @param {string} accountId - Account ID
+     * @param {string|null} statementDate - Statement date (YYYY-MM-DD), movements after it are not listed
+     * @returns {Promise<object>} { account, movements, clearedBalance }
+     */
+    async getReconciliationState(accountId, statementDate = null) {
+        try {
+            const account = await this.db.get('COMPTES', accountId);
+            if (!account) {
+                throw new Error('Compte introuvable');
+            }
+
+            const transactions = await this.getAll('account_id', IDBKeyRange.only(accountId));
+            const pending = transactions.filter(t => !this.isLocked(t));
+            const unclearedTotal = pending
+                .filter(t => !t.is_cleared)
+                .reduce((sum, t) => sum + t.amount, 0);
+
+            const limit = statementDate ? `${statementDate}T23:59:59.999Z` : null;
+            const movements = pending
+                .filter(t => !limit || t.date_mouvement <= limit || t.is_cleared)
+                .sort((a, b) => a.date_mouvement.localeCompare(b.date_mouvement));
+
+            return {
+                account,
+                movements,
+                clearedBalance: account.balance - unclearedTotal
+            };
+        } catch (error) {
+            console.error('Error getting reconciliation state:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Finalize a reconciliation: the pointed balance must match the statement balance.
+     * Pointed movements are then locked and the statement is remembered on the account.
+     * @param {string} accountId - Account ID
+     * @param {string} statementDate - Statement date (YYYY-MM-DD)
+     * @param {number} statementBalance - Statement balance in storage units
+     */
+    async reconcile(accountId, statementDate, statementBalance) {
+        try {
+            const state = await this.getReconciliationState(accountId);
+            const difference = statementBalance - state.clearedBalance;
+
+            if (difference !== 0) {
+                const currency = state.account.currency || 'EUR';
+                return RatchouUtils.error.validation(
+                    `Écart de ${RatchouUtils.currency.formatWithCurrency(difference, currency)} avec le relevé`
+                );
+            }
+
+            const reconciledAt = RatchouUtils.date.now();
+            const cleared = state.movements.filter(t => t.is_cleared);
+            for (const transaction of cleared) {
+                await super.update(transaction.id, { reconciled_at: reconciledAt });
+            }
+
+            await window.ratchouApp.models.accounts.update(accountId, {
+                reconciled_balance: statementBalance,
+                reconciled_date: statementDate
+            });
+
+            return RatchouUtils.error.success(`${cleared.length} mouvement(s) rapproché(s)`, { count: cleared.length });
+        } catch (error) {
+            console.error('Error reconciling account:', error);
+            return RatchouUtils.error.handleIndexedDBError(error, 'rapprochement');
+        }
+    }
+
     // =================================================================
     // Validation and transformation
     // =================================================================
@@ -321,6 +815,8 @@ class TransactionsModel extends BaseModel {
         if (data.expense_type_id && !RatchouUtils.validate.uuid(data.expense_type_id)) {
             throw new Error('ID de type de dépense invalide');
         }
+
+        this.validateSplits(data, data.amount);
     }
 
     validateUpdate(data) {
@@ -362,94 +858,204 @@ class TransactionsModel extends BaseModel {
 
 
     /**
-     * Search transactions with details (enriched data)
+     * Search one page of transactions with details, most recent first
+     * Walks the date index, or the reconcile_key index [account_id, date_mouvement, amount]
+     * when an account is selected, and only enriches the returned page.
+     * @param {object} filters - Search form values (see applyFilters)
+     * @param {object} options - { cursor: position returned by the previous page, limit }
+     * @returns {Promise<object>} { items, cursor } - cursor is null on the last page
      */
-    async searchWithDetails(filters = {}) {
+    async searchPage(filters = {}, { cursor = null, limit = 50 } = {}) {
         try {
-            let transactions = await this.getAll();
-            
-            // Apply filters
-            if (Object.keys(filters).length > 0) {
-                transactions = this.applyFilters(transactions, filters);
-            }
-            
-            // Sort by date descending (most recent first)
-            transactions.sort((a, b) => new Date(b.date_mouvement) - new Date(a.date_mouvement));
-            
-            // Enrich with related data
-            return await this.getEnriched(transactions);
-            
+            // Index bounds are widened by a day, applyFilters keeps the exact date semantics
+            const shiftDay = (date, days) => {
+                const shifted = new Date(date + 'T00:00:00Z');
+                shifted.setUTCDate(shifted.getUTCDate() + days);
+                return shifted.toISOString().split('T')[0];
+            };
+            const lower = filters.date_from ? shiftDay(filters.date_from, -1) : '';
+            const upper = filters.date_to ? shiftDay(filters.date_to, 2) : '\uffff';
+
+            const indexName = filters.compte ? 'reconcile_key' : 'date';
+            const range = filters.compte
+                ? IDBKeyRange.bound([filters.compte, lower], [filters.compte, upper])
+                : IDBKeyRange.bound(lower, upper);
+
+            const lookups = filters.search ? await this.getSearchLookups() : null;
+            const searchCriteria = filters.search ? TransactionsModel.parseSearch(filters.search) : null;
+
+            const page = await this.db.getPage(this.storeName, indexName, {
+                range,
+                after: cursor,
+                limit,
+                filter: transaction => !transaction.is_deleted
+                    && this.matchesFilters(transaction, filters, searchCriteria, lookups)
+            });
+
+            return {
+                items: await this.getEnriched(page.items),
+                cursor: page.next
+            };
         } catch (error) {
-            console.error('Error searching transactions with details:', error);
+            console.error('Error searching transactions page:', error);
             throw error;
         }
     }
 
     /**
      * Apply filters to transactions
+     * @param {Array} transactions - Transactions to filter
+     * @param {object} filters - Search form values
+     * @param {object} lookups - Names for the text search (see getSearchLookups)
      */
-    applyFilters(transactions, filters) {
-        return transactions.filter(transaction => {
-            // Date from filter
-            if (filters.date_from) {
-                const transactionDate = new Date(transaction.date_mouvement);
-                const fromDate = new Date(filters.date_from);
-                if (transactionDate < fromDate) return false;
-            }
-            
-            // Date to filter
-            if (filters.date_to) {
-                const transactionDate = new Date(transaction.date_mouvement);
-                const toDate = new Date(filters.date_to + 'T23:59:59'); // End of day
-                if (transactionDate > toDate) return false;
-            }
-            
-            // Account filter
-            if (filters.compte && transaction.account_id !== filters.compte) {
-                return false;
-            }
-            
-            // Category filter
-            if (filters.categorie && transaction.category_id !== filters.categorie) {
-                return false;
-            }
-            
-            // Payee filter
-            if (filters.beneficiaire && transaction.payee_id !== filters.beneficiaire) {
-                return false;
-            }
-            
-            // Expense type filter
-            if (filters.type_depense && transaction.expense_type_id !== filters.type_depense) {
-                return false;
-            }
-            
-            // Amount min filter (convert euros to cents for comparison)
-            if (filters.montant_min) {
-                const minAmountInCents = RatchouUtils.currency.toCents(parseFloat(filters.montant_min));
-                if (Math.abs(transaction.amount) < minAmountInCents) return false;
-            }
-            
-            // Amount max filter (convert euros to cents for comparison)
-            if (filters.montant_max) {
-                const maxAmountInCents = RatchouUtils.currency.toCents(parseFloat(filters.montant_max));
-                if (Math.abs(transaction.amount) > maxAmountInCents) return false;
-            }
-            
-            // Search in text fields
-            if (filters.search) {
-                const searchTerm = filters.search.toLowerCase();
-                const description = (transaction.description || '').toLowerCase();
-                
-                // For now, just search in description
-                // TODO: Search in enriched data (category name, payee name, etc.)
-                if (!description.includes(searchTerm)) {
-                    return false;
-                }
+    applyFilters(transactions, filters, lookups = null) {
+        const searchCriteria = filters.search ? TransactionsModel.parseSearch(filters.search) : null;
+        return transactions.filter(transaction => this.matchesFilters(transaction, filters, searchCriteria, lookups));
+    }
+
+    /**
+     * Check one transaction against the search form values
+     * @param {object} searchCriteria - Parsed free-text search (see parseSearch), or null
+     */
+    matchesFilters(transaction, filters, searchCriteria, lookups) {
+        // Date from filter
+        if (filters.date_from) {
+            const transactionDate = new Date(transaction.date_mouvement);
+            const fromDate = new Date(filters.date_from);
+            if (transactionDate < fromDate) return false;
+        }
+        
+        // Date to filter
+        if (filters.date_to) {
+            const transactionDate = new Date(transaction.date_mouvement);
+            const toDate = new Date(filters.date_to + 'T23:59:59'); // End of day
+            if (transactionDate > toDate) return false;
+        }
+        
+        // Account filter
+        if (filters.compte && transaction.account_id !== filters.compte) {
+            return false;
+        }
+        
+        // Category filter (any split line)
+        if (filters.categorie && !TransactionsModel.getLines(transaction).some(line => line.category_id === filters.categorie)) {
+            return false;
+        }
+        
+        // Payee filter (any split line)
+        if (filters.beneficiaire && !TransactionsModel.getLines(transaction).some(line => line.payee_id === filters.beneficiaire)) {
+            return false;
+        }
+        
+        // Expense type filter
+        if (filters.type_depense && transaction.expense_type_id !== filters.type_depense) {
+            return false;
+        }
+        
+        // Amount min filter (convert euros to cents for comparison)
+        if (filters.montant_min) {
+            const minAmountInCents = RatchouUtils.currency.toCents(parseFloat(filters.montant_min));
+            if (Math.abs(transaction.amount) < minAmountInCents) return false;
+        }
+        
+        // Amount max filter (convert euros to cents for comparison)
+        if (filters.montant_max) {
+            const maxAmountInCents = RatchouUtils.currency.toCents(parseFloat(filters.montant_max));
+            if (Math.abs(transaction.amount) > maxAmountInCents) return false;
+        }
+        
+        // Search in text fields and amount expressions
+        if (searchCriteria && !this.matchesSearch(transaction, searchCriteria, lookups)) {
+            return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Parse the free-text search into accent-insensitive words and amount
+     * expressions (">100", "<= 20", "=42,50"); every criterion must match
+     * @returns {object} { terms: string[], amounts: [{ operator, value }] }
+     */
+    static parseSearch(search) {
+        const criteria = { terms: [], amounts: [] };
+        const tokens = String(search)
+            .replace(/(>=|<=|>|<|=)\s+/g, '$1')
+            .split(/\s+/)
+            .filter(Boolean);
+
+        for (const token of tokens) {
+            const match = token.match(/^(>=|<=|>|<|=)(-?\d+(?:[.,]\d+)?)$/);
+            if (match) {
+                criteria.amounts.push({ operator: match[1], value: parseFloat(match[2].replace(',', '.')) });
+            } else {
+                const term = RatchouUtils.text.normalize(token);
+                if (term) criteria.terms.push(term);
             }
-            
-            return true;
-        });
+        }
+
+        return criteria;
+    }
+
+    /**
+     * Normalized names of accounts, categories, payees and expense types, keyed by ID
+     */
+    async getSearchLookups() {
+        const [accounts, categories, payees, expenseTypes] = await Promise.all([
+            this.db.getAll('COMPTES'),
+            this.db.getAll('CATEGORIES'),
+            this.db.getAll('BENEFICIAIRES'),
+            this.db.getAll('TYPE_DEPENSES')
+        ]);
+        const names = (items, field) => new Map(items.map(item => [item.id, RatchouUtils.text.normalize(item[field])]));
+
+        return {
+            accounts: names(accounts, 'nom_compte'),
+            accountCurrency: new Map(accounts.map(account => [account.id, account.currency || 'EUR'])),
+            categories: names(categories, 'libelle'),
+            payees: names(payees, 'libelle'),
+            expenseTypes: names(expenseTypes, 'libelle')
+        };
+    }
+
+    /**
+     * Check a transaction against parsed search criteria
+     * Amounts are compared in the account currency, as absolute values
+     * unless the expression is negative ("<-100")
+     */
+    matchesSearch(transaction, criteria, lookups) {
+        const currency = lookups?.accountCurrency.get(transaction.account_id) || 'EUR';
+
+        for (const { operator, value } of criteria.amounts) {
+            const amount = value < 0 ? transaction.amount : Math.abs(transaction.amount);
+            const target = RatchouUtils.currency.toStorageUnit(value, currency);
+            const matches = {
+                '>': amount > target,
+                '>=': amount >= target,
+                '<': amount < target,
+                '<=': amount <= target,
+                '=': amount === target
+            }[operator];
+            if (!matches) return false;
+        }
+
+        if (criteria.terms.length === 0) return true;
+
+        const lines = TransactionsModel.getLines(transaction);
+        const fields = [RatchouUtils.text.normalize(transaction.description)];
+        if (lookups) {
+            fields.push(
+                lookups.accounts.get(transaction.account_id),
+                lookups.accounts.get(transaction.transfer_account_id),
+                lookups.expenseTypes.get(transaction.expense_type_id),
+                ...lines.map(line => lookups.categories.get(line.category_id)),
+                ...lines.map(line => lookups.payees.get(line.payee_id))
+            );
+        }
+        fields.push(...lines.map(line => RatchouUtils.text.normalize(line.description)));
+
+        const haystack = fields.filter(Boolean).join(' | ');
+        return criteria.terms.every(term => haystack.includes(term));
     }
 
     /**
@@ -476,7 +1082,7 @@ class TransactionsModel extends BaseModel {
             const rows = enrichedTransactions.map(transaction => [
                 RatchouUtils.date.format(transaction.date_mouvement),
                 RatchouUtils.currency.format(transaction.amount),
-                transaction.category_name || '',
+                transaction.splits ? transaction.splits.map(line => line.category_name).join(' + ') : (transaction.category_name || ''),
                 transaction.payee_name || '',
                 transaction.expense_type_name || '',
                 transaction.description || '',
@@ -534,6 +1140,9 @@ class TransactionsModel extends BaseModel {
                 account_id: mainAccount.id,
                 date_mouvement: originalTransaction.date_mouvement // Keep the same date
             };
+            if (originalTransaction.splits) {
+                newTransactionData.splits = originalTransaction.splits;
+            }
 
             // 6. Create the new transaction (the create method handles ID, date, and balance update)
             const result = await this.create(newTransactionData);
@@ -0,0 +1,238 @@
+/**
+ * Attachments Model for Ratchou IndexedDB
+ * Receipts and invoices (images, PDF) attached to movements, stored as Blobs
+ * with a small JPEG thumbnail for images
+ */
+
+class AttachmentsModel extends BaseModel {
+    static MAX_FILE_SIZE = 10 * 1024 * 1024;    // Fichier refusé au-delà (octets)
+    static SYNC_MAX_SIZE = 1024 * 1024;         // Pièce jointe synchronisée jusqu'à cette taille (limite du relais)
+    static IMAGE_MAX_DIMENSION = 1600;          // Photos réduites à ce côté maximal (px)
+    static IMAGE_QUALITY = 0.8;
+    static THUMBNAIL_SIZE = 160;
+
+    constructor(db) {
+        super(db, 'PIECES_JOINTES');
+    }
+
+    /**
+     * Attachments are synchronized only when enabled on the device (off by default:
+     * photos are heavy for the relay)
+     */
+    static isSyncEnabled() {
+        return RatchouUtils.storage.get('sync_attachments', false) === true;
+    }
+
+    static setSyncEnabled(enabled) {
+        RatchouUtils.storage.set('sync_attachments', !!enabled);
+    }
+
+    static isAccepted(mimeType) {
+        return /^image\//.test(mimeType || '') || mimeType === 'application/pdf';
+    }
+
+    /**
+     * Get the attachments of a movement (oldest first)
+     */
+    async getByMovement(movementId) {
+        try {
+            const attachments = await this.getAll('movement_id', IDBKeyRange.only(movementId));
+            return attachments.sort((a, b) => (a.created_at || 0) - (b.created_at || 0));
+        } catch (error) {
+            console.error('Error getting attachments by movement:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * IDs of the movements having at least one attachment (list indicators)
+     */
+    async getMovementIds() {
+        const attachments = await this.getAll();
+        return new Set(attachments.map(a => a.movement_id));
+    }
+
+    /**
+     * Attach a file to a movement
+     * Photos are downscaled and re-encoded in JPEG; PDF files are kept as is.
+     * @param {string} movementId - Movement ID
+     * @param {File} file - Picked or captured file
+     */
+    async addFile(movementId, file) {
+        try {
+            if (!AttachmentsModel.isAccepted(file.type)) {
+                return RatchouUtils.error.validation('Seules les images et les PDF sont acceptés');
+            }
+
+            let blob = file;
+            let thumbnail = null;
+            if (file.type.startsWith('image/')) {
+                try {
+                    const bitmap = await createImageBitmap(file);
+                    if (file.type !== 'image/gif') {
+                        const resized = await AttachmentsModel.renderImage(bitmap, AttachmentsModel.IMAGE_MAX_DIMENSION, 'blob');
+                        if (resized.size < file.size) blob = resized;
+                    }
+                    thumbnail = await AttachmentsModel.renderImage(bitmap, AttachmentsModel.THUMBNAIL_SIZE, 'dataURL');
+                    bitmap.close();
+                } catch (error) {
+                    // Format non décodable par le navigateur (HEIC...) : fichier conservé tel quel
+                    console.warn('Image non décodable, pas de miniature:', error);
+                }
+            }
+
+            if (blob.size > AttachmentsModel.MAX_FILE_SIZE) {
+                return RatchouUtils.error.validation(`Fichier trop volumineux (${RatchouUtils.file.formatSize(AttachmentsModel.MAX_FILE_SIZE)} maximum)`);
+            }
+
+            return await this.create({
+                movement_id: movementId,
+                file_name: blob === file ? file.name : file.name.replace(/\.[^.]+$/, '') + '.jpg',
+                mime_type: blob.type || file.type,
+                size: blob.size,
+                blob,
+                thumbnail
+            });
+        } catch (error) {
+            console.error('Error adding attachment:', error);
+            return RatchouUtils.error.handleIndexedDBError(error, 'ajout de la pièce jointe');
+        }
+    }
+
+    /**
+     * Draw an image reduced to maxSize (longest side) and encode it in JPEG
+     * @param {ImageBitmap} bitmap - Decoded image
+     * @param {number} maxSize - Longest side in pixels
+     * @param {string} output - 'blob' or 'dataURL'
+     */
+    static async renderImage(bitmap, maxSize, output) {
+        const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+
+        const context = canvas.getContext('2d');
+        // Fond blanc : les PNG transparents ne deviennent pas noirs en JPEG
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+        if (output === 'dataURL') {
+            return canvas.toDataURL('image/jpeg', 0.7);
+        }
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Encodage JPEG impossible')),
+                'image/jpeg', AttachmentsModel.IMAGE_QUALITY);
+        });
+    }
+
+    /**
+     * Content of an attachment as a Blob
+     * Records received through sync carry a data URL: it is converted once and stored back as a Blob.
+     */
+    async getBlob(attachment) {
+        if (attachment.blob instanceof Blob) {
+            return attachment.blob;
+        }
+        if (!attachment.data_url) {
+            return null;
+        }
+
+        const blob = await (await fetch(attachment.data_url)).blob();
+        const { data_url, ...rest } = attachment;
+        await this.db.put(this.storeName, { ...rest, blob });
+        return blob;
+    }
+
+    /**
+     * Delete every attachment of a movement (movement deleted)
+     */
+    async deleteByMovement(movementId) {
+        const attachments = await this.getByMovement(movementId);
+        for (const attachment of attachments) {
+            await this.delete(attachment.id);
+        }
+        return attachments.length;
+    }
+
+    /**
+     * Soft delete keeps only the metadata: the file itself is freed immediately
+     */
+    async delete(id) {
+        const result = await super.delete(id);
+        if (result.success) {
+            const tombstone = await this.getById(id);
+            if (tombstone) {
+                await this.db.put(this.storeName, AttachmentsModel.withoutContent(tombstone));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Metadata only (export JSON, tombstones)
+     */
+    static withoutContent(attachment) {
+        const { blob, data_url, thumbnail, ...rest } = attachment;
+        return rest;
+    }
+
+    /**
+     * Path of the file in a ZIP backup
+     */
+    static archivePath(attachment) {
+        const extension = (attachment.file_name.match(/\.[a-z0-9]+$/i) || [''])[0];
+        return `pieces_jointes/${attachment.id}${extension}`;
+    }
+
+    /**
+     * Queue for sync only when enabled and small enough for the relay;
+     * the Blob is sent as a data URL (messages are JSON)
+     */
+    async queueSyncOperation(operation, recordId, data, base = null) {
+        if (!AttachmentsModel.isSyncEnabled() || !data || data.size > AttachmentsModel.SYNC_MAX_SIZE) {
+            return;
+        }
+
+        let record = AttachmentsModel.withoutContent(data);
+        if (operation !== 'DELETE') {
+            const blob = await this.getBlob(data);
+            record = {
+                ...record,
+                thumbnail: data.thumbnail || null,
+                data_url: blob ? await RatchouUtils.file.toDataURL(blob) : null
+            };
+        }
+
+        return super.queueSyncOperation(operation, recordId, record, base ? AttachmentsModel.withoutContent(base) : null);
+    }
+
+    // =================================================================
+    // Validation
+    // =================================================================
+
+    validateCreate(data) {
+        super.validateCreate(data);
+
+        RatchouUtils.validate.required(data.movement_id, 'movement_id');
+        RatchouUtils.validate.required(data.file_name, 'file_name');
+        if (!(data.blob instanceof Blob)) {
+            throw new Error('Contenu du fichier manquant');
+        }
+        if (!data.created_at) {
+            data.created_at = Date.now();
+        }
+    }
+
+    validateUpdate(data) {
+        super.validateUpdate(data);
+
+        // Seul le nom est modifiable : le contenu ne change pas
+        if (data.file_name !== undefined && String(data.file_name).trim() === '') {
+            throw new Error('Le nom du fichier est requis');
+        }
+    }
+}
+
+// Export for use in other modules
+window.AttachmentsModel = AttachmentsModel;
@@ -4,10 +4,220 @@
  */
 
 class RecurringExpensesModel extends BaseModel {
+    /**
+     * Types de récurrence (champ `recurrence.type`, intervalle dans `recurrence.interval`)
+     * Sans champ `recurrence`, la dépense est mensuelle tous les `frequency` mois (format d'origine).
+     */
+    static RECURRENCE_TYPES = {
+        monthly: { label: 'Mensuel', unit: 'mois' },
+        weekly: { label: 'Hebdomadaire', unit: 'semaine(s)' },
+        daily: { label: 'Tous les N jours', unit: 'jour(s)' },
+        yearly: { label: 'Annuel', unit: 'an(s)' },
+        last_business_day: { label: 'Dernier jour ouvré du mois', unit: 'mois' }
+    };
+
+    // Échéance tombant un week-end ou un jour férié : inchangée, jour ouvré précédent ou suivant
+    static SHIFT_RULES = ['none', 'before', 'after'];
+
+    static MAX_SCANNED_OCCURRENCES = 20000;
+
+    // Montant variable : moyenne des N derniers mouvements enregistrés
+    static DEFAULT_ESTIMATE_WINDOW = 3;
+    static MAX_ESTIMATE_WINDOW = 24;
+
+    static holidaysCache = new Map();
+
     constructor(db) {
         super(db, 'DEPENSES_FIXES');
     }
 
+    // =================================================================
+    // Règles de récurrence
+    // =================================================================
+
+    /**
+     * Règle de récurrence complète d'une dépense (format d'origine compris)
+     * @returns {{type: string, interval: number, shift: string, end_date: ?string, max_occurrences: ?number}}
+     */
+    static getRule(expense) {
+        const recurrence = expense.recurrence || {};
+        return {
+            type: recurrence.type || 'monthly',
+            interval: recurrence.interval || (recurrence.type ? 1 : expense.frequency || 1),
+            shift: recurrence.shift || 'none',
+            end_date: recurrence.end_date || null,
+            max_occurrences: recurrence.max_occurrences || null
+        };
+    }
+
+    /**
+     * Libellé lisible de la règle ("Tous les 3 mois", "Toutes les 2 semaines"...)
+     */
+    static describeRule(expense) {
+        const rule = RecurringExpensesModel.getRule(expense);
+        const n = rule.interval;
+        let label;
+
+        switch (rule.type) {
+            case 'weekly':
+                label = n === 1 ? 'Hebdomadaire' : n === 2 ? 'Toutes les 2 semaines' : `Toutes les ${n} semaines`;
+                break;
+            case 'daily':
+                label = n === 1 ? 'Quotidien' : `Tous les ${n} jours`;
+                break;
+            case 'yearly':
+                label = n === 1 ? 'Annuel' : `Tous les ${n} ans`;
+                break;
+            case 'last_business_day':
+                label = n === 1 ? 'Dernier jour ouvré du mois' : `Dernier jour ouvré, tous les ${n} mois`;
+                break;
+            default: {
+                const monthly = { 1: 'Mensuel', 2: 'Bimestriel', 3: 'Trimestriel', 6: 'Semestriel', 12: 'Annuel' };
+                label = monthly[n] || `Tous les ${n} mois`;
+            }
+        }
+
+        if (rule.shift === 'before') label += ' • jour ouvré précédent';
+        if (rule.shift === 'after') label += ' • jour ouvré suivant';
+        if (rule.end_date) label += ` • jusqu'au ${RecurringExpensesModel.parseDate(rule.end_date).toLocaleDateString('fr-FR')}`;
+        if (rule.max_occurrences) label += ` • ${rule.max_occurrences} fois`;
+        return label;
+    }
+
+    /**
+     * Montant ramené au mois (totaux mensuels)
+     */
+    static getMonthlyAmount(expense) {
+        const rule = RecurringExpensesModel.getRule(expense);
+        const perMonth = {
+            weekly: 52 / 12 / rule.interval,
+            daily: 365.25 / 12 / rule.interval,
+            yearly: 1 / (12 * rule.interval)
+        };
+        return expense.amount * (perMonth[rule.type] || 1 / rule.interval);
+    }
+
+    /**
+     * Équivalent en mois pour le champ `frequency` (appareils sur une ancienne version)
+     */
+    static legacyFrequency(rule) {
+        if (rule.type === 'monthly' || rule.type === 'last_business_day') return rule.interval;
+        if (rule.type === 'yearly') return 12 * rule.interval;
+        return 1;
+    }
+
+    /**
+     * Date nominale (avant décalage) de l'occurrence de rang `index`
+     */
+    static nominalDate(rule, startDate, index) {
+        const year = startDate.getFullYear();
+        const month = startDate.getMonth();
+        const day = startDate.getDate();
+        const step = index * rule.interval;
+
+        switch (rule.type) {
+            case 'daily':
+                return new Date(year, month, day + step);
+            case 'weekly':
+                return new Date(year, month, day + 7 * step);
+            case 'yearly': {
+                // Construction défensive : 29 février → 28 février les autres années
+                const lastDay = new Date(year + step, month + 1, 0).getDate();
+                return new Date(year + step, month, Math.min(day, lastDay));
+            }
+            case 'last_business_day':
+                return new Date(year, month + step + 1, 0);
+            default: {
+                const lastDay = new Date(year, month + step + 1, 0).getDate();
+                return new Date(year, month + step, Math.min(day, lastDay));
+            }
+        }
+    }
+
+    /**
+     * Décale une date tombant un week-end ou un jour férié
+     * @param {Date} date - Date locale
+     * @param {string} shift - 'none', 'before' ou 'after'
+     */
+    static shiftDate(date, shift) {
+        if (shift !== 'before' && shift !== 'after') return date;
+
+        const shifted = new Date(date);
+        while (!RecurringExpensesModel.isBusinessDay(shifted)) {
+            shifted.setDate(shifted.getDate() + (shift === 'before' ? -1 : 1));
+        }
+        return shifted;
+    }
+
+    static isBusinessDay(date) {
+        const weekDay = date.getDay();
+        if (weekDay === 0 || weekDay === 6) return false;
+        return !RecurringExpensesModel.getHolidays(date.getFullYear()).has(RecurringExpensesModel.toDateString(date));
+    }
+
+    /**
+     * Jours fériés français d'une année (YYYY-MM-DD)
+     */
+    static getHolidays(year) {
+        if (RecurringExpensesModel.holidaysCache.has(year)) {
+            return RecurringExpensesModel.holidaysCache.get(year);
+        }
+
+        // Dimanche de Pâques (algorithme de Meeus/Jones/Butcher)
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const easterMonth = Math.floor((h + l - 7 * m + 114) / 31) - 1;
+        const easterDay = ((h + l - 7 * m + 114) % 31) + 1;
+        const easter = (offset) => RecurringExpensesModel.toDateString(new Date(year, easterMonth, easterDay + offset));
+
+        const holidays = new Set([
+            `${year}-01-01`,    // Jour de l'an
+            easter(1),          // Lundi de Pâques
+            `${year}-05-01`,    // Fête du travail
+            `${year}-05-08`,    // Victoire 1945
+            easter(39),         // Ascension
+            easter(50),         // Lundi de Pentecôte
+            `${year}-07-14`,    // Fête nationale
+            `${year}-08-15`,    // Assomption
+            `${year}-11-01`,    // Toussaint
+            `${year}-11-11`,    // Armistice
+            `${year}-12-25`     // Noël
+        ]);
+        RecurringExpensesModel.holidaysCache.set(year, holidays);
+        return holidays;
+    }
+
+    /**
+     * YYYY-MM-DD → Date locale à minuit (new Date('YYYY-MM-DD') serait minuit UTC)
+     */
+    static parseDate(dateString) {
+        const [year, month, day] = dateString.split('T')[0].split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Date locale → YYYY-MM-DD (sans passer par toISOString, décalé en UTC)
+     */
+    static toDateString(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    static addDays(dateString, days) {
+        const date = RecurringExpensesModel.parseDate(dateString);
+        date.setDate(date.getDate() + days);
+        return RecurringExpensesModel.toDateString(date);
+    }
+
     async getActive() {
         const allExpenses = await this.getAll();
         return allExpenses.filter(expense => expense.is_active);
@@ -83,7 +293,7 @@ class RecurringExpensesModel extends BaseModel {
                     const daysUntil = Math.ceil((nextDate - today) / (1000 * 60 * 60 * 24));
                     upcoming.push({
                         ...expense,
-                        next_date: nextDate.toISOString().split('T')[0],
+                        next_date: RecurringExpensesModel.toDateString(nextDate),
                         days_until: daysUntil,
                         formatted_date: RatchouUtils.date.format(nextDate.toISOString())
                     });
@@ -100,92 +310,99 @@ class RecurringExpensesModel extends BaseModel {
 
     /**
      * Calcule les occurrences dues pour une dépense récurrente
-     * Algorithme défensif pour éviter les dérives de date JavaScript
-     * Fréquence en MOIS : 1=mensuel, 3=trimestriel, 12=annuel
+     * Occurrences postérieures à last_execution et jusqu'à aujourd'hui (5 ans max en arrière)
      * @param {Object} expense - Dépense récurrente
+     * @param {string} until - Dernière date incluse (YYYY-MM-DD), aujourd'hui par défaut (projections : date future)
+     * @param {number} amount - Montant de chaque occurrence (estimation d'un montant variable)
      * @returns {Array<Object>} Liste des occurrences { date, amount }
      */
-    calculateDueOccurrences(expense) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        const frequency = expense.frequency || 1;
-        const occurrences = [];
+    calculateDueOccurrences(expense, until = null, amount = expense.amount) {
+        const today = RecurringExpensesModel.toDateString(new Date());
+        const skipped = new Set(expense.skipped_dates || []);
 
-        // Point de départ intelligent
-        let startYear, startMonth, startDay;
-        if (expense.last_execution) {
-            const lastDate = new Date(expense.last_execution);
-            startYear = lastDate.getFullYear();
-            startMonth = lastDate.getMonth() + frequency; // Prochaine occurrence
-            startDay = expense.day_of_month;
-        } else {
-            const startDate = new Date(expense.start_date);
-            startYear = startDate.getFullYear();
-            startMonth = startDate.getMonth();
-            startDay = expense.day_of_month;
-        }
+        return this.getOccurrenceDates(expense, { from: this.getFirstDueDate(expense), to: until || today })
+            .filter(date => !skipped.has(date))
+            .map(date => ({ date, amount }));
+    }
 
+    /**
+     * Première date pouvant porter une occurrence non traitée
+     * (lendemain de last_execution, 5 ans en arrière au plus)
+     * @returns {string} Date YYYY-MM-DD
+     */
+    getFirstDueDate(expense) {
         // Limite de sécurité : 5 ans max
-        const maxPastDate = new Date(today);
+        const maxPastDate = new Date();
         maxPastDate.setFullYear(maxPastDate.getFullYear() - 5);
+        let from = RecurringExpensesModel.toDateString(maxPastDate);
 
-        // Générer occurrences
-        let currentYear = startYear;
-        let currentMonth = startMonth;
-
-        while (true) {
-            // Construction défensive de la date (évite dérive setDate)
-            const lastDayOfMonth = new Date(currentYear, currentMonth + 1, 0).getDate();
-            const adjustedDay = Math.min(startDay, lastDayOfMonth);
-            const currentDate = new Date(currentYear, currentMonth, adjustedDay);
-
-            // Vérifications limites
-            if (currentDate > today) break;
-            if (currentDate < maxPastDate) {
-                console.warn(`⚠️ Occurrence trop ancienne pour ${expense.libelle}, limitation à 5 ans`);
-                currentMonth += frequency;
-                if (currentMonth >= 12) {
-                    currentYear += Math.floor(currentMonth / 12);
-                    currentMonth = currentMonth % 12;
-                }
-                continue;
-            }
-
-            // Ajouter occurrence
-            occurrences.push({
-                date: currentDate.toISOString().split('T')[0], // YYYY-MM-DD
-                amount: expense.amount
-            });
-
-            // Avancer à la prochaine période
-            currentMonth += frequency;
-            if (currentMonth >= 12) {
-                currentYear += Math.floor(currentMonth / 12);
-                currentMonth = currentMonth % 12;
-            }
+        if (expense.last_execution) {
+            // Les anciennes versions enregistraient la veille de l'échéance (toISOString en heure
+            // locale) : pour un rythme mensuel ou plus long, le lendemain est la même occurrence
+            const rule = RecurringExpensesModel.getRule(expense);
+            const margin = ['daily', 'weekly'].includes(rule.type) ? 1 : 2;
+            const next = RecurringExpensesModel.addDays(expense.last_execution.split('T')[0], margin);
+            if (next > from) from = next;
         }
 
-        return occurrences;
+        return from;
     }
 
     /**
-     * Calcule la prochaine date d'exécution (legacy - conservé pour compatibilité)
+     * Calcule la prochaine date d'exécution (après aujourd'hui)
+     * @returns {Date|null} Date locale, ou null si la récurrence est terminée
      */
     calculateNextDate(expense) {
-        const today = new Date();
-        const targetDay = expense.day_of_month;
-        const frequency = expense.frequency || 1;
-        const nextDate = new Date();
-        nextDate.setDate(targetDay);
-        nextDate.setHours(0, 0, 0, 0);
-        if (nextDate <= today) {
-            nextDate.setMonth(nextDate.getMonth() + frequency);
-        }
-        if (nextDate.getDate() !== targetDay) {
-            nextDate.setDate(0);
+        const today = RecurringExpensesModel.toDateString(new Date());
+        const [next] = this.getOccurrenceDates(expense, {
+            from: RecurringExpensesModel.addDays(today, 1),
+            to: RecurringExpensesModel.addDays(today, 3660),   // 10 ans (règle "tous les N ans")
+            limit: 1
+        });
+        return next ? RecurringExpensesModel.parseDate(next) : null;
+    }
+
+    /**
+     * Dates des occurrences d'une dépense récurrente comprises entre deux dates
+     * Parcourt la règle depuis start_date (rang utile pour max_occurrences), puis applique
+     * le décalage week-end / jour férié. Une seule occurrence par jour.
+     * @param {Object} expense - Dépense récurrente
+     * @param {Object} options - { from, to } (YYYY-MM-DD, inclus), limit (nombre max de dates)
+     * @returns {Array<string>} Dates YYYY-MM-DD triées
+     */
+    getOccurrenceDates(expense, { from = null, to, limit = Infinity } = {}) {
+        const rule = RecurringExpensesModel.getRule(expense);
+        const start = (expense.start_date || RecurringExpensesModel.toDateString(new Date())).split('T')[0];
+        const startDate = RecurringExpensesModel.parseDate(start);
+        const dates = [];
+
+        // Marge : une échéance juste après `to` peut être avancée avant
+        const scanUntil = RecurringExpensesModel.addDays(to, 7);
+
+        for (let index = 0; index < RecurringExpensesModel.MAX_SCANNED_OCCURRENCES; index++) {
+            if (rule.max_occurrences && index >= rule.max_occurrences) break;
+
+            const nominal = RecurringExpensesModel.nominalDate(rule, startDate, index);
+            const nominalString = RecurringExpensesModel.toDateString(nominal);
+            if (nominalString > scanUntil) break;
+            if (rule.end_date && nominalString > rule.end_date) break;
+
+            let date;
+            if (rule.type === 'last_business_day') {
+                date = RecurringExpensesModel.toDateString(RecurringExpensesModel.shiftDate(nominal, 'before'));
+                if (date < start) continue;
+            } else {
+                date = RecurringExpensesModel.toDateString(RecurringExpensesModel.shiftDate(nominal, rule.shift));
+            }
+
+            if ((from && date < from) || date > to) continue;
+            if (dates[dates.length - 1] === date) continue;
+
+            dates.push(date);
+            if (dates.length >= limit) break;
         }
-        return nextDate;
+
+        return dates;
     }
 
     /**
@@ -200,16 +417,101 @@ class RecurringExpensesModel extends BaseModel {
         return await this.db.getAll('MOUVEMENTS', 'recurring_expense_id', recurringId);
     }
 
+    /**
+     * Mouvements enregistrés pour une dépense récurrente (hors supprimés), du plus ancien au plus récent
+     * @param {string} recurringId - ID de la dépense récurrente
+     * @returns {Promise<Array<Object>>} Liste des mouvements
+     */
+    async getPostedMovements(recurringId) {
+        const movements = await this.getMovementsByRecurringId(recurringId);
+        return movements
+            .filter(movement => !movement.is_deleted)
+            .sort((a, b) => a.date_mouvement.localeCompare(b.date_mouvement));
+    }
+
+    // =================================================================
+    // Montants variables (factures d'énergie, téléphone...)
+    // =================================================================
+
+    /**
+     * Estimation d'une échéance à partir des montants précédents
+     * Montant fixe : le montant prévu. Montant variable : moyenne des `estimate_window`
+     * derniers montants (montant prévu tant qu'aucun mouvement n'est enregistré).
+     * @param {Object} expense - Dépense récurrente
+     * @param {Array<number>} amounts - Montants enregistrés, du plus ancien au plus récent
+     * @returns {number} Montant estimé (unités de stockage)
+     */
+    static estimateFrom(expense, amounts) {
+        if (!expense.is_variable || amounts.length === 0) {
+            return expense.amount;
+        }
+
+        const recent = amounts.slice(-(expense.estimate_window || RecurringExpensesModel.DEFAULT_ESTIMATE_WINDOW));
+        return Math.round(recent.reduce((sum, amount) => sum + amount, 0) / recent.length);
+    }
+
+    /**
+     * Montant attendu pour la prochaine échéance
+     * @returns {Promise<number>} Montant estimé (unités de stockage)
+     */
+    async getEstimatedAmount(expense) {
+        if (!expense.is_variable) {
+            return expense.amount;
+        }
+
+        const movements = await this.getPostedMovements(expense.id);
+        return RecurringExpensesModel.estimateFrom(expense, movements.map(m => m.amount));
+    }
+
+    /**
+     * Historique des échéances enregistrées et écart à l'estimation de l'époque
+     * (estimation calculée avec les seuls mouvements antérieurs)
+     * @param {Object} expense - Dépense récurrente
+     * @returns {Promise<Array<Object>>} [{ id, date, amount, estimate, deviation, deviation_percent }],
+     *          du plus récent au plus ancien (deviation_percent null si l'estimation est nulle)
+     */
+    async getHistory(expense) {
+        try {
+            const movements = await this.getPostedMovements(expense.id);
+
+            return movements.map((movement, index) => {
+                const estimate = RecurringExpensesModel.estimateFrom(expense, movements.slice(0, index).map(m => m.amount));
+                const deviation = movement.amount - estimate;
+                return {
+                    id: movement.id,
+                    date: movement.date_mouvement.split('T')[0],
+                    amount: movement.amount,
+                    estimate,
+                    deviation,
+                    deviation_percent: estimate ? Math.round(deviation / Math.abs(estimate) * 100) : null
+                };
+            }).reverse();
+        } catch (error) {
+            console.error('Error getting recurring expense history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Dates des mouvements déjà créés pour une dépense récurrente (supprimés compris)
+     * @returns {Promise<Set<string>>} Dates YYYY-MM-DD
+     */
+    async getPostedDates(recurringId) {
+        const movements = await this.getMovementsByRecurringId(recurringId);
+        return new Set(movements.map(m => m.date_mouvement.split('T')[0]));
+    }
+
     /**
      * Crée un mouvement récurrent avec traçabilité
      * Format date strict : YYYY-MM-DDT00:00:00.000Z (toujours minuit UTC)
      * @param {Object} expense - Dépense récurrente
      * @param {string} date - Date du mouvement (YYYY-MM-DD)
+     * @param {number} amount - Montant réel (échéance validée), montant prévu par défaut
      * @returns {Promise<Object>} Résultat de création
      */
-    async createRecurringMovement(expense, date) {
+    async createRecurringMovement(expense, date, amount = expense.amount) {
         const transactionData = {
-            amount: expense.amount,
+            amount,
             category_id: expense.category_id,
             payee_id: expense.payee_id,
             expense_type_id: expense.expense_type_id,
@@ -224,32 +526,130 @@ class RecurringExpensesModel extends BaseModel {
         // Note: updated_at, rev, device_id ajoutés automatiquement par putWithMeta()
     }
 
+    // =================================================================
+    // Échéances à valider (mode « valider avant d'enregistrer »)
+    // =================================================================
+
+    /**
+     * Échéances dues d'une dépense à valider, ni enregistrées ni ignorées
+     * @param {Object} expense - Dépense récurrente
+     * @returns {Promise<Array<Object>>} Liste des occurrences { date, amount }
+     */
+    async getPendingOccurrences(expense) {
+        const due = this.calculateDueOccurrences(expense, null, await this.getEstimatedAmount(expense));
+        if (due.length === 0) return [];
+
+        const posted = await this.getPostedDates(expense.id);
+        return due.filter(occurrence => !posted.has(occurrence.date));
+    }
+
+    /**
+     * Liste de revue : échéances en attente de toutes les dépenses actives à valider
+     * @returns {Promise<Array<Object>>} [{ expense, date, amount }] triées par date
+     */
+    async getPendingReview() {
+        try {
+            const expenses = (await this.getActive()).filter(expense => expense.is_review_required);
+            const pending = [];
+
+            for (const expense of expenses) {
+                for (const occurrence of await this.getPendingOccurrences(expense)) {
+                    pending.push({ expense, ...occurrence });
+                }
+            }
+
+            return pending.sort((a, b) => a.date.localeCompare(b.date) || a.expense.libelle.localeCompare(b.expense.libelle));
+        } catch (error) {
+            console.error('Error getting pending recurring occurrences:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Enregistre une échéance validée, au montant réel
+     * @param {Object} expense - Dépense récurrente
+     * @param {string} date - Échéance (YYYY-MM-DD)
+     * @param {number} amount - Montant réel (unités de stockage)
+     */
+    async confirmOccurrence(expense, date, amount) {
+        try {
+            const posted = await this.getPostedDates(expense.id);
+            if (posted.has(date)) {
+                return RatchouUtils.error.validation('Cette échéance est déjà enregistrée');
+            }
+
+            const result = await this.createRecurringMovement(expense, date, amount);
+            if (result.success) {
+                await this.settleOccurrences(expense);
+            }
+            return result;
+        } catch (error) {
+            console.error('Error confirming recurring occurrence:', error);
+            return RatchouUtils.error.handleIndexedDBError(error, 'validation de l\'échéance');
+        }
+    }
+
+    /**
+     * Ignore une échéance : aucun mouvement n'est créé
+     * @param {Object} expense - Dépense récurrente
+     * @param {string} date - Échéance (YYYY-MM-DD)
+     */
+    async skipOccurrence(expense, date) {
+        try {
+            const skipped = [...new Set([...(expense.skipped_dates || []), date])].sort();
+            return await this.settleOccurrences({ ...expense, skipped_dates: skipped });
+        } catch (error) {
+            console.error('Error skipping recurring occurrence:', error);
+            return RatchouUtils.error.handleIndexedDBError(error, 'échéance ignorée');
+        }
+    }
+
+    /**
+     * Avance last_execution jusqu'à la dernière échéance traitée (enregistrée ou ignorée)
+     * précédant la première encore en attente, puis oublie les dates ignorées antérieures
+     * @param {Object} expense - Dépense récurrente (skipped_dates à jour)
+     */
+    async settleOccurrences(expense) {
+        const today = RecurringExpensesModel.toDateString(new Date());
+        const posted = await this.getPostedDates(expense.id);
+        const skipped = new Set(expense.skipped_dates || []);
+
+        let lastExecution = expense.last_execution || null;
+        for (const date of this.getOccurrenceDates(expense, { from: this.getFirstDueDate(expense), to: today })) {
+            if (!posted.has(date) && !skipped.has(date)) break;
+            lastExecution = date;
+        }
+
+        const lastDate = lastExecution ? lastExecution.split('T')[0] : null;
+        const skippedDates = [...skipped].filter(date => !lastDate || date > lastDate).sort();
+        const stored = await this.getById(expense.id);
+        if (stored && stored.last_execution === lastExecution &&
+            JSON.stringify(stored.skipped_dates || []) === JSON.stringify(skippedDates)) {
+            return RatchouUtils.error.success('Échéances à jour');
+        }
+
+        return await this.update(expense.id, {
+            last_execution: lastExecution,
+            skipped_dates: skippedDates
+        });
+    }
+
     shouldProcessToday(expense) {
         if (!expense.is_active) return false;
-        const today = new Date();
-        const lastExecution = expense.last_execution ? new Date(expense.last_execution) : null;
-        if (!lastExecution) {
-            const startMonth = expense.start_month || today.getMonth() + 1;
-            const startDate = new Date();
-            startDate.setMonth(startMonth - 1);
-            startDate.setDate(expense.day_of_month);
-            return today >= startDate;
-        }
-        const nextExecution = new Date(lastExecution);
-        nextExecution.setMonth(nextExecution.getMonth() + expense.frequency);
-        return today >= nextExecution;
+        return this.calculateDueOccurrences(expense).length > 0;
     }
 
     /**
      * Traite toutes les dépenses récurrentes actives
      * Calcul optimisé : pas de boucle jour-par-jour
      * Protection anti-doublon : 100% applicative (filtrage préventif)
-     * @returns {Promise<Object>} { success, created, skipped, errors }
+     * Les dépenses « à valider » ne créent rien : leurs échéances sont seulement comptées
+     * @returns {Promise<Object>} { success, created, skipped, errors, pending }
      */
     async processAllRecurring() {
         try {
             const activeExpenses = await this.getActive();
-            let totalCreated = 0, totalSkipped = 0, totalErrors = 0;
+            let totalCreated = 0, totalSkipped = 0, totalErrors = 0, totalPending = 0;
 
             console.log(`🔄 Processing ${activeExpenses.length} recurring expenses...`);
 
@@ -264,6 +664,14 @@ class RecurringExpensesModel extends BaseModel {
 
                 console.log(`📅 ${expense.libelle}: ${dueOccurrences.length} occurrences due`);
 
+                // Échéances à valider : rien n'est créé, elles attendent dans la liste de revue
+                if (expense.is_review_required) {
+                    const pending = await this.getPendingOccurrences(expense);
+                    totalPending += pending.length;
+                    console.log(`✋ ${expense.libelle}: ${pending.length} occurrences awaiting review`);
+                    continue;
+                }
+
                 // 2. PROTECTION ANTI-DOUBLON : Récupérer mouvements existants
                 const existingMovements = await this.getMovementsByRecurringId(expense.id);
                 const existingDates = new Set(
@@ -281,10 +689,11 @@ class RecurringExpensesModel extends BaseModel {
 
                 console.log(`📝 ${expense.libelle}: Creating ${toCreate.length} movements`);
 
-                // 4. Créer mouvements manquants
+                // 4. Créer mouvements manquants (montant variable : estimation, à corriger à réception)
+                const amount = await this.getEstimatedAmount(expense);
                 for (const occurrence of toCreate) {
                     try {
-                        await this.createRecurringMovement(expense, occurrence.date);
+                        await this.createRecurringMovement(expense, occurrence.date, amount);
                         totalCreated++;
                         console.log(`✅ Created: ${expense.libelle} on ${occurrence.date}`);
                     } catch (error) {
@@ -302,13 +711,14 @@ class RecurringExpensesModel extends BaseModel {
                 }
             }
 
-            console.log(`🎯 Summary: ${totalCreated} created, ${totalSkipped} skipped, ${totalErrors} errors`);
+            console.log(`🎯 Summary: ${totalCreated} created, ${totalSkipped} skipped, ${totalErrors} errors, ${totalPending} pending`);
 
             return {
                 success: true,
                 created: totalCreated,
                 skipped: totalSkipped,
-                errors: totalErrors
+                errors: totalErrors,
+                pending: totalPending
             };
         } catch (error) {
             console.error('❌ Error processing recurring expenses:', error);
@@ -359,6 +769,10 @@ class RecurringExpensesModel extends BaseModel {
         if (data.day_of_month < 1 || data.day_of_month > 31) throw new Error('Le jour du mois doit être entre 1 et 31');
         if (data.frequency === undefined) data.frequency = 1;
         if (data.is_active === undefined) data.is_active = 1;
+        if (data.is_review_required === undefined) data.is_review_required = 0;
+        if (data.is_variable === undefined) data.is_variable = 0;
+        if (data.estimate_window !== undefined) this.validateEstimateWindow(data.estimate_window);
+        if (data.recurrence) this.validateRecurrence(data);
 
         // Valider start_date (obligatoire pour v2.0)
         if (!data.start_date) {
@@ -393,11 +807,28 @@ class RecurringExpensesModel extends BaseModel {
                 throw new Error('Le jour du mois doit être entre 1 et 31');
         }
 
+        // Validation règle de récurrence
+        if (data.recurrence) {
+            this.validateRecurrence(data);
+        }
+
+        // Validation de la fenêtre d'estimation (montant variable)
+        if (data.estimate_window !== undefined) {
+            this.validateEstimateWindow(data.estimate_window);
+        }
+
+        // Validation des échéances ignorées
+        if (data.skipped_dates !== undefined) {
+            if (!Array.isArray(data.skipped_dates) || data.skipped_dates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date)))
+                throw new Error('Les échéances ignorées doivent être des dates AAAA-MM-JJ');
+        }
+
         // ⚠️ FIX RISQUE 3 : Recalcul last_execution si champs critiques changés
         const criticalFieldsChanged =
             data.start_date !== undefined ||
             data.frequency !== undefined ||
-            data.day_of_month !== undefined;
+            data.day_of_month !== undefined ||
+            data.recurrence !== undefined;
 
         if (criticalFieldsChanged) {
             // Si start_date est dans le futur, reset last_execution
@@ -418,6 +849,46 @@ class RecurringExpensesModel extends BaseModel {
         }
     }
 
+    validateEstimateWindow(window) {
+        if (window !== null && (!Number.isInteger(window) || window < 1 || window > RecurringExpensesModel.MAX_ESTIMATE_WINDOW)) {
+            throw new Error(`Le nombre d'échéances de l'estimation doit être un entier entre 1 et ${RecurringExpensesModel.MAX_ESTIMATE_WINDOW}`);
+        }
+    }
+
+    /**
+     * Normalise `data.recurrence` et tient `frequency` à jour pour les anciennes versions
+     */
+    validateRecurrence(data) {
+        const { type, interval, shift, end_date, max_occurrences } = data.recurrence;
+
+        if (!RecurringExpensesModel.RECURRENCE_TYPES[type]) {
+            throw new Error('Type de récurrence inconnu');
+        }
+        if (!Number.isInteger(interval) || interval < 1 || interval > 366) {
+            throw new Error('L\'intervalle doit être un nombre entier entre 1 et 366');
+        }
+        if (shift && !RecurringExpensesModel.SHIFT_RULES.includes(shift)) {
+            throw new Error('Règle de décalage inconnue');
+        }
+        if (end_date) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(end_date)) throw new Error('La date de fin doit être au format AAAA-MM-JJ');
+            if (data.start_date && end_date < data.start_date) throw new Error('La date de fin doit suivre la date de début');
+        }
+        if (max_occurrences !== null && max_occurrences !== undefined &&
+            (!Number.isInteger(max_occurrences) || max_occurrences < 1)) {
+            throw new Error('Le nombre d\'occurrences doit être un entier positif');
+        }
+
+        data.recurrence = {
+            type,
+            interval,
+            shift: type === 'last_business_day' ? 'none' : (shift || 'none'),
+            end_date: end_date || null,
+            max_occurrences: max_occurrences || null
+        };
+        data.frequency = RecurringExpensesModel.legacyFrequency(data.recurrence);
+    }
+
     transformForStorage(data) {
         const transformed = super.transformForStorage(data);
 
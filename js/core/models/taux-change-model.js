@@ -0,0 +1,276 @@
+/**
+ * Exchange Rates Model for Ratchou IndexedDB
+ * Manages exchange rates (manual entry or imported file) used to convert
+ * multi-currency balances into the reference currency
+ */
+
+class ExchangeRatesModel extends BaseModel {
+    constructor(db) {
+        super(db, 'TAUX_CHANGE');
+    }
+
+    /**
+     * Reference currency used for consolidated totals (stored per device)
+     */
+    static getReferenceCurrency() {
+        return RatchouUtils.storage.get('reference_currency', 'EUR');
+    }
+
+    static setReferenceCurrency(currency) {
+        if (!RatchouUtils.currency.isSupported(currency)) {
+            throw new Error('Devise non supportée');
+        }
+        RatchouUtils.storage.set('reference_currency', currency);
+    }
+
+    /**
+     * Local date of the day (YYYY-MM-DD), format of rate_date
+     */
+    static today() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Get all rates sorted by date (most recent first), then by pair
+     */
+    async getAllSorted() {
+        try {
+            const rates = await this.getAll();
+            return rates.sort((a, b) =>
+                b.rate_date.localeCompare(a.rate_date) ||
+                `${a.base}${a.quote}`.localeCompare(`${b.base}${b.quote}`)
+            );
+        } catch (error) {
+            console.error('Error getting sorted exchange rates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the rate of a pair for a given day (one rate per pair and per day)
+     */
+    async findRate(base, quote, rateDate) {
+        const rates = await this.getAll('rate_date', IDBKeyRange.only(rateDate));
+        return rates.find(r => r.base === base && r.quote === quote) || null;
+    }
+
+    /**
+     * Build a converter from the stored rates
+     * For each pair, the rate used is the latest one on or before the requested date
+     * (or the oldest known rate if the date precedes all of them). Inverse rates and
+     * cross rates through another currency are derived when no direct rate exists.
+     * @returns {Promise<{rate: Function, convert: Function}>}
+     */
+    async createConverter() {
+        const rates = await this.getAll();
+
+        // Graph: currency -> Map(currency -> [{ date, rate }] sorted by date)
+        const graph = new Map();
+        const addEdge = (from, to, date, rate) => {
+            if (!graph.has(from)) graph.set(from, new Map());
+            const edges = graph.get(from);
+            if (!edges.has(to)) edges.set(to, []);
+            edges.get(to).push({ date, rate });
+        };
+
+        for (const r of rates) {
+            if (!(r.rate > 0)) continue;
+            addEdge(r.base, r.quote, r.rate_date, r.rate);
+            addEdge(r.quote, r.base, r.rate_date, 1 / r.rate);
+        }
+        for (const edges of graph.values()) {
+            for (const history of edges.values()) {
+                history.sort((a, b) => a.date.localeCompare(b.date));
+            }
+        }
+
+        const rateAt = (history, date) => {
+            let found = history[0];
+            for (const entry of history) {
+                if (entry.date > date) break;
+                found = entry;
+            }
+            return found.rate;
+        };
+
+        // Value of 1 `from` in `to`, or null if no path links the two currencies
+        const rate = (from, to, date = ExchangeRatesModel.today()) => {
+            if (from === to) return 1;
+            if (!graph.has(from)) return null;
+
+            // Parcours en largeur : le chemin le plus court limite le cumul d'arrondis
+            const visited = new Set([from]);
+            const queue = [{ currency: from, value: 1 }];
+            while (queue.length > 0) {
+                const { currency, value } = queue.shift();
+                for (const [next, history] of graph.get(currency)) {
+                    if (visited.has(next)) continue;
+                    const nextValue = value * rateAt(history, date);
+                    if (next === to) return nextValue;
+                    visited.add(next);
+                    queue.push({ currency: next, value: nextValue });
+                }
+            }
+            return null;
+        };
+
+        // Convert a stored amount (storage unit), or null if no rate is available
+        const convert = (stored, from, to, date = ExchangeRatesModel.today()) => {
+            const value = rate(from, to, date);
+            if (value === null) return null;
+            return RatchouUtils.currency.convert(stored, from, to, value);
+        };
+
+        return { rate, convert };
+    }
+
+    /**
+     * Import rates from a file content
+     * Accepted formats:
+     * - CSV: `date;base;quote;rate` (header optional, `,` or `;` as separator)
+     * - JSON: array of { base, quote, rate, date } or { base, date, rates: { USD: 1.08, ... } }
+     * Existing rates for the same pair and day are replaced.
+     * @returns {Promise<{imported: number, updated: number, errors: string[]}>}
+     */
+    async importRates(content) {
+        const result = { imported: 0, updated: 0, errors: [] };
+        let entries;
+
+        try {
+            entries = this.parseRatesFile(content, result.errors);
+        } catch (error) {
+            result.errors.push(error.message);
+            return result;
+        }
+
+        for (const entry of entries) {
+            const label = `${entry.rate_date} ${entry.base}/${entry.quote}`;
+            const existing = await this.findRate(entry.base, entry.quote, entry.rate_date);
+            const response = existing
+                ? await this.update(existing.id, { rate: entry.rate, source: 'import' })
+                : await this.create({ ...entry, source: 'import' });
+
+            if (!response.success) {
+                result.errors.push(`${label} : ${response.message}`);
+            } else if (existing) {
+                result.updated++;
+            } else {
+                result.imported++;
+            }
+        }
+
+        return result;
+    }
+
+    parseRatesFile(content, errors) {
+        const text = String(content || '').trim();
+        if (!text) {
+            throw new Error('Fichier vide');
+        }
+
+        if (text.startsWith('[') || text.startsWith('{')) {
+            let json;
+            try {
+                json = JSON.parse(text);
+            } catch (error) {
+                throw new Error('JSON invalide');
+            }
+
+            if (Array.isArray(json)) {
+                return json.map(r => ({
+                    base: String(r.base || '').toUpperCase(),
+                    quote: String(r.quote || '').toUpperCase(),
+                    rate: Number(r.rate),
+                    rate_date: r.rate_date || r.date
+                }));
+            }
+            if (json.base && json.rates && typeof json.rates === 'object') {
+                return Object.entries(json.rates).map(([quote, rate]) => ({
+                    base: String(json.base).toUpperCase(),
+                    quote: quote.toUpperCase(),
+                    rate: Number(rate),
+                    rate_date: json.date || ExchangeRatesModel.today()
+                }));
+            }
+            throw new Error('Format JSON non reconnu');
+        }
+
+        const entries = [];
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+
+            const separator = line.includes(';') ? ';' : ',';
+            const [date, base, quote, rate] = line.split(separator).map(c => c.trim());
+
+            // Ligne d'en-tête
+            if (index === 0 && isNaN(Date.parse(date))) return;
+
+            const value = Number((rate || '').replace(',', '.'));
+            if (!date || !base || !quote || isNaN(value)) {
+                errors.push(`Ligne ${index + 1} ignorée : ${line}`);
+                return;
+            }
+            entries.push({ base: base.toUpperCase(), quote: quote.toUpperCase(), rate: value, rate_date: date });
+        });
+        return entries;
+    }
+
+    // =================================================================
+    // Validation
+    // =================================================================
+
+    validateCreate(data) {
+        super.validateCreate(data);
+
+        RatchouUtils.validate.required(data.base, 'base');
+        RatchouUtils.validate.required(data.quote, 'quote');
+        this.validateCurrency(data.base);
+        this.validateCurrency(data.quote);
+        if (data.base === data.quote) {
+            throw new Error('Les deux devises doivent être différentes');
+        }
+        this.validateRate(data.rate);
+
+        if (!data.rate_date) {
+            data.rate_date = ExchangeRatesModel.today();
+        }
+        this.validateDate(data.rate_date);
+
+        if (!data.source) {
+            data.source = 'manual';
+        }
+    }
+
+    validateUpdate(data) {
+        super.validateUpdate(data);
+
+        if (data.rate !== undefined) {
+            this.validateRate(data.rate);
+        }
+        if (data.rate_date !== undefined) {
+            this.validateDate(data.rate_date);
+        }
+    }
+
+    validateCurrency(currency) {
+        if (!RatchouUtils.currency.isSupported(currency)) {
+            throw new Error(`Devise non supportée : ${currency}`);
+        }
+    }
+
+    validateRate(rate) {
+        if (typeof rate !== 'number' || !isFinite(rate) || rate <= 0) {
+            throw new Error('Le taux doit être un nombre positif');
+        }
+    }
+
+    validateDate(date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+            throw new Error('La date doit être au format AAAA-MM-JJ');
+        }
+    }
+}
+
+// Export for use in other modules
+window.ExchangeRatesModel = ExchangeRatesModel;
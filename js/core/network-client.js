@@ -45,8 +45,8 @@ class NetworkClient {
             }
         }
 
-        // Fallback to localStorage (for initial bootstrap before SYNC_CONFIG exists)
-        const localStorageUrl = localStorage.getItem('ratchou_api_url');
+        // Fallback to localStorage (for initial bootstrap before SYNC_CONFIG exists, not available in the service worker)
+        const localStorageUrl = typeof localStorage !== 'undefined' ? localStorage.getItem('ratchou_api_url') : null;
         if (localStorageUrl) {
             this.apiUrl = localStorageUrl;
             console.log('🌐 NetworkClient: Loaded API URL from localStorage (bootstrap mode)');
@@ -396,6 +396,119 @@ class NetworkClient {
         });
     }
 
+    // ==================== NOTIFICATION CHANNEL ====================
+
+    /**
+     * Open the relay's Server-Sent Events channel (POST /events)
+     * The relay announces new mailbox messages; their content is still fetched with pull().
+     * Optional on the relay: onClose receives {error: 'not_found'} when the channel is not available.
+     *
+     * @param {string} deviceId - Device ID
+     * @param {string} token - Device token
+     * @param {Object} handlers - {onOpen(), onEvent({type, data}), onClose(error|null)}
+     *
+     * @returns {Object} {close()} - Closing does not call onClose with an error
+     *
+     * @example
+     * const channel = networkClient.openEventStream(myDeviceId, myToken, {
+     *   onEvent: (event) => { if (event.type === 'mailbox') syncManager.tick(); },
+     *   onClose: (error) => { // back to polling }
+     * });
+     */
+    openEventStream(deviceId, token, handlers = {}) {
+        const controller = new AbortController();
+
+        const run = async () => {
+            await this.ensureApiUrl();
+
+            const response = await fetch(`${this.apiUrl}/events`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify({ device_id: deviceId, device_token: token }),
+                signal: controller.signal
+            });
+
+            if (!response.ok || !response.body) {
+                const data = await response.json().catch(() => ({}));
+                return {
+                    success: false,
+                    error: data.error || 'http_error',
+                    message: data.message || `Erreur HTTP ${response.status}`,
+                    httpStatus: response.status
+                };
+            }
+
+            console.log('🌐 ✅ Event stream opened');
+            if (handlers.onOpen) handlers.onOpen();
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                let separator;
+                while ((separator = buffer.indexOf('\n\n')) !== -1) {
+                    const event = this.parseEvent(buffer.slice(0, separator));
+                    buffer = buffer.slice(separator + 2);
+                    if (event && handlers.onEvent) handlers.onEvent(event);
+                }
+            }
+
+            // Closed by the relay (restart, revocation...)
+            return { success: false, error: 'stream_closed', message: 'Canal de notification fermé par le relais' };
+        };
+
+        run()
+            .then(error => {
+                if (handlers.onClose) handlers.onClose(controller.signal.aborted ? null : error);
+            })
+            .catch(error => {
+                if (!handlers.onClose) return;
+                handlers.onClose(error.name === 'AbortError' ? null : {
+                    success: false,
+                    error: 'network_error',
+                    message: `Erreur réseau: ${error.message}`
+                });
+            });
+
+        return { close: () => controller.abort() };
+    }
+
+    /**
+     * Parse one Server-Sent Events block ("event: x" / "data: {...}" lines)
+     * @private
+     *
+     * @param {string} block - Lines between two blank lines
+     * @returns {Object|null} {type, data} or null for comments (keep-alive)
+     */
+    parseEvent(block) {
+        let type = 'message';
+        const dataLines = [];
+
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        }
+
+        if (dataLines.length === 0) return null;
+
+        try {
+            return { type, data: JSON.parse(dataLines.join('\n')) };
+        } catch (error) {
+            return { type, data: dataLines.join('\n') };
+        }
+    }
+
     /**
      * Set custom request timeout
      * @param {number} ms - Timeout in milliseconds
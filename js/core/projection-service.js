@@ -0,0 +1,323 @@
+/**
+ * Projection Service for Ratchou
+ * Projects account balances day by day from future-dated movements and the pending
+ * occurrences of recurring expenses (RecurringExpensesModel rules: frequency, start_date,
+ * end date, weekend shift...; variable amounts estimated from their last movements).
+ * Shared by the dashboard timeline and the projection page.
+ * The long-range forecast adds the average of past variable spending per category and
+ * checks the low-balance alert thresholds (stored per device).
+ * Amounts stay in storage units of the result currency.
+ */
+
+class ProjectionService {
+    static FORECAST_MONTHS = 12;
+    static HISTORY_MONTHS = 3;     // Mois complets servant à la moyenne des dépenses variables
+    static THRESHOLDS_KEY = 'forecast_thresholds';
+
+    /**
+     * @param {object} models - ratchouApp.models
+     */
+    constructor(models) {
+        this.models = models;
+    }
+
+    /**
+     * Project one, several or all accounts over the next days
+     * Future-dated movements are already counted in the account balance: the projection
+     * starts from the balance without them and adds them back on their own day.
+     * @param {object} options
+     * @param {number} options.days - Days after today
+     * @param {Array<string>|null} options.accountIds - Accounts to project (null = all accounts)
+     * @param {string|null} options.currency - Result currency (default: the account currency,
+     *        or the reference currency when the accounts use several currencies)
+     * @returns {Promise<object>} { currency, accounts, missing, startBalance, endBalance,
+     *          totalIncome, totalExpense, days: [{ date, isToday, items, total, balance }] }
+     *          missing = accounts left out for lack of an exchange rate
+     */
+    async project({ days, accountIds = null, currency = null }) {
+        const allAccounts = await this.models.accounts.getAll();
+        const accounts = accountIds ? allAccounts.filter(a => accountIds.includes(a.id)) : allAccounts;
+        if (accounts.length === 0) {
+            throw new Error('Aucun compte sélectionné');
+        }
+
+        const currencies = new Set(accounts.map(a => a.currency || 'EUR'));
+        const targetCurrency = currency || (currencies.size === 1 ? [...currencies][0] : ExchangeRatesModel.getReferenceCurrency());
+        const converter = await this.models.exchangeRates.createConverter();
+
+        const today = RecurringExpensesModel.toDateString(new Date());
+        const endDate = RecurringExpensesModel.addDays(today, days);
+
+        const included = [];
+        const missing = [];
+        for (const account of accounts) {
+            const rate = converter.rate(account.currency || 'EUR', targetCurrency);
+            if (rate === null) {
+                missing.push(account);
+            } else {
+                included.push({ account, rate });
+            }
+        }
+
+        const collected = await this.collectItems(included, today, endDate, targetCurrency);
+        const startBalance = included.reduce((sum, { account, rate }) =>
+            sum + RatchouUtils.currency.convert(account.balance, account.currency || 'EUR', targetCurrency, rate), 0)
+            - collected.filter(item => item.type === 'existing').reduce((sum, item) => sum + item.amount, 0);
+        const items = collected.filter(item => item.date <= endDate);
+
+        const projection = [];
+        let balance = startBalance;
+        for (let i = 0; i <= days; i++) {
+            const date = RecurringExpensesModel.addDays(today, i);
+            const dayItems = items.filter(item => item.date === date);
+            const total = dayItems.reduce((sum, item) => sum + item.amount, 0);
+            balance += total;
+            projection.push({ date, isToday: i === 0, items: dayItems, total, balance });
+        }
+
+        return {
+            currency: targetCurrency,
+            accounts: included.map(({ account }) => account),
+            missing,
+            startBalance,
+            endBalance: balance,
+            totalIncome: items.filter(item => item.amount > 0).reduce((sum, item) => sum + item.amount, 0),
+            totalExpense: items.filter(item => item.amount < 0).reduce((sum, item) => sum + item.amount, 0),
+            days: projection
+        };
+    }
+
+    /**
+     * Month by month forecast: dated items of project() plus the average monthly variable
+     * spending per category (past expenses not generated by a recurring expense, transfers
+     * excluded), spread evenly over the days from tomorrow
+     * @param {object} options
+     * @param {number} options.months - Months forecast, the current one included
+     * @param {Array<string>|null} options.accountIds - Accounts to forecast (null = all accounts)
+     * @param {string|null} options.currency - Result currency (same default as project())
+     * @param {number} options.historyMonths - Full past months averaged
+     * @returns {Promise<object>} { currency, accounts, missing, startBalance, variableMonthly,
+     *          variableByCategory: [{ category_id, category_name, monthly }],
+     *          months: [{ key, label, income, expense, variable, balance, min, minDate }],
+     *          days: [{ date, balance }], lowest: { date, balance } }
+     */
+    async forecast({ months = ProjectionService.FORECAST_MONTHS, accountIds = null, currency = null, historyMonths = ProjectionService.HISTORY_MONTHS }) {
+        const todayDate = new Date();
+        const today = RecurringExpensesModel.toDateString(todayDate);
+        const lastDay = RecurringExpensesModel.toDateString(new Date(todayDate.getFullYear(), todayDate.getMonth() + months, 0));
+        const days = Math.round((RecurringExpensesModel.parseDate(lastDay) - RecurringExpensesModel.parseDate(today)) / 86400000);
+
+        const projection = await this.project({ days, accountIds, currency });
+        const variable = await this.averageVariableSpending(projection.accounts, projection.currency, historyMonths);
+        const variableMonthly = variable.reduce((sum, row) => sum + row.monthly, 0);
+
+        const monthly = new Map();
+        const daily = [];
+        let spent = 0;
+        let lowest = null;
+
+        for (const day of projection.days) {
+            const date = RecurringExpensesModel.parseDate(day.date);
+            const key = BudgetsModel.monthKey(date);
+            if (!monthly.has(key)) {
+                monthly.set(key, {
+                    key,
+                    label: date.toLocaleDateString('fr-FR', { month: 'short', year: '2-digit' }),
+                    income: 0,
+                    expense: 0,
+                    variable: 0,
+                    balance: 0,
+                    min: null,
+                    minDate: null
+                });
+            }
+            const month = monthly.get(key);
+
+            // Les dépenses du jour sont en général déjà saisies : la moyenne commence demain
+            if (!day.isToday) {
+                const share = Math.round(variableMonthly / new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate());
+                spent += share;
+                month.variable += share;
+            }
+            month.income += day.items.filter(item => item.amount > 0).reduce((sum, item) => sum + item.amount, 0);
+            month.expense += day.items.filter(item => item.amount < 0).reduce((sum, item) => sum + item.amount, 0);
+
+            const balance = day.balance - spent;
+            month.balance = balance;
+            if (month.min === null || balance < month.min) {
+                month.min = balance;
+                month.minDate = day.date;
+            }
+            if (!lowest || balance < lowest.balance) {
+                lowest = { date: day.date, balance };
+            }
+            daily.push({ date: day.date, balance });
+        }
+
+        return {
+            currency: projection.currency,
+            accounts: projection.accounts,
+            missing: projection.missing,
+            startBalance: projection.startBalance,
+            variableMonthly,
+            variableByCategory: variable,
+            months: [...monthly.values()],
+            days: daily,
+            lowest
+        };
+    }
+
+    /**
+     * Average monthly spending per category over the last full months
+     * Movements generated by a recurring expense are already forecast by their rule.
+     * @param {Array} accounts - Accounts included in the forecast
+     * @param {string} currency - Result currency
+     * @param {number} historyMonths - Full past months averaged
+     * @returns {Promise<Array>} [{ category_id, category_name, monthly }] (largest first)
+     */
+    async averageVariableSpending(accounts, currency, historyMonths) {
+        if (historyMonths <= 0 || accounts.length === 0) {
+            return [];
+        }
+
+        const now = new Date();
+        const from = new Date(now.getFullYear(), now.getMonth() - historyMonths, 1).toISOString();
+        const to = new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
+        const converter = await this.models.exchangeRates.createConverter();
+        const byAccount = new Map(accounts.map(account => [account.id, account]));
+
+        const movements = (await this.models.transactions.getAll('date', IDBKeyRange.bound(from, to, false, true)))
+            .filter(movement => byAccount.has(movement.account_id)
+                && !TransactionsModel.isTransfer(movement)
+                && !movement.recurring_expense_id);
+
+        const totals = new Map();
+        for (const movement of movements) {
+            const accountCurrency = byAccount.get(movement.account_id).currency || 'EUR';
+            const rate = converter.rate(accountCurrency, currency);
+            if (rate === null) continue;
+
+            // Split movements count each line on its own category
+            for (const line of TransactionsModel.getLines(movement)) {
+                const key = line.category_id || null;
+                const amount = RatchouUtils.currency.convert(line.amount, accountCurrency, currency, rate);
+                totals.set(key, (totals.get(key) || 0) - amount);
+            }
+        }
+
+        const categoryNames = new Map((await this.models.categories.getAll()).map(c => [c.id, c.libelle]));
+        return [...totals.entries()]
+            // Seules les dépenses nettes comptent (les remboursements réduisent la dépense)
+            .filter(([, total]) => total > 0)
+            .map(([categoryId, total]) => ({
+                category_id: categoryId,
+                category_name: categoryId ? (categoryNames.get(categoryId) || 'Catégorie supprimée') : 'Sans catégorie',
+                monthly: Math.round(total / historyMonths)
+            }))
+            .sort((a, b) => b.monthly - a.monthly);
+    }
+
+    // =================================================================
+    // Low balance alert thresholds
+    // =================================================================
+
+    /**
+     * Alert threshold of an account, or of all accounts ('all')
+     * @param {string} scope - Account ID or 'all'
+     * @returns {object|null} { amount, currency } (amount in storage units)
+     */
+    static getThreshold(scope) {
+        const thresholds = RatchouUtils.storage.get(ProjectionService.THRESHOLDS_KEY, {});
+        return thresholds[scope] || null;
+    }
+
+    /**
+     * Set or remove (amount null) the alert threshold of a scope
+     */
+    static setThreshold(scope, amount, currency) {
+        const thresholds = RatchouUtils.storage.get(ProjectionService.THRESHOLDS_KEY, {});
+        if (amount === null) {
+            delete thresholds[scope];
+        } else {
+            thresholds[scope] = { amount, currency };
+        }
+        RatchouUtils.storage.set(ProjectionService.THRESHOLDS_KEY, thresholds);
+    }
+
+    /**
+     * First day the forecast balance falls below the threshold
+     * @param {object} forecast - Result of forecast()
+     * @param {object} threshold - { amount, currency }
+     * @returns {object|null} { date, balance }, null when the balance stays above
+     *          (or when the threshold is in another currency)
+     */
+    static findBreach(forecast, threshold) {
+        if (!threshold || threshold.currency !== forecast.currency) {
+            return null;
+        }
+        return forecast.days.find(day => day.balance < threshold.amount) || null;
+    }
+
+    /**
+     * Future movements and recurring occurrences of the accounts, converted into the result currency
+     * @param {Array} included - [{ account, rate }]
+     * @param {string} from - First day (YYYY-MM-DD, today)
+     * @param {string} to - Last day (YYYY-MM-DD)
+     * @returns {Promise<Array>} Items { id, date, libelle, amount, account_id, account_name, type }
+     *          (every future movement, even after `to`, to rebuild today's balance)
+     */
+    async collectItems(included, from, to, currency) {
+        const byAccount = new Map(included.map(entry => [entry.account.id, entry]));
+        const convert = (amount, accountId) => {
+            const { account, rate } = byAccount.get(accountId);
+            return RatchouUtils.currency.convert(amount, account.currency || 'EUR', currency, rate);
+        };
+        const items = [];
+
+        // Movements dated after now (already counted in the balance)
+        const now = new Date().toISOString();
+        const future = (await this.models.transactions.getAll('date', IDBKeyRange.lowerBound(now, true)))
+            .filter(movement => byAccount.has(movement.account_id));
+
+        for (const movement of await this.models.transactions.getEnriched(future)) {
+            items.push({
+                id: movement.id,
+                date: RecurringExpensesModel.toDateString(new Date(movement.date_mouvement)),
+                libelle: movement.transfer_id
+                    ? `Virement ${movement.amount < 0 ? 'vers' : 'depuis'} ${movement.transfer_account_name}`
+                    : movement.category_name || 'Transaction',
+                amount: convert(movement.amount, movement.account_id),
+                account_id: movement.account_id,
+                account_name: movement.account_name,
+                type: 'existing'
+            });
+        }
+
+        // Recurring expenses not generated yet
+        const recurringModel = this.models.recurringExpenses;
+        const expenses = (await recurringModel.getActive()).filter(expense => byAccount.has(expense.account_id));
+        for (const expense of expenses) {
+            // Occurrences awaiting review are not in the balance yet: past ones are counted today
+            const posted = expense.is_review_required ? await recurringModel.getPostedDates(expense.id) : new Set();
+            const amount = await recurringModel.getEstimatedAmount(expense);
+            for (const occurrence of recurringModel.calculateDueOccurrences(expense, to, amount)) {
+                if (posted.has(occurrence.date)) continue;
+                if (occurrence.date < from && !expense.is_review_required) continue;
+                items.push({
+                    id: expense.id,
+                    date: occurrence.date < from ? from : occurrence.date,
+                    libelle: expense.libelle,
+                    amount: convert(occurrence.amount, expense.account_id),
+                    account_id: expense.account_id,
+                    account_name: byAccount.get(expense.account_id).account.nom_compte,
+                    type: 'recurring'
+                });
+            }
+        }
+
+        return items.sort((a, b) => a.date.localeCompare(b.date));
+    }
+}
+
+// Export for use in other modules
+window.ProjectionService = ProjectionService;
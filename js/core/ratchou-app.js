@@ -12,6 +12,7 @@ class RatchouApp {
         this.models = {};
         this.isInitialized = false;
         this.syncManager = null;
+        this.backgroundSyncListener = null;
     }
 
     /**
@@ -41,7 +42,7 @@ class RatchouApp {
 
 
             // Initialize IndexedDB wrapper
-            this.db = new IndexedDBWrapper('ratchou', 1);
+            this.db = new IndexedDBWrapper('ratchou', 8);
             await this.db.init();
 
             // Expose db globally for sync components (NetworkClient, SyncManager, etc.)
@@ -58,7 +59,10 @@ class RatchouApp {
                 payees: new PayeesModel(this.db),
                 expenseTypes: new ExpenseTypesModel(this.db),
                 transactions: new TransactionsModel(this.db),
-                recurringExpenses: new RecurringExpensesModel(this.db)
+                recurringExpenses: new RecurringExpensesModel(this.db),
+                budgets: new BudgetsModel(this.db),
+                exchangeRates: new ExchangeRatesModel(this.db),
+                attachments: new AttachmentsModel(this.db)
             };
 
             // Initialize with default data if this is first run (unless skipDefaults is set)
@@ -143,6 +147,17 @@ class RatchouApp {
             // 6. Exposer globalement pour accès depuis d'autres modules
             window.syncManager = this.syncManager;
 
+            // 6b. Synchronisation en arrière-plan via le service worker (app fermée)
+            this.syncManager.registerBackgroundSync();
+            if (!this.backgroundSyncListener) {
+                this.backgroundSyncListener = () => {
+                    if (document.visibilityState === 'hidden' && this.syncManager) {
+                        this.syncManager.requestBackgroundSync();
+                    }
+                };
+                document.addEventListener('visibilitychange', this.backgroundSyncListener);
+            }
+
             console.log(`✅ SyncManager active - polling every ${SYNC_INTERVAL}ms`);
             console.log(`   Role: ${syncConfig.role} | Master: ${syncConfig.master_id}`);
 
@@ -194,7 +209,10 @@ class RatchouApp {
                 payees: new PayeesModel(this.db),
                 expenseTypes: new ExpenseTypesModel(this.db),
                 transactions: new TransactionsModel(this.db),
-                recurringExpenses: new RecurringExpensesModel(this.db)
+                recurringExpenses: new RecurringExpensesModel(this.db),
+                budgets: new BudgetsModel(this.db),
+                exchangeRates: new ExchangeRatesModel(this.db),
+                attachments: new AttachmentsModel(this.db)
             };
             console.log('✅ Data models initialized');
 
@@ -247,6 +265,15 @@ class RatchouApp {
                     3000
                 );
             }
+
+            // Échéances en attente de validation
+            if (recurringResult && recurringResult.pending > 0) {
+                RatchouUtils.ui.toast(
+                    `${recurringResult.pending} échéance(s) récurrente(s) à valider. <a href="manage/recurrents.html" class="alert-link">Les revoir</a>`,
+                    'warning',
+                    8000
+                );
+            }
         }
 
         return result;
@@ -386,12 +413,8 @@ class RatchouApp {
 
             // Import in correct order (respecting dependencies)
 
-            // 1. User data - create new user with provided credentials
-            const userData = {
-                code_acces: accessCode,
-                device_id: deviceId
-            };
-            await this.db.put('UTILISATEUR', userData);
+            // 1. User data - create new user with provided credentials (stored as a verifier)
+            await this.auth.setAccessCode(accessCode, deviceId);
             results.user = RatchouUtils.error.success('Données utilisateur importées');
 
             // 2. Accounts
@@ -441,6 +464,24 @@ class RatchouApp {
                 );
             }
 
+            // 8. Budgets
+            if (jsonData.data.budgets?.rows) {
+                results.budgets = await this.models.budgets.bulkImport(jsonData.data.budgets.rows);
+            }
+
+            // 9. Taux de change
+            if (jsonData.data.taux_change?.rows) {
+                results.taux_change = await this.models.exchangeRates.bulkImport(jsonData.data.taux_change.rows);
+            }
+
+            // 10. Pièces jointes (contenu restauré depuis l'archive ZIP, absent d'un export JSON seul)
+            if (jsonData.data.pieces_jointes?.rows) {
+                results.pieces_jointes = await this.models.attachments.bulkImport(
+                    jsonData.data.pieces_jointes.rows.filter(row => row.blob instanceof Blob),
+                    ({ file, ...row }) => row
+                );
+            }
+
             // Ensure minimum required data exists after import
             await this.ensureMinimumData();
 
@@ -517,6 +558,12 @@ class RatchouApp {
             const expenseTypes = await this.models.expenseTypes.getAll();
             const transactions = await this.models.transactions.getAll();
             const recurringExpenses = await this.models.recurringExpenses.getAll();
+            const budgets = await this.models.budgets.getAll();
+            const exchangeRates = await this.models.exchangeRates.getAll();
+            const attachments = (await this.models.attachments.getAll()).map(attachment => ({
+                ...AttachmentsModel.withoutContent(attachment),
+                file: AttachmentsModel.archivePath(attachment)
+            }));
 
             exportData.data = {
                 utilisateur: { count: userData.length, rows: userData },
@@ -525,7 +572,10 @@ class RatchouApp {
                 beneficiaires: { count: payees.length, rows: payees },
                 type_depenses: { count: expenseTypes.length, rows: expenseTypes },
                 mouvements: { count: transactions.length, rows: transactions },
-                recurrents: { count: recurringExpenses.length, rows: recurringExpenses }
+                recurrents: { count: recurringExpenses.length, rows: recurringExpenses },
+                budgets: { count: budgets.length, rows: budgets },
+                taux_change: { count: exchangeRates.length, rows: exchangeRates },
+                pieces_jointes: { count: attachments.length, rows: attachments }
             };
 
             // Add statistics
@@ -535,7 +585,10 @@ class RatchouApp {
                 total_categories: categories.length,
                 total_payees: payees.length,
                 total_expense_types: expenseTypes.length,
-                total_recurring_expenses: recurringExpenses.length
+                total_recurring_expenses: recurringExpenses.length,
+                total_budgets: budgets.length,
+                total_exchange_rates: exchangeRates.length,
+                total_attachments: attachments.length
             };
 
             RatchouUtils.debug.log('JSON export completed');
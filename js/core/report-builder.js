@@ -0,0 +1,196 @@
+/**
+ * Report Builder for Ratchou
+ * Aggregates movements for the reports page: totals, breakdowns and monthly series.
+ * Amounts stay in storage units; callers only mix movements of the same currency
+ * (or movements first converted into one currency with convert()).
+ * Transfers between accounts are neither income nor expense and are ignored.
+ */
+
+class ReportBuilder {
+    /**
+     * Date range of a report period
+     * @param {string} mode - 'month' or 'year'
+     * @param {Date} date - Any date inside the period
+     * @returns {object} { start, end (exclusive), previousStart, label }
+     */
+    static periodRange(mode, date) {
+        if (mode === 'year') {
+            const year = date.getFullYear();
+            return {
+                start: new Date(year, 0, 1),
+                end: new Date(year + 1, 0, 1),
+                previousStart: new Date(year - 1, 0, 1),
+                label: String(year)
+            };
+        }
+
+        const start = new Date(date.getFullYear(), date.getMonth(), 1);
+        return {
+            start,
+            end: new Date(date.getFullYear(), date.getMonth() + 1, 1),
+            previousStart: new Date(date.getFullYear(), date.getMonth() - 1, 1),
+            label: start.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' })
+        };
+    }
+
+    /**
+     * Keep the movements of some accounts within [start, end[, transfers excluded
+     */
+    static filter(movements, { start, end, accountIds }) {
+        const accounts = new Set(accountIds);
+        return movements.filter(movement => {
+            if (!accounts.has(movement.account_id) || TransactionsModel.isTransfer(movement)) return false;
+            const date = new Date(movement.date_mouvement);
+            return date >= start && date < end;
+        });
+    }
+
+    /**
+     * Convert movements of accounts in several currencies into one currency
+     * Each movement uses the exchange rate of its own date; split lines are converted too.
+     * @param {Array} movements - Movements to convert
+     * @param {Array} accounts - Accounts of these movements (for their currency)
+     * @param {object} converter - From ExchangeRatesModel.createConverter()
+     * @param {string} currency - Target currency
+     * @returns {object} { movements, missing } missing = accounts without an exchange rate (left out)
+     */
+    static convert(movements, accounts, converter, currency) {
+        const currencies = new Map(accounts.map(a => [a.id, a.currency || 'EUR']));
+        const missing = new Set();
+        const converted = [];
+
+        for (const movement of movements) {
+            const from = currencies.get(movement.account_id) || 'EUR';
+            const date = String(movement.date_mouvement).slice(0, 10);
+            const rate = converter.rate(from, currency, date);
+            if (rate === null) {
+                missing.add(movement.account_id);
+                continue;
+            }
+
+            const convert = (amount) => RatchouUtils.currency.convert(amount, from, currency, rate);
+            converted.push({
+                ...movement,
+                amount: convert(movement.amount),
+                splits: Array.isArray(movement.splits)
+                    ? movement.splits.map(line => ({ ...line, amount: convert(line.amount) }))
+                    : movement.splits
+            });
+        }
+
+        return {
+            movements: converted,
+            missing: accounts.filter(a => missing.has(a.id))
+        };
+    }
+
+    /**
+     * Income, expense (positive number) and net total
+     */
+    static totals(movements) {
+        const totals = { income: 0, expense: 0, net: 0, count: movements.length };
+        for (const movement of movements) {
+            if (movement.amount > 0) {
+                totals.income += movement.amount;
+            } else {
+                totals.expense -= movement.amount;
+            }
+            totals.net += movement.amount;
+        }
+        return totals;
+    }
+
+    /**
+     * Expenses grouped by category, payee or expense type
+     * Split movements count each line on its own category/payee; refunds reduce the total.
+     * @param {Array} movements - Filtered movements
+     * @param {string} key - 'category_id', 'payee_id' or 'expense_type_id'
+     * @returns {Array} [{ id, total, count }] sorted by decreasing total, only positive totals
+     */
+    static breakdown(movements, key) {
+        const groups = new Map();
+
+        for (const movement of movements) {
+            const lines = key === 'expense_type_id'
+                ? [{ expense_type_id: movement.expense_type_id, amount: movement.amount }]
+                : TransactionsModel.getLines(movement);
+
+            for (const line of lines) {
+                const id = line[key] || null;
+                const group = groups.get(id) || { id, total: 0, count: 0 };
+                group.total -= line.amount;
+                group.count++;
+                groups.set(id, group);
+            }
+        }
+
+        return [...groups.values()]
+            .filter(group => group.total > 0)
+            .sort((a, b) => b.total - a.total);
+    }
+
+    /**
+     * Income and expense per month over the 12 months ending with the given month
+     * @param {Array} movements - Movements of the selected accounts (not filtered by date)
+     * @param {Date} lastMonth - Last month of the series
+     * @returns {Array} [{ key: 'YYYY-MM', label, income, expense }]
+     */
+    static monthlySeries(movements, lastMonth) {
+        const series = [];
+        const index = new Map();
+
+        for (let offset = 11; offset >= 0; offset--) {
+            const month = new Date(lastMonth.getFullYear(), lastMonth.getMonth() - offset, 1);
+            const entry = {
+                key: BudgetsModel.monthKey(month),
+                label: month.toLocaleDateString('fr-FR', { month: 'short' }),
+                income: 0,
+                expense: 0
+            };
+            series.push(entry);
+            index.set(entry.key, entry);
+        }
+
+        for (const movement of movements) {
+            if (TransactionsModel.isTransfer(movement)) continue;
+            const entry = index.get(BudgetsModel.monthKey(movement.date_mouvement));
+            if (!entry) continue;
+
+            if (movement.amount > 0) {
+                entry.income += movement.amount;
+            } else {
+                entry.expense -= movement.amount;
+            }
+        }
+
+        return series;
+    }
+
+    /**
+     * Compare two breakdowns (current period vs. previous period)
+     * @returns {Array} [{ id, current, previous, delta, percent }] sorted by decreasing current amount
+     */
+    static compare(current, previous) {
+        const rows = new Map();
+
+        for (const group of current) {
+            rows.set(group.id, { id: group.id, current: group.total, previous: 0 });
+        }
+        for (const group of previous) {
+            const row = rows.get(group.id) || { id: group.id, current: 0, previous: 0 };
+            row.previous = group.total;
+            rows.set(group.id, row);
+        }
+
+        return [...rows.values()]
+            .map(row => ({
+                ...row,
+                delta: row.current - row.previous,
+                percent: row.previous > 0 ? Math.round((row.current - row.previous) / row.previous * 100) : null
+            }))
+            .sort((a, b) => b.current - a.current || b.previous - a.previous);
+    }
+}
+
+// Export for use in other modules
+window.ReportBuilder = ReportBuilder;
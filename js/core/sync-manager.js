@@ -16,9 +16,16 @@
  * Phase 3 (IMPLÉMENTÉE ✅):
  * - Cycle complet tick() avec PUSH/PULL orchestré
  * - Application des SYNC_RESPONSE (applyMergeResult)
- * - Résolution de conflits basée sur timestamps
+ * - Résolution de conflits : merge 3 voies champ par champ (ancêtre = SYNC_QUEUE.base),
+ *   timestamps pour les champs modifiés des deux côtés (à revoir dans SYNC_LOG.conflicts)
  * - Retry/backoff exponentiel avec jitter
  * - Traçage SYNC_LOG + heartbeat
+ * - Canal de notification du relais (SSE /events) : tick à l'arrivée d'un message ou
+ *   d'une modification locale, polling rapide seulement si le canal est indisponible
+ * - Synchronisation en arrière-plan : sw.js exécute tick() sur les événements
+ *   Background Sync / Periodic Background Sync quand aucune page n'est visible
+ * - Compaction : fusion des entrées SYNC_QUEUE d'un même enregistrement, purge des entrées
+ *   acquittées, suppression définitive des tombstones acquittées par tout le cluster
  *
  * Phases futures:
  * - Phase 4+: Transfert de maîtrise, versioning schéma, migrations
@@ -33,6 +40,31 @@ class SyncManager {
     static BOOTSTRAP_EXTENDED_ATTEMPTS = 15;    // 30s extra for missing batches
     static SCHEMA_VERSION = 2;                  // Current protocol version
 
+    static MASTER_SILENT_DAYS = 7;              // Maître silencieux → promotion proposée (aligné sur le relais)
+    static KEY_GRACE_DAYS = 7;                  // Ancienne clé acceptée en déchiffrement après une rotation
+    static LOG_DETAIL_LIMIT = 100;              // Enregistrements détaillés par entrée SYNC_LOG
+    static COMPACTION_INTERVAL_HOURS = 6;       // Compaction SYNC_QUEUE + tombstones
+    static TOMBSTONE_RETENTION_DAYS = 30;       // Âge minimal d'un enregistrement supprimé avant purge définitive
+    static ACK_INTERVAL_HOURS = 24;             // Esclave sans modification : accusé de réception envoyé au maître
+    static PERIODIC_SYNC_INTERVAL_HOURS = 12;   // Periodic Background Sync (minimum demandé au navigateur)
+    static EVENTS_POLL_INTERVAL = 5 * 60 * 1000; // Polling de secours quand le canal de notification est ouvert
+    static EVENTS_RETRY_MAX = 5 * 60 * 1000;    // Reconnexion du canal : backoff jusqu'à 5 minutes
+    static EVENTS_DEBOUNCE = 1000;              // Regroupe les notifications rapprochées en un seul tick
+    static PUSH_MAX_BYTES = 2 * 1024 * 1024;    // Taille max d'un envoi (pièces jointes) : le reste part au cycle suivant
+
+    // Tags des événements sync / periodicsync traités par sw.js
+    static BACKGROUND_SYNC_TAG = 'ratchou-sync';
+    static PERIODIC_SYNC_TAG = 'ratchou-periodic-sync';
+
+    // Verrou Web Locks partagé par les pages et sw.js : un seul cycle à la fois sur tout l'appareil
+    static SYNC_LOCK_NAME = 'ratchou-sync';
+
+    // Stores synchronisés (soft delete → tombstones)
+    static SYNCED_STORES = ['COMPTES', 'CATEGORIES', 'BENEFICIAIRES', 'TYPE_DEPENSES', 'MOUVEMENTS', 'DEPENSES_FIXES', 'BUDGETS', 'TAUX_CHANGE', 'PIECES_JOINTES'];
+
+    // Champs de métadonnées ignorés par le merge 3 voies
+    static MERGE_IGNORED_FIELDS = ['id', 'rev', 'updated_at', 'device_id', 'created_at', 'is_deleted', 'deleted_at'];
+
     /**
      * Constructeur du SyncManager
      * @param {IndexedDBWrapper} db - Instance de la base de données
@@ -58,6 +90,21 @@ class SyncManager {
         // Gestion du rate limiting
         this.isRateLimited = false;
         this.rateLimitUntil = null;  // Timestamp de fin du blocage
+
+        // Clé précédente (messages encore chiffrés avec l'ancienne clé après un re-key)
+        this.previousEncryptionKey = null;
+
+        // Dernier état du cluster renvoyé par le heartbeat
+        this.clusterStatus = null;
+
+        // Canal de notification du relais (voir startEventChannel)
+        this.tickInProgress = false;
+        this.pollIntervalMs = null;
+        this.eventChannel = null;
+        this.eventRetryMs = 0;
+        this.eventRetryTimer = null;
+        this.scheduledTick = null;
+        this.queueListener = null;
     }
 
     /**
@@ -92,6 +139,16 @@ class SyncManager {
             console.warn('⚠️ No encryption key in SYNC_CONFIG');
         }
 
+        if (config.previous_encryption_key && this.isInKeyGracePeriod(config)) {
+            try {
+                this.previousEncryptionKey = await this.crypto.importKeyFromBase64(
+                    config.previous_encryption_key
+                );
+            } catch (error) {
+                console.warn('⚠️ Previous encryption key invalid, ignored:', error);
+            }
+        }
+
         console.log('✅ SyncManager started with crypto + network modules');
         console.log(`📋 Device: ${config.device_id} | Role: ${config.role || 'unknown'}`);
 
@@ -101,10 +158,42 @@ class SyncManager {
     /**
      * Cycle de synchronisation (tick)
      * Phase 3: Orchestre un cycle PUSH/PULL complet
+     * Un seul cycle à la fois : polling, notifications du relais et modifications locales peuvent se croiser,
+     * et le service worker peut synchroniser pendant qu'un onglet masqué le fait aussi (verrou SYNC_LOCK_NAME)
      * @returns {Object} Résultat de la sync
      */
     async tick() {
-        // 0. Vérifier si rate limited
+        const busy = {
+            success: false,
+            reason: 'busy',
+            recordsPushed: 0,
+            recordsPulled: 0,
+            conflicts: 0
+        };
+
+        if (this.tickInProgress) {
+            return busy;
+        }
+
+        this.tickInProgress = true;
+        try {
+            if (typeof navigator !== 'undefined' && navigator.locks) {
+                // ifAvailable : un autre contexte synchronise déjà, inutile d'attendre son tour
+                return await navigator.locks.request(SyncManager.SYNC_LOCK_NAME, { ifAvailable: true },
+                    lock => lock ? this._runTick() : busy);
+            }
+            return await this._runTick();
+        } finally {
+            this.tickInProgress = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _runTick() {
+        // 0. Vérifier si rate limited (blocage éventuellement posé ou levé par un autre contexte)
+        await this._loadRateLimit();
         if (this.isRateLimited) {
             const now = Date.now();
             if (this.rateLimitUntil && now < this.rateLimitUntil) {
@@ -120,7 +209,7 @@ class SyncManager {
             } else {
                 // Déblocage automatique
                 console.log('✅ Rate limit expiré - reprise');
-                this.clearRateLimit();
+                await this.clearRateLimit();
             }
         }
 
@@ -164,6 +253,13 @@ class SyncManager {
                 await this.sendHeartbeat();
             }
 
+            // Compaction périodique (non critique)
+            try {
+                await this.compact();
+            } catch (error) {
+                console.warn('⚠️ Compaction échouée (non critique):', error);
+            }
+
             this.tickCount++;
             this.retryAttempt = 0;  // Reset compteur d'erreurs
 
@@ -174,7 +270,13 @@ class SyncManager {
                 duration,
                 pushed: pushResult.pushed || 0,
                 pulled: pullResult.pulled || 0,
-                conflicts: pullResult.conflicts || 0
+                conflicts: pullResult.conflicts || 0,
+                conflictDetails: pullResult.conflictDetails,
+                details: {
+                    pushed: pushResult.records || [],
+                    pulled: pullResult.records || [],
+                    errors: pullResult.errors || []
+                }
             });
 
             console.log(`✅ Sync tick completed in ${duration}ms`);
@@ -197,7 +299,7 @@ class SyncManager {
                 error: err.message
             });
 
-            this.handleSyncError(err);
+            await this.handleSyncError(err);
 
             return {
                 success: false,
@@ -211,6 +313,8 @@ class SyncManager {
 
     /**
      * Démarre le polling périodique
+     * Si le relais propose un canal de notification, le polling ralentit (EVENTS_POLL_INTERVAL)
+     * et revient à intervalMs dès que le canal est coupé
      * @param {number} intervalMs - Intervalle en millisecondes (défaut: 30 secondes)
      */
     startPeriodicSync(intervalMs = 30000) {
@@ -220,10 +324,15 @@ class SyncManager {
         }
 
         this.isRunning = true;
-        this.pollInterval = setInterval(() => this.tick(), intervalMs);
-        console.log(`🔄 Sync périodique démarrée (${intervalMs}ms) - mode stub`);
+        this.pollIntervalMs = intervalMs;
+        this._setPollInterval(intervalMs);
+        console.log(`🔄 Sync périodique démarrée (${intervalMs}ms)`);
+
+        // Modification locale → envoi sans attendre le prochain polling
+        this.queueListener = () => this._scheduleTick();
+        window.addEventListener('sync-queue-changed', this.queueListener);
 
-        // TODO v1.2.0: Implémenter polling intelligent avec backoff
+        this.startEventChannel();
     }
 
     /**
@@ -236,6 +345,153 @@ class SyncManager {
             this.isRunning = false;
             console.log('⏸️ Sync périodique arrêtée');
         }
+
+        clearTimeout(this.scheduledTick);
+        clearTimeout(this.eventRetryTimer);
+        this.scheduledTick = null;
+        this.eventRetryTimer = null;
+
+        if (this.queueListener) {
+            window.removeEventListener('sync-queue-changed', this.queueListener);
+            this.queueListener = null;
+        }
+        if (this.eventChannel) {
+            this.eventChannel.close();
+            this.eventChannel = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _setPollInterval(intervalMs) {
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+        }
+        this.pollInterval = setInterval(() => this.tick(), intervalMs);
+    }
+
+    /**
+     * Programme un tick rapide (regroupe les notifications rapprochées)
+     * @private
+     */
+    _scheduleTick() {
+        if (!this.isRunning || this.scheduledTick) return;
+
+        this.scheduledTick = setTimeout(async () => {
+            this.scheduledTick = null;
+            const result = await this.tick();
+            // Cycle déjà en cours : il n'a peut-être pas vu ce message, on repasse après
+            if (result.reason === 'busy') {
+                this._scheduleTick();
+            }
+        }, SyncManager.EVENTS_DEBOUNCE);
+    }
+
+    /**
+     * Ouvre le canal de notification du relais (SSE /events, optionnel côté relais)
+     * - Ouvert : tick à chaque nouveau message, polling de secours toutes les EVENTS_POLL_INTERVAL
+     * - Coupé : retour au polling normal et reconnexion avec backoff
+     * - Relais sans canal (404) : polling normal pour toute la session
+     */
+    startEventChannel() {
+        if (!this.isRunning || this.eventChannel || !this.config || !this.config.device_token) {
+            return;
+        }
+
+        this.eventChannel = this.network.openEventStream(this.config.device_id, this.config.device_token, {
+            onOpen: () => {
+                this.eventRetryMs = 0;
+                this._setPollInterval(SyncManager.EVENTS_POLL_INTERVAL);
+                console.log('🔔 Canal de notification ouvert - polling ralenti');
+            },
+            onEvent: (event) => {
+                if (event.type === 'mailbox' || (event.type === 'ready' && event.data && event.data.pending > 0)) {
+                    this._scheduleTick();
+                }
+            },
+            onClose: (error) => {
+                this.eventChannel = null;
+                if (!this.isRunning) return;
+
+                this._setPollInterval(this.pollIntervalMs);
+
+                // Relais sans canal, ou appareil révoqué : pas de reconnexion
+                if (error && (error.error === 'not_found' || error.httpStatus === 401 || error.httpStatus === 403)) {
+                    console.log(`ℹ️ Canal de notification indisponible (${error.error}) - polling uniquement`);
+                    return;
+                }
+
+                this.eventRetryMs = Math.min((this.eventRetryMs || 5000) * 2, SyncManager.EVENTS_RETRY_MAX);
+                console.warn(`⚠️ Canal de notification fermé, nouvel essai dans ${this.eventRetryMs / 1000}s`, error || '');
+                this.eventRetryTimer = setTimeout(() => this.startEventChannel(), this.eventRetryMs);
+            }
+        });
+    }
+
+    /**
+     * Enregistre la synchronisation périodique auprès du service worker (sw.js)
+     * Periodic Background Sync n'existe que pour une PWA installée (navigateurs Chromium)
+     * et si le navigateur l'autorise : sinon la sync reste limitée aux pages ouvertes
+     * @returns {boolean} true si la synchronisation périodique est active
+     */
+    async registerBackgroundSync() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+            return false;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) {
+                console.log('ℹ️ Periodic Background Sync non supporté');
+                return false;
+            }
+
+            const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (permission.state !== 'granted') {
+                console.log('ℹ️ Periodic Background Sync non autorisé par le navigateur');
+                return false;
+            }
+
+            await registration.periodicSync.register(SyncManager.PERIODIC_SYNC_TAG, {
+                minInterval: SyncManager.PERIODIC_SYNC_INTERVAL_HOURS * 60 * 60 * 1000
+            });
+            console.log(`🔄 Periodic Background Sync enregistré (${SyncManager.PERIODIC_SYNC_INTERVAL_HOURS} h)`);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Periodic Background Sync indisponible:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Demande au service worker une synchronisation dès que le réseau est disponible,
+     * même si l'application est fermée entre-temps (Background Sync)
+     * Appelé quand la page passe en arrière-plan avec des modifications en attente
+     * @returns {boolean} true si la demande a été enregistrée
+     */
+    async requestBackgroundSync() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+            return false;
+        }
+
+        try {
+            if (await this.getPendingCount() === 0) {
+                return false;
+            }
+
+            const registration = await navigator.serviceWorker.ready;
+            if (!('sync' in registration)) {
+                return false;
+            }
+
+            await registration.sync.register(SyncManager.BACKGROUND_SYNC_TAG);
+            console.log('📤 Background Sync demandé au service worker');
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Background Sync indisponible:', error);
+            return false;
+        }
     }
 
     /**
@@ -257,10 +513,16 @@ class SyncManager {
             return { success: false, pushed: 0, error: 'invalid_config' };
         }
 
-        // Récupérer les entrées non synchronisées de la queue
-        const pending = await this.db.getAll('SYNC_QUEUE', 'synced', 0);
+        // Récupérer les entrées non synchronisées de la queue (un lot limité en taille)
+        const queued = await this.db.getAll('SYNC_QUEUE', 'synced', 0);
+        const pending = this._nextPushBatch(queued);
 
-        if (pending.length === 0) {
+        // Esclave sans modification : requête vide de temps en temps pour que le maître
+        // sache qu'il est à jour (accusé de réception des tombstones)
+        const ackDue = config.role === 'slave' &&
+            Date.now() - (config.last_push_at || 0) > SyncManager.ACK_INTERVAL_HOURS * 60 * 60 * 1000;
+
+        if (pending.length === 0 && !ackDue) {
             console.log('📤 PUSH: No pending changes');
             return { success: true, pushed: 0 };
         }
@@ -268,16 +530,19 @@ class SyncManager {
         console.log(`📤 PUSH: ${pending.length} changes to sync`);
 
         try {
-            // Chiffrer le payload
+            // Chiffrer le payload (ts renvoyé par le maître dans SYNC_RESPONSE.request_ts)
+            // received_until : données du maître appliquées par l'esclave (accusé des tombstones)
+            const pushedAt = Date.now();
             const encrypted = await this.crypto.encrypt({
                 type: 'SYNC_REQUEST',
                 changes: pending,
-                ts: Date.now(),
+                ts: pushedAt,
+                received_until: config.received_until || 0,
                 schema_version: config.cluster_schema_version || 1
             }, this.encryptionKey);
 
             // Envoyer au serveur (master ou broadcast selon role)
-            // Master s'envoie à lui-même → serveur broadcaste aux slaves
+            // Master s'envoie à lui-même → le relais dépose une copie chez chaque esclave actif
             // Slave envoie directement au master
             const targetDevice = config.role === 'slave' ? config.master_id : config.device_id;
 
@@ -292,14 +557,30 @@ class SyncManager {
             if (result.success) {
                 for (const entry of pending) {
                     entry.synced = 1;
+                    entry.pushed_at = pushedAt;
                     await this.db.put('SYNC_QUEUE', entry);
                 }
+                await this._saveConfig({ last_push_at: pushedAt });
                 console.log(`✅ PUSH successful: ${pending.length} changes synced`);
+
+                if (queued.length > pending.length) {
+                    console.log(`📤 PUSH: ${queued.length - pending.length} changes left for the next batch`);
+                    this._scheduleTick();
+                }
             } else {
                 console.error('❌ PUSH failed:', result.error || result.message);
             }
 
-            return { success: result.success, pushed: pending.length };
+            return {
+                success: result.success,
+                pushed: pending.length,
+                records: pending.map(entry => ({
+                    sync_id: entry.id,
+                    store_name: entry.store_name,
+                    record_id: entry.record_id,
+                    operation: entry.operation
+                }))
+            };
 
         } catch (error) {
             console.error('❌ PUSH error:', error);
@@ -307,6 +588,25 @@ class SyncManager {
         }
     }
 
+    /**
+     * Premières entrées de la queue (ordre chronologique) tenant dans PUSH_MAX_BYTES
+     * Une entrée plus grosse que la limite part seule.
+     * @private
+     */
+    _nextPushBatch(entries) {
+        const sorted = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+        const batch = [];
+        let size = 0;
+
+        for (const entry of sorted) {
+            const entrySize = JSON.stringify(entry).length;
+            if (batch.length > 0 && size + entrySize > SyncManager.PUSH_MAX_BYTES) break;
+            batch.push(entry);
+            size += entrySize;
+        }
+        return batch;
+    }
+
     /**
      * PULL: Récupère les changements depuis le serveur
      * Phase 1: Récupère et déchiffre les messages
@@ -349,25 +649,47 @@ class SyncManager {
             let processed = 0;
             let pulled = 0;
             const errors = [];
-            const metrics = { conflicts: 0 };
+            const metrics = { conflicts: 0, conflictDetails: [], records: [] };
+            // Après un message mal appliqué, ne plus avancer received_until (boîte FIFO)
+            let ackBlocked = false;
 
             for (const msg of result.messages) {
                 try {
-                    const decrypted = await this.crypto.decrypt(
-                        msg.payload,
-                        this.encryptionKey
-                    );
+                    const decrypted = await this.decryptMessage(msg.payload);
 
                     console.log(`📨 Processing message from ${msg.from}: ${decrypted.type}`);
 
-                    // Traiter SYNC_REQUEST (maître uniquement)
+                    // Traiter SYNC_REQUEST : requête d'un esclave (maître) ou diffusion du maître (esclave)
                     if (decrypted.type === 'SYNC_REQUEST') {
                         if (config.role === 'master') {
                             console.log(`  📊 Processing ${decrypted.changes?.length || 0} changes from slave`);
-                            await this.processSyncRequest(decrypted, msg.from);
+                            const results = await this.processSyncRequest(decrypted, msg.from);
+                            metrics.records.push(...this._describeResults(results || [], msg.from));
+                            const details = this._collectConflicts(results || [], msg.from, false);
+                            metrics.conflicts += details.length;
+                            metrics.conflictDetails.push(...details);
+                            pulled++;
+                        } else if (msg.from === config.master_id) {
+                            console.log(`  📊 Applying ${decrypted.changes?.length || 0} changes from master`);
+                            const results = await this.applyMasterChanges(decrypted);
+                            ackBlocked = ackBlocked || results.some(result => result.status === 'ERROR');
+                            if (!ackBlocked) {
+                                await this._saveConfig({
+                                    received_until: Math.max(this.config.received_until || 0, decrypted.ts || 0)
+                                });
+                                Object.assign(config, this.config);
+                            }
+                            metrics.records.push(...this._describeResults(results, msg.from));
+                            // Merge calculé ici : local/remote sont déjà du point de vue de l'esclave
+                            const details = this._collectConflicts(results, msg.from, false);
+                            metrics.conflicts += details.length;
+                            metrics.conflictDetails.push(...details);
+                            errors.push(...results
+                                .filter(result => result.status === 'ERROR')
+                                .map(result => ({ sync_id: result.sync_id, error: result.error })));
                             pulled++;
                         } else {
-                            console.warn('  ⚠️ SYNC_REQUEST reçu mais cet appareil n\'est pas maître');
+                            console.warn(`  ⚠️ SYNC_REQUEST ignoré : ${msg.from} n'est pas le maître du cluster`);
                         }
                     }
                     // Traiter SYNC_RESPONSE
@@ -399,14 +721,30 @@ class SyncManager {
 
                         console.log(`  ✅ Applied ${applied}/${results.length} results, ${conflicts.length} conflicts resolved`);
 
-                        // Ajouter aux métriques
+                        // Requête acquittée + horizon des tombstones du cluster (voir compact())
+                        // + données du maître reçues jusqu'à ts si tout a été appliqué
+                        ackBlocked = ackBlocked || applied < results.length;
+                        await this._saveConfig({
+                            last_acked_push: Math.max(this.config.last_acked_push || 0, decrypted.request_ts || 0),
+                            tombstone_horizon: decrypted.tombstone_horizon ?? this.config.tombstone_horizon ?? 0,
+                            received_until: ackBlocked
+                                ? (this.config.received_until || 0)
+                                : Math.max(this.config.received_until || 0, decrypted.ts || 0)
+                        });
+                        Object.assign(config, this.config);
+
+                        // Ajouter aux métriques (les champs en conflit du merge 3 voies sont à revoir)
+                        metrics.records.push(...this._describeResults(results, msg.from));
+                        const details = this._collectConflicts(results, msg.from, true);
                         pulled++;
-                        metrics.conflicts += conflicts.length;
+                        metrics.conflicts += conflicts.length + details.length;
+                        metrics.conflictDetails.push(...details);
                     }
                     // Traiter CLUSTER_UPDATE
                     else if (decrypted.type === 'CLUSTER_UPDATE') {
-                        console.log('  🔔 Cluster update received');
-                        // TODO Phase 4: Gérer révocations, changements de maître, etc.
+                        console.log(`  🔔 Cluster update received: ${decrypted.action || 'unknown'}`);
+                        await this.applyClusterUpdate(decrypted, msg.from);
+                        Object.assign(config, this.config);
                         pulled++;
                     }
                     // Phase 4: Traiter BOOTSTRAP_BATCH (normalement géré par _pollBootstrapBatches)
@@ -434,6 +772,7 @@ class SyncManager {
                 } catch (error) {
                     console.error(`❌ Failed to process message ${msg.message_id}:`, error);
                     errors.push({ message_id: msg.message_id, error: error.message });
+                    ackBlocked = true;
                 }
             }
 
@@ -448,6 +787,8 @@ class SyncManager {
                 pulled: pulled,
                 total: result.messages.length,
                 conflicts: metrics.conflicts,
+                conflictDetails: metrics.conflictDetails,
+                records: metrics.records,
                 errors: errors.length > 0 ? errors : undefined
             };
 
@@ -459,59 +800,106 @@ class SyncManager {
 
     /**
      * Résout un conflit entre version locale et distante
-     * Phase 3: Algorithme complet de résolution
+     * Merge 3 voies champ par champ à partir de l'ancêtre commun (base)
      * Règles:
      * 1. DELETE gagne toujours
-     * 2. Timestamps updated_at décident
-     * 3. Égalité → maître gagne (si role=master)
+     * 2. Champ modifié d'un seul côté → cette modification est gardée
+     * 3. Champ modifié des deux côtés → timestamps updated_at décident,
+     *    égalité → maître gagne ; le champ est signalé pour revue
+     * Sans base (ancien client, création), le record entier suit les règles 3.
      * @param {Object} local - Version locale du record
      * @param {Object} remote - Version distante du record
-     * @returns {Object} Version gagnante après résolution
+     * @param {Object|null} base - Version commune d'avant les modifications
+     * @returns {Object} { record, conflicts: [{ field, base, local, remote, winner }] }
      */
-    async handleConflict(local, remote) {
+    async handleConflict(local, remote, base = null) {
         console.log('⚔️ Résolution conflit:', {
             local_ts: local?.updated_at,
-            remote_ts: remote?.updated_at
+            remote_ts: remote?.updated_at,
+            base_rev: base?.rev || null
         });
 
         // Règle 1: DELETE explicite gagne toujours
         if (remote && (remote.is_deleted === 1 || !remote)) {
             console.log('  🗑️ DELETE wins (remote)');
-            return { ...local, is_deleted: 1 };
+            return { record: { ...local, is_deleted: 1 }, conflicts: [] };
         }
 
         if (local && (local.is_deleted === 1 || !local)) {
             console.log('  🗑️ DELETE wins (local)');
-            return remote;
+            return { record: remote, conflicts: [] };
         }
 
-        // Règle 2: Comparaison timestamps
+        // Côté gagnant pour les champs modifiés des deux côtés
         const localTime = local?.updated_at || 0;
         const remoteTime = remote?.updated_at || 0;
 
         // Sécurité: rejeter timestamps trop dans le futur (horloge décalée)
         const MAX_CLOCK_DRIFT = 5 * 60 * 1000; // 5 minutes
+        let winner;
         if (remoteTime > Date.now() + MAX_CLOCK_DRIFT) {
             console.warn('  ⚠️ Remote timestamp trop dans le futur, rejeté');
-            return local;
+            winner = 'local';
+        } else if (remoteTime !== localTime) {
+            winner = remoteTime > localTime ? 'remote' : 'local';
+        } else {
+            // Égalité parfaite → maître gagne
+            winner = this.config && this.config.role === 'master' ? 'local' : 'remote';
         }
 
-        if (remoteTime > localTime) {
-            console.log(`  ✅ Remote wins (${remoteTime} > ${localTime})`);
-            return remote;
-        } else if (remoteTime < localTime) {
-            console.log(`  ✅ Local wins (${localTime} > ${remoteTime})`);
-            return local;
+        if (!base) {
+            console.log(`  ✅ ${winner === 'remote' ? 'Remote' : 'Local'} wins (${remoteTime} / ${localTime})`);
+            return { record: winner === 'remote' ? remote : local, conflicts: [] };
         }
 
-        // Règle 3: Égalité parfaite → maître gagne
-        if (this.config && this.config.role === 'master') {
-            console.log('  👑 Master wins (equal timestamps)');
-            return local;
-        } else {
-            console.log('  👑 Master wins (equal timestamps, slave defers)');
-            return remote;
+        const record = { ...local };
+        const conflicts = [];
+        const fields = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base)]);
+
+        for (const field of fields) {
+            if (SyncManager.MERGE_IGNORED_FIELDS.includes(field)) continue;
+
+            const localValue = local[field];
+            const remoteValue = remote[field];
+            const baseValue = base[field];
+
+            if (this._sameValue(localValue, remoteValue) || this._sameValue(remoteValue, baseValue)) {
+                continue; // Identiques, ou seul le local a changé
+            }
+            if (this._sameValue(localValue, baseValue)) {
+                record[field] = remoteValue; // Seul le distant a changé
+                continue;
+            }
+
+            // Modifié des deux côtés
+            if (winner === 'remote') {
+                record[field] = remoteValue;
+            }
+            conflicts.push({
+                field,
+                base: baseValue === undefined ? null : baseValue,
+                local: localValue === undefined ? null : localValue,
+                remote: remoteValue === undefined ? null : remoteValue,
+                winner
+            });
+        }
+
+        console.log(`  🔀 Merge 3 voies: ${conflicts.length} champ(s) en conflit`);
+        return { record, conflicts };
+    }
+
+    /**
+     * Compare deux valeurs de champ (valeurs simples ou ventilations)
+     * @private
+     */
+    _sameValue(a, b) {
+        if (a === undefined) a = null;
+        if (b === undefined) b = null;
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+            return false;
         }
+        return JSON.stringify(a) === JSON.stringify(b);
     }
 
     /**
@@ -520,13 +908,21 @@ class SyncManager {
      * Phase 4: Détecte les requêtes de bootstrap initial et envoie toutes les données
      * @param {Object} data - Payload SYNC_REQUEST déchiffré
      * @param {string} fromDevice - ID de l'appareil esclave
+     * @returns {Array} Résultats des merges (vide pour un bootstrap)
      */
     async processSyncRequest(data, fromDevice) {
         if (!this.config || this.config.role !== 'master') {
             console.error('❌ processSyncRequest appelé mais cet appareil n\'est pas maître');
-            return;
+            return [];
         }
 
+        // Accusé de réception : l'esclave a appliqué les données du maître jusqu'à received_until
+        // (absent chez un ancien client → 0, la purge des tombstones reste bloquée)
+        const acks = this.config.device_acks || {};
+        await this._saveConfig({
+            device_acks: { ...acks, [fromDevice]: Math.max(acks[fromDevice] || 0, data.received_until || 0) }
+        });
+
         // NOUVEAU : Détecter requête de bootstrap initial
         if (data.initial_sync === true && data.stage) {
             console.log(`📦 BOOTSTRAP REQUEST de ${fromDevice}: stage ${data.stage}`);
@@ -548,7 +944,7 @@ class SyncManager {
                 await this._sendBootstrapError(fromDevice, data.stage, error.message);
             }
 
-            return;  // Terminer ici pour les requêtes de bootstrap
+            return [];  // Terminer ici pour les requêtes de bootstrap
         }
 
         // EXISTANT : Traitement normal des changements
@@ -567,6 +963,7 @@ class SyncManager {
                     sync_id: change.id,
                     status: 'ERROR',
                     record_id: change.record_id,
+                    store_name: change.store_name,
                     error: error.message
                 });
             }
@@ -579,6 +976,8 @@ class SyncManager {
             type: 'SYNC_RESPONSE',
             schema_version: data.schema_version || 1,
             results: results,
+            request_ts: data.ts || null,
+            tombstone_horizon: this.config.tombstone_horizon || 0,
             ts: Date.now()
         };
 
@@ -601,11 +1000,43 @@ class SyncManager {
         } catch (error) {
             console.error(`❌ Erreur lors de l'envoi SYNC_RESPONSE:`, error);
         }
+
+        return results;
     }
 
     /**
-     * Fusionne un changement esclave avec la base de données maître
-     * Phase 3: Résolution de conflits côté master
+     * Applique côté esclave les changements diffusés par le maître (SYNC_REQUEST du maître)
+     * Même fusion que côté maître : à égalité, la version du maître l'emporte.
+     * Les modifications locales en attente partiront au prochain push et seront fusionnées par le maître.
+     * @param {Object} data - Payload SYNC_REQUEST déchiffré
+     * @returns {Array} Résultats des merges
+     */
+    async applyMasterChanges(data) {
+        const results = [];
+
+        for (const change of (data.changes || [])) {
+            try {
+                results.push(await this.mergeChange(change));
+            } catch (error) {
+                console.error(`❌ Erreur mergeChange pour ${change.id}:`, error);
+                results.push({
+                    sync_id: change.id,
+                    status: 'ERROR',
+                    record_id: change.record_id,
+                    store_name: change.store_name,
+                    error: error.message
+                });
+            }
+        }
+
+        console.log(`✅ ${results.length} changements du maître appliqués`);
+        return results;
+    }
+
+    /**
+     * Fusionne un changement distant avec la base locale
+     * Phase 3: Résolution de conflits côté master (changements esclaves),
+     * également utilisée côté esclave pour les changements diffusés par le maître
      * @param {Object} change - Changement de SYNC_QUEUE
      * @returns {Object} Résultat du merge
      */
@@ -619,12 +1050,16 @@ class SyncManager {
             // Récupérer le mouvement avant suppression pour mettre à jour le solde
             const existingBeforeDelete = await this.db.get(storeName, recordId);
 
-            await this.db.softDelete(storeName, recordId);
+            // Enregistrement jamais reçu ou déjà supprimé ici : rien à faire (solde inchangé)
+            const deletable = existingBeforeDelete && existingBeforeDelete.is_deleted !== 1;
+            if (deletable) {
+                await this.db.softDelete(storeName, recordId);
+            }
 
             console.log(`  🗑️ DELETE accepted: ${storeName}/${recordId}`);
 
             // Mettre à jour le solde du compte pour un mouvement supprimé
-            if (storeName === 'MOUVEMENTS' && existingBeforeDelete && existingBeforeDelete.account_id && typeof existingBeforeDelete.amount === 'number') {
+            if (storeName === 'MOUVEMENTS' && deletable && existingBeforeDelete.account_id && typeof existingBeforeDelete.amount === 'number') {
                 await this._updateAccountBalanceForSync(existingBeforeDelete.account_id, -existingBeforeDelete.amount);
             }
 
@@ -675,10 +1110,35 @@ class SyncManager {
             };
         }
 
-        // 3. UPDATE : comparaison timestamps
+        // 3. UPDATE avec ancêtre commun : merge 3 voies champ par champ
+        if (change.base) {
+            const { record, conflicts } = await this.handleConflict(existing, incoming, change.base);
+
+            await this.db.putWithMeta(storeName, record);
+            const merged = await this.db.get(storeName, recordId);
+
+            if (storeName === 'MOUVEMENTS') {
+                await this._updateMovementBalanceForSync(existing, merged);
+            }
+
+            console.log(`  🔀 MERGED: ${storeName}/${recordId} (${conflicts.length} conflit(s))`);
+
+            return {
+                sync_id: change.id,
+                status: 'MERGED',
+                record_id: recordId,
+                store_name: storeName,
+                winner: merged,
+                conflicts: conflicts
+            };
+        }
+
+        // 3b. UPDATE sans ancêtre (ancien client) : comparaison timestamps
+        // Côté esclave, le changement entrant vient du maître : il gagne aussi à égalité (règle 3)
         const masterTime = existing.updated_at || 0;
+        const incomingWinsTie = this.config.role === 'slave';
 
-        if (incomingTime > masterTime) {
+        if (incomingTime > masterTime || (incomingTime === masterTime && incomingWinsTie)) {
             // Esclave gagne
             await this.db.put(storeName, incoming);
 
@@ -763,6 +1223,166 @@ class SyncManager {
         }
     }
 
+    /**
+     * Compacte la file de synchronisation et purge les tombstones
+     * - Fusionne les entrées en attente d'un même enregistrement
+     * - Supprime les entrées envoyées dont la requête a été acquittée par le maître
+     * - Supprime définitivement les enregistrements supprimés (is_deleted = 1) acquittés par tout le cluster
+     * @param {Object} options - { force: ignorer COMPACTION_INTERVAL_HOURS }
+     * @returns {Object|null} { coalesced, purged, tombstones } ou null si pas encore l'heure
+     */
+    async compact({ force = false } = {}) {
+        const startTime = Date.now();
+        const interval = SyncManager.COMPACTION_INTERVAL_HOURS * 60 * 60 * 1000;
+        if (!force && startTime - (this.config.last_compaction_at || 0) < interval) {
+            return null;
+        }
+
+        const stats = {
+            coalesced: await this._coalesceQueue(),
+            purged: await this._purgeAcknowledged(),
+            tombstones: 0
+        };
+
+        if (this.config.role === 'master') {
+            await this._updateTombstoneHorizon();
+        }
+        stats.tombstones = await this._collectTombstones(this.config.tombstone_horizon || 0);
+
+        await this._saveConfig({ last_compaction_at: startTime });
+
+        if (stats.coalesced + stats.purged + stats.tombstones > 0) {
+            console.log(`🧹 Compaction: ${stats.coalesced} fusionnées, ${stats.purged} purgées, ${stats.tombstones} tombstones`);
+            await this.logSync('COMPACTION', {
+                duration: Date.now() - startTime,
+                details: { compaction: stats }
+            });
+        }
+
+        return stats;
+    }
+
+    /**
+     * Fusionne les entrées en attente (synced = 0) d'un même enregistrement :
+     * première position et premier ancêtre, dernières données.
+     * CREATE puis DELETE avant tout envoi → plus rien à envoyer.
+     * @returns {number} Entrées supprimées
+     * @private
+     */
+    async _coalesceQueue() {
+        const pending = (await this.db.getAll('SYNC_QUEUE', 'synced', 0))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        const groups = new Map();
+        for (const entry of pending) {
+            const key = `${entry.store_name}/${entry.record_id}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        }
+
+        let removed = 0;
+        for (const entries of groups.values()) {
+            if (entries.length < 2) continue;
+
+            const first = entries[0];
+            const last = entries[entries.length - 1];
+
+            if (first.operation === 'CREATE' && last.operation === 'DELETE') {
+                for (const entry of entries) {
+                    await this.db.delete('SYNC_QUEUE', entry.id);
+                }
+                removed += entries.length;
+                continue;
+            }
+
+            await this.db.put('SYNC_QUEUE', {
+                ...first,
+                operation: first.operation === 'CREATE' ? 'CREATE' : last.operation,
+                data: last.data,
+                base: first.base || null
+            });
+            for (const entry of entries.slice(1)) {
+                await this.db.delete('SYNC_QUEUE', entry.id);
+            }
+            removed += entries.length - 1;
+        }
+
+        return removed;
+    }
+
+    /**
+     * Supprime les entrées envoyées (synced = 1) d'une requête acquittée par le maître.
+     * La boîte aux lettres du relais est FIFO : une réponse à une requête
+     * vaut aussi pour les requêtes envoyées avant elle.
+     * @returns {number} Entrées supprimées
+     * @private
+     */
+    async _purgeAcknowledged() {
+        const ackedUpTo = this.config.last_acked_push || 0;
+        if (!ackedUpTo) return 0;
+
+        const unconfirmed = await this.db.getAll('SYNC_QUEUE', 'synced', 1);
+        let removed = 0;
+        for (const entry of unconfirmed) {
+            if ((entry.pushed_at || entry.timestamp) <= ackedUpTo) {
+                await this.db.delete('SYNC_QUEUE', entry.id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Maître : horizon des tombstones = plus ancien accusé de réception des appareils actifs
+     * (received_until de leur dernière SYNC_REQUEST). Un appareil qui n'a encore rien acquitté bloque la purge.
+     * @private
+     */
+    async _updateTombstoneHorizon() {
+        const devicesResult = await this.network.getDevices(this.config.device_id, this.config.device_token);
+        if (!devicesResult.success) {
+            console.warn('⚠️ Liste des appareils indisponible, horizon des tombstones inchangé');
+            return;
+        }
+
+        const acks = this.config.device_acks || {};
+        let horizon = Date.now();
+        for (const device of (devicesResult.devices || [])) {
+            if (device.device_id === this.config.device_id) continue;
+            horizon = Math.min(horizon, acks[device.device_id] || 0);
+        }
+
+        await this._saveConfig({ tombstone_horizon: horizon });
+    }
+
+    /**
+     * Supprime définitivement les enregistrements supprimés avant l'horizon du cluster
+     * (et depuis au moins TOMBSTONE_RETENTION_DAYS), sauf s'ils sont encore dans SYNC_QUEUE
+     * @param {number} horizon - Suppressions acquittées par tous les appareils jusqu'à cette date
+     * @returns {number} Enregistrements supprimés
+     * @private
+     */
+    async _collectTombstones(horizon) {
+        if (!horizon) return 0;
+
+        const limit = Math.min(horizon, Date.now() - SyncManager.TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const queued = new Set(
+            (await this.db.getAll('SYNC_QUEUE')).map(entry => `${entry.store_name}/${entry.record_id}`)
+        );
+
+        let removed = 0;
+        for (const storeName of SyncManager.SYNCED_STORES) {
+            const tombstones = await this.db.getAll(storeName, 'is_deleted', 1);
+            for (const record of tombstones) {
+                const deletedAt = record.deleted_at || record.updated_at || 0;
+                if (deletedAt >= limit || queued.has(`${storeName}/${record.id}`)) continue;
+
+                await this.db.delete(storeName, record.id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
     /**
      * Efface la queue de synchronisation
      * ATTENTION: Opération destructive, utiliser avec précaution
@@ -826,7 +1446,7 @@ class SyncManager {
 
         // Pour les mouvements, gérer la mise à jour du solde du compte
         let oldMovement = null;
-        if (storeName === 'MOUVEMENTS' && (status === 'UPDATED' || status === 'DELETED' || status === 'CONFLICT_MASTER' || status === 'CONFLICT_EQUAL_MASTER')) {
+        if (storeName === 'MOUVEMENTS' && (status === 'UPDATED' || status === 'MERGED' || status === 'DELETED' || status === 'CONFLICT_MASTER' || status === 'CONFLICT_EQUAL_MASTER')) {
             // Récupérer l'ancien mouvement pour calculer la différence
             oldMovement = await this.db.get('MOUVEMENTS', record_id);
         }
@@ -862,6 +1482,18 @@ class SyncManager {
                 }
                 break;
 
+            case 'MERGED':
+                // Merge 3 voies fait par le maître, appliquer la version fusionnée
+                if (winner) {
+                    await this.db.put(storeName, winner);
+                    console.log(`  🔀 Applied ${status}: ${storeName}/${record_id}`);
+
+                    if (storeName === 'MOUVEMENTS') {
+                        await this._updateMovementBalanceForSync(oldMovement, winner);
+                    }
+                }
+                break;
+
             case 'DELETED':
                 // Delete accepté
                 await this.db.softDelete(storeName, record_id);
@@ -918,7 +1550,7 @@ class SyncManager {
         }
 
         // Émettre événement pour rafraîchir l'UI si changement important
-        if (status === 'CREATED' || status === 'UPDATED' || status === 'DELETED') {
+        if (status === 'CREATED' || status === 'UPDATED' || status === 'MERGED' || status === 'DELETED') {
             window.dispatchEvent(new CustomEvent('sync-data-changed', {
                 detail: { storeName, recordId: record_id, status }
             }));
@@ -948,22 +1580,103 @@ class SyncManager {
         }
     }
 
+    /**
+     * Répercute sur les soldes le passage d'un mouvement d'une version à une autre
+     * (montant et/ou compte modifiés)
+     * @param {Object|null} before - Mouvement avant
+     * @param {Object} after - Mouvement après
+     * @private
+     */
+    async _updateMovementBalanceForSync(before, after) {
+        const oldAmount = before && typeof before.amount === 'number' ? before.amount : 0;
+        const newAmount = typeof after.amount === 'number' ? after.amount : 0;
+
+        if (before && before.account_id && before.account_id !== after.account_id) {
+            await this._updateAccountBalanceForSync(before.account_id, -oldAmount);
+            await this._updateAccountBalanceForSync(after.account_id, newAmount);
+        } else if (after.account_id && newAmount !== oldAmount) {
+            await this._updateAccountBalanceForSync(after.account_id, newAmount - oldAmount);
+        }
+    }
+
+    /**
+     * Extrait des résultats de merge les champs en conflit à faire revoir par l'utilisateur
+     * @param {Array} results - Résultats de mergeChange()
+     * @param {string} otherDevice - Appareil à l'origine de l'autre version
+     * @param {boolean} fromMaster - true côté esclave : local/remote sont inversés
+     * @returns {Array} Conflits au format SYNC_LOG.conflicts
+     * @private
+     */
+    _collectConflicts(results, otherDevice, fromMaster) {
+        const flip = { local: 'remote', remote: 'local' };
+
+        return results
+            .filter(result => result.status === 'MERGED' && result.conflicts && result.conflicts.length > 0)
+            .map(result => ({
+                id: `conflict_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                store_name: result.store_name,
+                record_id: result.record_id,
+                other_device: otherDevice,
+                fields: result.conflicts.map(conflict => fromMaster
+                    ? { field: conflict.field, base: conflict.base, local: conflict.remote, remote: conflict.local, winner: flip[conflict.winner] }
+                    : { ...conflict }),
+                resolved_at: null
+            }));
+    }
+
+    /**
+     * Résumé des résultats de merge pour le détail de SYNC_LOG
+     * @param {Array} results - Résultats de mergeChange()
+     * @param {string} otherDevice - Appareil à l'origine de l'échange
+     * @private
+     */
+    _describeResults(results, otherDevice) {
+        return results.map(result => ({
+            sync_id: result.sync_id,
+            store_name: result.store_name || null,
+            record_id: result.record_id,
+            status: result.status,
+            device: otherDevice,
+            error: result.error || null
+        }));
+    }
+
     /**
      * Enregistre une entrée dans SYNC_LOG
      * Phase 3: Traçage des syncs
-     * @param {string} type - 'SYNC_SUCCESS', 'SYNC_ERROR', 'CONFLICT'
+     * Les champs status et sync_type alimentent les index du store (filtres du journal)
+     * @param {string} type - 'SYNC_SUCCESS', 'SYNC_ERROR', 'CONFLICT', 'MASTER_PROMOTED', 'KEY_ROTATED', 'COMPACTION'
      * @param {Object} data - Données du log
      */
     async logSync(type, data) {
+        const conflicts = data.conflictDetails || [];
+        let status = 'SUCCESS';
+        if (type === 'SYNC_ERROR') {
+            status = 'ERROR';
+        } else if (conflicts.length > 0 || type === 'CONFLICT') {
+            status = 'CONFLICT';
+        }
+        const limit = SyncManager.LOG_DETAIL_LIMIT;
+        const details = data.details || {};
+
         try {
             await this.db.put('SYNC_LOG', {
                 id: `log_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
                 type: type,
+                sync_type: type.startsWith('SYNC_') ? 'SYNC' : type,
+                status: status,
                 duration: data.duration || null,
                 items_pushed: data.pushed || 0,
                 items_pulled: data.pulled || 0,
-                conflicts: data.conflicts || 0,
+                conflicts: conflicts, // Champs en conflit à revoir (voir _collectConflicts)
+                conflicts_count: data.conflicts || 0,
                 error: data.error || null,
+                details: {
+                    pushed: (details.pushed || []).slice(0, limit),
+                    pulled: (details.pulled || []).slice(0, limit),
+                    errors: (details.errors || []).slice(0, limit),
+                    compaction: details.compaction || null
+                },
                 timestamp: Date.now()
             });
 
@@ -987,6 +1700,7 @@ class SyncManager {
 
             if (result.success) {
                 console.log('💓 Heartbeat OK:', result.cluster_status);
+                await this.handleClusterStatus(result.cluster_status);
             }
         } catch (err) {
             console.warn('💔 Heartbeat failed:', err.message);
@@ -994,19 +1708,370 @@ class SyncManager {
         }
     }
 
+    /**
+     * Déchiffre un message, avec repli sur la clé précédente après un re-key
+     * (un appareil peut encore envoyer avec l'ancienne clé tant qu'il n'a pas reçu la nouvelle).
+     * Passé KEY_GRACE_DAYS, l'ancienne clé est oubliée et ses messages refusés.
+     * @param {Object} payload - Payload chiffré
+     * @returns {Object} Message déchiffré
+     */
+    async decryptMessage(payload) {
+        try {
+            return await this.crypto.decrypt(payload, this.encryptionKey);
+        } catch (error) {
+            if (!this.previousEncryptionKey) throw error;
+
+            if (!this.isInKeyGracePeriod(this.config)) {
+                await this.forgetPreviousKey();
+                throw new Error('Message chiffré avec une ancienne clé (délai de grâce dépassé) - refusé');
+            }
+
+            console.log('  🔑 Déchiffrement avec la clé précédente');
+            return await this.crypto.decrypt(payload, this.previousEncryptionKey);
+        }
+    }
+
+    /**
+     * L'ancienne clé est-elle encore acceptée ?
+     * @param {Object} config - SYNC_CONFIG
+     * @returns {boolean}
+     */
+    isInKeyGracePeriod(config) {
+        return !!config.key_rotated_at &&
+            Date.now() - config.key_rotated_at < SyncManager.KEY_GRACE_DAYS * 86400000;
+    }
+
+    /**
+     * Oublie l'ancienne clé (fin du délai de grâce)
+     */
+    async forgetPreviousKey() {
+        this.previousEncryptionKey = null;
+        await this._saveConfig({ previous_encryption_key: null });
+        console.log('🔑 Ancienne clé de chiffrement oubliée (délai de grâce dépassé)');
+    }
+
+    /**
+     * Renvoie les changements restés sans réponse (destinataire changé ou message refusé)
+     * @private
+     */
+    async _requeueUnconfirmed() {
+        const unconfirmed = await this.db.getAll('SYNC_QUEUE', 'synced', 1);
+        for (const entry of unconfirmed) {
+            await this.db.put('SYNC_QUEUE', { ...entry, synced: 0 });
+        }
+        return unconfirmed.length;
+    }
+
+    /**
+     * Exploite l'état du cluster renvoyé par le heartbeat
+     * - Maître changé (promotion ailleurs, ou cet appareil rétrogradé) → SYNC_CONFIG mis à jour
+     * - Maître silencieux depuis MASTER_SILENT_DAYS → événement 'sync-master-silent'
+     * @param {Object} status - cluster_status
+     */
+    async handleClusterStatus(status) {
+        if (!status) return;
+        this.clusterStatus = { ...status, checked_at: Date.now() };
+
+        if (status.master_id && status.master_id !== this.config.master_id) {
+            await this.applyMasterChange(status.master_id);
+        }
+
+        if (this.config.role !== 'slave') return;
+
+        const silentFor = this.getMasterSilence(status);
+        if (silentFor !== null) {
+            console.warn(`⚠️ Maître silencieux depuis ${Math.floor(silentFor / 86400000)} jour(s)`);
+            window.dispatchEvent(new CustomEvent('sync-master-silent', {
+                detail: { masterId: status.master_id, lastSeen: status.master_last_seen, silentFor }
+            }));
+        }
+    }
+
+    /**
+     * Durée de silence du maître si elle dépasse MASTER_SILENT_DAYS
+     * @param {Object} status - cluster_status
+     * @returns {number|null} Durée en ms, null si le maître est considéré actif
+     */
+    getMasterSilence(status) {
+        if (!status) return null;
+
+        // Maître révoqué : plus de maître dans le cluster
+        if (!status.master_id) return Infinity;
+
+        const silentFor = Date.now() - (status.master_last_seen || 0);
+        return silentFor >= SyncManager.MASTER_SILENT_DAYS * 86400000 ? silentFor : null;
+    }
+
+    /**
+     * Applique un changement de maître à SYNC_CONFIG
+     * Les changements en attente de réponse de l'ancien maître sont renvoyés
+     * @param {string} masterId - Nouveau maître
+     */
+    async applyMasterChange(masterId) {
+        const previousMasterId = this.config.master_id;
+        const role = masterId === this.config.device_id ? 'master' : 'slave';
+
+        await this._saveConfig({ master_id: masterId, role: role });
+
+        // Les changements envoyés à l'ancien maître sans réponse repartent vers le nouveau
+        await this._requeueUnconfirmed();
+
+        console.log(`👑 Nouveau maître: ${masterId} (ancien: ${previousMasterId}) - rôle local: ${role}`);
+
+        window.dispatchEvent(new CustomEvent('sync-master-changed', {
+            detail: { masterId, previousMasterId, role }
+        }));
+    }
+
+    /**
+     * Met à jour SYNC_CONFIG (relu en base : la page de pairing a pu y écrire entre-temps)
+     * @param {Object} changes - Champs modifiés
+     * @private
+     */
+    async _saveConfig(changes) {
+        const stored = await this.db.get('SYNC_CONFIG', 'config');
+        this.config = {
+            ...(stored || this.config),
+            ...changes,
+            updated_at: Date.now()
+        };
+        await this.db.put('SYNC_CONFIG', this.config);
+    }
+
+    /**
+     * Remplace la clé de chiffrement ; l'ancienne reste utilisable en déchiffrement
+     * pendant KEY_GRACE_DAYS à compter de la rotation
+     * @param {string} keyBase64 - Nouvelle clé (base64)
+     * @param {number} rotatedAt - Date de la rotation sur le maître
+     */
+    async adoptEncryptionKey(keyBase64, rotatedAt = Date.now()) {
+        if (keyBase64 === this.config.encryption_key) return;
+
+        const newKey = await this.crypto.importKeyFromBase64(keyBase64);
+
+        await this._saveConfig({
+            previous_encryption_key: this.config.encryption_key,
+            encryption_key: keyBase64,
+            key_rotated_at: rotatedAt
+        });
+
+        this.previousEncryptionKey = this.encryptionKey;
+        this.encryptionKey = newKey;
+
+        console.log('🔑 Nouvelle clé de chiffrement du cluster adoptée');
+    }
+
+    /**
+     * Traite un message CLUSTER_UPDATE
+     * @param {Object} update - Message déchiffré { action, master_id, encryption_key }
+     * @param {string} fromDevice - Expéditeur
+     */
+    async applyClusterUpdate(update, fromDevice) {
+        if (update.action === 'MASTER_CHANGED') {
+            // Seul le nouveau maître annonce sa promotion
+            if (update.master_id !== fromDevice) {
+                console.warn(`  ⚠️ MASTER_CHANGED ignoré: envoyé par ${fromDevice} pour ${update.master_id}`);
+                return;
+            }
+            if (update.master_id !== this.config.master_id) {
+                await this.applyMasterChange(update.master_id);
+            }
+        }
+
+        if (update.encryption_key && fromDevice === this.config.master_id) {
+            const rotatedAt = update.ts || Date.now();
+            await this.adoptEncryptionKey(update.encryption_key, rotatedAt);
+
+            // Clé reçue après le délai de grâce : le maître a refusé nos derniers envois
+            if (Date.now() - rotatedAt >= SyncManager.KEY_GRACE_DAYS * 86400000) {
+                const requeued = await this._requeueUnconfirmed();
+                console.log(`  🔁 ${requeued} changement(s) renvoyé(s) avec la nouvelle clé`);
+            }
+        }
+    }
+
+    /**
+     * Vérifie qu'un esclave est à jour avant de devenir maître
+     * Relève tous les messages en attente (changements déjà fusionnés par l'ancien maître)
+     * @returns {Object} { ready, pending, unconfirmed, lastSync, error }
+     */
+    async checkPromotionReadiness() {
+        if (!this.config || this.config.role !== 'slave') {
+            return { ready: false, error: 'Cet appareil n\'est pas un appareil secondaire' };
+        }
+        if (!this.isOnline()) {
+            return { ready: false, error: 'Connexion Internet requise' };
+        }
+
+        // Vider la boîte aux lettres (le relais livre 100 messages par appel)
+        for (let i = 0; i < 20; i++) {
+            const pullResult = await this.pullIncomingChanges();
+            if (!pullResult.success) {
+                return { ready: false, error: 'Impossible de relever les messages en attente' };
+            }
+            if (!pullResult.total) break;
+        }
+
+        const queue = await this.db.getAll('SYNC_QUEUE');
+        const logs = await this.db.getAll('SYNC_LOG');
+        const lastSync = logs
+            .filter(log => log.type === 'SYNC_SUCCESS')
+            .reduce((latest, log) => Math.max(latest, log.timestamp), 0);
+
+        return {
+            ready: true,
+            pending: queue.filter(entry => entry.synced === 0).length,
+            unconfirmed: queue.filter(entry => entry.synced === 1).length, // Envoyés à l'ancien maître sans réponse
+            lastSync: lastSync || null
+        };
+    }
+
+    /**
+     * Promeut cet appareil en maître du cluster
+     * 1. Vérifie qu'il est à jour (boîte vidée)
+     * 2. Promotion sur le relais (maître révoqué ou silencieux)
+     * 3. Révocation optionnelle de l'ancien maître (appareil perdu)
+     * 4. Nouvelle clé de chiffrement envoyée aux autres appareils (chiffrée avec l'ancienne)
+     * @param {Object} options - { revokeOldMaster }
+     * @returns {Object} { success, message, notified }
+     */
+    async promoteToMaster({ revokeOldMaster = false } = {}) {
+        const readiness = await this.checkPromotionReadiness();
+        if (!readiness.ready) {
+            return { success: false, message: readiness.error };
+        }
+
+        const oldMasterId = this.config.master_id;
+        const result = await this.network.promote(
+            this.config.device_id,
+            this.config.device_token,
+            oldMasterId
+        );
+        if (!result.success) {
+            return { success: false, message: result.message || result.error };
+        }
+
+        console.log(`👑 Promotion acceptée par le relais (ancien maître: ${oldMasterId})`);
+
+        if (revokeOldMaster) {
+            const revokeResult = await this.network.revoke(
+                this.config.device_id,
+                this.config.device_token,
+                oldMasterId,
+                'master_replaced'
+            );
+            if (!revokeResult.success) {
+                console.warn('⚠️ Révocation de l\'ancien maître impossible:', revokeResult.message);
+            }
+        }
+
+        // Nouvelle clé, envoyée sous l'ancienne clé aux appareils restants
+        const newKey = await this.crypto.generateKey();
+        const newKeyBase64 = await this.crypto.exportKeyToBase64(newKey);
+        const rotatedAt = Date.now();
+        const notified = await this._broadcastClusterUpdate({
+            action: 'MASTER_CHANGED',
+            master_id: this.config.device_id,
+            previous_master_id: oldMasterId,
+            encryption_key: newKeyBase64,
+            ts: rotatedAt
+        });
+
+        await this.applyMasterChange(this.config.device_id);
+        await this.adoptEncryptionKey(newKeyBase64, rotatedAt);
+
+        await this.logSync('MASTER_PROMOTED', { pushed: notified });
+
+        return {
+            success: true,
+            message: `Cet appareil est maintenant l'appareil principal (${notified} appareil(s) prévenu(s))`,
+            notified
+        };
+    }
+
+    /**
+     * Rotation de la clé de chiffrement du cluster (maître uniquement)
+     * À faire après la révocation d'un appareil : il connaît l'ancienne clé.
+     * La nouvelle clé part chiffrée avec l'ancienne vers les appareils actifs (les révoqués
+     * ne reçoivent plus rien du relais) ; l'ancienne reste acceptée KEY_GRACE_DAYS.
+     * @returns {Object} { success, message, notified }
+     */
+    async rotateEncryptionKey() {
+        if (!this.config || this.config.role !== 'master') {
+            return { success: false, message: 'Seul l\'appareil principal peut changer la clé' };
+        }
+        if (!this.isOnline()) {
+            return { success: false, message: 'Connexion Internet requise' };
+        }
+
+        const newKey = await this.crypto.generateKey();
+        const newKeyBase64 = await this.crypto.exportKeyToBase64(newKey);
+        const rotatedAt = Date.now();
+
+        const notified = await this._broadcastClusterUpdate({
+            action: 'KEY_ROTATED',
+            master_id: this.config.device_id,
+            encryption_key: newKeyBase64,
+            ts: rotatedAt
+        });
+
+        await this.adoptEncryptionKey(newKeyBase64, rotatedAt);
+        await this.logSync('KEY_ROTATED', { pushed: notified });
+
+        console.log(`🔑 Clé du cluster renouvelée (${notified} appareil(s) prévenu(s))`);
+
+        return {
+            success: true,
+            message: `Nouvelle clé de chiffrement envoyée à ${notified} appareil(s)`,
+            notified
+        };
+    }
+
+    /**
+     * Envoie un CLUSTER_UPDATE, chiffré avec la clé actuelle, à tous les autres appareils actifs
+     * @param {Object} update - Contenu du message (action, ...)
+     * @returns {number} Nombre d'appareils prévenus
+     * @private
+     */
+    async _broadcastClusterUpdate(update) {
+        const encrypted = await this.crypto.encrypt({
+            type: 'CLUSTER_UPDATE',
+            ...update
+        }, this.encryptionKey);
+
+        let notified = 0;
+        const devicesResult = await this.network.getDevices(this.config.device_id, this.config.device_token);
+        for (const device of (devicesResult.devices || [])) {
+            if (device.device_id === this.config.device_id) continue;
+
+            const pushResult = await this.network.push(
+                this.config.device_id,
+                this.config.device_token,
+                device.device_id,
+                encrypted
+            );
+            if (pushResult.success) {
+                notified++;
+            } else {
+                console.warn(`⚠️ CLUSTER_UPDATE non remis à ${device.device_id}:`, pushResult.error);
+            }
+        }
+        return notified;
+    }
+
     /**
      * Gère une erreur de synchronisation avec backoff
      * Phase 3: Retry intelligent
      * @param {Error} err
      */
-    handleSyncError(err) {
+    async handleSyncError(err) {
         // Détecter rate limit (429 ou erreur 'rate_limit')
         if (err.httpStatus === 429 || err.error === 'rate_limit') {
             console.error('🚫 Rate limit atteint - arrêt sync');
 
             // Utiliser retryAfter si fourni par le serveur, sinon 15 minutes par défaut
             const durationMs = (err.retryAfter || 900) * 1000;
-            this.setRateLimit(durationMs);
+            await this.setRateLimit(durationMs);
             this.retryAttempt = 0;
             return;
         }
@@ -1075,11 +2140,13 @@ class SyncManager {
 
     /**
      * Active le mode rate limited
+     * La fin du blocage est enregistrée dans SYNC_CONFIG (rate_limit_until) : pages et sw.js la respectent
      * @param {number} durationMs - Durée du blocage en ms (défaut: 15 min)
      */
-    setRateLimit(durationMs = 15 * 60 * 1000) {
+    async setRateLimit(durationMs = 15 * 60 * 1000) {
         this.isRateLimited = true;
         this.rateLimitUntil = Date.now() + durationMs;
+        await this._saveConfig({ rate_limit_until: this.rateLimitUntil });
 
         const minutes = Math.ceil(durationMs / 60000);
         console.log(`🚫 Rate limit activé pour ${minutes} minutes`);
@@ -1096,10 +2163,13 @@ class SyncManager {
     /**
      * Désactive le mode rate limited (déblocage manuel)
      */
-    clearRateLimit() {
+    async clearRateLimit() {
         const wasLimited = this.isRateLimited;
         this.isRateLimited = false;
         this.rateLimitUntil = null;
+        if (this.config) {
+            await this._saveConfig({ rate_limit_until: null });
+        }
 
         if (wasLimited) {
             console.log('✅ Rate limit levé');
@@ -1107,6 +2177,24 @@ class SyncManager {
         }
     }
 
+    /**
+     * Relit la fin du blocage dans SYNC_CONFIG (posée ou levée par une autre page ou par sw.js)
+     * @private
+     */
+    async _loadRateLimit() {
+        const stored = await this.db.get('SYNC_CONFIG', 'config');
+        const until = stored?.rate_limit_until || null;
+        const wasLimited = this.isRateLimited;
+        this.isRateLimited = !!until;
+        this.rateLimitUntil = until;
+
+        if (until && !wasLimited) {
+            window.dispatchEvent(new CustomEvent('sync-rate-limited', {
+                detail: { until, durationMs: Math.max(0, until - Date.now()) }
+            }));
+        }
+    }
+
     /**
      * Obtient l'état du rate limit
      * @returns {Object|null} {until, remaining, remainingSeconds} ou null si pas limité
@@ -1153,7 +2241,10 @@ class SyncManager {
                 'BENEFICIAIRES',
                 'TYPE_DEPENSES',
                 'MOUVEMENTS',
-                'DEPENSES_FIXES'
+                'DEPENSES_FIXES',
+                'BUDGETS',
+                'TAUX_CHANGE',
+                'PIECES_JOINTES'
             ];
 
             console.log('🗑️  Effacement des données locales...');
@@ -1455,10 +2546,11 @@ class SyncManager {
 
         if (stage === 'REFERENCE') {
             // Stage 1 : Données de référence (doivent exister avant les transactions)
-            storesToExport = ['COMPTES', 'CATEGORIES', 'BENEFICIAIRES', 'TYPE_DEPENSES'];
+            storesToExport = ['COMPTES', 'CATEGORIES', 'BENEFICIAIRES', 'TYPE_DEPENSES', 'TAUX_CHANGE'];
         } else if (stage === 'TRANSACTIONAL') {
             // Stage 2 : Données transactionnelles (dépendent des références)
-            storesToExport = ['MOUVEMENTS', 'DEPENSES_FIXES'];
+            // Pièces jointes à part : même contenu que leur synchronisation (voir _collectBootstrapAttachments)
+            storesToExport = ['MOUVEMENTS', 'DEPENSES_FIXES', 'BUDGETS'];
         } else {
             throw new Error(`Unknown bootstrap stage: ${stage}`);
         }
@@ -1497,11 +2589,86 @@ class SyncManager {
             }
         }
 
+        if (stage === 'TRANSACTIONAL') {
+            const attachments = await this._collectBootstrapAttachments();
+            allData.push(...attachments);
+            totalRecords += attachments.length;
+        }
+
         console.log(`✅ Total: ${totalRecords} enregistrements collectés pour stage ${stage}`);
 
         return allData;
     }
 
+    /**
+     * Pièces jointes envoyées au bootstrap, selon les mêmes règles que leur synchronisation
+     * (AttachmentsModel.queueSyncOperation) : option activée sur le maître, SYNC_MAX_SIZE, fichier en data URL
+     * @returns {Array} Changements CREATE de PIECES_JOINTES
+     * @private
+     */
+    async _collectBootstrapAttachments() {
+        if (typeof AttachmentsModel === 'undefined' || !AttachmentsModel.isSyncEnabled()) {
+            console.log('  📎 PIECES_JOINTES: synchronisation des pièces jointes désactivée, non envoyées');
+            return [];
+        }
+
+        const model = new AttachmentsModel(this.db);
+        const changes = [];
+
+        try {
+            const attachments = (await this.db.getAll('PIECES_JOINTES'))
+                .filter(record => !record.is_deleted && record.size <= AttachmentsModel.SYNC_MAX_SIZE);
+
+            for (const attachment of attachments) {
+                const blob = await model.getBlob(attachment);
+                changes.push({
+                    id: `bootstrap_PIECES_JOINTES_${attachment.id}`,
+                    store_name: 'PIECES_JOINTES',
+                    record_id: attachment.id,
+                    operation: 'CREATE',
+                    data: {
+                        ...AttachmentsModel.withoutContent(attachment),
+                        thumbnail: attachment.thumbnail || null,
+                        data_url: blob ? await RatchouUtils.file.toDataURL(blob) : null
+                    },
+                    sync_updated_at: attachment.sync_updated_at || Date.now(),
+                    created_at: Date.now()
+                });
+            }
+            console.log(`  📊 PIECES_JOINTES: ${changes.length} enregistrements actifs`);
+        } catch (error) {
+            console.error('❌ Erreur lecture PIECES_JOINTES:', error);
+        }
+
+        return changes;
+    }
+
+    /**
+     * Découpe les enregistrements du bootstrap en lots de BOOTSTRAP_BATCH_SIZE au plus,
+     * sans dépasser PUSH_MAX_BYTES (pièces jointes) ; un enregistrement plus gros part seul
+     * @private
+     */
+    _bootstrapBatches(allData) {
+        const batches = [];
+        let batch = [];
+        let size = 0;
+
+        for (const change of allData) {
+            const changeSize = JSON.stringify(change.data).length;
+            if (batch.length > 0 && (batch.length >= SyncManager.BOOTSTRAP_BATCH_SIZE || size + changeSize > SyncManager.PUSH_MAX_BYTES)) {
+                batches.push(batch);
+                batch = [];
+                size = 0;
+            }
+            batch.push(change);
+            size += changeSize;
+        }
+        if (batch.length > 0) {
+            batches.push(batch);
+        }
+        return batches;
+    }
+
     /**
      * Crée des messages bootstrap par lots dans la queue serveur
      * Phase 4: Bootstrap - Appelé par le maître
@@ -1512,18 +2679,16 @@ class SyncManager {
      * @private
      */
     async _createBootstrapMessages(slaveDeviceId, stage, allData) {
-        const BATCH_SIZE = SyncManager.BOOTSTRAP_BATCH_SIZE;
         const totalRecords = allData.length;
-        const totalBatches = Math.ceil(totalRecords / BATCH_SIZE) || 1;
+        const batches = this._bootstrapBatches(allData);
+        const totalBatches = batches.length || 1;
 
         console.log(`📦 Creating ${totalBatches} bootstrap batches (${totalRecords} records, stage ${stage})`);
 
         // Créer et envoyer chaque lot
         for (let i = 0; i < totalBatches; i++) {
             const batchNumber = i + 1;
-            const start = i * BATCH_SIZE;
-            const end = Math.min(start + BATCH_SIZE, totalRecords);
-            const batchRecords = allData.slice(start, end);
+            const batchRecords = batches[i] || [];
 
             // Construire le message batch
             const message = {
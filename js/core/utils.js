@@ -8,32 +8,88 @@ class RatchouUtils {
      * Currency conversion utilities
      */
     static currency = {
+        // Supported currencies: decimals = storage unit (cents, satoshis...)
+        // Other ISO 4217 codes are accepted with Intl's default number of decimals
+        CURRENCIES: {
+            EUR: { name: 'Euro', symbol: '€', decimals: 2 },
+            USD: { name: 'Dollar américain', symbol: '$', decimals: 2 },
+            GBP: { name: 'Livre sterling', symbol: '£', decimals: 2 },
+            CHF: { name: 'Franc suisse', symbol: 'CHF', decimals: 2 },
+            CAD: { name: 'Dollar canadien', symbol: '$ CA', decimals: 2 },
+            AUD: { name: 'Dollar australien', symbol: '$ AU', decimals: 2 },
+            JPY: { name: 'Yen', symbol: '¥', decimals: 0 },
+            CNY: { name: 'Yuan', symbol: '¥', decimals: 2 },
+            SEK: { name: 'Couronne suédoise', symbol: 'kr', decimals: 2 },
+            NOK: { name: 'Couronne norvégienne', symbol: 'kr', decimals: 2 },
+            DKK: { name: 'Couronne danoise', symbol: 'kr', decimals: 2 },
+            PLN: { name: 'Zloty', symbol: 'zł', decimals: 2 },
+            CZK: { name: 'Couronne tchèque', symbol: 'Kč', decimals: 2 },
+            HUF: { name: 'Forint', symbol: 'Ft', decimals: 2 },
+            RON: { name: 'Leu roumain', symbol: 'lei', decimals: 2 },
+            TRY: { name: 'Livre turque', symbol: '₺', decimals: 2 },
+            MAD: { name: 'Dirham marocain', symbol: 'DH', decimals: 2 },
+            TND: { name: 'Dinar tunisien', symbol: 'DT', decimals: 3 },
+            XOF: { name: 'Franc CFA (BCEAO)', symbol: 'F CFA', decimals: 0 },
+            XAF: { name: 'Franc CFA (BEAC)', symbol: 'F CFA', decimals: 0 },
+            XPF: { name: 'Franc pacifique', symbol: 'F CFP', decimals: 0 },
+            BRL: { name: 'Réal brésilien', symbol: 'R$', decimals: 2 },
+            INR: { name: 'Roupie indienne', symbol: '₹', decimals: 2 },
+            BTC: { name: 'Bitcoin', symbol: '₿', decimals: 8 }
+        },
+
+        // List of supported currencies for selects: [{ code, name, symbol }]
+        list() {
+            return Object.entries(this.CURRENCIES).map(([code, info]) => ({ code, ...info }));
+        },
+
+        // Known currency (table) or valid ISO 4217 code for Intl
+        isSupported(currency) {
+            if (this.CURRENCIES[currency]) return true;
+            if (!/^[A-Z]{3}$/.test(currency || '')) return false;
+            try {
+                new Intl.NumberFormat('fr-FR', { style: 'currency', currency });
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        // Number of decimals of the storage unit
+        getDecimals(currency = 'EUR') {
+            if (this.CURRENCIES[currency]) return this.CURRENCIES[currency].decimals;
+            try {
+                return new Intl.NumberFormat('fr-FR', { style: 'currency', currency })
+                    .resolvedOptions().maximumFractionDigits;
+            } catch (error) {
+                return 2;
+            }
+        },
+
+        // Step attribute of amount inputs (one storage unit)
+        getInputStep(currency = 'EUR') {
+            const decimals = this.getDecimals(currency);
+            return decimals > 0 ? (1 / Math.pow(10, decimals)).toFixed(decimals) : '1';
+        },
+
         // Convert amount to storage unit based on currency
-        // EUR/USD: cents (x100), BTC: satoshis (x100000000)
+        // EUR/USD: cents (x100), BTC: satoshis (x100000000), JPY: yen (x1)
         toStorageUnit(amount, currency = 'EUR') {
             if (amount === null || amount === undefined) return 0;
             const numAmount = parseFloat(amount);
-
-            if (currency === 'BTC') {
-                // Bitcoin: store as satoshis (8 decimals)
-                return Math.round(numAmount * 100000000);
-            } else {
-                // EUR/USD: store as cents (2 decimals)
-                return Math.round(numAmount * 100);
-            }
+            return Math.round(numAmount * Math.pow(10, this.getDecimals(currency)));
         },
 
         // Convert storage unit back to amount based on currency
         fromStorageUnit(stored, currency = 'EUR') {
             if (stored === null || stored === undefined) return 0;
+            return stored / Math.pow(10, this.getDecimals(currency));
+        },
 
-            if (currency === 'BTC') {
-                // Bitcoin: stored as satoshis
-                return stored / 100000000;
-            } else {
-                // EUR/USD: stored as cents
-                return stored / 100;
-            }
+        // Convert a stored amount to another currency
+        // rate: value of 1 unit of `from` expressed in `to` (see ExchangeRatesModel)
+        convert(stored, from, to, rate) {
+            if (from === to) return stored;
+            return this.toStorageUnit(this.fromStorageUnit(stored, from) * rate, to);
         },
 
         // Legacy aliases for backward compatibility
@@ -47,12 +103,14 @@ class RatchouUtils {
 
         // Get currency symbol
         getSymbol(currency) {
-            const symbols = {
-                'EUR': '€',
-                'USD': '$',
-                'BTC': '₿'
-            };
-            return symbols[currency] || '€';
+            if (this.CURRENCIES[currency]) return this.CURRENCIES[currency].symbol;
+            try {
+                const part = new Intl.NumberFormat('fr-FR', { style: 'currency', currency, currencyDisplay: 'narrowSymbol' })
+                    .formatToParts(0).find(p => p.type === 'currency');
+                return part ? part.value : currency;
+            } catch (error) {
+                return '€';
+            }
         },
 
         // Format cents as currency string for display (EUR only - legacy)
@@ -84,11 +142,12 @@ class RatchouUtils {
             }
 
             // For other currencies, use Intl.NumberFormat
+            const decimals = this.getDecimals(currency);
             return new Intl.NumberFormat(locale, {
                 style: 'currency',
                 currency: currency,
-                minimumFractionDigits: 2,
-                maximumFractionDigits: 2
+                minimumFractionDigits: decimals,
+                maximumFractionDigits: decimals
             }).format(amount);
         },
 
@@ -199,6 +258,43 @@ class RatchouUtils {
         }
     };
 
+    /**
+     * Text utilities
+     */
+    static text = {
+        // Lowercase and strip accents for accent-insensitive comparisons ("Débit" → "debit")
+        normalize(value) {
+            return String(value ?? '')
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase()
+                .trim();
+        }
+    };
+
+    /**
+     * File utilities (attachments)
+     */
+    static file = {
+        // Human readable size ("1,2 Mo")
+        formatSize(bytes) {
+            if (!bytes) return '0 o';
+            const units = ['o', 'Ko', 'Mo', 'Go'];
+            const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+            return `${(bytes / Math.pow(1024, i)).toLocaleString('fr-FR', { maximumFractionDigits: 1 })} ${units[i]}`;
+        },
+
+        // Read a Blob as a base64 data URL
+        toDataURL(blob) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        }
+    };
+
     /**
      * Error handling utilities
      */
@@ -303,6 +399,62 @@ class RatchouUtils {
                 console.error('Hash error:', error);
                 throw error;
             }
+        },
+
+        // PBKDF2 iterations for the stored access code verifier
+        ACCESS_CODE_ITERATIONS: 150000,
+
+        // Build a salted PBKDF2 verifier for the access code (stored instead of the code)
+        async createAccessVerifier(code) {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const iterations = this.ACCESS_CODE_ITERATIONS;
+            return {
+                code_salt: this.toHex(salt),
+                code_hash: await this.pbkdf2(code, salt, iterations),
+                code_iterations: iterations
+            };
+        },
+
+        // Check an access code against a stored verifier
+        async verifyAccessCode(code, verifier) {
+            if (!code || typeof code !== 'string' || !verifier?.code_hash || !verifier.code_salt) {
+                return false;
+            }
+
+            const salt = this.fromHex(verifier.code_salt);
+            const hash = await this.pbkdf2(code, salt, verifier.code_iterations || this.ACCESS_CODE_ITERATIONS);
+
+            // Constant-time comparison
+            let diff = hash.length ^ verifier.code_hash.length;
+            for (let i = 0; i < hash.length && i < verifier.code_hash.length; i++) {
+                diff |= hash.charCodeAt(i) ^ verifier.code_hash.charCodeAt(i);
+            }
+            return diff === 0;
+        },
+
+        // PBKDF2-SHA-256, 256 bits, hex encoded
+        async pbkdf2(code, salt, iterations) {
+            const keyMaterial = await crypto.subtle.importKey(
+                'raw',
+                new TextEncoder().encode(code),
+                'PBKDF2',
+                false,
+                ['deriveBits']
+            );
+            const bits = await crypto.subtle.deriveBits(
+                { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+                keyMaterial,
+                256
+            );
+            return this.toHex(new Uint8Array(bits));
+        },
+
+        toHex(bytes) {
+            return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+        },
+
+        fromHex(hex) {
+            return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
         }
     };
 
@@ -48,6 +48,14 @@ class AccountsController {
         this.addModal = new bootstrap.Modal(document.getElementById('addModal'));
         this.editModal = new bootstrap.Modal(document.getElementById('editAccountModal'));
         this.loadingOverlay = document.getElementById('loadingOverlay');
+
+        // Currency selects
+        const currencyOptions = RatchouUtils.currency.list()
+            .map(c => `<option value="${c.code}">${c.code} - ${this.escapeHtml(c.name)} (${this.escapeHtml(c.symbol)})</option>`)
+            .join('');
+        document.getElementById('devise').innerHTML = currencyOptions;
+        document.getElementById('edit_devise').innerHTML = currencyOptions;
+        document.getElementById('devise').value = 'EUR';
     }
 
     /**
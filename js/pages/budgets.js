@@ -0,0 +1,362 @@
+/**
+ * Budgets Management Controller
+ * Monthly budgets per category: spent vs. remaining, with optional rollover
+ */
+class BudgetsController {
+    constructor() {
+        this.budgets = [];
+        this.categories = [];
+        this.currentMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+        this.budgetModal = null;
+        this.loadingOverlay = null;
+    }
+
+    /**
+     * Initialize the controller
+     */
+    async initialize() {
+        try {
+            await this.loadComponents();
+
+            this.initializeElements();
+            this.setupEventListeners();
+            await this.loadBudgets();
+        } catch (error) {
+            console.error('Error initializing budgets controller:', error);
+            this.showError('Erreur lors de l\'initialisation de la page');
+        }
+    }
+
+    /**
+     * Load all UI components
+     */
+    async loadComponents() {
+        await ComponentLoader.loadHeader({
+            title: '💰 Budgets',
+            showAccountInfo: false,
+            logoLink: '../dashboard.html'
+        });
+        await ComponentLoader.loadSidebar();
+        await ComponentLoader.loadCommonModals();
+        await ComponentLoader.loadFixedFooter();
+    }
+
+    /**
+     * Initialize DOM elements
+     */
+    initializeElements() {
+        this.budgetModal = new bootstrap.Modal(document.getElementById('budgetModal'));
+        this.loadingOverlay = document.getElementById('loadingOverlay');
+
+        document.getElementById('budget_currency').innerHTML = RatchouUtils.currency.list()
+            .map(c => `<option value="${c.code}">${c.code} (${this.escapeHtml(c.symbol)})</option>`)
+            .join('');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('prevMonthBtn').addEventListener('click', () => this.changeMonth(-1));
+        document.getElementById('nextMonthBtn').addEventListener('click', () => this.changeMonth(1));
+        document.getElementById('addBudgetBtn').addEventListener('click', () => this.openBudgetModal());
+        document.getElementById('saveBudgetBtn').addEventListener('click', () => this.handleSaveBudget());
+        document.getElementById('deleteBudgetBtn').addEventListener('click', () => this.handleDeleteBudget());
+
+        // Refresh when data arrives from another device
+        window.addEventListener('sync-data-changed', (event) => {
+            const storeName = event.detail?.storeName;
+            if (['BUDGETS', 'MOUVEMENTS', 'CATEGORIES'].includes(storeName)) {
+                this.loadBudgets();
+            }
+        });
+    }
+
+    /**
+     * Show success alert
+     */
+    showSuccess(message) {
+        this.showAlert(message, 'success');
+    }
+
+    /**
+     * Show error alert
+     */
+    showError(message) {
+        this.showAlert(message, 'danger');
+    }
+
+    /**
+     * Show alert message
+     */
+    showAlert(message, type) {
+        const alertContainer = document.getElementById('alertContainer');
+        alertContainer.innerHTML = `
+            <div class="alert alert-${type} alert-dismissible fade show" role="alert">
+                ${message}
+                <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+            </div>
+        `;
+
+        // Auto dismiss after 5 seconds
+        setTimeout(() => {
+            const alert = alertContainer.querySelector('.alert');
+            if (alert) {
+                new bootstrap.Alert(alert).close();
+            }
+        }, 5000);
+    }
+
+    /**
+     * Move the displayed month
+     */
+    async changeMonth(delta) {
+        this.currentMonth.setMonth(this.currentMonth.getMonth() + delta);
+        await this.loadBudgets();
+    }
+
+    /**
+     * Load budgets status for the displayed month
+     */
+    async loadBudgets() {
+        try {
+            document.getElementById('currentMonthLabel').textContent =
+                this.currentMonth.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+
+            this.categories = await ratchouApp.models.categories.getAllSorted();
+            this.budgets = await ratchouApp.models.budgets.getMonthlyStatus(
+                this.currentMonth.getFullYear(),
+                this.currentMonth.getMonth()
+            );
+            this.renderBudgets();
+        } catch (error) {
+            console.error('Error loading budgets:', error);
+            this.showError('Erreur lors du chargement des budgets');
+        }
+    }
+
+    /**
+     * Render budgets list with progress bars
+     */
+    renderBudgets() {
+        const budgetsList = document.getElementById('budgetsList');
+        const summary = document.getElementById('budgetsSummary');
+
+        if (this.budgets.length === 0) {
+            summary.innerHTML = '';
+            budgetsList.innerHTML = '<div class="text-muted">Aucun budget défini. Ajoutez un budget mensuel pour suivre vos dépenses par catégorie.</div>';
+            return;
+        }
+
+        // Summary per currency (amounts of different currencies are never added together)
+        const totals = {};
+        for (const budget of this.budgets.filter(b => b.active)) {
+            const total = totals[budget.currency] || (totals[budget.currency] = { available: 0, spent: 0 });
+            total.available += budget.available;
+            total.spent += budget.spent;
+        }
+        summary.innerHTML = Object.entries(totals).map(([currency, total]) => `
+            <div class="d-flex justify-content-between small text-muted">
+                <span>Total dépensé : ${RatchouUtils.currency.formatWithCurrency(total.spent, currency)} / ${RatchouUtils.currency.formatWithCurrency(total.available, currency)}</span>
+                <span class="${total.available - total.spent < 0 ? 'text-danger' : 'text-success'}">
+                    Reste : ${RatchouUtils.currency.formatWithCurrency(total.available - total.spent, currency)}
+                </span>
+            </div>
+        `).join('');
+
+        budgetsList.innerHTML = this.budgets.map(budget => {
+            const format = (amount) => RatchouUtils.currency.formatWithCurrency(amount, budget.currency);
+            const barClass = budget.is_over ? 'bg-danger' : (budget.percent >= 80 ? 'bg-warning' : 'bg-success');
+
+            let details;
+            if (!budget.active) {
+                details = `<small class="text-muted">Débute en ${this.escapeHtml(budget.start_month)}</small>`;
+            } else {
+                details = `
+                    <div class="progress my-1" style="height: 8px;">
+                        <div class="progress-bar ${barClass}" role="progressbar" style="width: ${Math.min(100, budget.percent)}%"></div>
+                    </div>
+                    <div class="d-flex justify-content-between small">
+                        <span class="text-muted">
+                            ${format(budget.spent)} / ${format(budget.available)}
+                            ${budget.carried_over > 0 ? `<span class="ms-1" title="Reliquat reporté des mois précédents">(dont report ${format(budget.carried_over)})</span>` : ''}
+                        </span>
+                        <span class="${budget.is_over ? 'text-danger fw-bold' : 'text-success'}">
+                            ${budget.is_over ? `Dépassé de ${format(-budget.remaining)}` : `Reste ${format(budget.remaining)}`}
+                        </span>
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="card mb-2 budget-card" style="cursor: pointer;" data-budget-id="${budget.id}">
+                    <div class="card-body py-2">
+                        <div class="d-flex justify-content-between align-items-center">
+                            <strong>${this.escapeHtml(budget.category_name)}</strong>
+                            <small class="text-muted">
+                                ${budget.rollover ? '<i class="bi bi-arrow-repeat me-1" title="Report du reliquat"></i>' : ''}${format(budget.amount)} / mois
+                            </small>
+                        </div>
+                        ${details}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        budgetsList.querySelectorAll('.budget-card').forEach(card => {
+            card.addEventListener('click', () => {
+                const budget = this.budgets.find(b => b.id === card.dataset.budgetId);
+                if (budget) this.openBudgetModal(budget);
+            });
+        });
+    }
+
+    /**
+     * Open the add/edit modal
+     */
+    openBudgetModal(budget = null) {
+        const usedCategories = new Set(this.budgets.map(b => b.category_id));
+        const select = document.getElementById('budget_category_id');
+
+        // Only categories without a budget (plus the edited one) are selectable
+        select.innerHTML = this.categories
+            .filter(c => !usedCategories.has(c.id) || (budget && c.id === budget.category_id))
+            .map(c => `<option value="${c.id}">${this.escapeHtml(c.libelle)}</option>`)
+            .join('');
+
+        if (!budget && select.options.length === 0) {
+            this.showError('Toutes les catégories ont déjà un budget');
+            return;
+        }
+
+        document.getElementById('budgetModalTitle').textContent = budget ? '✏️ Modifier le budget' : '💰 Ajouter un budget';
+        document.getElementById('budget_id').value = budget ? budget.id : '';
+        select.value = budget ? budget.category_id : select.options[0].value;
+        select.disabled = !!budget;
+        document.getElementById('budget_currency').value = budget ? budget.currency : 'EUR';
+        document.getElementById('budget_amount').value = budget
+            ? RatchouUtils.currency.fromStorageUnit(budget.amount, budget.currency)
+            : '';
+        document.getElementById('budget_start_month').value = budget
+            ? budget.start_month
+            : BudgetsModel.monthKey(this.currentMonth);
+        document.getElementById('budget_rollover').checked = budget ? !!budget.rollover : false;
+        document.getElementById('deleteBudgetBtn').classList.toggle('d-none', !budget);
+
+        this.budgetModal.show();
+    }
+
+    /**
+     * Handle create/update budget
+     */
+    async handleSaveBudget() {
+        const saveButton = document.getElementById('saveBudgetBtn');
+
+        try {
+            saveButton.disabled = true;
+
+            const budgetId = document.getElementById('budget_id').value;
+            const currency = document.getElementById('budget_currency').value;
+            const amount = parseFloat(document.getElementById('budget_amount').value.replace(',', '.'));
+
+            if (isNaN(amount) || amount <= 0) {
+                this.showError('Le montant du budget doit être positif');
+                return;
+            }
+
+            const budgetData = {
+                amount: RatchouUtils.currency.toStorageUnit(amount, currency),
+                currency: currency,
+                start_month: document.getElementById('budget_start_month').value,
+                rollover: document.getElementById('budget_rollover').checked
+            };
+
+            let result;
+            if (budgetId) {
+                result = await ratchouApp.models.budgets.update(budgetId, budgetData);
+            } else {
+                budgetData.category_id = document.getElementById('budget_category_id').value;
+                result = await ratchouApp.models.budgets.create(budgetData);
+            }
+
+            if (result.success) {
+                this.budgetModal.hide();
+                this.showSuccess(budgetId ? 'Budget mis à jour avec succès' : 'Budget créé avec succès');
+                await this.loadBudgets();
+            } else {
+                this.showError(result.message || 'Erreur lors de l\'enregistrement du budget');
+            }
+        } catch (error) {
+            console.error('Error saving budget:', error);
+            this.showError('Erreur lors de l\'enregistrement du budget');
+        } finally {
+            saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Handle delete budget
+     */
+    async handleDeleteBudget() {
+        const budgetId = document.getElementById('budget_id').value;
+        if (!budgetId || !confirm('Supprimer ce budget ? Les mouvements ne sont pas affectés.')) {
+            return;
+        }
+
+        try {
+            const result = await ratchouApp.models.budgets.delete(budgetId);
+            if (result.success) {
+                this.budgetModal.hide();
+                this.showSuccess('Budget supprimé avec succès');
+                await this.loadBudgets();
+            } else {
+                this.showError(result.message || 'Erreur lors de la suppression du budget');
+            }
+        } catch (error) {
+            console.error('Error deleting budget:', error);
+            this.showError('Erreur lors de la suppression du budget');
+        }
+    }
+
+    /**
+     * Escape HTML characters
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, (m) => map[m]);
+    }
+}
+
+// Global instance
+let budgetsController;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        // Initialize Ratchou app
+        await ratchouApp.initialize();
+
+        // Check authentication with guard system
+        if (window.auth && typeof window.auth.guardPage === 'function') {
+            if (!auth.guardPage('app')) {
+                return; // User was redirected, stop initialization
+            }
+        } else if (!ratchouApp.isAuthenticated()) {
+            location.replace('../index.html');
+            return;
+        }
+
+        budgetsController = new BudgetsController();
+        await budgetsController.initialize();
+
+    } catch (error) {
+        console.error('Error initializing budgets page:', error);
+        alert('Erreur lors de l\'initialisation de la page');
+    }
+});
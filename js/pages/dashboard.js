@@ -24,6 +24,10 @@ class DashboardController {
         this.accountSelectModal = null;
         this.balanceModal = null;
         this.editMovementModal = null;
+        this.splitEditor = null;
+        this.editSplitEditor = null;
+        this.attachmentsPanel = null;
+        this.projectionService = null;
         this.balanceCalculationHandler = null;
         this.balanceEnterHandler = null;
     }
@@ -114,6 +118,10 @@ class DashboardController {
         this.accountSelectModal = new bootstrap.Modal(document.getElementById('accountSelectModal'));
         this.balanceModal = new bootstrap.Modal(document.getElementById('balanceModal'));
         this.editMovementModal = new bootstrap.Modal(document.getElementById('editMovementModal'));
+        this.splitEditor = new SplitEditor(document.getElementById('splitEditor'), () => document.getElementById('montant').value);
+        this.editSplitEditor = new SplitEditor(document.getElementById('edit_splitEditor'), () => document.getElementById('edit_montant').value);
+        this.attachmentsPanel = new AttachmentsPanel(document.getElementById('edit_attachments'), (message) => this.showError(message));
+        this.projectionService = new ProjectionService(ratchouApp.models);
     }
 
     /**
@@ -131,6 +139,27 @@ class DashboardController {
             this.resetForm();
         });
 
+        // Split transaction across several categories
+        document.getElementById('splitToggleBtn').addEventListener('click', () => {
+            this.setSplitMode(!this.splitEditor.isActive());
+        });
+        document.getElementById('montant').addEventListener('input', () => {
+            this.splitEditor.updateRemaining();
+        });
+        // Transfer to another account
+        document.getElementById('transferToggleBtn').addEventListener('click', () => {
+            this.setTransferMode(document.getElementById('transferFields').classList.contains('d-none'));
+        });
+        document.getElementById('transfer_to_account_id').addEventListener('change', () => {
+            this.updateTransferCurrency();
+        });
+        document.getElementById('editSplitToggleBtn').addEventListener('click', () => {
+            this.setEditSplitMode(!this.editSplitEditor.isActive());
+        });
+        document.getElementById('edit_montant').addEventListener('input', () => {
+            this.editSplitEditor.updateRemaining();
+        });
+
 
         // Setup panel buttons
         this.setupPanelButtons();
@@ -162,6 +191,7 @@ class DashboardController {
         });
 
         document.getElementById('editMovementModal').addEventListener('hidden.bs.modal', () => {
+            this.attachmentsPanel.close();
             const backdrop = document.querySelector('.modal-backdrop');
             if (backdrop) {
                 backdrop.remove();
@@ -280,6 +310,17 @@ class DashboardController {
                 await this.refreshAccountDisplay();
             }
         });
+
+        // Maître de synchronisation silencieux : proposer le remplacement (une fois par session)
+        window.addEventListener('sync-master-silent', () => {
+            if (sessionStorage.getItem('ratchou_master_silent_notified')) return;
+            sessionStorage.setItem('ratchou_master_silent_notified', '1');
+            RatchouUtils.ui.toast(
+                'L\'appareil principal ne se synchronise plus. <a href="manage/sync-pairing.html" class="alert-link">Le remplacer</a>',
+                'warning',
+                10000
+            );
+        });
     }
 
     /**
@@ -318,6 +359,10 @@ class DashboardController {
             this.updateTransactionsTable();
             this.toggleDuplicateCheckbox(); // Initial check
 
+            // Forecast computed in the background: the quick entry stays available
+            this.checkForecastAlert();
+            this.checkPendingReview();
+
         } catch (error) {
             console.error('Error loading dashboard data:', error);
             this.showError('Erreur de chargement: ' + error.message);
@@ -421,6 +466,20 @@ class DashboardController {
                 account_id: this.currentAccount.id
             };
 
+            if (!document.getElementById('transferFields').classList.contains('d-none')) {
+                await this.handleTransferSubmit(montantValue, transactionData);
+                return;
+            }
+
+            if (this.splitEditor.isActive()) {
+                const splitError = this.splitEditor.validate();
+                if (splitError) {
+                    this.showError(splitError);
+                    return;
+                }
+                transactionData.splits = this.splitEditor.getLines();
+            }
+
             // Store old balance for animation
             const oldBalance = this.currentAccount.balance;
             
@@ -451,6 +510,9 @@ class DashboardController {
 
                 this.resetForm();
                 await this.loadRecentTransactions(result.data.id); // Pass new transaction ID for animation
+
+                // Warn if this expense exceeds the category budget
+                await this.checkCategoryBudget(result.data);
             } else {
                 this.showError('Erreur: ' + result.message);
             }
@@ -463,6 +525,93 @@ class DashboardController {
         }
     }
 
+    /**
+     * Create a transfer from the current account to the selected account
+     * @param {number} montantValue - Amount typed (leaving the current account)
+     * @param {object} transactionData - Movement data built from the form
+     */
+    async handleTransferSubmit(montantValue, transactionData) {
+        const toAccountId = document.getElementById('transfer_to_account_id').value;
+        const toAccount = this.allAccounts.find(acc => acc.id === toAccountId);
+        if (!toAccount) {
+            this.showError('Choisissez le compte destinataire du virement');
+            return;
+        }
+
+        const currency = this.currentAccount?.currency || 'EUR';
+        const toCurrency = toAccount.currency || 'EUR';
+        const transferData = {
+            from_account_id: this.currentAccount.id,
+            to_account_id: toAccount.id,
+            amount: Math.abs(transactionData.amount),
+            expense_type_id: transactionData.expense_type_id,
+            description: transactionData.description
+        };
+        if (toCurrency !== currency) {
+            const toAmountValue = Math.abs(parseFloat(document.getElementById('transfer_to_amount').value));
+            transferData.to_amount = RatchouUtils.currency.toStorageUnit(toAmountValue, toCurrency);
+        }
+
+        const oldBalance = this.currentAccount.balance;
+        this.setSubmitLoading(true);
+
+        const result = await ratchouApp.models.transactions.createTransfer(transferData);
+        if (result.success) {
+            await this.refreshAllAccountsBalance();
+            this.animateBalanceUpdate(oldBalance, this.currentAccount.balance, result.data.debit.amount);
+            this.resetForm();
+            await this.loadRecentTransactions(result.data.debit.id);
+        } else {
+            this.showError('Erreur: ' + result.message);
+        }
+    }
+
+    /**
+     * Show/hide the transfer fields of the entry form
+     * A transfer has no category, payee or split lines
+     */
+    setTransferMode(active) {
+        if (active) {
+            this.setSplitMode(false);
+            const select = document.getElementById('transfer_to_account_id');
+            select.innerHTML = this.allAccounts
+                .filter(acc => acc.id !== this.currentAccount?.id)
+                .map(acc => `<option value="${acc.id}">${acc.nom_compte}</option>`)
+                .join('');
+            this.updateTransferCurrency();
+        }
+
+        document.getElementById('transferFields').classList.toggle('d-none', !active);
+        const button = document.getElementById('transferToggleBtn');
+        button.classList.toggle('btn-primary', active);
+        button.classList.toggle('btn-outline-primary', !active);
+        document.getElementById('splitToggleBtn').classList.toggle('d-none', active);
+        ['#categoriePanel', '#beneficiairePanel'].forEach(panel => {
+            document.querySelector(`#movementForm [data-panel-target="${panel}"]`).classList.toggle('d-none', active);
+        });
+        if (active) {
+            document.getElementById('duplicate-transaction-wrapper').classList.add('d-none');
+        } else {
+            this.toggleDuplicateCheckbox();
+        }
+    }
+
+    /**
+     * Ask for the received amount when the destination account uses another currency
+     */
+    updateTransferCurrency() {
+        const toAccount = this.allAccounts.find(acc => acc.id === document.getElementById('transfer_to_account_id').value);
+        const toCurrency = toAccount?.currency || 'EUR';
+        const needsToAmount = !!toAccount && toCurrency !== (this.currentAccount?.currency || 'EUR');
+
+        document.getElementById('transferToAmountGroup').classList.toggle('d-none', !needsToAmount);
+        document.getElementById('transferToCurrency').textContent = RatchouUtils.currency.getSymbol(toCurrency);
+        document.getElementById('transfer_to_amount').required = needsToAmount;
+        if (!needsToAmount) {
+            document.getElementById('transfer_to_amount').value = '';
+        }
+    }
+
     /**
      * Update account display in header
      */
@@ -486,19 +635,14 @@ class DashboardController {
 
     /**
      * Update amount input step attribute based on currency
-     * BTC needs 8 decimals, EUR/USD need 2 decimals
+     * BTC needs 8 decimals, EUR/USD need 2 decimals, JPY none
      */
     updateAmountInputStep(currency) {
         const amountInput = document.getElementById('montant');
         if (!amountInput) return;
 
-        if (currency === 'BTC') {
-            amountInput.step = '0.00000001'; // 1 satoshi
-            amountInput.placeholder = '0.00000000';
-        } else {
-            amountInput.step = '0.01';
-            amountInput.placeholder = '0.00';
-        }
+        amountInput.step = RatchouUtils.currency.getInputStep(currency);
+        amountInput.placeholder = (0).toFixed(RatchouUtils.currency.getDecimals(currency));
     }
 
     /**
@@ -593,7 +737,8 @@ class DashboardController {
                     </td>
                     <td>
                         <div class="fw-bold">
-                            ${transaction.category_name || 'N/A'}
+                            ${transaction.transfer_id ? `🔁 Virement ${transaction.amount < 0 ? 'vers' : 'depuis'} ${transaction.transfer_account_name}` : (transaction.splits ? transaction.splits.map(line => line.category_name).join(' + ') : (transaction.category_name || 'N/A'))}
+                            ${transaction.splits ? '<span class="badge bg-info ms-1" title="Mouvement ventilé">✂️</span>' : ''}
                             ${transaction.recurring_expense_id ? '<span class="badge bg-secondary ms-1" title="Dépense récurrente automatique">🔄</span>' : ''}
                         </div>
                         <small class="text-muted">${transaction.payee_name || 'N/A'} - ${transaction.expense_type_name || 'N/A'}</small>
@@ -714,7 +859,7 @@ class DashboardController {
                         <div class="fw-bold ${balanceClass}">${balance}</div>
                     </div>
                 `;
-            }).join('');
+            }).join('') + await this.renderConsolidatedTotal(sortedAccounts);
 
             // Add click handlers
             accountsList.addEventListener('click', (e) => {
@@ -732,6 +877,29 @@ class DashboardController {
         }
     }
 
+    /**
+     * Render the total of all accounts converted into the reference currency
+     */
+    async renderConsolidatedTotal(accounts) {
+        if (accounts.length < 2) return '';
+
+        const consolidated = await ratchouApp.models.accounts.getConsolidatedBalance();
+        const total = RatchouUtils.currency.formatWithCurrency(consolidated.total, consolidated.currency);
+        const missing = consolidated.missing.length > 0
+            ? `<small class="d-block text-warning">⚠️ ${consolidated.missing.length} compte(s) sans taux de change non inclus</small>`
+            : '';
+
+        return `
+            <div class="d-flex justify-content-between align-items-center p-3 bg-body-tertiary">
+                <div>
+                    <strong>Total</strong> <small class="text-muted">(${consolidated.currency})</small>
+                    ${missing}
+                </div>
+                <div class="fw-bold ${consolidated.total >= 0 ? 'text-success' : 'text-danger'}">${total}</div>
+            </div>
+        `;
+    }
+
     /**
      * Select account
      */
@@ -756,6 +924,7 @@ class DashboardController {
             this.updateAccountDisplay();
             this.toggleDuplicateCheckbox(); // Show/hide checkbox based on account
             await this.loadRecentTransactions();
+            this.checkForecastAlert();
             
             this.accountSelectModal.hide();
             
@@ -897,7 +1066,7 @@ class DashboardController {
         currentBalanceSpan.textContent = RatchouUtils.currency.formatWithCurrency(this.currentAccount.balance, currency);
 
         // Set appropriate decimal places for the input
-        const decimals = currency === 'BTC' ? 8 : 2;
+        const decimals = RatchouUtils.currency.getDecimals(currency);
         newBalanceInput.value = currentBalance.toFixed(decimals);
         newBalanceInput.focus();
         newBalanceInput.select();
@@ -1072,13 +1241,8 @@ class DashboardController {
             const editMontantInput = document.getElementById('edit_montant');
 
             // Set appropriate input step and value based on currency
-            if (currency === 'BTC') {
-                editMontantInput.step = '0.00000001';
-                editMontantInput.value = amountValue.toFixed(8);
-            } else {
-                editMontantInput.step = '0.01';
-                editMontantInput.value = amountValue.toFixed(2);
-            }
+            editMontantInput.step = RatchouUtils.currency.getInputStep(currency);
+            editMontantInput.value = amountValue.toFixed(RatchouUtils.currency.getDecimals(currency));
 
             // Update currency symbol
             const currencySymbol = RatchouUtils.currency.getSymbol(currency);
@@ -1098,6 +1262,21 @@ class DashboardController {
                 document.getElementById('edit_time').value = timeStr;
             }
 
+            // Reconciled movements: amount, date and deletion are locked
+            const locked = ratchouApp.models.transactions.isLocked(transaction);
+            ['edit_montant', 'edit_date', 'edit_time'].forEach(id => {
+                document.getElementById(id).disabled = locked;
+            });
+            document.getElementById('deleteMovementBtn').disabled = locked;
+            document.getElementById('editLockedNotice').classList.toggle('d-none', !locked);
+
+            // Split lines
+            this.setEditSplitMode(!!transaction.splits, transaction.splits || [], currency);
+            this.applyEditTransfer(enrichedTransaction);
+
+            // Receipts and invoices
+            await this.attachmentsPanel.open(transaction.id);
+
             // Update button texts
             this.updateEditButtons(enrichedTransaction);
 
@@ -1196,6 +1375,22 @@ class DashboardController {
                 description: formData.get('rmq') || null
             };
 
+            if (this.editSplitEditor.isActive()) {
+                const splitError = this.editSplitEditor.validate();
+                if (splitError) {
+                    this.showError(splitError);
+                    return;
+                }
+                updateData.splits = this.editSplitEditor.getLines();
+            } else if (transaction.splits) {
+                updateData.splits = null;
+            }
+
+            if (ratchouApp.models.transactions.isLocked(transaction)) {
+                delete updateData.amount;
+                delete updateData.date_mouvement;
+            }
+
             const result = await ratchouApp.models.transactions.update(updateData.id, updateData);
             
             if (result.success) {
@@ -1217,7 +1412,10 @@ class DashboardController {
      * Handle movement delete
      */
     async handleMovementDelete() {
-        if (!confirm('Êtes-vous sûr de vouloir supprimer cette transaction ?')) {
+        const message = this.currentEditIsTransfer
+            ? 'Supprimer ce virement ? Les deux mouvements liés seront supprimés.'
+            : 'Êtes-vous sûr de vouloir supprimer cette transaction ?';
+        if (!confirm(message)) {
             return;
         }
 
@@ -1519,6 +1717,80 @@ class DashboardController {
     // UI Helper Methods
     // =================================================================
 
+    /**
+     * Show/hide the split editor of the entry form
+     * While splitting, category and payee are chosen per line
+     */
+    setSplitMode(active) {
+        if (active) {
+            this.splitEditor.setReferences({
+                categories: this.categories,
+                payees: this.payees,
+                currency: this.currentAccount?.currency || 'EUR'
+            });
+            this.splitEditor.open([], {
+                category_id: document.getElementById('categorie_id').value,
+                payee_id: document.getElementById('beneficiaire_id').value
+            });
+        } else {
+            this.splitEditor.close();
+        }
+
+        const button = document.getElementById('splitToggleBtn');
+        button.classList.toggle('btn-primary', active);
+        button.classList.toggle('btn-outline-primary', !active);
+        ['#categoriePanel', '#beneficiairePanel'].forEach(panel => {
+            document.querySelector(`#movementForm [data-panel-target="${panel}"]`).classList.toggle('d-none', active);
+        });
+    }
+
+    /**
+     * Show/hide the split editor of the edit modal
+     * @param {boolean} active - Split mode
+     * @param {Array} lines - Existing split lines (storage units)
+     * @param {string} currency - Currency of the edited movement (kept when toggling)
+     */
+    setEditSplitMode(active, lines = [], currency = null) {
+        if (currency) {
+            this.editSplitEditor.setReferences({ categories: this.categories, payees: this.payees, currency });
+        }
+
+        if (active) {
+            this.editSplitEditor.open(lines, {
+                category_id: document.getElementById('edit_categorie_id').value,
+                payee_id: document.getElementById('edit_beneficiaire_id').value
+            });
+        } else {
+            this.editSplitEditor.close();
+        }
+
+        document.getElementById('editSplitToggleBtn').textContent = active
+            ? '↩️ Une seule catégorie'
+            : '✂️ Ventiler sur plusieurs catégories';
+        ['edit_categorie_id', 'edit_beneficiaire_id'].forEach(inputId => {
+            document.getElementById(inputId).parentElement.classList.toggle('d-none', active);
+        });
+    }
+
+    /**
+     * Transfer legs in the edit modal: no category, payee or split lines,
+     * and the linked movement is updated at the same time
+     */
+    applyEditTransfer(transaction) {
+        this.currentEditIsTransfer = TransactionsModel.isTransfer(transaction);
+
+        const notice = document.getElementById('editTransferNotice');
+        notice.classList.toggle('d-none', !this.currentEditIsTransfer);
+        if (this.currentEditIsTransfer) {
+            notice.textContent = `🔁 Virement ${transaction.amount < 0 ? 'vers' : 'depuis'} ${transaction.transfer_account_name} : le mouvement lié est mis à jour en même temps`;
+        }
+
+        document.getElementById('editSplitToggleBtn').parentElement.classList.toggle('d-none', this.currentEditIsTransfer);
+        ['edit_categorie_id', 'edit_beneficiaire_id'].forEach(inputId => {
+            document.getElementById(inputId).parentElement.classList.toggle('d-none', this.currentEditIsTransfer || this.editSplitEditor.isActive());
+        });
+    }
+
     /**
      * Reset transaction form (renamed from clearForm)
      */
@@ -1556,6 +1828,12 @@ class DashboardController {
         // Clear remark modal
         document.getElementById('remarqueText').value = '';
 
+        // Back to a single category
+        this.setSplitMode(false);
+        if (!document.getElementById('transferFields').classList.contains('d-none')) {
+            this.setTransferMode(false);
+        }
+
         // Set default expense type again
         this.setDefaultExpenseType();
 
@@ -1788,10 +2066,129 @@ class DashboardController {
         }, 4000);
     }
 
+    showWarning(message) {
+        console.warn('Warning:', message);
+
+        const alertDiv = document.createElement('div');
+        alertDiv.className = 'alert alert-warning alert-dismissible fade show position-fixed top-0 end-0 m-3';
+        alertDiv.style.zIndex = '9999';
+        alertDiv.innerHTML = `
+            <i class="me-2">💰</i>${message}
+            <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        `;
+        document.body.appendChild(alertDiv);
+
+        setTimeout(() => {
+            if (alertDiv.parentNode) {
+                alertDiv.remove();
+            }
+        }, 7000);
+    }
+
+    /**
+     * Warn when an expense pushes its category over the monthly budget
+     * @param {object} transaction - Newly created transaction
+     */
+    async checkCategoryBudget(transaction) {
+        if (!transaction || transaction.amount >= 0) return;
+
+        // Split movements are checked line by line
+        for (const line of TransactionsModel.getLines(transaction)) {
+            if (!line.category_id || line.amount >= 0) continue;
+
+            const status = await ratchouApp.models.budgets.checkCategory(line.category_id, transaction.date_mouvement);
+            const currency = this.currentAccount?.currency || 'EUR';
+            if (!status || !status.is_over || status.currency !== currency) continue;
+
+            const category = this.categories.find(c => c.id === line.category_id);
+            const categoryName = category ? category.libelle : 'cette catégorie';
+            const overrun = RatchouUtils.currency.formatWithCurrency(-status.remaining, currency);
+            const wasAlreadyOver = status.remaining - line.amount < 0;
+
+            this.showWarning(wasAlreadyOver
+                ? `Budget « ${categoryName} » toujours dépassé : ${overrun} au-delà du budget du mois`
+                : `Budget « ${categoryName} » dépassé de ${overrun} avec ce mouvement`);
+        }
+    }
+
     // =================================================================
     // Financial Projection Methods
     // =================================================================
 
+    /**
+     * Remind the recurring occurrences waiting for review (confirm before posting mode)
+     */
+    async checkPendingReview() {
+        const container = document.getElementById('pendingReviewAlert');
+        if (!container) return;
+
+        try {
+            const pending = await ratchouApp.models.recurringExpenses.getPendingReview();
+            if (pending.length === 0) {
+                container.classList.add('d-none');
+                container.innerHTML = '';
+                return;
+            }
+
+            container.innerHTML = `
+                <div class="alert alert-info alert-dismissible fade show mb-4" role="alert">
+                    <i class="me-2">✋</i>${pending.length} échéance(s) récurrente(s) à valider
+                    <a href="manage/recurrents.html" class="alert-link ms-1">Les revoir</a>
+                    <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+                </div>
+            `;
+            container.classList.remove('d-none');
+        } catch (error) {
+            console.error('Error checking pending occurrences:', error);
+        }
+    }
+
+    /**
+     * Alert when the 12-month forecast of the current account, or of all accounts,
+     * falls below the threshold set on the projection page
+     */
+    async checkForecastAlert() {
+        const container = document.getElementById('forecastAlert');
+        if (!container || !this.currentAccount) return;
+
+        try {
+            const scopes = [
+                { scope: this.currentAccount.id, accountIds: [this.currentAccount.id], name: `le compte « ${this.currentAccount.nom_compte} »` },
+                { scope: 'all', accountIds: null, name: 'l\'ensemble des comptes' }
+            ];
+
+            const messages = [];
+            for (const { scope, accountIds, name } of scopes) {
+                const threshold = ProjectionService.getThreshold(scope);
+                if (!threshold) continue;
+
+                const forecast = await this.projectionService.forecast({ accountIds });
+                const breach = ProjectionService.findBreach(forecast, threshold);
+                if (!breach) continue;
+
+                const date = RecurringExpensesModel.parseDate(breach.date).toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' });
+                messages.push(`Le solde prévu sur ${name} passe à ${RatchouUtils.currency.formatWithCurrency(breach.balance, forecast.currency)} le ${date}, sous le seuil de ${RatchouUtils.currency.formatWithCurrency(threshold.amount, threshold.currency)}.`);
+            }
+
+            if (messages.length === 0) {
+                container.classList.add('d-none');
+                container.innerHTML = '';
+                return;
+            }
+
+            container.innerHTML = `
+                <div class="alert alert-warning alert-dismissible fade show mb-4" role="alert">
+                    <i class="me-2">⚠️</i>${messages.join('<br>')}
+                    <a href="manage/projection.html" class="alert-link ms-1">Voir la prévision</a>
+                    <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+                </div>
+            `;
+            container.classList.remove('d-none');
+        } catch (error) {
+            console.error('Error checking forecast alert:', error);
+        }
+    }
+
     /**
      * Load and display financial projection for specified period
      */
@@ -1809,16 +2206,12 @@ class DashboardController {
                 </div>
             `;
             
-            // Get current account balance
-            const currentBalance = this.currentAccount ? this.currentAccount.balance : 0;
-            const currency = this.currentAccount?.currency || 'EUR';
-            const currentBalanceInEuros = RatchouUtils.currency.fromStorageUnit(currentBalance, currency);
-            
-            // Get upcoming recurring expenses for the selected period
-            const projection = await this.calculateFinancialProjection(days);
-            
+            // Balance of today (future-dated movements are added back on their day)
+            const result = await this.calculateFinancialProjection(days);
+            const currentBalance = RatchouUtils.currency.fromStorageUnit(result.startBalance, result.currency);
+
             // Display the projection
-            this.displayFinancialProjection(currentBalanceInEuros, projection, days);
+            this.displayFinancialProjection(currentBalance, result.projection, days, result.currency);
             
         } catch (error) {
             console.error('Error loading financial projection:', error);
@@ -1832,155 +2225,39 @@ class DashboardController {
     }
 
     /**
-     * Calculate financial projection for the next N days
+     * Calculate financial projection for the next N days (shared ProjectionService)
+     * Amounts are converted from storage units for display
      */
     async calculateFinancialProjection(days) {
-        const today = new Date();
-        const endDate = new Date(today);
-        endDate.setDate(today.getDate() + days);
-        
-        // Get current account ID
-        const currentAccountId = this.currentAccount ? this.currentAccount.id : null;
-        if (!currentAccountId) {
+        if (!this.currentAccount) {
             throw new Error('Aucun compte sélectionné');
         }
-        
-        // Get all future transactions for this account in the date range
-        const futureTransactions = await this.getFutureTransactions(currentAccountId, today, endDate);
-        
-        // Get all active recurring expenses for this account
-        const recurringExpenses = await ratchouApp.models.recurringExpenses.getActiveByAccount(currentAccountId);
-        
-        console.log(`Found ${recurringExpenses.length} active recurring expenses for account ${currentAccountId}:`, recurringExpenses);
-        
-        // Create projection array
-        const projection = [];
-        
-        for (let i = 0; i <= days; i++) {
-            const date = new Date(today);
-            date.setDate(date.getDate() + i);
-            
-            console.log(`\n=== Checking day ${i}: ${date.toDateString()} (day of month: ${date.getDate()}) ===`);
-            
-            const dayProjection = {
-                date: date,
-                isToday: i === 0,
-                transactions: [],
-                totalAmount: 0
-            };
-            
-            // Add existing future transactions for this day
-            const dayTransactions = futureTransactions.filter(transaction => {
-                const transactionDate = new Date(transaction.date_mouvement);
-                return transactionDate.toDateString() === date.toDateString();
-            });
-            
-            dayTransactions.forEach(transaction => {
-                // Note: For simplicity, assuming all transactions use the same currency as the account
-                // In a multi-currency system, each transaction would need its own currency field
-                const transactionCurrency = this.currentAccount?.currency || 'EUR';
-                const amountInEuros = RatchouUtils.currency.fromStorageUnit(transaction.amount, transactionCurrency);
-                dayProjection.transactions.push({
-                    id: transaction.id,
-                    libelle: transaction.category_name || 'Transaction',
-                    amount: amountInEuros,
-                    amountInCents: transaction.amount,
-                    type: 'existing',
-                    isPositive: amountInEuros >= 0
-                });
-                dayProjection.totalAmount += amountInEuros;
-            });
 
-            // Add recurring expenses that should be executed this day
-            for (const expense of recurringExpenses) {
-                if (this.shouldExecuteRecurringExpense(expense, date)) {
-                    const expenseCurrency = this.currentAccount?.currency || 'EUR';
-                    const amountInEuros = RatchouUtils.currency.fromStorageUnit(expense.amount, expenseCurrency);
-                    
-                    // Keep the original sign of the amount (positive for income, negative for expenses)
-                    dayProjection.transactions.push({
-                        id: expense.id,
-                        libelle: expense.libelle,
-                        amount: amountInEuros,
-                        amountInCents: expense.amount,
-                        type: 'recurring',
-                        isPositive: amountInEuros >= 0
-                    });
-                    dayProjection.totalAmount += amountInEuros;
-                }
-            }
-            
-            projection.push(dayProjection);
-        }
-        
-        return projection;
-    }
-
-    /**
-     * Get future transactions for an account within a date range
-     */
-    async getFutureTransactions(accountId, startDate, endDate) {
-        try {
-            // Get all transactions for this account
-            const allTransactions = await ratchouApp.models.transactions.getByAccount(accountId);
-            
-            // Filter transactions that are in the future date range
-            return allTransactions.filter(transaction => {
-                const transactionDate = new Date(transaction.date_mouvement);
-                return transactionDate >= startDate && transactionDate <= endDate;
-            });
-        } catch (error) {
-            console.error('Error getting future transactions:', error);
-            return [];
-        }
-    }
-
-    /**
-     * Check if a recurring expense should be executed on a given date
-     * For projections, we're more permissive than for actual execution
-     */
-    shouldExecuteRecurringExpense(expense, date) {
-        const dayOfMonth = date.getDate();
-        const expenseDayOfMonth = expense.day_of_month;
-        
-        console.log(`Checking recurring expense "${expense.libelle}" for date ${date.toDateString()}`);
-        console.log(`- Target day of month: ${expenseDayOfMonth}, Current day: ${dayOfMonth}`);
-        
-        // Check if the day of month matches
-        if (dayOfMonth === expenseDayOfMonth) {
-            console.log(`- Day matches! Checking execution history...`);
-            
-            // For projection purposes, we're more lenient about recent executions
-            if (expense.last_execution) {
-                const lastExecution = new Date(expense.last_execution);
-                const daysDifference = Math.floor((date - lastExecution) / (1000 * 60 * 60 * 24));
-                
-                console.log(`- Last execution: ${lastExecution.toDateString()}, Days ago: ${daysDifference}`);
-                
-                // For projection, only skip if it was executed in the current month
-                const lastExecutionMonth = lastExecution.getMonth();
-                const lastExecutionYear = lastExecution.getFullYear();
-                const currentMonth = date.getMonth();
-                const currentYear = date.getFullYear();
-                
-                // Don't execute if already executed this month
-                if (lastExecutionMonth === currentMonth && lastExecutionYear === currentYear) {
-                    console.log(`- Already executed this month, skipping`);
-                    return false;
-                }
-            }
-            
-            console.log(`- Should execute!`);
-            return true;
-        }
-        
-        return false;
+        const result = await this.projectionService.project({ days, accountIds: [this.currentAccount.id] });
+        const toDisplay = (stored) => RatchouUtils.currency.fromStorageUnit(stored, result.currency);
+
+        return {
+            ...result,
+            projection: result.days.map(day => ({
+                date: RecurringExpensesModel.parseDate(day.date),
+                isToday: day.isToday,
+                transactions: day.items.map(item => ({
+                    id: item.id,
+                    libelle: item.libelle,
+                    amount: toDisplay(item.amount),
+                    amountInCents: item.amount,
+                    type: item.type,
+                    isPositive: item.amount >= 0
+                })),
+                totalAmount: toDisplay(day.total)
+            }))
+        };
     }
 
     /**
      * Display the financial projection in the modal
      */
-    displayFinancialProjection(currentBalance, projection, days) {
+    displayFinancialProjection(currentBalance, projection, days, currency) {
         // Filter out days with no transactions (only show days with transactions)
         const daysWithTransactions = projection.filter(day => day.transactions.length > 0);
         
@@ -0,0 +1,436 @@
+/**
+ * Bank Statement Import Controller
+ * Imports OFX/QIF/CAMT.053/CSV statements into MOUVEMENTS and proposes
+ * matches with already-entered movements instead of creating duplicates
+ */
+class BankImportController {
+    constructor() {
+        this.accounts = [];
+        this.categories = [];
+        this.payees = [];
+        this.fileText = null;
+        this.fileName = '';
+        this.lines = [];
+        this.loadingOverlay = null;
+    }
+
+    /**
+     * Initialize the controller
+     */
+    async initialize() {
+        try {
+            await this.loadComponents();
+
+            this.loadingOverlay = document.getElementById('loadingOverlay');
+            this.setupEventListeners();
+            await this.loadReferenceData();
+        } catch (error) {
+            console.error('Error initializing bank import controller:', error);
+            this.showError('Erreur lors de l\'initialisation de la page');
+        }
+    }
+
+    /**
+     * Load all UI components
+     */
+    async loadComponents() {
+        await ComponentLoader.loadHeader({
+            title: '📥 Import de relevé',
+            showAccountInfo: false,
+            logoLink: '../dashboard.html'
+        });
+        await ComponentLoader.loadSidebar();
+        await ComponentLoader.loadCommonModals();
+        await ComponentLoader.loadFixedFooter();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('statementFile').addEventListener('change', (e) => this.handleFileSelected(e.target.files[0]));
+        document.getElementById('analyzeBtn').addEventListener('click', () => this.handleAnalyze());
+        document.getElementById('confirmImportBtn').addEventListener('click', () => this.handleImport());
+        document.getElementById('cancelImportBtn').addEventListener('click', () => this.resetPreview());
+    }
+
+    /**
+     * Load accounts, categories and payees
+     */
+    async loadReferenceData() {
+        this.accounts = await ratchouApp.models.accounts.getAllSorted();
+        this.categories = await ratchouApp.models.categories.getAllSorted();
+        this.payees = await ratchouApp.models.payees.getAll();
+
+        const currentAccount = await ratchouApp.getCurrentAccount();
+        const accountSelect = document.getElementById('import_account_id');
+        accountSelect.innerHTML = this.accounts.map(account => `
+            <option value="${account.id}" ${currentAccount && currentAccount.id === account.id ? 'selected' : ''}>
+                ${this.escapeHtml(account.nom_compte)} (${account.currency || 'EUR'})
+            </option>
+        `).join('');
+
+        const categorySelect = document.getElementById('import_category_id');
+        categorySelect.innerHTML += this.categories
+            .map(c => `<option value="${c.id}">${this.escapeHtml(c.libelle)}</option>`)
+            .join('');
+    }
+
+    // =================================================================
+    // Alerts and loading
+    // =================================================================
+
+    showLoading() {
+        if (this.loadingOverlay) {
+            this.loadingOverlay.classList.remove('d-none');
+        }
+    }
+
+    hideLoading() {
+        if (this.loadingOverlay) {
+            this.loadingOverlay.classList.add('d-none');
+        }
+    }
+
+    showSuccess(message) {
+        this.showAlert(message, 'success');
+    }
+
+    showError(message) {
+        this.showAlert(message, 'danger');
+    }
+
+    showAlert(message, type) {
+        const alertContainer = document.getElementById('alertContainer');
+        alertContainer.innerHTML = `
+            <div class="alert alert-${type} alert-dismissible fade show" role="alert">
+                ${message}
+                <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+            </div>
+        `;
+        alertContainer.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // =================================================================
+    // Parsing
+    // =================================================================
+
+    /**
+     * Read the selected file and prepare CSV mapping if needed
+     */
+    async handleFileSelected(file) {
+        this.resetPreview();
+        this.fileText = null;
+        if (!file) return;
+
+        try {
+            this.fileName = file.name;
+            this.fileText = BankStatementParser.decode(await file.arrayBuffer());
+
+            const format = BankStatementParser.detectFormat(this.fileText, this.fileName);
+            const csvMapping = document.getElementById('csvMapping');
+            csvMapping.classList.toggle('d-none', format !== 'CSV');
+
+            if (format === 'CSV') {
+                const { headers } = BankStatementParser.readCSV(this.fileText);
+                const mapping = BankStatementParser.guessCSVMapping(headers);
+                const options = '<option value="-1">—</option>' +
+                    headers.map((h, i) => `<option value="${i}">${this.escapeHtml(h || `Colonne ${i + 1}`)}</option>`).join('');
+
+                document.querySelectorAll('.csv-column').forEach(select => {
+                    select.innerHTML = options;
+                    select.value = String(mapping[select.dataset.field]);
+                });
+            }
+        } catch (error) {
+            console.error('Error reading statement file:', error);
+            this.showError('Impossible de lire le fichier');
+        }
+    }
+
+    /**
+     * Parse the statement and match lines with existing movements
+     */
+    async handleAnalyze() {
+        if (!this.fileText) {
+            this.showError('Veuillez choisir un fichier de relevé');
+            return;
+        }
+
+        const account = this.accounts.find(a => a.id === document.getElementById('import_account_id').value);
+        if (!account) {
+            this.showError('Veuillez choisir un compte');
+            return;
+        }
+
+        try {
+            this.showLoading();
+
+            const mapping = {};
+            document.querySelectorAll('.csv-column').forEach(select => {
+                mapping[select.dataset.field] = parseInt(select.value, 10);
+            });
+
+            const dateOrder = document.getElementById('import_date_order').value;
+            const statement = BankStatementParser.parse(this.fileText, {
+                fileName: this.fileName,
+                dateOrder,
+                csv: { dateOrder, mapping: mapping.date !== undefined ? mapping : null }
+            });
+
+            const currency = account.currency || 'EUR';
+            const warnings = [...statement.warnings];
+            if (statement.currency && statement.currency !== currency) {
+                warnings.unshift(`Le relevé est en ${statement.currency} mais le compte « ${account.nom_compte} » est en ${currency}.`);
+            }
+
+            this.lines = await this.matchLines(account, statement);
+            this.renderPreview(account, statement.format, warnings);
+        } catch (error) {
+            console.error('Error analyzing statement:', error);
+            this.showError(`Erreur d'analyse : ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Compute import references and reconciliation proposals for each line
+     */
+    async matchLines(account, statement) {
+        const currency = account.currency || 'EUR';
+        const transactionsModel = ratchouApp.models.transactions;
+        const importedRefs = await transactionsModel.getImportRefs(account.id);
+        const claimedIds = new Set();
+        const occurrences = new Map();
+        const lines = [];
+
+        for (const line of statement.transactions) {
+            const amount = RatchouUtils.currency.toStorageUnit(line.amount, currency);
+
+            // Lines without bank reference are identified by their content (+ rank of identical lines)
+            let importRef;
+            if (line.reference) {
+                importRef = `${statement.format}:${line.reference}`;
+            } else {
+                const key = `${line.date}|${amount}|${RatchouUtils.text.normalize(line.label)}`;
+                const rank = (occurrences.get(key) || 0) + 1;
+                occurrences.set(key, rank);
+                importRef = `${key}#${rank}`;
+            }
+
+            const entry = { ...line, amount, import_ref: importRef, candidates: [], action: 'create' };
+
+            if (importedRefs.has(importRef)) {
+                entry.action = 'skip';
+                entry.alreadyImported = true;
+            } else {
+                // Movements already linked to a bank line are not proposed again
+                const candidates = await transactionsModel.findReconcileCandidates(account.id, line.date, amount);
+                entry.candidates = candidates.filter(c => !c.import_ref && !claimedIds.has(c.id));
+
+                if (entry.candidates.length > 0) {
+                    entry.action = `link:${entry.candidates[0].id}`;
+                    claimedIds.add(entry.candidates[0].id);
+                }
+            }
+
+            lines.push(entry);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Render the reconciliation preview
+     */
+    renderPreview(account, format, warnings) {
+        const currency = account.currency || 'EUR';
+        const tbody = document.getElementById('previewTableBody');
+
+        const newCount = this.lines.filter(l => l.action === 'create').length;
+        const matchCount = this.lines.filter(l => l.action.startsWith('link:')).length;
+        const knownCount = this.lines.filter(l => l.alreadyImported).length;
+        document.getElementById('previewSummary').textContent =
+            `${format} · ${this.lines.length} ligne(s) : ${newCount} nouvelle(s), ${matchCount} rapprochement(s), ${knownCount} déjà importée(s)`;
+
+        document.getElementById('previewWarnings').innerHTML = warnings.length > 0 ? `
+            <div class="alert alert-warning m-2 small">
+                ${warnings.map(w => this.escapeHtml(w)).join('<br>')}
+            </div>
+        ` : '';
+
+        tbody.innerHTML = this.lines.map((line, index) => {
+            let actionCell;
+            if (line.alreadyImported) {
+                actionCell = '<span class="badge bg-secondary">Déjà importé</span>';
+            } else {
+                const linkOptions = line.candidates.map(c => `
+                    <option value="link:${c.id}" ${line.action === `link:${c.id}` ? 'selected' : ''}>
+                        🔗 ${RatchouUtils.date.format(c.date_mouvement)} ${this.escapeHtml(c.description || '')}
+                    </option>
+                `).join('');
+
+                actionCell = `
+                    <select class="form-select form-select-sm line-action" data-index="${index}">
+                        ${linkOptions}
+                        <option value="create" ${line.action === 'create' ? 'selected' : ''}>➕ Créer le mouvement</option>
+                        <option value="skip">⏭️ Ignorer</option>
+                    </select>
+                `;
+            }
+
+            return `
+                <tr class="${line.alreadyImported ? 'text-muted' : ''}">
+                    <td class="text-nowrap">${RatchouUtils.date.format(line.date)}</td>
+                    <td class="small">${this.escapeHtml(line.label)}</td>
+                    <td class="text-end text-nowrap ${line.amount < 0 ? 'text-danger' : 'text-success'}">
+                        ${RatchouUtils.currency.formatWithCurrency(line.amount, currency)}
+                    </td>
+                    <td style="min-width: 180px;">${actionCell}</td>
+                </tr>
+            `;
+        }).join('');
+
+        tbody.querySelectorAll('.line-action').forEach(select => {
+            select.addEventListener('change', () => {
+                this.lines[parseInt(select.dataset.index, 10)].action = select.value;
+            });
+        });
+
+        document.getElementById('previewCard').classList.remove('d-none');
+        document.getElementById('previewCard').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    resetPreview() {
+        this.lines = [];
+        document.getElementById('previewCard').classList.add('d-none');
+        document.getElementById('previewTableBody').innerHTML = '';
+    }
+
+    // =================================================================
+    // Import
+    // =================================================================
+
+    /**
+     * Apply the chosen action of each line
+     */
+    async handleImport() {
+        const accountId = document.getElementById('import_account_id').value;
+        const categoryId = document.getElementById('import_category_id').value || null;
+        const transactionsModel = ratchouApp.models.transactions;
+
+        // A movement can only be reconciled with one bank line
+        const linkedIds = this.lines.filter(l => l.action.startsWith('link:')).map(l => l.action.slice(5));
+        if (new Set(linkedIds).size !== linkedIds.length) {
+            this.showError('Un même mouvement est rapproché de plusieurs lignes du relevé');
+            return;
+        }
+
+        const confirmButton = document.getElementById('confirmImportBtn');
+        confirmButton.disabled = true;
+        this.showLoading();
+
+        let created = 0;
+        let linked = 0;
+        let errors = 0;
+
+        try {
+            for (const line of this.lines) {
+                let result = null;
+
+                if (line.action === 'create') {
+                    result = await transactionsModel.create({
+                        amount: line.amount,
+                        account_id: accountId,
+                        category_id: categoryId,
+                        payee_id: this.findPayeeId(line.label),
+                        expense_type_id: null,
+                        description: line.label || null,
+                        date_mouvement: `${line.date}T00:00:00.000Z`,
+                        import_ref: line.import_ref
+                    });
+                    if (result.success) created++;
+                } else if (line.action.startsWith('link:')) {
+                    result = await transactionsModel.update(line.action.slice(5), { import_ref: line.import_ref });
+                    if (result.success) linked++;
+                }
+
+                if (result && !result.success) {
+                    errors++;
+                    console.error('Bank import line failed:', line, result.message);
+                }
+            }
+
+            const message = `Import terminé : ${created} mouvement(s) créé(s), ${linked} rapproché(s)` +
+                (errors > 0 ? `, ${errors} erreur(s)` : '');
+            errors > 0 ? this.showError(message) : this.showSuccess(message);
+
+            this.resetPreview();
+            document.getElementById('statementFile').value = '';
+            this.fileText = null;
+        } catch (error) {
+            console.error('Error importing statement:', error);
+            this.showError(`Erreur lors de l'import : ${error.message}`);
+        } finally {
+            confirmButton.disabled = false;
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Find a known payee whose name appears in the bank label (longest match wins)
+     */
+    findPayeeId(label) {
+        const normalizedLabel = RatchouUtils.text.normalize(label);
+        if (!normalizedLabel) return null;
+
+        const match = this.payees
+            .filter(p => p.libelle && p.libelle.length >= 3 && normalizedLabel.includes(RatchouUtils.text.normalize(p.libelle)))
+            .sort((a, b) => b.libelle.length - a.libelle.length)[0];
+
+        return match ? match.id : null;
+    }
+
+    /**
+     * Escape HTML characters
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text ?? '').replace(/[&<>"']/g, (m) => map[m]);
+    }
+}
+
+// Global instance
+let bankImportController;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        // Initialize Ratchou app
+        await ratchouApp.initialize();
+
+        // Check authentication with guard system
+        if (window.auth && typeof window.auth.guardPage === 'function') {
+            if (!auth.guardPage('app')) {
+                return; // User was redirected, stop initialization
+            }
+        } else if (!ratchouApp.isAuthenticated()) {
+            location.replace('../index.html');
+            return;
+        }
+
+        bankImportController = new BankImportController();
+        await bankImportController.initialize();
+
+    } catch (error) {
+        console.error('Error initializing bank import page:', error);
+        alert('Erreur lors de l\'initialisation de la page');
+    }
+});
@@ -183,6 +183,21 @@ class MainController {
         this.statusContainer.classList.add('container-hidden');
         this.showLoginBtn.classList.add('container-hidden');
         this.accessCodeLoginInput.focus();
+        this.restoreLoginLock();
+    }
+
+    /**
+     * Réapplique un blocage en cours (après rechargement de la page)
+     */
+    async restoreLoginLock() {
+        if (!window.ratchouApp.auth) return;
+
+        const user = await window.ratchouApp.auth.getUser();
+        const remaining = window.ratchouApp.auth.getLockRemaining(user);
+        if (remaining > 0) {
+            this.showError('login', `Trop de tentatives. Réessayez dans ${RatchouAuth.formatDelay(remaining)}.`);
+            this.lockLoginForm(remaining);
+        }
     }
 
     showSetup(isRestore = false) {
@@ -311,13 +326,13 @@ class MainController {
 
     /**
      * Valide le code d'accès sans créer de session
+     * Les échecs sont comptés (délai exponentiel, effacement optionnel après N échecs)
      */
     async validateAccessCode(accessCode) {
         try {
-            const userData = await window.ratchouApp.db.get('UTILISATEUR', accessCode);
-            return !!userData;
+            return await window.ratchouApp.auth.checkAccessCode(accessCode);
         } catch (error) {
-            return false;
+            return { success: false, message: 'Code d\'accès incorrect.' };
         }
     }
 
@@ -336,11 +351,19 @@ class MainController {
 
         try {
             // ÉTAPE 1 : Valider le code d'accès
-            const isValid = await this.validateAccessCode(accessCode);
-            if (!isValid) {
-                this.showError('login', 'Code d\'accès incorrect.');
+            const check = await this.validateAccessCode(accessCode);
+            if (!check.success) {
+                if (check.data?.wipeRequired) {
+                    await this.handleLockoutWipe(check.message);
+                    return;
+                }
+                this.showError('login', check.message);
                 this.accessCodeLoginInput.value = '';
-                this.accessCodeLoginInput.focus();
+                if (check.data?.lockedFor) {
+                    this.lockLoginForm(check.data.lockedFor);
+                } else {
+                    this.accessCodeLoginInput.focus();
+                }
                 return;
             }
 
@@ -365,6 +388,37 @@ class MainController {
         }
     }
 
+    /**
+     * Désactive le formulaire de connexion pendant le délai imposé après des échecs
+     */
+    lockLoginForm(durationMs) {
+        const loginBtn = document.getElementById('loginBtn');
+        loginBtn.disabled = true;
+        this.accessCodeLoginInput.disabled = true;
+
+        clearTimeout(this.loginLockTimer);
+        this.loginLockTimer = setTimeout(() => {
+            loginBtn.disabled = false;
+            this.accessCodeLoginInput.disabled = false;
+            this.hideErrors();
+            this.accessCodeLoginInput.focus();
+        }, durationMs);
+    }
+
+    /**
+     * Effacement des données après trop de tentatives échouées (option activée dans Paramètres)
+     */
+    async handleLockoutWipe(message) {
+        this.loginContainer.classList.add('container-hidden');
+        this.updateProgress(5, message);
+
+        const { uninstallApp } = await import('../components/import-export.js');
+        await uninstallApp((p, m) => this.updateProgress(p, m));
+
+        this.statusMessage.innerHTML = 'Données effacées.<br>La page va se recharger...';
+        setTimeout(() => window.location.reload(), 3000);
+    }
+
     /**
      * CAS 2a : Connexion normale
      */
@@ -480,7 +534,7 @@ class MainController {
         this.updateProgress(5, 'Installation en cours...');
 
         try {
-            const userData = await window.ratchouApp.db.get('UTILISATEUR', accessCode);
+            const userData = await window.ratchouApp.auth.getUser();
             const deviceId = userData?.device_id || RatchouUtils.device.generateDeviceId();
 
             const { importPairingFile } = await import('../components/import-export.js');
@@ -530,7 +584,7 @@ class MainController {
         this.updateProgress(5, 'Restauration en cours...');
 
         try {
-            const userData = await window.ratchouApp.db.get('UTILISATEUR', accessCode);
+            const userData = await window.ratchouApp.auth.getUser();
             const deviceId = userData?.device_id || RatchouUtils.device.generateDeviceId();
 
             const { importData } = await import('../components/import-export.js');
@@ -624,7 +678,7 @@ class MainController {
                 // CAS 1a : For new user setup without import
                 await window.ratchouApp.initialize({ skipDefaults: true });
                 this.updateProgress(20, 'Création du nouvel utilisateur...');
-                await window.ratchouApp.db.put('UTILISATEUR', { code_acces: accessCode, device_id: deviceId });
+                await window.ratchouApp.auth.setAccessCode(accessCode, deviceId);
                 this.updateProgress(50, 'Création des données par défaut...');
                 await window.ratchouApp.initializeWithDefaults();
             }
@@ -10,10 +10,13 @@ class MouvementsController {
         this.payees = [];
         this.expenseTypes = [];
         this.currentFilters = {};
-        this.currentPage = 1;
-        this.itemsPerPage = 20;
-        this.totalItems = 0;
+        this.pageSize = 50;
+        this.pageCursor = null;
+        this.searchToken = 0;
+        this.isLoadingPage = false;
         this.currentResults = [];
+        this.lastWeekKey = null;
+        this.lastDateKey = null;
         this.isInitialized = false;
         
         // DOM elements
@@ -21,10 +24,14 @@ class MouvementsController {
         this.movementsTableBody = null;
         this.loadingOverlay = null;
         this.editMovementModal = null;
+        this.attachmentsPanel = null;
+        this.attachedMovementIds = new Set();
         this.totalCountElement = null;
         this.paginationInfo = null;
         this.noResultsElement = null;
         this.resultsTableElement = null;
+        this.scrollSentinel = null;
+        this.scrollObserver = null;
     }
 
     /**
@@ -105,10 +112,26 @@ class MouvementsController {
         this.movementsTableBody = document.getElementById('movementsTableBody');
         this.loadingOverlay = document.getElementById('loadingOverlay');
         this.editMovementModal = new bootstrap.Modal(document.getElementById('editMovementModal'));
+        this.reconciliationModal = new bootstrap.Modal(document.getElementById('reconciliationModal'));
+        this.editSplitEditor = new SplitEditor(document.getElementById('edit_splitEditor'), () => document.getElementById('edit_montant').value);
+        this.attachmentsPanel = new AttachmentsPanel(document.getElementById('edit_attachments'), (message) => this.showError(message));
         this.totalCountElement = document.getElementById('totalCount');
         this.paginationInfo = document.getElementById('pagination-info');
         this.noResultsElement = document.getElementById('no-results');
         this.resultsTableElement = document.getElementById('results-table');
+
+        // Infinite scroll: the next page loads when this row comes into view
+        this.scrollSentinel = document.createElement('tr');
+        this.scrollSentinel.innerHTML = `
+            <td colspan="3" class="text-center text-muted small py-3">
+                ⏳ Chargement des mouvements suivants...
+            </td>
+        `;
+        this.scrollObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMoreTransactions();
+            }
+        }, { rootMargin: '300px' });
     }
 
     /**
@@ -138,6 +161,44 @@ class MouvementsController {
             this.deleteCurrentMovement();
         });
 
+        document.getElementById('editSplitToggleBtn').addEventListener('click', () => {
+            this.setEditSplitMode(!this.editSplitEditor.isActive());
+        });
+
+        document.getElementById('edit_montant').addEventListener('input', () => {
+            this.editSplitEditor.updateRemaining();
+        });
+
+        document.getElementById('unlockMovementBtn').addEventListener('click', () => {
+            this.unlockCurrentMovement();
+        });
+
+        // Reconciliation modal events
+        document.getElementById('openReconciliationBtn').addEventListener('click', () => {
+            this.openReconciliation();
+        });
+        document.getElementById('reconcile_account_id').addEventListener('change', () => {
+            this.loadReconciliation(true);
+        });
+        document.getElementById('reconcile_date').addEventListener('change', () => {
+            this.loadReconciliation();
+        });
+        document.getElementById('reconcile_balance').addEventListener('input', () => {
+            this.updateReconciliationTotals();
+        });
+        document.getElementById('finishReconciliationBtn').addEventListener('click', () => {
+            this.finishReconciliation();
+        });
+        document.getElementById('reconciliationModal').addEventListener('hidden.bs.modal', () => {
+            this.searchTransactions();
+        });
+        document.getElementById('editMovementModal').addEventListener('hidden.bs.modal', () => {
+            this.attachmentsPanel.close();
+            if (this.attachmentsPanel.changed) {
+                this.searchTransactions();
+            }
+        });
+
         // Sidebar menu functionality
         const exportBtn = document.getElementById('exportBtn');
         if (exportBtn) {
@@ -234,7 +295,7 @@ class MouvementsController {
             
             // Clear any existing filters
             this.currentFilters = {};
-            this.currentPage = 1;
+            this.currentResults = [];
             
             // Search all transactions
             await this.searchTransactions();
@@ -462,7 +523,7 @@ class MouvementsController {
             }
             
             this.currentFilters = filters;
-            this.currentPage = 1;
+            this.currentResults = [];
             
             // Search transactions
             await this.searchTransactions();
@@ -477,19 +538,25 @@ class MouvementsController {
     }
 
     /**
-     * Search transactions with filters
+     * Search transactions with filters (reloads from the first page)
+     * Reloads at least the rows already displayed, so a refresh after an edit keeps the scroll position
      */
     async searchTransactions() {
+        const token = ++this.searchToken;
+
         try {
-            const transactions = await ratchouApp.models.transactions.searchWithDetails(this.currentFilters);
+            const limit = Math.max(this.pageSize, this.currentResults.length);
+            const page = await ratchouApp.models.transactions.searchPage(this.currentFilters, { limit });
+            this.attachedMovementIds = await ratchouApp.models.attachments.getMovementIds();
+            if (token !== this.searchToken) return;
 
-            this.currentResults = transactions;
-            this.totalItems = transactions.length;
+            this.currentResults = page.items;
+            this.pageCursor = page.cursor;
 
-            if (transactions.length === 0) {
+            if (page.items.length === 0) {
                 this.showNoResults(true);
             } else {
-                this.displayResults(transactions);
+                this.displayResults(page.items);
             }
 
         } catch (error) {
@@ -498,43 +565,73 @@ class MouvementsController {
         }
     }
 
+    /**
+     * Load the next page of results (infinite scroll)
+     */
+    async loadMoreTransactions() {
+        if (this.isLoadingPage || !this.pageCursor) return;
+
+        const token = this.searchToken;
+        this.isLoadingPage = true;
+
+        try {
+            const page = await ratchouApp.models.transactions.searchPage(this.currentFilters, {
+                cursor: this.pageCursor,
+                limit: this.pageSize
+            });
+            // Ignore a page from a search that has been replaced in the meantime
+            if (token !== this.searchToken) return;
+
+            this.currentResults.push(...page.items);
+            this.pageCursor = page.cursor;
+            this.displayResults(page.items, true);
+
+        } catch (error) {
+            console.error('Error loading more transactions:', error);
+            this.showError('Erreur lors du chargement des mouvements suivants');
+        } finally {
+            this.isLoadingPage = false;
+        }
+    }
+
     /**
      * Display search results (with week and date separators)
+     * @param {Array} transactions - Transactions to render, most recent first
+     * @param {boolean} append - Add a page below the rows already displayed
      */
-    displayResults(transactions) {
+    displayResults(transactions, append = false) {
         // Use Bootstrap classes instead of inline styles
         this.noResultsElement.classList.add('d-none');
         this.resultsTableElement.classList.remove('d-none');
 
-        // Update count
-        this.totalCountElement.textContent = this.formatNumber(transactions.length);
-
-        // Clear table
-        this.movementsTableBody.innerHTML = '';
-
-        // Group transactions by week, then by date
-        const groupedByWeek = this.groupTransactionsByWeek(transactions);
+        if (!append) {
+            this.movementsTableBody.innerHTML = '';
+            this.lastWeekKey = null;
+            this.lastDateKey = null;
+        }
+        this.scrollObserver.unobserve(this.scrollSentinel);
+        this.scrollSentinel.remove();
 
-        // Display transactions
-        Object.keys(groupedByWeek).sort().reverse().forEach(weekKey => {
+        transactions.forEach(transaction => {
             // Add week separator
-            const weekRow = document.createElement('tr');
-            weekRow.className = 'week-separator';
-            const weekInfo = groupedByWeek[weekKey].weekInfo;
-            const weekLabel = RatchouUtils.date.formatWeek(weekInfo);
-            weekRow.innerHTML = `
-                <td colspan="3" class="text-center fw-bold py-2 bg-body-secondary text-body">
-                    📅 ${weekLabel}
-                </td>
-            `;
-            this.movementsTableBody.appendChild(weekRow);
-
-            // Group transactions by date within this week
-            const groupedByDate = this.groupTransactionsByDate(groupedByWeek[weekKey].transactions);
+            const weekKey = RatchouUtils.date.getWeekKey(transaction.date_mouvement);
+            if (weekKey !== this.lastWeekKey) {
+                const weekRow = document.createElement('tr');
+                weekRow.className = 'week-separator';
+                const weekLabel = RatchouUtils.date.formatWeek(RatchouUtils.date.getWeekNumber(transaction.date_mouvement));
+                weekRow.innerHTML = `
+                    <td colspan="3" class="text-center fw-bold py-2 bg-body-secondary text-body">
+                        📅 ${weekLabel}
+                    </td>
+                `;
+                this.movementsTableBody.appendChild(weekRow);
+                this.lastWeekKey = weekKey;
+                this.lastDateKey = null;
+            }
 
-            // Display each date in this week
-            Object.keys(groupedByDate).sort().reverse().forEach(date => {
-                // Add date separator
+            // Add date separator
+            const date = transaction.date_mouvement.split('T')[0]; // Get date part only
+            if (date !== this.lastDateKey) {
                 const dateRow = document.createElement('tr');
                 dateRow.className = 'date-separator';
                 dateRow.innerHTML = `
@@ -543,61 +640,19 @@ class MouvementsController {
                     </td>
                 `;
                 this.movementsTableBody.appendChild(dateRow);
-
-                // Add transactions for this date
-                groupedByDate[date].forEach(transaction => {
-                    const row = this.createTransactionRow(transaction);
-                    this.movementsTableBody.appendChild(row);
-                });
-            });
-        });
-    }
-
-    /**
-     * Group transactions by week
-     */
-    groupTransactionsByWeek(transactions) {
-        const grouped = {};
-
-        transactions.forEach(transaction => {
-            const weekKey = RatchouUtils.date.getWeekKey(transaction.date_mouvement);
-            if (!grouped[weekKey]) {
-                grouped[weekKey] = {
-                    weekInfo: RatchouUtils.date.getWeekNumber(transaction.date_mouvement),
-                    transactions: []
-                };
+                this.lastDateKey = date;
             }
-            grouped[weekKey].transactions.push(transaction);
-        });
-
-        // Sort transactions within each week by date (descending)
-        Object.keys(grouped).forEach(weekKey => {
-            grouped[weekKey].transactions.sort((a, b) => new Date(b.date_mouvement) - new Date(a.date_mouvement));
-        });
-
-        return grouped;
-    }
-
-    /**
-     * Group transactions by date
-     */
-    groupTransactionsByDate(transactions) {
-        const grouped = {};
 
-        transactions.forEach(transaction => {
-            const date = transaction.date_mouvement.split('T')[0]; // Get date part only
-            if (!grouped[date]) {
-                grouped[date] = [];
-            }
-            grouped[date].push(transaction);
+            this.movementsTableBody.appendChild(this.createTransactionRow(transaction));
         });
 
-        // Sort transactions within each date by time (descending)
-        Object.keys(grouped).forEach(date => {
-            grouped[date].sort((a, b) => new Date(b.date_mouvement) - new Date(a.date_mouvement));
-        });
+        // Update count ("+" while more pages remain)
+        this.totalCountElement.textContent = this.formatNumber(this.currentResults.length) + (this.pageCursor ? '+' : '');
 
-        return grouped;
+        if (this.pageCursor) {
+            this.movementsTableBody.appendChild(this.scrollSentinel);
+            this.scrollObserver.observe(this.scrollSentinel);
+        }
     }
 
     /**
@@ -633,8 +688,11 @@ class MouvementsController {
             </td>
             <td>
                 <div>
-                    <strong>${transaction.category_name || 'N/A'}</strong>
+                    <strong>${transaction.transfer_id ? `🔁 Virement ${transaction.amount < 0 ? 'vers' : 'depuis'} ${transaction.transfer_account_name}` : (transaction.splits ? transaction.splits.map(line => line.category_name).join(' + ') : (transaction.category_name || 'N/A'))}</strong>
+                    ${transaction.splits ? '<span class="badge bg-info ms-1" title="Mouvement ventilé">✂️</span>' : ''}
+                    ${this.attachedMovementIds.has(transaction.id) ? '<span class="badge bg-light text-dark ms-1" title="Pièce jointe">📎</span>' : ''}
                     ${transaction.recurring_expense_id ? '<span class="badge bg-secondary ms-1" title="Dépense récurrente automatique">🔄</span>' : ''}
+                    ${transaction.reconciled_at ? '<span class="badge bg-success ms-1" title="Rapproché (verrouillé)">🔒</span>' : (transaction.is_cleared ? '<span class="badge bg-success-subtle text-success ms-1" title="Pointé">✓</span>' : '')}
                 </div>
                 <small class="text-muted">
                     🏪 ${transaction.payee_name || 'Aucun'} -
@@ -688,12 +746,24 @@ class MouvementsController {
 
             // Store currency for update
             this.currentEditCurrency = currency;
+            this.currentEditHasSplits = !!transaction.splits;
+
+            // Reconciled movements: amount and date are locked
+            this.currentEditLocked = ratchouApp.models.transactions.isLocked(transaction);
+            this.applyEditLock(this.currentEditLocked);
+
+            // Split lines
+            this.setEditSplitMode(!!transaction.splits, transaction.splits || [], currency);
+            this.applyEditTransfer(transaction);
+
+            // Receipts and invoices
+            await this.attachmentsPanel.open(transaction.id);
 
             // Update button texts
             this.updateEditButtonTexts(transaction);
 
             // Update currency symbol in modal
-            const currencySymbol = currency === 'BTC' ? '₿' : '€';
+            const currencySymbol = RatchouUtils.currency.getSymbol(currency);
             const currencySymbolElement = document.getElementById('edit_currency_symbol');
             if (currencySymbolElement) {
                 currencySymbolElement.textContent = currencySymbol;
@@ -801,7 +871,29 @@ class MouvementsController {
                 date_mouvement: combinedDateTime
             };
 
-            await ratchouApp.models.transactions.update(movementId, updateData);
+            if (this.editSplitEditor.isActive()) {
+                const splitError = this.editSplitEditor.validate();
+                if (splitError) {
+                    this.showError(splitError);
+                    this.hideLoading();
+                    return;
+                }
+                updateData.splits = this.editSplitEditor.getLines();
+            } else if (this.currentEditHasSplits) {
+                updateData.splits = null;
+            }
+
+            if (this.currentEditLocked) {
+                delete updateData.amount;
+                delete updateData.date_mouvement;
+            }
+
+            const result = await ratchouApp.models.transactions.update(movementId, updateData);
+            if (!result.success) {
+                this.showError(result.message);
+                this.hideLoading();
+                return;
+            }
             
             this.editMovementModal.hide();
             this.showSuccess('✅ Mouvement modifié avec succès');
@@ -833,14 +925,22 @@ class MouvementsController {
      * Delete a movement
      */
     async deleteMovement(movementId, movementLabel) {
-        if (!confirm(`Êtes-vous sûr de vouloir supprimer ce mouvement ?`)) {
+        const message = this.currentEditIsTransfer
+            ? 'Supprimer ce virement ? Les deux mouvements liés seront supprimés.'
+            : `Êtes-vous sûr de vouloir supprimer ce mouvement ?`;
+        if (!confirm(message)) {
             return;
         }
         
         try {
             this.showLoading('Suppression en cours...');
             
-            await ratchouApp.models.transactions.delete(movementId);
+            const result = await ratchouApp.models.transactions.delete(movementId);
+            if (!result.success) {
+                this.showError(result.message);
+                this.hideLoading();
+                return;
+            }
             
             // Close modal if open
             if (this.editMovementModal._isShown) {
@@ -861,6 +961,227 @@ class MouvementsController {
         }
     }
 
+    /**
+     * Show/hide the split editor of the edit modal
+     * @param {boolean} active - Split mode
+     * @param {Array} lines - Existing split lines (storage units)
+     * @param {string} currency - Currency of the edited movement (kept when toggling)
+     */
+    setEditSplitMode(active, lines = [], currency = null) {
+        if (currency) {
+            this.editSplitEditor.setReferences({ categories: this.categories, payees: this.payees, currency });
+        }
+
+        if (active) {
+            this.editSplitEditor.open(lines, {
+                category_id: document.getElementById('edit_categorie_id').value,
+                payee_id: document.getElementById('edit_beneficiaire_id').value
+            });
+        } else {
+            this.editSplitEditor.close();
+        }
+
+        document.getElementById('editSplitToggleBtn').textContent = active
+            ? '↩️ Une seule catégorie'
+            : '✂️ Ventiler sur plusieurs catégories';
+        ['edit_categorie_id', 'edit_beneficiaire_id'].forEach(inputId => {
+            document.getElementById(inputId).parentElement.classList.toggle('d-none', active);
+        });
+    }
+
+    /**
+     * Transfer legs in the edit modal: no category, payee or split lines,
+     * and the linked movement is updated at the same time
+     */
+    applyEditTransfer(transaction) {
+        this.currentEditIsTransfer = TransactionsModel.isTransfer(transaction);
+
+        const notice = document.getElementById('editTransferNotice');
+        notice.classList.toggle('d-none', !this.currentEditIsTransfer);
+        if (this.currentEditIsTransfer) {
+            const otherAccount = this.allAccounts.find(a => a.id === transaction.transfer_account_id);
+            notice.textContent = `🔁 Virement ${transaction.amount < 0 ? 'vers' : 'depuis'} ${otherAccount?.nom_compte || 'un compte supprimé'} : le mouvement lié est mis à jour en même temps`;
+        }
+
+        document.getElementById('editSplitToggleBtn').parentElement.classList.toggle('d-none', this.currentEditIsTransfer);
+        ['edit_categorie_id', 'edit_beneficiaire_id'].forEach(inputId => {
+            document.getElementById(inputId).parentElement.classList.toggle('d-none', this.currentEditIsTransfer || this.editSplitEditor.isActive());
+        });
+    }
+
+    /**
+     * Enable/disable locked fields of the edit modal
+     */
+    applyEditLock(locked) {
+        ['edit_montant', 'edit_date', 'edit_time'].forEach(id => {
+            document.getElementById(id).disabled = locked;
+        });
+        document.getElementById('deleteMovementBtn').disabled = locked;
+        document.getElementById('editLockedNotice').classList.toggle('d-none', !locked);
+    }
+
+    /**
+     * Unlock the reconciled movement being edited
+     */
+    async unlockCurrentMovement() {
+        const movementId = document.getElementById('edit_movement_id').value;
+        if (!movementId || !confirm('Déverrouiller ce mouvement rapproché ? Le prochain rapprochement devra en tenir compte.')) {
+            return;
+        }
+
+        const result = await ratchouApp.models.transactions.unlock(movementId);
+        if (result.success) {
+            this.currentEditLocked = false;
+            this.applyEditLock(false);
+        } else {
+            this.showError(result.message);
+        }
+    }
+
+    // =================================================================
+    // Reconciliation (rapprochement bancaire)
+    // =================================================================
+
+    /**
+     * Open the reconciliation modal on the filtered account (or the current one)
+     */
+    async openReconciliation() {
+        const accountSelect = document.getElementById('reconcile_account_id');
+        accountSelect.innerHTML = this.allAccounts
+            .map(account => `<option value="${account.id}">${account.nom_compte}</option>`)
+            .join('');
+
+        const currentAccount = await ratchouApp.getCurrentAccount();
+        accountSelect.value = this.currentFilters.compte || currentAccount?.id || this.allAccounts[0]?.id;
+
+        document.getElementById('reconcile_date').value = RatchouUtils.date.toInputDate(RatchouUtils.date.now());
+        await this.loadReconciliation(true);
+        this.reconciliationModal.show();
+    }
+
+    /**
+     * Load movements to tick for the selected account
+     * @param {boolean} resetBalance - Prefill the statement balance with the last reconciled one
+     */
+    async loadReconciliation(resetBalance = false) {
+        try {
+            const accountId = document.getElementById('reconcile_account_id').value;
+            const statementDate = document.getElementById('reconcile_date').value || null;
+            this.reconciliation = await ratchouApp.models.transactions.getReconciliationState(accountId, statementDate);
+
+            const { account, movements } = this.reconciliation;
+            const currency = account.currency || 'EUR';
+
+            if (resetBalance) {
+                document.getElementById('reconcile_balance').value = account.reconciled_balance !== undefined && account.reconciled_balance !== null
+                    ? RatchouUtils.currency.fromStorageUnit(account.reconciled_balance, currency)
+                    : '';
+            }
+
+            document.getElementById('reconcileLastInfo').textContent = account.reconciled_date
+                ? `Dernier rapprochement : relevé du ${RatchouUtils.date.format(account.reconciled_date)} (${RatchouUtils.currency.formatWithCurrency(account.reconciled_balance, currency)})`
+                : 'Aucun rapprochement effectué sur ce compte';
+
+            const list = document.getElementById('reconcileMovementsList');
+            if (movements.length === 0) {
+                list.innerHTML = '<div class="text-muted text-center p-3">Aucun mouvement à pointer</div>';
+            } else {
+                const categoryNames = new Map(this.categories.map(c => [c.id, c.libelle]));
+                const payeeNames = new Map(this.payees.map(p => [p.id, p.libelle]));
+
+                list.innerHTML = movements.map(t => `
+                    <label class="list-group-item d-flex align-items-center gap-2">
+                        <input class="form-check-input m-0 reconcile-check" type="checkbox" data-id="${t.id}" ${t.is_cleared ? 'checked' : ''}>
+                        <span class="flex-grow-1 small">
+                            ${RatchouUtils.date.format(t.date_mouvement)} ·
+                            ${categoryNames.get(t.category_id) || payeeNames.get(t.payee_id) || t.description || 'Sans catégorie'}
+                        </span>
+                        <span class="${t.amount >= 0 ? 'amount-positive' : 'amount-negative'} text-nowrap">
+                            ${RatchouUtils.currency.formatWithCurrency(t.amount, currency)}
+                        </span>
+                    </label>
+                `).join('');
+
+                list.querySelectorAll('.reconcile-check').forEach(checkbox => {
+                    checkbox.addEventListener('change', () => this.toggleCleared(checkbox));
+                });
+            }
+
+            this.updateReconciliationTotals();
+        } catch (error) {
+            console.error('Error loading reconciliation:', error);
+            this.showError('Erreur lors du chargement du rapprochement: ' + error.message);
+        }
+    }
+
+    /**
+     * Tick/untick a movement and update the cleared balance
+     */
+    async toggleCleared(checkbox) {
+        const result = await ratchouApp.models.transactions.setCleared(checkbox.dataset.id, checkbox.checked);
+        if (!result.success) {
+            checkbox.checked = !checkbox.checked;
+            this.showError(result.message);
+            return;
+        }
+
+        const movement = this.reconciliation.movements.find(t => t.id === checkbox.dataset.id);
+        movement.is_cleared = checkbox.checked ? 1 : 0;
+        this.reconciliation.clearedBalance += checkbox.checked ? movement.amount : -movement.amount;
+        this.updateReconciliationTotals();
+    }
+
+    /**
+     * Display cleared balance and difference with the statement
+     */
+    updateReconciliationTotals() {
+        if (!this.reconciliation) return;
+
+        const currency = this.reconciliation.account.currency || 'EUR';
+        const balanceInput = document.getElementById('reconcile_balance').value;
+        const differenceElement = document.getElementById('reconcileDifference');
+        const finishButton = document.getElementById('finishReconciliationBtn');
+
+        document.getElementById('reconcileClearedBalance').textContent =
+            RatchouUtils.currency.formatWithCurrency(this.reconciliation.clearedBalance, currency);
+
+        if (balanceInput === '') {
+            differenceElement.textContent = '—';
+            differenceElement.className = '';
+            finishButton.disabled = true;
+            return;
+        }
+
+        const statementBalance = RatchouUtils.currency.toStorageUnit(parseFloat(balanceInput.replace(',', '.')), currency);
+        const difference = statementBalance - this.reconciliation.clearedBalance;
+
+        differenceElement.textContent = RatchouUtils.currency.formatWithCurrency(difference, currency);
+        differenceElement.className = difference === 0 ? 'text-success' : 'text-danger';
+        finishButton.disabled = difference !== 0 || !this.reconciliation.movements.some(t => t.is_cleared);
+    }
+
+    /**
+     * Lock the pointed movements once the difference is zero
+     */
+    async finishReconciliation() {
+        const { account } = this.reconciliation;
+        const currency = account.currency || 'EUR';
+        const statementBalance = RatchouUtils.currency.toStorageUnit(
+            parseFloat(document.getElementById('reconcile_balance').value.replace(',', '.')),
+            currency
+        );
+        const statementDate = document.getElementById('reconcile_date').value;
+
+        const result = await ratchouApp.models.transactions.reconcile(account.id, statementDate, statementBalance);
+        if (result.success) {
+            this.reconciliationModal.hide();
+            this.showSuccess(`✅ Rapprochement terminé : ${result.message}`);
+            this.allAccounts = await ratchouApp.models.accounts.getAll();
+        } else {
+            this.showError(result.message);
+        }
+    }
+
     /**
      * Clear all filters
      */
@@ -886,7 +1207,8 @@ class MouvementsController {
         // Clear results
         this.currentFilters = {};
         this.currentResults = [];
-        this.totalItems = 0;
+        this.pageCursor = null;
+        this.searchToken++;
         this.showNoResults();
     }
 
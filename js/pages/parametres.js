@@ -95,6 +95,9 @@ class SettingsController {
         // Theme management
         this.setupThemeControls();
 
+        // Brute-force protection
+        this.setupWipeControl();
+
         // Beta tester easter egg
         this.setupBetaTesterEasterEgg();
     }
@@ -147,6 +150,35 @@ class SettingsController {
         });
     }
 
+    /**
+     * Setup the "wipe after N failed attempts" setting
+     */
+    async setupWipeControl() {
+        const select = document.getElementById('wipeAfterSelect');
+        if (!select) return;
+
+        const wipeAfter = await ratchouApp.auth.getWipeAfter();
+        select.value = wipeAfter ? String(wipeAfter) : '';
+        let savedValue = select.value;
+
+        select.addEventListener('change', async () => {
+            const count = select.value ? parseInt(select.value, 10) : null;
+            if (count && !confirm(`⚠️ Toutes les données de cet appareil seront effacées après ${count} codes erronés consécutifs.\n\nContinuer ?`)) {
+                select.value = savedValue;
+                return;
+            }
+
+            const result = await ratchouApp.auth.setWipeAfter(count);
+            if (result.success) {
+                savedValue = select.value;
+                this.showSuccess(result.message);
+            } else {
+                select.value = savedValue;
+                this.showError(result.message);
+            }
+        });
+    }
+
     /**
      * Get display name for theme value
      */
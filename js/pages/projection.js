@@ -1,12 +1,17 @@
 /**
  * Projection Page Controller
- * Handles the financial projection page functionality
+ * Handles the financial projection page functionality: day by day timeline,
+ * 12-month forecast chart and low balance alert threshold
  */
 
 class ProjectionController {
     constructor() {
         this.currentAccount = null;
         this.allAccounts = [];
+        this.projectionService = null;
+        this.allAccountsScope = false;
+        this.missingAccounts = [];
+        this.forecast = null;
         
         // Modal references
         this.accountSelectModal = null;
@@ -33,12 +38,15 @@ class ProjectionController {
                 return;
             }
 
+            this.projectionService = new ProjectionService(ratchouApp.models);
+
             await this.loadComponents();
             this.setupDOMElements();
             await this.initializeData();
             this.setupEventListeners();
             this.updateAccountDisplay();
             await this.loadFinancialProjection();
+            await this.loadForecast();
             
         } catch (error) {
             console.error('Error initializing projection page:', error);
@@ -109,6 +117,20 @@ class ProjectionController {
             });
         });
 
+        // Current account or all accounts (converted into the reference currency)
+        document.getElementById('projectionAllAccounts').addEventListener('change', (e) => {
+            this.allAccountsScope = e.target.checked;
+            const period = document.querySelector('input[name="projectionPeriod"]:checked');
+            this.loadFinancialProjection(period ? parseInt(period.value) : 7);
+            this.loadForecast();
+        });
+
+        // Low balance alert threshold of the displayed scope
+        document.getElementById('thresholdForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleThresholdSave();
+        });
+
         // Account name click - open account selection modal
         document.addEventListener('click', (e) => {
             if (e.target && e.target.id === 'currentAccountName') {
@@ -137,16 +159,13 @@ class ProjectionController {
                 </div>
             `;
             
-            // Get current account balance
-            const currentBalance = this.currentAccount ? this.currentAccount.balance : 0;
-            const currency = this.currentAccount?.currency || 'EUR';
-            const currentBalanceInDisplayUnit = RatchouUtils.currency.fromStorageUnit(currentBalance, currency);
-            
-            // Get upcoming recurring expenses for the selected period
-            const projection = await this.calculateFinancialProjection(days);
-            
+            // Balance of today (future-dated movements are added back on their day)
+            const result = await this.calculateFinancialProjection(days);
+            const currentBalanceInDisplayUnit = RatchouUtils.currency.fromStorageUnit(result.startBalance, result.currency);
+            this.missingAccounts = result.missing;
+
             // Display the projection
-            this.displayFinancialProjection(currentBalanceInDisplayUnit, projection, days, currency);
+            this.displayFinancialProjection(currentBalanceInDisplayUnit, result.projection, days, result.currency);
             
         } catch (error) {
             console.error('Error loading financial projection:', error);
@@ -160,145 +179,38 @@ class ProjectionController {
     }
 
     /**
-     * Calculate financial projection for the next N days
+     * Calculate financial projection for the next N days (shared ProjectionService)
+     * Amounts are converted from storage units for display
      */
     async calculateFinancialProjection(days) {
-        const today = new Date();
-        const endDate = new Date(today);
-        endDate.setDate(today.getDate() + days);
-
-        // Get current account ID and currency
-        const currentAccountId = this.currentAccount ? this.currentAccount.id : null;
-        if (!currentAccountId) {
+        if (!this.currentAccount) {
             throw new Error('Aucun compte sélectionné');
         }
 
-        const accountCurrency = this.currentAccount.currency || 'EUR';
-
-        // Get all future transactions for this account in the date range
-        const futureTransactions = await this.getFutureTransactions(currentAccountId, today, endDate);
-
-        // Get all active recurring expenses for this account
-        const recurringExpenses = await ratchouApp.models.recurringExpenses.getActiveByAccount(currentAccountId);
-
-        console.log(`Found ${recurringExpenses.length} active recurring expenses for account ${currentAccountId}:`, recurringExpenses);
-        
-        // Create projection array
-        const projection = [];
-        
-        for (let i = 0; i <= days; i++) {
-            const date = new Date(today);
-            date.setDate(date.getDate() + i);
-            
-            console.log(`\n=== Checking day ${i}: ${date.toDateString()} (day of month: ${date.getDate()}) ===`);
-            
-            const dayProjection = {
-                date: date,
-                isToday: i === 0,
-                transactions: [],
-                totalAmount: 0
-            };
-            
-            // Add existing future transactions for this day
-            const dayTransactions = futureTransactions.filter(transaction => {
-                const transactionDate = new Date(transaction.date_mouvement);
-                return transactionDate.toDateString() === date.toDateString();
-            });
-            
-            dayTransactions.forEach(transaction => {
-                // Transaction belongs to this account, so it uses the account's currency
-                const amountInDisplayUnit = RatchouUtils.currency.fromStorageUnit(transaction.amount, accountCurrency);
-                dayProjection.transactions.push({
-                    id: transaction.id,
-                    libelle: transaction.category_name || 'Transaction',
-                    amount: amountInDisplayUnit,
-                    amountInStorage: transaction.amount,
-                    currency: accountCurrency,
-                    type: 'existing',
-                    isPositive: amountInDisplayUnit >= 0
-                });
-                dayProjection.totalAmount += amountInDisplayUnit;
-            });
-            
-            // Add recurring expenses if they should execute on this day
-            recurringExpenses.forEach(expense => {
-                if (this.shouldRecurringExpenseExecute(expense, date)) {
-                    // Recurring expense belongs to this account, so it uses the account's currency
-                    console.log(`  → Adding recurring expense: ${expense.libelle} (${RatchouUtils.currency.formatWithCurrency(expense.amount, accountCurrency)})`);
-                    const amountInDisplayUnit = RatchouUtils.currency.fromStorageUnit(expense.amount, accountCurrency);
-                    dayProjection.transactions.push({
-                        id: expense.id,
-                        libelle: expense.libelle,
-                        amount: amountInDisplayUnit,
-                        amountInStorage: expense.amount,
-                        currency: accountCurrency,
-                        type: 'recurring',
-                        isPositive: amountInDisplayUnit >= 0
-                    });
-                    dayProjection.totalAmount += amountInDisplayUnit;
-                }
-            });
-            
-            projection.push(dayProjection);
-        }
-        
-        return projection;
-    }
-
-    /**
-     * Get future transactions for a specific account and date range
-     */
-    async getFutureTransactions(accountId, startDate, endDate) {
-        try {
-            // Get all transactions for this account
-            const allTransactions = await ratchouApp.models.transactions.getByAccount(accountId);
-            
-            // Filter for future transactions within the date range
-            return allTransactions.filter(transaction => {
-                const transactionDate = new Date(transaction.date_mouvement);
-                return transactionDate >= startDate && transactionDate <= endDate;
-            });
-        } catch (error) {
-            console.error('Error getting future transactions:', error);
-            return [];
-        }
-    }
-
-    /**
-     * Check if a recurring expense should execute on a given date
-     */
-    shouldRecurringExpenseExecute(expense, checkDate) {
-        // For projections, we're more permissive than for actual execution
-        // We want to show what *could* happen, not just what *will* happen based on strict rules
-        
-        const dayOfMonth = checkDate.getDate();
-        const expenseDayOfMonth = expense.day_of_month;
-        
-        console.log(`  → Checking recurring expense "${expense.libelle}" for day ${dayOfMonth} (expense day: ${expenseDayOfMonth})`);
-        
-        // Check if the day matches
-        if (dayOfMonth !== expenseDayOfMonth) {
-            console.log(`    × Day doesn't match (${dayOfMonth} !== ${expenseDayOfMonth})`);
-            return false;
-        }
-        
-        // For projection purposes, we're more lenient about recent executions
-        if (expense.last_execution) {
-            const lastExecution = new Date(expense.last_execution);
-            const currentMonth = checkDate.getMonth();
-            const currentYear = checkDate.getFullYear();
-            const lastExecutionMonth = lastExecution.getMonth();
-            const lastExecutionYear = lastExecution.getFullYear();
-            
-            // For projection, only skip if it was executed in the current month
-            if (lastExecutionYear === currentYear && lastExecutionMonth === currentMonth) {
-                console.log(`    × Already executed this month (${lastExecution.toDateString()})`);
-                return false;
-            }
-        }
-        
-        console.log(`    ✓ Should execute on ${checkDate.toDateString()}`);
-        return true;
+        const result = await this.projectionService.project({
+            days,
+            accountIds: this.allAccountsScope ? null : [this.currentAccount.id]
+        });
+        const toDisplay = (stored) => RatchouUtils.currency.fromStorageUnit(stored, result.currency);
+
+        return {
+            ...result,
+            projection: result.days.map(day => ({
+                date: RecurringExpensesModel.parseDate(day.date),
+                isToday: day.isToday,
+                transactions: day.items.map(item => ({
+                    id: item.id,
+                    libelle: item.libelle,
+                    accountName: item.account_name,
+                    amount: toDisplay(item.amount),
+                    amountInStorage: item.amount,
+                    currency: result.currency,
+                    type: item.type,
+                    isPositive: item.amount >= 0
+                })),
+                totalAmount: toDisplay(day.total)
+            }))
+        };
     }
 
     /**
@@ -373,13 +285,21 @@ class ProjectionController {
             </div>
         `;
 
+        if (this.allAccountsScope && this.missingAccounts.length > 0) {
+            html += `
+                <div class="alert alert-warning small">
+                    ⚠️ Sans taux vers ${currency}, non inclus : ${this.missingAccounts.map(a => `${a.nom_compte} (${a.currency})`).join(', ')}
+                </div>
+            `;
+        }
+
         if (daysWithTransactions.length === 0) {
             html += `
                 <div class="text-center p-5">
                     <i class="mb-3 d-block" style="font-size: 3rem;">😴</i>
                     <h5 class="text-muted">Aucune transaction prévue</h5>
-                    <p class="text-muted">Aucun mouvement planifié pour les ${days} prochains jours sur le compte "${this.currentAccount.nom_compte}".</p>
-                    <i class="me-1">💡</i>Cette projection inclut toutes les transactions futures plannifiées sur le compte actuel, 
+                    <p class="text-muted">Aucun mouvement planifié pour les ${days} prochains jours ${this.allAccountsScope ? 'sur l\'ensemble des comptes' : `sur le compte "${this.currentAccount.nom_compte}"`}.</p>
+                    <i class="me-1">💡</i>Cette projection inclut toutes les transactions futures plannifiées ${this.allAccountsScope ? 'sur tous les comptes' : 'sur le compte actuel'}, 
                     ainsi que les dépenses récurrentes programmées.
                 </div>
             `;
@@ -426,7 +346,7 @@ class ProjectionController {
                         <div class="transaction-item d-flex justify-content-between align-items-center">
                             <div class="flex-grow-1">
                                 <div class="fw-bold">${transaction.libelle}</div>
-                                <small class="text-muted">${typeIcon} ${typeLabel}</small>
+                                <small class="text-muted">${typeIcon} ${typeLabel}${this.allAccountsScope ? ` • ${transaction.accountName}` : ''}</small>
                             </div>
                             <div class="text-end">
                                 <span class="fw-bold ${amountClass}">
@@ -450,7 +370,7 @@ class ProjectionController {
             html += `
                 <div class="mt-4 p-3 bg-body-secondary rounded">
                     <small class="text-muted">
-                        <i class="me-1">💡</i>Cette projection inclut toutes les transactions futures plannifiées sur le compte actuel, 
+                        <i class="me-1">💡</i>Cette projection inclut toutes les transactions futures plannifiées ${this.allAccountsScope ? 'sur tous les comptes' : 'sur le compte actuel'}, 
                         ainsi que les dépenses récurrentes programmées. Les montants sont indicatifs et peuvent varier.
                     </small>
                 </div>
@@ -460,6 +380,245 @@ class ProjectionController {
         document.getElementById('projectionContent').innerHTML = html;
     }
 
+    // =================================================================
+    // 12-Month Forecast Methods
+    // =================================================================
+
+    /**
+     * Threshold scope: the current account, or 'all' for the consolidated view
+     */
+    getForecastScope() {
+        return this.allAccountsScope ? 'all' : this.currentAccount.id;
+    }
+
+    /**
+     * Load and display the 12-month forecast of the current scope
+     */
+    async loadForecast() {
+        const forecastContent = document.getElementById('forecastContent');
+
+        try {
+            forecastContent.innerHTML = `
+                <div class="text-center p-4">
+                    <div class="spinner-border text-primary" role="status">
+                        <span class="visually-hidden">Chargement...</span>
+                    </div>
+                    <div class="mt-2">Calcul de la prévision sur 12 mois...</div>
+                </div>
+            `;
+
+            this.forecast = await this.projectionService.forecast({
+                accountIds: this.allAccountsScope ? null : [this.currentAccount.id]
+            });
+            this.updateThresholdInput();
+            this.displayForecast();
+
+        } catch (error) {
+            console.error('Error loading forecast:', error);
+            forecastContent.innerHTML = `
+                <div class="alert alert-danger">
+                    <i class="me-2">⚠️</i>
+                    Erreur lors du calcul de la prévision : ${error.message}
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Fill the threshold field with the saved threshold of the scope
+     */
+    updateThresholdInput() {
+        const currency = this.forecast.currency;
+        const threshold = ProjectionService.getThreshold(this.getForecastScope());
+        const input = document.getElementById('forecastThreshold');
+
+        document.getElementById('forecastThresholdCurrency').textContent = currency;
+        input.step = RatchouUtils.currency.getInputStep(currency);
+        input.value = threshold && threshold.currency === currency
+            ? RatchouUtils.currency.fromStorageUnit(threshold.amount, currency)
+            : '';
+    }
+
+    /**
+     * Save (or clear when empty) the alert threshold of the scope
+     */
+    handleThresholdSave() {
+        if (!this.forecast) return;
+
+        const currency = this.forecast.currency;
+        const value = document.getElementById('forecastThreshold').value.trim();
+
+        if (value === '') {
+            ProjectionService.setThreshold(this.getForecastScope(), null);
+            this.showSuccess('Seuil d\'alerte désactivé');
+        } else {
+            const amount = parseFloat(value.replace(',', '.'));
+            if (isNaN(amount)) {
+                this.showError('Montant invalide');
+                return;
+            }
+            ProjectionService.setThreshold(this.getForecastScope(), RatchouUtils.currency.toStorageUnit(amount, currency), currency);
+            this.showSuccess('Seuil d\'alerte enregistré');
+        }
+
+        this.displayForecast();
+    }
+
+    /**
+     * Display the forecast summary, chart and variable spending
+     */
+    displayForecast() {
+        const forecast = this.forecast;
+        const currency = forecast.currency;
+        const format = (amount) => RatchouUtils.currency.formatWithCurrency(amount, currency);
+        const formatDate = (date) => RecurringExpensesModel.parseDate(date).toLocaleDateString('fr-FR', { day: 'numeric', month: 'short', year: 'numeric' });
+        const threshold = ProjectionService.getThreshold(this.getForecastScope());
+        const breach = ProjectionService.findBreach(forecast, threshold);
+        const endBalance = forecast.months[forecast.months.length - 1].balance;
+
+        let html = '';
+
+        if (breach) {
+            html += `
+                <div class="alert alert-danger">
+                    ⚠️ Le solde prévu passe sous le seuil de ${format(threshold.amount)} le ${formatDate(breach.date)} (${format(breach.balance)}).
+                </div>
+            `;
+        }
+
+        if (this.allAccountsScope && forecast.missing.length > 0) {
+            html += `
+                <div class="alert alert-warning small">
+                    ⚠️ Sans taux vers ${currency}, non inclus : ${forecast.missing.map(a => `${a.nom_compte} (${a.currency})`).join(', ')}
+                </div>
+            `;
+        }
+
+        html += `
+            <div class="row g-2 mb-3">
+                <div class="col-4">
+                    <div class="card h-100">
+                        <div class="card-body text-center py-2">
+                            <small class="text-muted d-block">📉 Point bas</small>
+                            <strong class="${forecast.lowest.balance >= 0 ? 'amount-positive' : 'amount-negative'}">${format(forecast.lowest.balance)}</strong>
+                            <small class="text-muted d-block">${formatDate(forecast.lowest.date)}</small>
+                        </div>
+                    </div>
+                </div>
+                <div class="col-4">
+                    <div class="card h-100">
+                        <div class="card-body text-center py-2">
+                            <small class="text-muted d-block">🎯 Dans 12 mois</small>
+                            <strong class="${endBalance >= 0 ? 'amount-positive' : 'amount-negative'}">${format(endBalance)}</strong>
+                            <small class="text-muted d-block">${forecast.months[forecast.months.length - 1].label}</small>
+                        </div>
+                    </div>
+                </div>
+                <div class="col-4">
+                    <div class="card h-100">
+                        <div class="card-body text-center py-2">
+                            <small class="text-muted d-block">🛒 Dépenses variables</small>
+                            <strong class="amount-negative">${format(forecast.variableMonthly)}</strong>
+                            <small class="text-muted d-block">par mois</small>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        html += this.renderForecastChart(forecast, threshold && threshold.currency === currency ? threshold : null, format);
+
+        if (forecast.variableByCategory.length > 0) {
+            html += `
+                <h6 class="mt-4">Moyenne mensuelle des dépenses variables (${ProjectionService.HISTORY_MONTHS} derniers mois)</h6>
+                <ul class="list-group list-group-flush small">
+                    ${forecast.variableByCategory.map(row => `
+                        <li class="list-group-item d-flex justify-content-between px-0">
+                            <span>${this.escapeHtml(row.category_name)}</span>
+                            <span class="amount-negative">${format(row.monthly)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+
+        html += `
+            <div class="mt-3 p-3 bg-body-secondary rounded">
+                <small class="text-muted">
+                    <i class="me-1">💡</i>La prévision cumule les mouvements futurs, les dépenses récurrentes programmées
+                    et la moyenne des dépenses hors récurrentes et virements des ${ProjectionService.HISTORY_MONTHS} derniers mois complets, répartie sur chaque jour.
+                </small>
+            </div>
+        `;
+
+        document.getElementById('forecastContent').innerHTML = html;
+    }
+
+    /**
+     * Vertical bars of the month-end balance, lowest point of each month and threshold line
+     * @returns {string} SVG chart and legend
+     */
+    renderForecastChart(forecast, threshold, format) {
+        const width = 600;
+        const height = 220;
+        const chartHeight = height - 30;
+        const top = 10;
+        const values = [0, ...forecast.months.flatMap(m => [m.balance, m.min])];
+        if (threshold) values.push(threshold.amount);
+
+        const max = Math.max(...values);
+        const min = Math.min(...values);
+        const range = max - min || 1;
+        const y = (amount) => Math.round(top + (max - amount) / range * (chartHeight - top));
+        const limit = threshold ? threshold.amount : 0;
+
+        const slot = width / forecast.months.length;
+        const points = forecast.months.map((month, index) => `${index * slot + slot / 2},${y(month.min)}`).join(' ');
+
+        const bars = forecast.months.map((month, index) => {
+            const x = index * slot + slot * 0.2;
+            const barTop = Math.min(y(month.balance), y(0));
+            const barHeight = Math.max(1, Math.abs(y(month.balance) - y(0)));
+            const color = month.balance < limit ? 'var(--bs-danger)' : 'var(--bs-success)';
+            return `
+                <g>
+                    <title>${month.label} : solde fin de mois ${format(month.balance)}, point bas ${format(month.min)} le ${RecurringExpensesModel.parseDate(month.minDate).toLocaleDateString('fr-FR')}</title>
+                    <rect x="${x}" y="${barTop}" width="${slot * 0.6}" height="${barHeight}" rx="2" style="fill: ${color};"></rect>
+                    <circle cx="${index * slot + slot / 2}" cy="${y(month.min)}" r="3" style="fill: var(--bs-warning);"></circle>
+                    <text x="${index * slot + slot / 2}" y="${height - 10}" text-anchor="middle" font-size="11" fill="currentColor">${month.label}</text>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" class="w-100" role="img" aria-label="Solde prévu par mois">
+                <line x1="0" y1="${y(0)}" x2="${width}" y2="${y(0)}" stroke="currentColor" stroke-opacity="0.3"></line>
+                ${bars}
+                <polyline points="${points}" fill="none" stroke-width="1.5" style="stroke: var(--bs-warning);"></polyline>
+                ${threshold ? `<line x1="0" y1="${y(threshold.amount)}" x2="${width}" y2="${y(threshold.amount)}" stroke-width="1.5" stroke-dasharray="6 4" style="stroke: var(--bs-danger);"><title>Seuil d'alerte : ${format(threshold.amount)}</title></line>` : ''}
+            </svg>
+            <div class="d-flex justify-content-center flex-wrap gap-3 small">
+                <span><span class="d-inline-block rounded-1 bg-success" style="width: 10px; height: 10px;"></span> Solde fin de mois</span>
+                <span><span class="d-inline-block rounded-circle bg-warning" style="width: 10px; height: 10px;"></span> Point bas du mois</span>
+                ${threshold ? '<span><span class="d-inline-block bg-danger" style="width: 14px; height: 2px; vertical-align: middle;"></span> Seuil d\'alerte</span>' : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Escape HTML characters
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, (m) => map[m]);
+    }
+
     // =================================================================
     // Multi-Account Management Methods
     // =================================================================
@@ -586,6 +745,7 @@ class ProjectionController {
             
             this.updateAccountDisplay();
             await this.loadFinancialProjection(); // Reload projection for new account
+            await this.loadForecast();
             
             this.accountSelectModal.hide();
             
@@ -616,9 +776,9 @@ class ProjectionController {
                 currentBalanceSpan.textContent = RatchouUtils.currency.formatWithCurrency(balanceInStorage, currency);
 
                 // Determine decimal places based on currency
-                const decimals = currency === 'BTC' ? 8 : 2;
+                const decimals = RatchouUtils.currency.getDecimals(currency);
                 newBalanceInput.value = balanceInDisplayUnit.toFixed(decimals);
-                newBalanceInput.step = currency === 'BTC' ? '0.00000001' : '0.01';
+                newBalanceInput.step = RatchouUtils.currency.getInputStep(currency);
                 newBalanceInput.select();
 
                 console.log(`💰 Balance modal setup: ${currency} ${balanceInDisplayUnit.toFixed(decimals)} (storage: ${balanceInStorage})`);
@@ -656,6 +816,7 @@ class ProjectionController {
 
                 // Reload projection with updated balance
                 await this.loadFinancialProjection();
+                await this.loadForecast();
             } else {
                 this.showError('Erreur: ' + result.message);
             }
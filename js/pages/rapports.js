@@ -0,0 +1,406 @@
+/**
+ * Reports Controller
+ * Breakdowns by category, payee and expense type, income vs. expense bars
+ * and comparison with the previous period, drawn as inline SVG (works offline)
+ */
+class ReportsController {
+    constructor() {
+        this.accounts = [];
+        this.movements = [];
+        this.converter = null;
+        this.names = { category_id: new Map(), payee_id: new Map(), expense_type_id: new Map() };
+        this.mode = 'month';
+        this.currentDate = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+        this.breakdownKey = 'category_id';
+    }
+
+    /**
+     * Initialize the controller
+     */
+    async initialize() {
+        try {
+            await this.loadComponents();
+
+            this.setupEventListeners();
+            await this.loadData();
+        } catch (error) {
+            console.error('Error initializing reports controller:', error);
+            this.showError('Erreur lors de l\'initialisation de la page');
+        }
+    }
+
+    /**
+     * Load all UI components
+     */
+    async loadComponents() {
+        await ComponentLoader.loadHeader({
+            title: '📊 Rapports',
+            showAccountInfo: false,
+            logoLink: '../dashboard.html'
+        });
+        await ComponentLoader.loadSidebar();
+        await ComponentLoader.loadCommonModals();
+        await ComponentLoader.loadFixedFooter();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('prevPeriodBtn').addEventListener('click', () => this.changePeriod(-1));
+        document.getElementById('nextPeriodBtn').addEventListener('click', () => this.changePeriod(1));
+        document.getElementById('reportAccount').addEventListener('change', () => this.render());
+
+        document.querySelectorAll('input[name="reportMode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.mode = radio.value;
+                this.render();
+            });
+        });
+
+        document.querySelectorAll('#breakdownTabs [data-breakdown]').forEach(tab => {
+            tab.addEventListener('click', () => {
+                document.querySelectorAll('#breakdownTabs .nav-link').forEach(link => link.classList.remove('active'));
+                tab.classList.add('active');
+                this.breakdownKey = tab.dataset.breakdown;
+                this.render();
+            });
+        });
+
+        // Refresh when data arrives from another device
+        window.addEventListener('sync-data-changed', (event) => {
+            const storeName = event.detail?.storeName;
+            if (['MOUVEMENTS', 'COMPTES', 'CATEGORIES', 'BENEFICIAIRES', 'TYPE_DEPENSES', 'TAUX_CHANGE'].includes(storeName)) {
+                this.loadData();
+            }
+        });
+    }
+
+    /**
+     * Show error alert
+     */
+    showError(message) {
+        const alertContainer = document.getElementById('alertContainer');
+        alertContainer.innerHTML = `
+            <div class="alert alert-danger alert-dismissible fade show" role="alert">
+                ${message}
+                <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+            </div>
+        `;
+    }
+
+    /**
+     * Load movements and reference data
+     */
+    async loadData() {
+        try {
+            const [accounts, movements, categories, payees, expenseTypes, converter] = await Promise.all([
+                ratchouApp.models.accounts.getAll(),
+                ratchouApp.models.transactions.getAll(),
+                ratchouApp.models.categories.getAll(),
+                ratchouApp.models.payees.getAll(),
+                ratchouApp.models.expenseTypes.getAll(),
+                ratchouApp.models.exchangeRates.createConverter()
+            ]);
+
+            this.accounts = accounts;
+            this.movements = movements;
+            this.converter = converter;
+            this.names.category_id = new Map(categories.map(c => [c.id, c.libelle]));
+            this.names.payee_id = new Map(payees.map(p => [p.id, p.libelle]));
+            this.names.expense_type_id = new Map(expenseTypes.map(t => [t.id, t.libelle]));
+
+            this.populateAccountSelect();
+            this.render();
+        } catch (error) {
+            console.error('Error loading report data:', error);
+            this.showError('Erreur lors du chargement des données');
+        }
+    }
+
+    /**
+     * Accounts selector: all accounts of a currency, all accounts converted into the
+     * reference currency (when several currencies are used) or a single account
+     */
+    populateAccountSelect() {
+        const select = document.getElementById('reportAccount');
+        const previous = select.value;
+        const currencies = [...new Set(this.accounts.map(a => a.currency || 'EUR'))];
+        const reference = ExchangeRatesModel.getReferenceCurrency();
+
+        select.innerHTML = [
+            ...(currencies.length > 1 ? [`<option value="converted">Tous les comptes (convertis en ${reference})</option>`] : []),
+            ...currencies.map(currency => `<option value="currency:${currency}">Tous les comptes ${currency}</option>`),
+            ...this.accounts.map(account => `<option value="${account.id}">${this.escapeHtml(account.nom_compte)}</option>`)
+        ].join('');
+
+        if (previous && [...select.options].some(option => option.value === previous)) {
+            select.value = previous;
+        } else {
+            const principal = this.accounts.find(a => a.is_principal);
+            select.value = `currency:${principal?.currency || currencies[0] || 'EUR'}`;
+        }
+    }
+
+    /**
+     * Selected accounts and their currency
+     * `converted` is set when the movements must be converted into that currency
+     */
+    getSelection() {
+        const value = document.getElementById('reportAccount').value || 'currency:EUR';
+
+        if (value === 'converted') {
+            return {
+                currency: ExchangeRatesModel.getReferenceCurrency(),
+                accountIds: this.accounts.map(a => a.id),
+                converted: true
+            };
+        }
+
+        if (value.startsWith('currency:')) {
+            const currency = value.slice('currency:'.length);
+            return {
+                currency,
+                accountIds: this.accounts.filter(a => (a.currency || 'EUR') === currency).map(a => a.id)
+            };
+        }
+
+        const account = this.accounts.find(a => a.id === value);
+        return { currency: account?.currency || 'EUR', accountIds: [value] };
+    }
+
+    /**
+     * Move the displayed period
+     */
+    changePeriod(delta) {
+        if (this.mode === 'year') {
+            this.currentDate.setFullYear(this.currentDate.getFullYear() + delta);
+        } else {
+            this.currentDate.setMonth(this.currentDate.getMonth() + delta);
+        }
+        this.render();
+    }
+
+    /**
+     * Compute and draw every report for the selected period
+     */
+    render() {
+        const { currency, accountIds, converted } = this.getSelection();
+        const period = ReportBuilder.periodRange(this.mode, this.currentDate);
+        const format = (amount) => RatchouUtils.currency.formatWithCurrency(amount, currency);
+
+        document.getElementById('periodLabel').textContent = period.label;
+
+        let selectedMovements = this.movements.filter(m => accountIds.includes(m.account_id));
+        if (converted) {
+            const conversion = ReportBuilder.convert(selectedMovements, this.accounts, this.converter, currency);
+            selectedMovements = conversion.movements;
+            if (conversion.missing.length > 0) {
+                this.showError(`Sans taux de change vers ${currency}, non inclus : ${conversion.missing.map(a => this.escapeHtml(a.nom_compte)).join(', ')}`);
+            }
+        }
+        const current = ReportBuilder.filter(selectedMovements, { start: period.start, end: period.end, accountIds });
+        const previous = ReportBuilder.filter(selectedMovements, { start: period.previousStart, end: period.start, accountIds });
+
+        this.renderTotals(ReportBuilder.totals(current), format);
+
+        const lastMonth = this.mode === 'year'
+            ? new Date(this.currentDate.getFullYear(), 11, 1)
+            : this.currentDate;
+        this.renderIncomeExpenseChart(ReportBuilder.monthlySeries(selectedMovements, lastMonth), format);
+
+        this.renderBreakdown(ReportBuilder.breakdown(current, this.breakdownKey), format);
+
+        const comparison = ReportBuilder.compare(
+            ReportBuilder.breakdown(current, 'category_id'),
+            ReportBuilder.breakdown(previous, 'category_id')
+        );
+        this.renderComparison(comparison, format);
+    }
+
+    /**
+     * Income / expense / net cards
+     */
+    renderTotals(totals, format) {
+        const card = (label, amount, className) => `
+            <div class="col-4">
+                <div class="card shadow-sm h-100">
+                    <div class="card-body text-center py-2">
+                        <small class="text-muted d-block">${label}</small>
+                        <strong class="${className}">${format(amount)}</strong>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('reportTotals').innerHTML =
+            card('Recettes', totals.income, 'amount-positive') +
+            card('Dépenses', totals.expense, 'amount-negative') +
+            card('Solde', totals.net, totals.net >= 0 ? 'amount-positive' : 'amount-negative');
+    }
+
+    /**
+     * Grouped vertical bars: income (green) and expense (red) per month
+     */
+    renderIncomeExpenseChart(series, format) {
+        const container = document.getElementById('incomeExpenseChart');
+        const max = Math.max(...series.map(m => Math.max(m.income, m.expense)));
+
+        if (max === 0) {
+            container.innerHTML = '<div class="text-muted text-center">Aucun mouvement sur cette période</div>';
+            return;
+        }
+
+        const width = 600;
+        const height = 220;
+        const chartHeight = height - 30;
+        const slot = width / series.length;
+        const barWidth = slot * 0.35;
+        const barHeight = (amount) => Math.round(amount / max * (chartHeight - 10));
+
+        const bars = series.map((month, index) => {
+            const x = index * slot + slot * 0.12;
+            const incomeHeight = barHeight(month.income);
+            const expenseHeight = barHeight(month.expense);
+            return `
+                <g>
+                    <title>${month.label} : recettes ${format(month.income)}, dépenses ${format(month.expense)}</title>
+                    <rect x="${x}" y="${chartHeight - incomeHeight}" width="${barWidth}" height="${incomeHeight}" rx="2" style="fill: var(--bs-success);"></rect>
+                    <rect x="${x + barWidth + 2}" y="${chartHeight - expenseHeight}" width="${barWidth}" height="${expenseHeight}" rx="2" style="fill: var(--bs-danger);"></rect>
+                    <text x="${index * slot + slot / 2}" y="${height - 10}" text-anchor="middle" font-size="12" fill="currentColor">${month.label}</text>
+                </g>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" class="w-100" role="img" aria-label="Recettes et dépenses par mois">
+                <line x1="0" y1="${chartHeight}" x2="${width}" y2="${chartHeight}" stroke="currentColor" stroke-opacity="0.3"></line>
+                ${bars}
+            </svg>
+            <div class="d-flex justify-content-center gap-3 small">
+                <span><span class="d-inline-block rounded-1 bg-success" style="width: 10px; height: 10px;"></span> Recettes</span>
+                <span><span class="d-inline-block rounded-1 bg-danger" style="width: 10px; height: 10px;"></span> Dépenses</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Horizontal bars of the expense breakdown (category, payee or expense type)
+     */
+    renderBreakdown(rows, format) {
+        const container = document.getElementById('breakdownChart');
+
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="text-muted text-center">Aucune dépense sur cette période</div>';
+            return;
+        }
+
+        const total = rows.reduce((sum, row) => sum + row.total, 0);
+        const max = rows[0].total;
+        const rowHeight = 28;
+        const width = 600;
+        const labelWidth = 180;
+        const valueWidth = 150;
+        const barSpace = width - labelWidth - valueWidth;
+
+        const bars = rows.map((row, index) => {
+            const y = index * rowHeight;
+            const name = row.id ? (this.names[this.breakdownKey].get(row.id) || 'Supprimé') : 'Non renseigné';
+            const percent = Math.round(row.total / total * 100);
+            return `
+                <g>
+                    <title>${this.escapeHtml(name)} : ${format(row.total)} (${row.count} mouvement(s))</title>
+                    <text x="0" y="${y + 18}" font-size="13" fill="currentColor">${this.escapeHtml(this.truncate(name, 22))}</text>
+                    <rect x="${labelWidth}" y="${y + 6}" width="${Math.max(2, Math.round(row.total / max * barSpace))}" height="16" rx="3" style="fill: var(--bs-primary);"></rect>
+                    <text x="${width}" y="${y + 18}" font-size="13" text-anchor="end" fill="currentColor">${format(row.total)} · ${percent}%</text>
+                </g>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <svg viewBox="0 0 ${width} ${rows.length * rowHeight}" class="w-100" role="img" aria-label="Répartition des dépenses">
+                ${bars}
+            </svg>
+            <div class="text-end small text-muted mt-2">Total des dépenses : ${format(total)}</div>
+        `;
+    }
+
+    /**
+     * Category spending compared with the previous month/year
+     */
+    renderComparison(rows, format) {
+        const isYear = this.mode === 'year';
+        document.getElementById('comparisonTitle').textContent = isYear
+            ? '🔀 Comparaison avec l\'année précédente'
+            : '🔀 Comparaison avec le mois précédent';
+        document.getElementById('comparisonCurrentHeader').textContent = isYear ? 'Cette année' : 'Ce mois';
+        document.getElementById('comparisonPreviousHeader').textContent = isYear ? 'Année préc.' : 'Mois préc.';
+
+        const tbody = document.getElementById('comparisonTableBody');
+        if (rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">Aucune dépense sur les deux périodes</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = rows.map(row => {
+            const name = row.id ? (this.names.category_id.get(row.id) || 'Supprimée') : 'Sans catégorie';
+            // More spending is shown in red, less spending in green
+            const deltaClass = row.delta > 0 ? 'text-danger' : (row.delta < 0 ? 'text-success' : 'text-muted');
+            const percent = row.percent !== null ? ` (${row.percent > 0 ? '+' : ''}${row.percent}%)` : '';
+            return `
+                <tr>
+                    <td>${this.escapeHtml(name)}</td>
+                    <td class="text-end">${format(row.current)}</td>
+                    <td class="text-end text-muted">${format(row.previous)}</td>
+                    <td class="text-end ${deltaClass}">${row.delta > 0 ? '+' : ''}${format(row.delta)}${percent}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    truncate(text, length) {
+        return text.length > length ? text.slice(0, length - 1) + '…' : text;
+    }
+
+    /**
+     * Escape HTML characters
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, (m) => map[m]);
+    }
+}
+
+// Global instance
+let reportsController;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        // Initialize Ratchou app
+        await ratchouApp.initialize();
+
+        // Check authentication with guard system
+        if (window.auth && typeof window.auth.guardPage === 'function') {
+            if (!auth.guardPage('app')) {
+                return; // User was redirected, stop initialization
+            }
+        } else if (!ratchouApp.isAuthenticated()) {
+            location.replace('../index.html');
+            return;
+        }
+
+        reportsController = new ReportsController();
+        await reportsController.initialize();
+
+    } catch (error) {
+        console.error('Error initializing reports page:', error);
+        alert('Erreur lors de l\'initialisation de la page');
+    }
+});
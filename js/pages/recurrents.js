@@ -22,6 +22,8 @@ class RecurrentsController {
         // Data containers
         this.recurrentsList = document.getElementById('recurrents-list');
         this.totalsContainer = document.getElementById('totals');
+        this.pendingReviewContainer = document.getElementById('pending-review');
+        this.historyContainer = document.getElementById('recurrent-history');
 
         // Panels & Modals
         this.panelBackdrop = document.getElementById('panelBackdrop');
@@ -29,6 +31,8 @@ class RecurrentsController {
         // State
         this.currentAccount = null;
         this.recurrents = [];
+        this.pendingOccurrences = [];
+        this.estimates = new Map();
         this.accounts = [];
         this.categories = [];
         this.payees = [];
@@ -48,6 +52,7 @@ class RecurrentsController {
         this.updateAccountDisplay();
         this.renderRecurrents();
         this.updateTotalCards();
+        await this.renderPendingReview();
         this.renderPanelsAndModals();
         this.renderForm();
     }
@@ -99,6 +104,13 @@ class RecurrentsController {
             }
         });
 
+        this.pendingReviewContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-review-action]');
+            if (button) {
+                this.handleReviewAction(button.closest('.pending-occurrence'), button.dataset.reviewAction);
+            }
+        });
+
         // Account selection from header
         document.addEventListener('click', (e) => {
             if (e.target.id === 'currentAccountName') {
@@ -132,6 +144,24 @@ class RecurrentsController {
         this.recurrents.sort((a, b) => {
             return a.day_of_month - b.day_of_month || a.libelle.localeCompare(b.libelle);
         });
+        await this.loadEstimates();
+    }
+
+    /**
+     * Montants estimés des dépenses à montant variable
+     */
+    async loadEstimates() {
+        this.estimates = new Map();
+        for (const recurrent of this.recurrents.filter(r => r.is_variable)) {
+            this.estimates.set(recurrent.id, await this.recurrentsModel.getEstimatedAmount(recurrent));
+        }
+    }
+
+    /**
+     * Montant attendu par échéance (estimation si montant variable)
+     */
+    getExpectedAmount(recurrent) {
+        return this.estimates.has(recurrent.id) ? this.estimates.get(recurrent.id) : recurrent.amount;
     }
 
     showForm(recurrent = null) {
@@ -143,9 +173,12 @@ class RecurrentsController {
         if (recurrent) {
             this.deleteRecurrentBtn.style.display = 'inline-block';
             this.populateForm(recurrent);
+            this.renderHistory(recurrent);
         } else {
             this.deleteRecurrentBtn.style.display = 'none';
             document.getElementById('recurrent-id').value = '';
+            this.hideHistory();
+            this.updateRecurrenceFields();
             // Reset remarque
             document.getElementById('remarqueText').value = '';
             const remarqueButton = document.querySelector('[data-bs-target="#remarqueModal"]');
@@ -159,16 +192,98 @@ class RecurrentsController {
     hideForm() {
         this.formContainer.style.display = 'none';
         this.mainContent.style.display = 'block';
+        this.hideHistory();
         this.closePanels();
     }
 
+    hideHistory() {
+        this.historyContainer.classList.add('d-none');
+        this.historyContainer.innerHTML = '';
+    }
+
+    /**
+     * Historique d'une dépense récurrente : chaque échéance enregistrée et son écart à l'estimation
+     */
+    async renderHistory(recurrent) {
+        const currency = this.accounts.find(a => a.id === recurrent.account_id)?.currency || 'EUR';
+        const format = (amount) => RatchouUtils.currency.formatWithCurrency(amount, currency);
+
+        try {
+            const history = await this.recurrentsModel.getHistory(recurrent);
+            const estimate = this.getExpectedAmount(recurrent);
+
+            let html = `
+                <h6 class="mb-2">📜 Historique des échéances</h6>
+                <div class="small text-muted mb-2">
+                    ${recurrent.is_variable
+                        ? `Prochaine échéance estimée à <strong>${format(estimate)}</strong> (moyenne des ${recurrent.estimate_window || RecurringExpensesModel.DEFAULT_ESTIMATE_WINDOW} dernières)`
+                        : `Montant prévu : <strong>${format(recurrent.amount)}</strong>`}
+                </div>
+            `;
+
+            if (history.length === 0) {
+                html += '<div class="text-muted small">Aucune échéance enregistrée pour le moment.</div>';
+            } else {
+                const averageGap = history.reduce((sum, row) => sum + Math.abs(row.deviation), 0) / history.length;
+                html += `
+                    <div class="table-responsive" style="max-height: 20rem;">
+                        <table class="table table-sm align-middle mb-1">
+                            <thead>
+                                <tr>
+                                    <th>Date</th>
+                                    <th class="text-end">Montant</th>
+                                    <th class="text-end">Estimation</th>
+                                    <th class="text-end">Écart</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${history.map(row => {
+                                    // Écart défavorable (plus de dépense ou moins de recette que prévu) en rouge
+                                    const gapClass = row.deviation === 0 ? 'text-muted' : (row.deviation < 0 ? 'text-danger' : 'text-success');
+                                    const percent = row.deviation_percent !== null && row.deviation !== 0 ? ` (${row.deviation > 0 ? '+' : ''}${row.deviation_percent} %)` : '';
+                                    return `
+                                        <tr>
+                                            <td>${RecurringExpensesModel.parseDate(row.date).toLocaleDateString('fr-FR')}</td>
+                                            <td class="text-end">${format(row.amount)}</td>
+                                            <td class="text-end text-muted">${format(row.estimate)}</td>
+                                            <td class="text-end ${gapClass}">${row.deviation > 0 ? '+' : ''}${format(row.deviation)}${percent}</td>
+                                        </tr>
+                                    `;
+                                }).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div class="small text-muted">${history.length} échéance(s) enregistrée(s) • écart moyen ${format(Math.round(averageGap))}</div>
+                `;
+            }
+
+            this.historyContainer.innerHTML = html;
+            this.historyContainer.classList.remove('d-none');
+        } catch (error) {
+            console.error('Error loading recurring expense history:', error);
+            this.historyContainer.innerHTML = '<div class="alert alert-danger small mb-0">Erreur lors du chargement de l\'historique</div>';
+            this.historyContainer.classList.remove('d-none');
+        }
+    }
+
     populateForm(recurrent) {
         document.getElementById('recurrent-id').value = recurrent.id;
         document.getElementById('recurrent-libelle').value = recurrent.libelle;
         const currency = this.currentAccount?.currency || 'EUR';
         document.getElementById('recurrent-montant').value = RatchouUtils.currency.fromStorageUnit(recurrent.amount, currency);
         document.getElementById('recurrent-start-date').value = recurrent.start_date || '';
-        document.getElementById('recurrent-frequence').value = recurrent.frequency || 1;
+
+        const rule = RecurringExpensesModel.getRule(recurrent);
+        document.getElementById('recurrent-type').value = rule.type;
+        document.getElementById('recurrent-interval').value = rule.interval;
+        document.getElementById('recurrent-shift').value = rule.shift;
+        document.getElementById('recurrent-end-mode').value = rule.end_date ? 'date' : (rule.max_occurrences ? 'count' : 'never');
+        document.getElementById('recurrent-end-date').value = rule.end_date || '';
+        document.getElementById('recurrent-max-occurrences').value = rule.max_occurrences || '';
+        document.getElementById('recurrent-review').checked = !!recurrent.is_review_required;
+        document.getElementById('recurrent-variable').checked = !!recurrent.is_variable;
+        document.getElementById('recurrent-estimate-window').value = recurrent.estimate_window || RecurringExpensesModel.DEFAULT_ESTIMATE_WINDOW;
+        this.updateRecurrenceFields();
 
         document.getElementById('categorie_id').value = recurrent.category_id;
         document.getElementById('beneficiaire_id').value = recurrent.payee_id || '';
@@ -203,7 +318,10 @@ class RecurrentsController {
             amount: RatchouUtils.currency.toStorageUnit(parseFloat(formData.get('montant')), currency),
             start_date: startDate,
             day_of_month: dayOfMonth,  // Calculé automatiquement depuis start_date
-            frequency: parseInt(formData.get('frequence')),
+            recurrence: this.getRecurrenceFromForm(formData),   // frequency déduite par le modèle
+            is_review_required: formData.get('review_required') ? 1 : 0,
+            is_variable: formData.get('variable') ? 1 : 0,
+            estimate_window: formData.get('variable') ? parseInt(formData.get('estimate_window')) : null,
             account_id: this.currentAccount.id,
             category_id: formData.get('categorie_id') || null,
             payee_id: formData.get('beneficiaire_id') || null,
@@ -214,11 +332,16 @@ class RecurrentsController {
         const id = formData.get('id');
 
         try {
+            let result;
             if (id) {
-                await this.recurrentsModel.update(id, data);
+                result = await this.recurrentsModel.update(id, data);
             } else {
                 data.is_active = 1;
-                await this.recurrentsModel.create(data);
+                result = await this.recurrentsModel.create(data);
+            }
+            if (!result.success) {
+                alert('Erreur lors de l\'enregistrement: ' + result.message);
+                return;
             }
             this.hideForm();
             await this.refreshData();
@@ -266,13 +389,117 @@ class RecurrentsController {
         this.recurrents.sort((a, b) => {
             return a.day_of_month - b.day_of_month || a.libelle.localeCompare(b.libelle);
         });
+        await this.loadEstimates();
 
         this.renderRecurrents();
         this.updateTotalCards();
+        await this.renderPendingReview();
         this.populateCategoriesPanel();
         this.populatePayeesPanel();
     }
 
+    /**
+     * Liste des échéances à valider (tous comptes) : montant réel modifiable, ou échéance ignorée
+     */
+    async renderPendingReview() {
+        try {
+            this.pendingOccurrences = await this.recurrentsModel.getPendingReview();
+        } catch (error) {
+            console.error('Error loading pending occurrences:', error);
+            this.pendingOccurrences = [];
+        }
+
+        if (this.pendingOccurrences.length === 0) {
+            this.pendingReviewContainer.classList.add('d-none');
+            this.pendingReviewContainer.innerHTML = '';
+            return;
+        }
+
+        const accountsMap = new Map(this.accounts.map(a => [a.id, a]));
+
+        this.pendingReviewContainer.innerHTML = `
+            <div class="card-header bg-warning-subtle">
+                <h6 class="mb-0">✋ Échéances à valider (${this.pendingOccurrences.length})</h6>
+            </div>
+            <ul class="list-group list-group-flush">
+                ${this.pendingOccurrences.map((occurrence, index) => {
+                    const account = accountsMap.get(occurrence.expense.account_id);
+                    const currency = account?.currency || 'EUR';
+                    return `
+                        <li class="list-group-item pending-occurrence" data-index="${index}">
+                            <div class="d-flex flex-wrap justify-content-between align-items-center gap-2">
+                                <div>
+                                    <strong>${occurrence.expense.libelle}</strong>
+                                    <small class="d-block text-muted">
+                                        📅 ${RecurringExpensesModel.parseDate(occurrence.date).toLocaleDateString('fr-FR')} • ${account?.nom_compte || 'Compte supprimé'}
+                                    </small>
+                                </div>
+                                <div class="d-flex align-items-center gap-2">
+                                    <div class="input-group input-group-sm" style="width: 11rem;">
+                                        <input type="number" class="form-control pending-amount" step="${RatchouUtils.currency.getInputStep(currency)}"
+                                               value="${RatchouUtils.currency.fromStorageUnit(occurrence.amount, currency)}" aria-label="Montant réel">
+                                        <span class="input-group-text">${currency}</span>
+                                    </div>
+                                    <button type="button" class="btn btn-success btn-sm rounded-pill" data-review-action="confirm">✅ Enregistrer</button>
+                                    <button type="button" class="btn btn-outline-secondary btn-sm rounded-pill" data-review-action="skip">⏭️ Ignorer</button>
+                                </div>
+                            </div>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+            <div class="card-footer small text-muted">
+                💡 Ajustez le montant réel avant d'enregistrer ; une échéance ignorée ne crée aucun mouvement.
+            </div>
+        `;
+        this.pendingReviewContainer.classList.remove('d-none');
+    }
+
+    /**
+     * Enregistre (au montant saisi) ou ignore une échéance de la liste de revue
+     * @param {HTMLElement} item - Ligne de l'échéance
+     * @param {string} action - 'confirm' ou 'skip'
+     */
+    async handleReviewAction(item, action) {
+        const occurrence = this.pendingOccurrences[parseInt(item.dataset.index)];
+        if (!occurrence) return;
+
+        item.querySelectorAll('button').forEach(button => button.disabled = true);
+
+        try {
+            // Relire la dépense : une validation précédente a pu avancer last_execution
+            const expense = await this.recurrentsModel.getById(occurrence.expense.id);
+            let result;
+
+            if (action === 'confirm') {
+                const account = this.accounts.find(a => a.id === expense.account_id);
+                const value = parseFloat(item.querySelector('.pending-amount').value);
+                if (isNaN(value)) {
+                    alert('Montant invalide');
+                    item.querySelectorAll('button').forEach(button => button.disabled = false);
+                    return;
+                }
+                result = await this.recurrentsModel.confirmOccurrence(expense, occurrence.date,
+                    RatchouUtils.currency.toStorageUnit(value, account?.currency || 'EUR'));
+            } else {
+                result = await this.recurrentsModel.skipOccurrence(expense, occurrence.date);
+            }
+
+            if (!result.success) {
+                alert('Erreur : ' + result.message);
+            }
+
+            // Le solde du compte courant a pu changer
+            this.currentAccount = await this.accountsModel.getById(this.currentAccount.id) || this.currentAccount;
+            this.updateAccountDisplay();
+            await this.refreshData();
+        } catch (error) {
+            console.error('Error handling pending occurrence:', error);
+            alert('Erreur lors du traitement de l\'échéance : ' + error.message);
+            await this.renderPendingReview();
+        }
+    }
+
     renderRecurrents() {
         if (this.recurrents.length === 0) {
             this.recurrentsList.innerHTML = '<div class="text-center text-muted p-4">Aucune dépense récurrente pour ce compte.</div>';
@@ -283,42 +510,39 @@ class RecurrentsController {
         const currency = this.currentAccount?.currency || 'EUR';
 
         this.recurrentsList.innerHTML = this.recurrents.map(r => {
-            const monthlyAmount = r.amount / r.frequency;
+            const monthlyAmount = RecurringExpensesModel.getMonthlyAmount({ ...r, amount: this.getExpectedAmount(r) });
             const amountClass = monthlyAmount >= 0 ? 'text-success' : 'text-danger';
             const absAmount = Math.abs(monthlyAmount);
             const formattedAmount = RatchouUtils.currency.formatWithCurrency(absAmount, currency);
             const sign = monthlyAmount >= 0 ? '+' : '-';
 
-            // Fréquence lisible
-            const frequencyMap = {
-                1: 'Mensuel',
-                2: 'Bimestriel',
-                3: 'Trimestriel',
-                6: 'Semestriel',
-                12: 'Annuel'
-            };
-            const frequencyLabel = frequencyMap[r.frequency] || `Tous les ${r.frequency} mois`;
+            // Règle lisible et prochaine échéance
+            const frequencyLabel = RecurringExpensesModel.describeRule(r);
+            const nextDate = this.recurrentsModel.calculateNextDate(r);
+            const nextLabel = nextDate ? `Prochaine : ${nextDate.toLocaleDateString('fr-FR')}` : '<span class="badge bg-secondary">Terminée</span>';
 
             // Dernière exécution
             const lastExec = r.last_execution
                 ? `Dernier traitement : ${new Date(r.last_execution).toLocaleDateString('fr-FR')}`
                 : 'Jamais traité';
+            const reviewBadge = r.is_review_required ? ' <span class="badge bg-warning text-dark">✋ À valider</span>' : '';
+            const variableBadge = r.is_variable ? ' <span class="badge bg-info text-dark" title="Montant estimé d\'après les dernières échéances">〰️ Variable</span>' : '';
 
             return `
                 <div class="card mb-2 recurrent-card ${!r.is_active ? 'opacity-50' : ''}" style="cursor: pointer;" data-recurrent-id="${r.id}">
                     <div class="card-body">
                         <div class="row align-items-center">
                             <div class="col">
-                                <strong>${r.libelle}</strong>
+                                <strong>${r.libelle}</strong>${variableBadge}${reviewBadge}
                                 <small class="d-block text-muted">
                                     ${categoriesMap.get(r.category_id) || 'N/A'}
                                 </small>
                                 <small class="d-block text-muted">
-                                    🔄 ${frequencyLabel} • Jour ${r.day_of_month} • ${lastExec}
+                                    🔄 ${frequencyLabel} • ${nextLabel} • ${lastExec}
                                 </small>
                             </div>
                             <div class="col text-end">
-                                <strong class="${amountClass}">${sign} ${formattedAmount} / mois</strong>
+                                <strong class="${amountClass}">${r.is_variable ? '≈ ' : ''}${sign} ${formattedAmount} / mois</strong>
                                 <small class="d-block text-muted">Début : ${new Date(r.start_date).toLocaleDateString('fr-FR')}</small>
                             </div>
                         </div>
@@ -335,7 +559,7 @@ class RecurrentsController {
 
         this.recurrents.forEach(expense => {
             if (expense.is_active) {
-                const monthlyAmount = expense.amount / expense.frequency;
+                const monthlyAmount = RecurringExpensesModel.getMonthlyAmount({ ...expense, amount: this.getExpectedAmount(expense) });
                 if (monthlyAmount < 0) {
                     totalDepenses += Math.abs(monthlyAmount);
                 } else {
@@ -441,16 +665,60 @@ class RecurrentsController {
                 </div>
                 <div class="col-sm-6 mb-3">
                     <div class="input-group">
-                        <span class="input-group-text">Fréquence</span>
-                        <select class="form-select" id="recurrent-frequence" name="frequence" required>
-                            <option value="1">Mensuel</option>
-                            <option value="2">Bimestriel</option>
-                            <option value="3">Trimestriel</option>
-                            <option value="6">Semestriel</option>
-                            <option value="12">Annuel</option>
+                        <span class="input-group-text">Répétition</span>
+                        <select class="form-select" id="recurrent-type" name="recurrence_type" required>
+                            ${Object.entries(RecurringExpensesModel.RECURRENCE_TYPES).map(([type, { label }]) => `<option value="${type}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="col-sm-6 mb-3">
+                    <div class="input-group">
+                        <span class="input-group-text">Tous les</span>
+                        <input type="number" class="form-control" id="recurrent-interval" name="interval" min="1" max="366" step="1" value="1" required>
+                        <span class="input-group-text" id="recurrent-interval-unit">mois</span>
+                    </div>
+                </div>
+                <div class="col-sm-6 mb-3" id="recurrent-shift-group">
+                    <div class="input-group">
+                        <span class="input-group-text">Week-end / férié</span>
+                        <select class="form-select" id="recurrent-shift" name="shift">
+                            <option value="none">Date inchangée</option>
+                            <option value="before">Jour ouvré précédent</option>
+                            <option value="after">Jour ouvré suivant</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="col-sm-6 mb-3">
+                    <div class="input-group">
+                        <span class="input-group-text">Fin</span>
+                        <select class="form-select" id="recurrent-end-mode" name="end_mode">
+                            <option value="never">Jamais</option>
+                            <option value="date">À une date</option>
+                            <option value="count">Après N occurrences</option>
                         </select>
+                        <input type="date" class="form-control d-none" id="recurrent-end-date" name="end_date">
+                        <input type="number" class="form-control d-none" id="recurrent-max-occurrences" name="max_occurrences" min="1" step="1" placeholder="N">
                     </div>
                 </div>
+                <div class="col-12 mb-3">
+                    <div class="form-check form-switch">
+                        <input class="form-check-input" type="checkbox" id="recurrent-variable" name="variable">
+                        <label class="form-check-label" for="recurrent-variable">Montant variable</label>
+                    </div>
+                    <div class="input-group input-group-sm mt-1 d-none" id="recurrent-estimate-group" style="max-width: 22rem;">
+                        <span class="input-group-text">Moyenne des</span>
+                        <input type="number" class="form-control" id="recurrent-estimate-window" name="estimate_window" min="1" max="${RecurringExpensesModel.MAX_ESTIMATE_WINDOW}" step="1" value="${RecurringExpensesModel.DEFAULT_ESTIMATE_WINDOW}">
+                        <span class="input-group-text">dernières échéances</span>
+                    </div>
+                    <div class="form-text">Projections et échéances générées utilisent cette moyenne ; le montant saisi sert tant qu'aucune échéance n'est enregistrée.</div>
+                </div>
+                <div class="col-12 mb-3">
+                    <div class="form-check form-switch">
+                        <input class="form-check-input" type="checkbox" id="recurrent-review" name="review_required">
+                        <label class="form-check-label" for="recurrent-review">Valider chaque échéance avant de l'enregistrer</label>
+                    </div>
+                    <div class="form-text">Les échéances attendent dans la liste « à valider » : montant réel ajustable (factures variables) ou échéance ignorée.</div>
+                </div>
                 <input type="hidden" id="categorie_id" name="categorie_id">
                 <input type="hidden" id="beneficiaire_id" name="beneficiaire_id">
                 <input type="hidden" id="type_depense_id" name="type_depense_id">
@@ -463,6 +731,47 @@ class RecurrentsController {
                 this.openPanel(target.dataset.panelTarget.substring(1), target.dataset.inputTarget, target);
             });
         });
+
+        document.getElementById('recurrent-type').addEventListener('change', () => this.updateRecurrenceFields());
+        document.getElementById('recurrent-end-mode').addEventListener('change', () => this.updateRecurrenceFields());
+        document.getElementById('recurrent-variable').addEventListener('change', () => this.updateRecurrenceFields());
+    }
+
+    /**
+     * Adapte le formulaire au type de récurrence et au mode de fin choisis
+     */
+    updateRecurrenceFields() {
+        const type = document.getElementById('recurrent-type').value;
+        const endMode = document.getElementById('recurrent-end-mode').value;
+
+        document.getElementById('recurrent-interval-unit').textContent = RecurringExpensesModel.RECURRENCE_TYPES[type].unit;
+        // Le dernier jour ouvré est déjà un jour ouvré
+        document.getElementById('recurrent-shift-group').classList.toggle('d-none', type === 'last_business_day');
+
+        const endDate = document.getElementById('recurrent-end-date');
+        const maxOccurrences = document.getElementById('recurrent-max-occurrences');
+        endDate.classList.toggle('d-none', endMode !== 'date');
+        endDate.required = endMode === 'date';
+        maxOccurrences.classList.toggle('d-none', endMode !== 'count');
+        maxOccurrences.required = endMode === 'count';
+
+        const variable = document.getElementById('recurrent-variable').checked;
+        document.getElementById('recurrent-estimate-group').classList.toggle('d-none', !variable);
+        document.getElementById('recurrent-estimate-window').required = variable;
+    }
+
+    /**
+     * Règle de récurrence saisie dans le formulaire
+     */
+    getRecurrenceFromForm(formData) {
+        const endMode = formData.get('end_mode');
+        return {
+            type: formData.get('recurrence_type'),
+            interval: parseInt(formData.get('interval')) || 1,
+            shift: formData.get('shift') || 'none',
+            end_date: endMode === 'date' ? formData.get('end_date') : null,
+            max_occurrences: endMode === 'count' ? parseInt(formData.get('max_occurrences')) : null
+        };
     }
 
     renderPanelsAndModals() {
@@ -743,9 +1052,9 @@ class RecurrentsController {
         currentBalanceSpan.textContent = RatchouUtils.currency.formatWithCurrency(balanceInStorage, currency);
 
         // Set appropriate decimal places for the input
-        const decimals = currency === 'BTC' ? 8 : 2;
+        const decimals = RatchouUtils.currency.getDecimals(currency);
         newBalanceInput.value = currentBalance.toFixed(decimals);
-        newBalanceInput.step = currency === 'BTC' ? '0.00000001' : '0.01';
+        newBalanceInput.step = RatchouUtils.currency.getInputStep(currency);
         newBalanceInput.focus();
         newBalanceInput.select();
 
@@ -0,0 +1,520 @@
+/**
+ * Sync Log Controller
+ * Journal de synchronisation (SYNC_LOG) et file d'attente d'envoi (SYNC_QUEUE)
+ */
+class SyncLogController {
+    constructor() {
+        this.db = null;
+        this.pageSize = 30;
+        this.pageCursor = null;
+        this.loadedLogs = new Map(); // id -> entrée SYNC_LOG affichée
+    }
+
+    /**
+     * Libellés des stores synchronisés
+     */
+    static STORE_LABELS = {
+        MOUVEMENTS: 'Mouvement',
+        COMPTES: 'Compte',
+        CATEGORIES: 'Catégorie',
+        BENEFICIAIRES: 'Bénéficiaire',
+        TYPE_DEPENSES: 'Type de paiement',
+        DEPENSES_FIXES: 'Récurrent',
+        BUDGETS: 'Budget',
+        TAUX_CHANGE: 'Taux de change',
+        PIECES_JOINTES: 'Pièce jointe'
+    };
+
+    /**
+     * Libellés des opérations (SYNC_QUEUE) et des résultats de merge (SYNC_RESPONSE)
+     */
+    static OPERATION_LABELS = {
+        CREATE: 'Création',
+        UPDATE: 'Modification',
+        DELETE: 'Suppression',
+        CREATED: 'Créé',
+        UPDATED: 'Modifié',
+        MERGED: 'Fusionné',
+        DELETED: 'Supprimé',
+        CONFLICT_MASTER: 'Version du maître gardée',
+        CONFLICT_EQUAL_MASTER: 'Version du maître gardée',
+        NOT_FOUND: 'Introuvable',
+        REJECTED_FUTURE_TIMESTAMP: 'Refusé (horloge en avance)',
+        ERROR: 'Erreur'
+    };
+
+    static SYNC_TYPE_LABELS = {
+        SYNC: '🔄 Synchronisation',
+        MASTER_PROMOTED: '👑 Promotion en appareil principal',
+        KEY_ROTATED: '🔑 Rotation de la clé',
+        COMPACTION: '🧹 Compaction'
+    };
+
+    /**
+     * Initialize the controller
+     */
+    async initialize() {
+        try {
+            await this.loadComponents();
+            this.db = window.db;
+
+            this.setupEventListeners();
+            await this.loadQueue();
+            await this.loadLogs();
+        } catch (error) {
+            console.error('Error initializing sync log controller:', error);
+            this.showError('Erreur lors de l\'initialisation de la page');
+        }
+    }
+
+    /**
+     * Load all UI components
+     */
+    async loadComponents() {
+        await ComponentLoader.loadHeader({
+            title: '📜 Journal de synchronisation',
+            showAccountInfo: false,
+            logoLink: '../dashboard.html'
+        });
+        await ComponentLoader.loadSidebar();
+        await ComponentLoader.loadCommonModals();
+        await ComponentLoader.loadFixedFooter();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        for (const id of ['statusFilter', 'syncTypeFilter', 'hideEmptyFilter']) {
+            document.getElementById(id).addEventListener('change', () => this.loadLogs());
+        }
+        document.getElementById('loadMoreLogsBtn').addEventListener('click', () => this.loadLogs(true));
+        document.getElementById('exportLogBtn').addEventListener('click', () => this.exportLog());
+        document.getElementById('syncNowBtn').addEventListener('click', () => this.syncNow());
+        document.getElementById('compactBtn').addEventListener('click', () => this.compactNow());
+
+        document.getElementById('logList').addEventListener('click', (event) => {
+            const item = event.target.closest('[data-log-id]');
+            if (item) {
+                this.toggleDetails(item.dataset.logId);
+            }
+        });
+
+        document.getElementById('queueList').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-queue-action]');
+            if (button) {
+                this.handleQueueAction(button.dataset.queueAction, button.dataset.queueId);
+            }
+        });
+
+        // Une synchronisation a pu se produire entre-temps
+        window.addEventListener('sync-data-changed', () => this.loadQueue());
+    }
+
+    // =================================================================
+    // File d'attente (SYNC_QUEUE)
+    // =================================================================
+
+    async loadQueue() {
+        const container = document.getElementById('queueList');
+        const entries = (await this.db.getAll('SYNC_QUEUE'))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        document.getElementById('queueCount').textContent = entries.length;
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="text-muted mb-0">✅ Aucune modification en attente</p>';
+            return;
+        }
+
+        const rows = [];
+        for (const entry of entries) {
+            const label = await this.describeRecord(entry.store_name, entry.record_id, entry.data);
+            const state = entry.synced === 0
+                ? '<span class="badge bg-warning text-dark">À envoyer</span>'
+                : '<span class="badge bg-info text-dark">Envoyé, sans réponse</span>';
+
+            rows.push(`
+                <div class="list-group-item d-flex justify-content-between align-items-center gap-2">
+                    <div class="text-truncate">
+                        <div class="text-truncate">
+                            <strong>${this.escapeHtml(SyncLogController.OPERATION_LABELS[entry.operation] || entry.operation)}</strong>
+                            · ${this.escapeHtml(label)}
+                        </div>
+                        <small class="text-muted">${this.formatDateTime(entry.timestamp)} ${state}</small>
+                    </div>
+                    <div class="btn-group btn-group-sm flex-shrink-0">
+                        <button class="btn btn-outline-primary" data-queue-action="retry" data-queue-id="${this.escapeHtml(entry.id)}" title="Réessayer">
+                            <i class="bi bi-arrow-clockwise"></i>
+                        </button>
+                        <button class="btn btn-outline-danger" data-queue-action="discard" data-queue-id="${this.escapeHtml(entry.id)}" title="Abandonner">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `);
+        }
+
+        container.innerHTML = `<div class="list-group">${rows.join('')}</div>`;
+    }
+
+    /**
+     * Réessayer (renvoi au prochain cycle) ou abandonner une entrée de la file
+     */
+    async handleQueueAction(action, queueId) {
+        const entry = await this.db.get('SYNC_QUEUE', queueId);
+        if (!entry) {
+            await this.loadQueue();
+            return;
+        }
+
+        if (action === 'retry') {
+            await this.db.put('SYNC_QUEUE', { ...entry, synced: 0 });
+            this.showSuccess('Modification renvoyée à la prochaine synchronisation');
+        } else if (action === 'discard') {
+            if (!confirm('Abandonner cette modification ?\n\nElle reste sur cet appareil mais ne sera pas envoyée aux autres.')) {
+                return;
+            }
+            await this.db.delete('SYNC_QUEUE', queueId);
+            this.showSuccess('Modification retirée de la file d\'attente');
+        }
+
+        await this.loadQueue();
+    }
+
+    async syncNow() {
+        if (!window.syncManager) {
+            this.showError('Synchronisation non configurée sur cet appareil');
+            return;
+        }
+
+        const button = document.getElementById('syncNowBtn');
+        button.disabled = true;
+
+        try {
+            const result = await window.syncManager.tick();
+            if (result.success) {
+                this.showSuccess(`Synchronisation terminée : ${result.recordsPushed} envoyé(s), ${result.recordsPulled} reçu(s)`);
+            } else {
+                this.showError('Synchronisation impossible : ' + this.escapeHtml(result.error || result.reason || 'erreur inconnue'));
+            }
+            await this.loadQueue();
+            await this.loadLogs();
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Compaction immédiate (sinon faite automatiquement pendant la synchronisation)
+     */
+    async compactNow() {
+        if (!window.syncManager) {
+            this.showError('Synchronisation non configurée sur cet appareil');
+            return;
+        }
+
+        const button = document.getElementById('compactBtn');
+        button.disabled = true;
+
+        try {
+            const stats = await window.syncManager.compact({ force: true });
+            this.showSuccess(`Compaction terminée : ${stats.coalesced} fusionnée(s), ${stats.purged} purgée(s), ${stats.tombstones} suppression(s) définitive(s)`);
+            await this.loadQueue();
+            await this.loadLogs();
+        } catch (error) {
+            console.error('Compaction error:', error);
+            this.showError('Compaction impossible : ' + this.escapeHtml(error.message));
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // =================================================================
+    // Historique (SYNC_LOG)
+    // =================================================================
+
+    /**
+     * Statut d'une entrée (les anciennes n'ont que le champ type)
+     */
+    getStatus(log) {
+        if (log.status) return log.status;
+        return log.type === 'SYNC_ERROR' ? 'ERROR' : 'SUCCESS';
+    }
+
+    getSyncType(log) {
+        return log.sync_type || (log.type && log.type.startsWith('SYNC_') ? 'SYNC' : log.type);
+    }
+
+    /**
+     * Charge une page du journal, du plus récent au plus ancien
+     * @param {boolean} append - Ajouter à la liste (Afficher plus) plutôt que la remplacer
+     */
+    async loadLogs(append = false) {
+        const list = document.getElementById('logList');
+        const loadMoreBtn = document.getElementById('loadMoreLogsBtn');
+        const status = document.getElementById('statusFilter').value;
+        const syncType = document.getElementById('syncTypeFilter').value;
+        const hideEmpty = document.getElementById('hideEmptyFilter').checked;
+
+        if (!append) {
+            this.pageCursor = null;
+            this.loadedLogs.clear();
+        }
+
+        const { items, next } = await this.db.getPage('SYNC_LOG', 'timestamp', {
+            after: this.pageCursor,
+            limit: this.pageSize,
+            filter: (log) => {
+                if (status && this.getStatus(log) !== status) return false;
+                if (syncType && this.getSyncType(log) !== syncType) return false;
+                if (hideEmpty && this.getSyncType(log) === 'SYNC' && this.getStatus(log) === 'SUCCESS'
+                    && !log.items_pushed && !log.items_pulled) {
+                    return false;
+                }
+                return true;
+            }
+        });
+        this.pageCursor = next;
+
+        const html = items.map(log => {
+            this.loadedLogs.set(log.id, log);
+            return this.renderLog(log);
+        }).join('');
+
+        if (append) {
+            list.insertAdjacentHTML('beforeend', html);
+        } else {
+            list.innerHTML = html || '<p class="text-muted mb-0">Aucune entrée</p>';
+        }
+
+        loadMoreBtn.classList.toggle('d-none', !next);
+    }
+
+    renderLog(log) {
+        const status = this.getStatus(log);
+        const icon = { SUCCESS: '✅', CONFLICT: '⚔️', ERROR: '❌' }[status] || 'ℹ️';
+        const typeLabel = SyncLogController.SYNC_TYPE_LABELS[this.getSyncType(log)] || log.type;
+        const conflicts = Array.isArray(log.conflicts) ? log.conflicts.length : (log.conflicts || 0);
+
+        return `
+            <div class="list-group-item list-group-item-action" role="button" data-log-id="${this.escapeHtml(log.id)}">
+                <div class="d-flex justify-content-between align-items-center">
+                    <div>
+                        ${icon} <strong>${this.escapeHtml(typeLabel)}</strong>
+                        <small class="d-block text-muted">
+                            📤 ${log.items_pushed || 0} · 📥 ${log.items_pulled || 0}
+                            ${conflicts ? ` · ⚔️ ${conflicts}` : ''}
+                            ${log.duration ? ` · ${log.duration} ms` : ''}
+                        </small>
+                    </div>
+                    <small class="text-muted text-end">${this.formatDateTime(log.timestamp)}</small>
+                </div>
+                ${log.error ? `<div class="small text-danger mt-1">${this.escapeHtml(log.error)}</div>` : ''}
+                <div class="log-details d-none mt-2" id="details-${this.escapeHtml(log.id)}"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Affiche ou masque le détail d'une entrée : enregistrements envoyés, reçus/fusionnés, erreurs
+     */
+    async toggleDetails(logId) {
+        const container = document.getElementById(`details-${logId}`);
+        const log = this.loadedLogs.get(logId);
+        if (!container || !log) return;
+
+        if (!container.classList.contains('d-none')) {
+            container.classList.add('d-none');
+            return;
+        }
+
+        const details = log.details || {};
+        const sections = [];
+
+        if (details.pushed && details.pushed.length > 0) {
+            sections.push(await this.renderRecords('📤 Envoyés', details.pushed, 'operation'));
+        }
+        if (details.pulled && details.pulled.length > 0) {
+            sections.push(await this.renderRecords('📥 Reçus / fusionnés', details.pulled, 'status'));
+        }
+        if (details.compaction) {
+            sections.push(`
+                <ul class="small mb-0 mt-2">
+                    <li>${details.compaction.coalesced} modification(s) fusionnée(s) dans la file</li>
+                    <li>${details.compaction.purged} entrée(s) acquittée(s) purgée(s)</li>
+                    <li>${details.compaction.tombstones} enregistrement(s) supprimé(s) définitivement</li>
+                </ul>
+            `);
+        }
+        if (details.errors && details.errors.length > 0) {
+            sections.push(`
+                <div class="small fw-semibold mt-2">❌ Erreurs</div>
+                <ul class="small mb-0">
+                    ${details.errors.map(error => `<li>${this.escapeHtml(error.error || error)}</li>`).join('')}
+                </ul>
+            `);
+        }
+        if (Array.isArray(log.conflicts) && log.conflicts.some(conflict => !conflict.resolved_at)) {
+            sections.push(`
+                <div class="small mt-2">
+                    ⚔️ Conflits à revoir dans <a href="sync-pairing.html">Synchronisation</a>
+                </div>
+            `);
+        }
+
+        container.innerHTML = sections.join('') || '<small class="text-muted">Aucun détail enregistré</small>';
+        container.classList.remove('d-none');
+    }
+
+    async renderRecords(title, records, labelField) {
+        const items = [];
+        for (const record of records) {
+            const label = await this.describeRecord(record.store_name, record.record_id);
+            const action = SyncLogController.OPERATION_LABELS[record[labelField]] || record[labelField];
+            items.push(`<li>${this.escapeHtml(action)} · ${this.escapeHtml(label)}</li>`);
+        }
+
+        return `
+            <div class="small fw-semibold mt-2">${title}</div>
+            <ul class="small mb-0">${items.join('')}</ul>
+        `;
+    }
+
+    /**
+     * Libellé lisible d'un enregistrement synchronisé
+     * @param {object} snapshot - Données connues (entrée SYNC_QUEUE), sinon lues en base
+     */
+    async describeRecord(storeName, recordId, snapshot = null) {
+        const storeLabel = SyncLogController.STORE_LABELS[storeName] || storeName || 'Enregistrement';
+        let record = snapshot;
+        if (!record && storeName) {
+            try {
+                record = await this.db.get(storeName, recordId);
+            } catch (error) {
+                record = null;
+            }
+        }
+
+        if (!record) return `${storeLabel} ${recordId}`;
+
+        const name = record.description || record.libelle || record.nom_compte || record.file_name;
+        if (storeName === 'MOUVEMENTS') {
+            const amount = RatchouUtils.currency.format(record.amount || 0);
+            return `${storeLabel} du ${record.date_mouvement ? new Date(record.date_mouvement).toLocaleDateString('fr-FR') : '?'} (${amount})${name ? ' - ' + name : ''}`;
+        }
+        return name ? `${storeLabel} « ${name} »` : `${storeLabel} ${recordId}`;
+    }
+
+    /**
+     * Export complet du journal et de la file d'attente en JSON
+     */
+    async exportLog() {
+        const logs = (await this.db.getAll('SYNC_LOG')).sort((a, b) => b.timestamp - a.timestamp);
+        const queue = await this.db.getAll('SYNC_QUEUE');
+        const config = await this.db.get('SYNC_CONFIG', 'config');
+
+        // Pas de données métier ni de secrets : seulement les métadonnées de la file
+        const exportData = {
+            exported_at: new Date().toISOString(),
+            device_id: config ? config.device_id : null,
+            role: config ? config.role : null,
+            logs: logs,
+            queue: queue.map(({ data, base, ...entry }) => entry)
+        };
+
+        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `ratchou-sync-log-${new Date().toISOString().slice(0, 10)}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        this.showSuccess(`${logs.length} entrée(s) exportée(s)`);
+    }
+
+    formatDateTime(timestamp) {
+        if (!timestamp) return '—';
+        return new Date(timestamp).toLocaleString('fr-FR', {
+            day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+    }
+
+    /**
+     * Show success alert
+     */
+    showSuccess(message) {
+        this.showAlert(message, 'success');
+    }
+
+    /**
+     * Show error alert
+     */
+    showError(message) {
+        this.showAlert(message, 'danger');
+    }
+
+    /**
+     * Show alert message
+     */
+    showAlert(message, type) {
+        const alertContainer = document.getElementById('alertContainer');
+        alertContainer.innerHTML = `
+            <div class="alert alert-${type} alert-dismissible fade show" role="alert">
+                ${message}
+                <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+            </div>
+        `;
+
+        // Auto dismiss after 5 seconds
+        setTimeout(() => {
+            const alert = alertContainer.querySelector('.alert');
+            if (alert) {
+                new bootstrap.Alert(alert).close();
+            }
+        }, 5000);
+    }
+
+    /**
+     * Escape HTML characters
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, (m) => map[m]);
+    }
+}
+
+// Global instance
+let syncLogController;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        // Initialize Ratchou app
+        await ratchouApp.initialize();
+
+        // Check authentication with guard system
+        if (window.auth && typeof window.auth.guardPage === 'function') {
+            if (!auth.guardPage('app')) {
+                return; // User was redirected, stop initialization
+            }
+        } else if (!ratchouApp.isAuthenticated()) {
+            location.replace('../index.html');
+            return;
+        }
+
+        syncLogController = new SyncLogController();
+        await syncLogController.initialize();
+
+    } catch (error) {
+        console.error('Error initializing sync log page:', error);
+        alert('Erreur lors de l\'initialisation de la page');
+    }
+});
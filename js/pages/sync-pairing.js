@@ -12,6 +12,8 @@ class SyncPairingController {
         this.pairingConfirmModal = null;
         this.loadingOverlay = null;
         this.pendingPairingPayload = null; // Stocke le payload en attente de confirmation
+        this.syncManager = null;
+        this.reloadAfterRecoveryKey = false; // Après une promotion, recharger la page à la fermeture de la modale
     }
 
     /**
@@ -27,6 +29,8 @@ class SyncPairingController {
             this.setupEventListeners();
             this.initRateLimitHandling();
             this.updateUIBasedOnRole();
+            await this.loadMasterStatus();
+            await this.loadConflicts();
         } catch (error) {
             console.error('❌ Erreur initialisation:', error);
             this.showError('Erreur lors de l\'initialisation: ' + error.message);
@@ -130,6 +134,9 @@ class SyncPairingController {
         document.getElementById('closeRecoveryModal')?.addEventListener('click', () => {
             this.recoveryKeyModal.hide();
             // Pairing display is already visible, no toggle needed
+            if (this.reloadAfterRecoveryKey) {
+                window.location.reload();
+            }
         });
 
         // Device list
@@ -137,6 +144,37 @@ class SyncPairingController {
             this.loadDeviceList();
         });
 
+        document.getElementById('rotateKeyBtn')?.addEventListener('click', () => {
+            this.handleRotateKey();
+        });
+
+        // Pièces jointes (réglage propre à l'appareil)
+        const attachmentsSwitch = document.getElementById('syncAttachmentsSwitch');
+        if (attachmentsSwitch) {
+            attachmentsSwitch.checked = AttachmentsModel.isSyncEnabled();
+            document.getElementById('syncAttachmentsMaxSize').textContent = RatchouUtils.file.formatSize(AttachmentsModel.SYNC_MAX_SIZE);
+            attachmentsSwitch.addEventListener('change', () => {
+                AttachmentsModel.setSyncEnabled(attachmentsSwitch.checked);
+                this.showSuccess(attachmentsSwitch.checked
+                    ? 'Les nouvelles pièces jointes seront synchronisées'
+                    : 'Les pièces jointes ne sont plus synchronisées');
+            });
+        }
+
+        // Remplacement du maître
+        document.getElementById('checkPromotionBtn')?.addEventListener('click', () => {
+            this.handleCheckPromotion();
+        });
+
+        document.getElementById('promoteMasterBtn')?.addEventListener('click', () => {
+            this.handlePromoteMaster();
+        });
+
+        // Conflits de synchronisation
+        document.getElementById('refreshConflictsBtn')?.addEventListener('click', () => {
+            this.loadConflicts();
+        });
+
         // Pairing confirmation modal
         document.getElementById('confirmPairingBtn')?.addEventListener('click', () => {
             this.handlePairingConfirmation();
@@ -161,6 +199,7 @@ class SyncPairingController {
             // Maître configuré: charger la liste des appareils
             console.log('👑 Appareil maître - chargement liste appareils');
             this.loadDeviceList();
+            this.showKeyRotation();
         } else if (this.config.role === 'slave') {
             console.log('📱 Appareil esclave - affichage liste appareils');
 
@@ -725,6 +764,11 @@ class SyncPairingController {
             if (result.success) {
                 this.showSuccess('Appareil révoqué avec succès');
                 await this.loadDeviceList(); // Reload list
+
+                // L'appareil révoqué connaît la clé actuelle
+                if (confirm('Renouveler maintenant la clé de chiffrement ?\n\nRecommandé : l\'appareil révoqué connaît la clé actuelle.')) {
+                    await this.handleRotateKey(true);
+                }
             } else {
                 this.showError('Échec de la révocation: ' + result.message);
             }
@@ -754,6 +798,433 @@ class SyncPairingController {
         return date.toLocaleDateString('fr-FR');
     }
 
+    // ========== KEY ROTATION ==========
+
+    /**
+     * Affiche la section de rotation de clé (maître uniquement)
+     */
+    showKeyRotation() {
+        const section = document.getElementById('keyRotationSection');
+        if (!section) return;
+
+        section.classList.remove('d-none');
+        document.getElementById('keyGraceDays').textContent = SyncManager.KEY_GRACE_DAYS;
+        document.getElementById('keyRotationInfo').textContent = this.config.key_rotated_at
+            ? `Dernier renouvellement : ${new Date(this.config.key_rotated_at).toLocaleDateString('fr-FR')}`
+            : 'Clé d\'origine (jamais renouvelée)';
+    }
+
+    /**
+     * Génère une nouvelle clé et l'envoie aux appareils actifs
+     * @param {boolean} confirmed - Confirmation déjà demandée (après une révocation)
+     */
+    async handleRotateKey(confirmed = false) {
+        if (!confirmed && !confirm('Générer une nouvelle clé de chiffrement et l\'envoyer aux autres appareils ?')) {
+            return;
+        }
+
+        this.showLoading('Renouvellement de la clé...');
+
+        try {
+            const syncManager = await this.getSyncManager();
+            const result = await syncManager.rotateEncryptionKey();
+
+            if (!result.success) {
+                this.showError('Renouvellement impossible : ' + this.escapeHtml(result.message));
+                return;
+            }
+
+            await this.loadSyncConfig();
+            this.showKeyRotation();
+            this.showSuccess(this.escapeHtml(result.message));
+
+            // La clé de récupération contient la clé de chiffrement : la remplacer
+            await this.generateRecoveryKey();
+        } catch (error) {
+            console.error('❌ Key rotation failed:', error);
+            this.showError('Erreur lors du renouvellement de la clé : ' + this.escapeHtml(error.message));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // ========== MASTER FAILOVER ==========
+
+    /**
+     * SyncManager de l'application, ou instance locale si la sync n'a pas démarré
+     */
+    async getSyncManager() {
+        if (window.syncManager) return window.syncManager;
+
+        if (!this.syncManager) {
+            this.syncManager = new SyncManager(this.db, this.config);
+            await this.syncManager.start();
+        }
+        return this.syncManager;
+    }
+
+    /**
+     * Affiche l'état du maître (via heartbeat) et les contrôles de promotion pour un esclave
+     */
+    async loadMasterStatus() {
+        const container = document.getElementById('masterStatusContainer');
+        const controls = document.getElementById('promotionControls');
+        const badge = document.getElementById('masterSilentBadge');
+        if (!container) return;
+
+        if (!this.config || !this.config.device_token) {
+            container.innerHTML = '<p class="text-muted">Synchronisation non configurée</p>';
+            return;
+        }
+
+        if (this.config.role === 'master') {
+            container.innerHTML = '<p class="text-muted">👑 Cet appareil est l\'appareil principal.</p>';
+            return;
+        }
+
+        controls.classList.remove('d-none');
+
+        try {
+            const result = await window.NetworkClient.heartbeat(this.config.device_id, this.config.device_token);
+            if (!result.success) {
+                throw new Error(result.message || 'Relais injoignable');
+            }
+
+            const status = result.cluster_status;
+            const syncManager = await this.getSyncManager();
+            await syncManager.handleClusterStatus(status);
+            await this.loadSyncConfig();
+
+            // La promotion a pu avoir lieu sur un autre appareil ou sur celui-ci
+            if (this.config.role === 'master') {
+                controls.classList.add('d-none');
+                container.innerHTML = '<p class="text-muted">👑 Cet appareil est l\'appareil principal.</p>';
+                return;
+            }
+
+            const silent = syncManager.getMasterSilence(status) !== null;
+            badge.classList.toggle('d-none', !silent);
+
+            container.innerHTML = `
+                <div class="alert ${silent ? 'alert-warning' : 'alert-light border'}">
+                    <strong>${silent ? '⚠️ Appareil principal silencieux' : '✅ Appareil principal actif'}</strong><br>
+                    ${status.master_id
+                        ? `Dernière activité : ${this.formatDate(status.master_last_seen)}`
+                        : 'Aucun appareil principal (révoqué)'}
+                    ${silent ? '' : `<br><small>Le remplacement est possible après ${SyncManager.MASTER_SILENT_DAYS} jours sans activité.</small>`}
+                </div>
+            `;
+        } catch (error) {
+            console.error('❌ Load master status failed:', error);
+            container.innerHTML = `
+                <div class="alert alert-danger">
+                    <strong>❌ Erreur</strong><br>
+                    ${this.escapeHtml(error.message || 'Impossible de joindre le relais')}
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Vérifie que cet appareil a bien reçu toutes les modifications avant la promotion
+     */
+    async handleCheckPromotion() {
+        const container = document.getElementById('promotionReadiness');
+        const promoteBtn = document.getElementById('promoteMasterBtn');
+        promoteBtn.disabled = true;
+        this.showLoading('Vérification des messages en attente...');
+
+        try {
+            const syncManager = await this.getSyncManager();
+            const readiness = await syncManager.checkPromotionReadiness();
+
+            if (!readiness.ready) {
+                container.innerHTML = `<div class="alert alert-danger">❌ ${this.escapeHtml(readiness.error)}</div>`;
+                return;
+            }
+
+            container.innerHTML = `
+                <ul class="list-group small">
+                    <li class="list-group-item">✅ Tous les messages en attente ont été reçus</li>
+                    <li class="list-group-item">🕒 Dernière synchronisation réussie : ${this.formatDate(readiness.lastSync)}</li>
+                    <li class="list-group-item">📤 Modifications locales à envoyer : ${readiness.pending}</li>
+                    ${readiness.unconfirmed > 0 ? `
+                        <li class="list-group-item list-group-item-warning">
+                            ⚠️ ${readiness.unconfirmed} modification(s) envoyée(s) à l'ancien appareil principal sans confirmation :
+                            elles sont bien sur cet appareil et seront renvoyées.
+                        </li>
+                    ` : ''}
+                </ul>
+            `;
+            promoteBtn.disabled = false;
+        } catch (error) {
+            console.error('❌ Promotion check failed:', error);
+            container.innerHTML = `<div class="alert alert-danger">❌ ${this.escapeHtml(error.message)}</div>`;
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async handlePromoteMaster() {
+        const revokeOldMaster = document.getElementById('revokeOldMasterCheck').checked;
+        const message = 'Cet appareil va devenir l\'appareil principal.\n\n' +
+            'Une nouvelle clé de chiffrement sera générée et envoyée aux autres appareils.' +
+            (revokeOldMaster ? '\nL\'ancien appareil principal sera révoqué.' : '') +
+            '\n\nContinuer ?';
+        if (!confirm(message)) {
+            return;
+        }
+
+        this.showLoading('Promotion en cours...');
+
+        try {
+            const syncManager = await this.getSyncManager();
+            const result = await syncManager.promoteToMaster({ revokeOldMaster });
+
+            if (!result.success) {
+                this.showError('Promotion impossible : ' + this.escapeHtml(result.message || 'erreur inconnue'));
+                return;
+            }
+
+            await this.loadSyncConfig();
+            this.showSuccess(this.escapeHtml(result.message));
+
+            // Nouvelle clé → nouvelle clé de récupération à conserver
+            this.reloadAfterRecoveryKey = true;
+            await this.generateRecoveryKey();
+        } catch (error) {
+            console.error('❌ Promotion failed:', error);
+            this.showError('Erreur lors de la promotion : ' + this.escapeHtml(error.message));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // ========== CONFLICT REVIEW ==========
+
+    /**
+     * Libellés des champs affichés dans la revue des conflits
+     */
+    static CONFLICT_FIELD_LABELS = {
+        amount: 'Montant',
+        date_mouvement: 'Date',
+        description: 'Description',
+        account_id: 'Compte',
+        category_id: 'Catégorie',
+        payee_id: 'Bénéficiaire',
+        expense_type_id: 'Type de dépense',
+        splits: 'Ventilation',
+        is_cleared: 'Pointé',
+        libelle: 'Libellé',
+        nom_compte: 'Nom du compte',
+        day_of_month: 'Jour du mois',
+        frequency: 'Fréquence',
+        recurrence: 'Récurrence',
+        is_review_required: 'Validation des échéances',
+        skipped_dates: 'Échéances ignorées',
+        is_variable: 'Montant variable',
+        estimate_window: 'Échéances pour l\'estimation',
+        is_active: 'Actif'
+    };
+
+    /**
+     * Stores des champs *_id (pour afficher un libellé plutôt qu'un identifiant)
+     */
+    static CONFLICT_REFERENCE_STORES = {
+        account_id: ['COMPTES', 'nom_compte'],
+        category_id: ['CATEGORIES', 'libelle'],
+        payee_id: ['BENEFICIAIRES', 'libelle'],
+        expense_type_id: ['TYPE_DEPENSES', 'libelle']
+    };
+
+    /**
+     * Conflits non résolus enregistrés dans SYNC_LOG
+     * @returns {Array} [{ log, conflict }]
+     */
+    async getOpenConflicts() {
+        const logs = await this.db.getAll('SYNC_LOG');
+        const open = [];
+
+        for (const log of logs) {
+            if (!Array.isArray(log.conflicts)) continue; // Anciennes entrées : simple compteur
+            for (const conflict of log.conflicts) {
+                if (!conflict.resolved_at) {
+                    open.push({ log, conflict });
+                }
+            }
+        }
+
+        return open.sort((a, b) => b.log.timestamp - a.log.timestamp);
+    }
+
+    async loadConflicts() {
+        const container = document.getElementById('conflictListContainer');
+        const badge = document.getElementById('conflictCountBadge');
+        if (!container) return;
+
+        try {
+            const open = await this.getOpenConflicts();
+
+            badge.textContent = open.length;
+            badge.classList.toggle('d-none', open.length === 0);
+
+            if (open.length === 0) {
+                container.innerHTML = '<p class="text-muted">✅ Aucun conflit à revoir</p>';
+                return;
+            }
+
+            const blocks = [];
+            for (const { log, conflict } of open) {
+                blocks.push(await this.renderConflict(log, conflict));
+            }
+            container.innerHTML = `<div class="list-group">${blocks.join('')}</div>`;
+        } catch (error) {
+            console.error('❌ Load conflicts failed:', error);
+            container.innerHTML = `
+                <div class="alert alert-danger">
+                    <strong>❌ Erreur</strong><br>
+                    Impossible de charger les conflits
+                </div>
+            `;
+        }
+    }
+
+    async renderConflict(log, conflict) {
+        const record = await this.db.get(conflict.store_name, conflict.record_id);
+        const title = record
+            ? (record.description || record.libelle || record.nom_compte || conflict.record_id)
+            : conflict.record_id;
+
+        const rows = [];
+        for (const field of conflict.fields) {
+            const label = SyncPairingController.CONFLICT_FIELD_LABELS[field.field] || field.field;
+            const localValue = await this.formatConflictValue(field.field, field.local, record);
+            const remoteValue = await this.formatConflictValue(field.field, field.remote, record);
+            const choice = field.resolution || null;
+            const disabled = choice || !record || record.is_deleted === 1 ? 'disabled' : '';
+
+            rows.push(`
+                <div class="border rounded p-2 mb-2">
+                    <div class="fw-semibold mb-1">${this.escapeHtml(label)}</div>
+                    <div class="d-flex flex-wrap gap-2">
+                        <button class="btn btn-sm ${field.winner === 'local' ? 'btn-success' : 'btn-outline-secondary'}" ${disabled}
+                                onclick="syncPairingController.resolveConflict('${log.id}', '${conflict.id}', '${field.field}', 'local')">
+                            📱 Cet appareil : ${this.escapeHtml(localValue)}
+                        </button>
+                        <button class="btn btn-sm ${field.winner === 'remote' ? 'btn-success' : 'btn-outline-secondary'}" ${disabled}
+                                onclick="syncPairingController.resolveConflict('${log.id}', '${conflict.id}', '${field.field}', 'remote')">
+                            🔄 Autre appareil : ${this.escapeHtml(remoteValue)}
+                        </button>
+                    </div>
+                    ${choice ? '<small class="text-success">✅ Vérifié</small>' : ''}
+                </div>
+            `);
+        }
+
+        return `
+            <div class="list-group-item">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <h6 class="mb-0">${this.escapeHtml(title)}</h6>
+                    <small class="text-muted">${this.formatDate(log.timestamp)}</small>
+                </div>
+                ${!record || record.is_deleted === 1 ? '<div class="alert alert-secondary py-1 small">Enregistrement supprimé depuis</div>' : ''}
+                ${rows.join('')}
+                <small class="text-muted">En vert : valeur actuellement appliquée</small>
+            </div>
+        `;
+    }
+
+    /**
+     * Valeur lisible d'un champ en conflit
+     */
+    async formatConflictValue(field, value, record) {
+        if (value === null || value === undefined || value === '') return '—';
+
+        if (field === 'amount') {
+            let currency = 'EUR';
+            if (record && record.account_id) {
+                const account = await this.db.get('COMPTES', record.account_id);
+                currency = account?.currency || 'EUR';
+            }
+            return RatchouUtils.currency.formatWithCurrency(value, currency);
+        }
+
+        const reference = SyncPairingController.CONFLICT_REFERENCE_STORES[field];
+        if (reference) {
+            const [storeName, labelField] = reference;
+            const item = await this.db.get(storeName, value);
+            return item ? item[labelField] : value;
+        }
+
+        if (field === 'recurrence') return RecurringExpensesModel.describeRule({ recurrence: value });
+        if (field === 'skipped_dates') return value.map(date => RatchouUtils.date.format(date)).join(', ') || '—';
+        if (Array.isArray(value)) return `${value.length} ligne(s)`;
+        if (field.startsWith('is_')) return value ? 'Oui' : 'Non';
+
+        return String(value);
+    }
+
+    /**
+     * Valide la valeur d'un champ en conflit
+     * Si l'utilisateur choisit la valeur qui avait perdu, elle est réappliquée via le modèle
+     * (soldes recalculés, modification synchronisée comme une édition normale)
+     * @param {string} logId - Entrée SYNC_LOG
+     * @param {string} conflictId - Conflit dans log.conflicts
+     * @param {string} fieldName - Champ concerné
+     * @param {string} choice - 'local' ou 'remote'
+     */
+    async resolveConflict(logId, conflictId, fieldName, choice) {
+        try {
+            const log = await this.db.get('SYNC_LOG', logId);
+            const conflict = log?.conflicts?.find(item => item.id === conflictId);
+            const field = conflict?.fields.find(item => item.field === fieldName);
+            if (!field) {
+                throw new Error('Conflit introuvable');
+            }
+
+            const changed = choice !== field.winner;
+            if (changed) {
+                const model = Object.values(ratchouApp.models).find(item => item && item.storeName === conflict.store_name);
+                if (!model) {
+                    throw new Error(`Aucun modèle pour ${conflict.store_name}`);
+                }
+
+                const result = await model.update(conflict.record_id, { [fieldName]: field[choice] });
+                if (!result.success) {
+                    this.showError(result.message);
+                    return;
+                }
+            }
+
+            field.resolution = choice;
+            field.winner = choice;
+            if (conflict.fields.every(item => item.resolution)) {
+                conflict.resolved_at = Date.now();
+            }
+            await this.db.put('SYNC_LOG', log);
+
+            this.showSuccess(changed ? 'Valeur appliquée, elle sera synchronisée' : 'Valeur conservée');
+            await this.loadConflicts();
+        } catch (error) {
+            console.error('❌ Resolve conflict failed:', error);
+            this.showError('Erreur lors de la résolution du conflit : ' + error.message);
+        }
+    }
+
+    /**
+     * Escape HTML characters
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, (m) => map[m]);
+    }
+
     // ========== UI HELPERS ==========
 
     showLoading(message = 'Chargement...') {
@@ -0,0 +1,359 @@
+/**
+ * Exchange Rates Management Controller
+ * Rates between currencies (manual entry or file import) and reference currency
+ * used to consolidate the balances of multi-currency accounts
+ */
+class ExchangeRatesController {
+    constructor() {
+        this.rates = [];
+        this.rateModal = null;
+    }
+
+    /**
+     * Initialize the controller
+     */
+    async initialize() {
+        try {
+            await this.loadComponents();
+
+            this.initializeElements();
+            this.setupEventListeners();
+            await this.loadRates();
+        } catch (error) {
+            console.error('Error initializing exchange rates controller:', error);
+            this.showError('Erreur lors de l\'initialisation de la page');
+        }
+    }
+
+    /**
+     * Load all UI components
+     */
+    async loadComponents() {
+        await ComponentLoader.loadHeader({
+            title: '💱 Taux de change',
+            showAccountInfo: false,
+            logoLink: '../dashboard.html'
+        });
+        await ComponentLoader.loadSidebar();
+        await ComponentLoader.loadCommonModals();
+        await ComponentLoader.loadFixedFooter();
+    }
+
+    /**
+     * Initialize DOM elements
+     */
+    initializeElements() {
+        this.rateModal = new bootstrap.Modal(document.getElementById('rateModal'));
+
+        const options = RatchouUtils.currency.list()
+            .map(c => `<option value="${c.code}">${c.code} - ${this.escapeHtml(c.name)}</option>`)
+            .join('');
+        for (const id of ['referenceCurrency', 'rate_base', 'rate_quote']) {
+            document.getElementById(id).innerHTML = options;
+        }
+        document.getElementById('referenceCurrency').value = ExchangeRatesModel.getReferenceCurrency();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('referenceCurrency').addEventListener('change', (e) => this.handleReferenceChange(e.target.value));
+        document.getElementById('addRateBtn').addEventListener('click', () => this.openRateModal());
+        document.getElementById('saveRateBtn').addEventListener('click', () => this.handleSaveRate());
+        document.getElementById('deleteRateBtn').addEventListener('click', () => this.handleDeleteRate());
+        document.getElementById('importRatesBtn').addEventListener('click', () => document.getElementById('importRatesFile').click());
+        document.getElementById('importRatesFile').addEventListener('change', (e) => this.handleImport(e.target));
+
+        // Refresh when data arrives from another device
+        window.addEventListener('sync-data-changed', (event) => {
+            const storeName = event.detail?.storeName;
+            if (['TAUX_CHANGE', 'COMPTES'].includes(storeName)) {
+                this.loadRates();
+            }
+        });
+    }
+
+    /**
+     * Show success alert
+     */
+    showSuccess(message) {
+        this.showAlert(message, 'success');
+    }
+
+    /**
+     * Show error alert
+     */
+    showError(message) {
+        this.showAlert(message, 'danger');
+    }
+
+    /**
+     * Show alert message
+     */
+    showAlert(message, type) {
+        const alertContainer = document.getElementById('alertContainer');
+        alertContainer.innerHTML = `
+            <div class="alert alert-${type} alert-dismissible fade show" role="alert">
+                ${message}
+                <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+            </div>
+        `;
+
+        // Auto dismiss after 5 seconds
+        setTimeout(() => {
+            const alert = alertContainer.querySelector('.alert');
+            if (alert) {
+                new bootstrap.Alert(alert).close();
+            }
+        }, 5000);
+    }
+
+    /**
+     * Load rates and the consolidated total
+     */
+    async loadRates() {
+        try {
+            this.rates = await ratchouApp.models.exchangeRates.getAllSorted();
+            this.renderRates();
+            await this.renderConsolidated();
+        } catch (error) {
+            console.error('Error loading exchange rates:', error);
+            this.showError('Erreur lors du chargement des taux de change');
+        }
+    }
+
+    /**
+     * Render the consolidated balance in the reference currency
+     */
+    async renderConsolidated() {
+        const consolidated = await ratchouApp.models.accounts.getConsolidatedBalance();
+        const total = document.getElementById('consolidatedTotal');
+        const warning = document.getElementById('consolidatedWarning');
+
+        total.textContent = RatchouUtils.currency.formatWithCurrency(consolidated.total, consolidated.currency);
+        total.classList.toggle('text-danger', consolidated.total < 0);
+
+        if (consolidated.missing.length > 0) {
+            const names = consolidated.missing
+                .map(a => `${this.escapeHtml(a.nom_compte)} (${this.escapeHtml(a.currency)})`)
+                .join(', ');
+            warning.innerHTML = `⚠️ Sans taux vers ${consolidated.currency}, non inclus : ${names}`;
+        } else {
+            warning.innerHTML = '';
+        }
+    }
+
+    /**
+     * Render the rates list (most recent first)
+     */
+    renderRates() {
+        const ratesList = document.getElementById('ratesList');
+
+        if (this.rates.length === 0) {
+            ratesList.innerHTML = '<div class="text-muted">Aucun taux de change. Ajoutez un taux ou importez un fichier pour additionner des comptes en devises différentes.</div>';
+            return;
+        }
+
+        ratesList.innerHTML = `<div class="list-group">${this.rates.map(rate => `
+            <button type="button" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center rate-item" data-rate-id="${rate.id}">
+                <span>
+                    <strong>1 ${this.escapeHtml(rate.base)} = ${this.formatRate(rate.rate)} ${this.escapeHtml(rate.quote)}</strong>
+                    <small class="text-muted ms-2">(1 ${this.escapeHtml(rate.quote)} = ${this.formatRate(1 / rate.rate)} ${this.escapeHtml(rate.base)})</small>
+                </span>
+                <small class="text-muted text-nowrap ms-2">
+                    ${rate.source === 'import' ? '<i class="bi bi-upload me-1" title="Importé"></i>' : ''}${RatchouUtils.date.format(rate.rate_date)}
+                </small>
+            </button>
+        `).join('')}</div>`;
+
+        ratesList.querySelectorAll('.rate-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const rate = this.rates.find(r => r.id === item.dataset.rateId);
+                if (rate) this.openRateModal(rate);
+            });
+        });
+    }
+
+    formatRate(value) {
+        return value.toLocaleString('fr-FR', { maximumSignificantDigits: 6 });
+    }
+
+    /**
+     * Change the reference currency
+     */
+    async handleReferenceChange(currency) {
+        try {
+            ExchangeRatesModel.setReferenceCurrency(currency);
+            await this.renderConsolidated();
+        } catch (error) {
+            console.error('Error changing reference currency:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Open the add/edit modal
+     */
+    openRateModal(rate = null) {
+        const reference = ExchangeRatesModel.getReferenceCurrency();
+
+        document.getElementById('rateModalTitle').textContent = rate ? '✏️ Modifier le taux' : '💱 Ajouter un taux';
+        document.getElementById('rate_id').value = rate ? rate.id : '';
+        document.getElementById('rate_base').value = rate ? rate.base : (reference === 'USD' ? 'EUR' : 'USD');
+        document.getElementById('rate_quote').value = rate ? rate.quote : reference;
+        document.getElementById('rate_base').disabled = !!rate;
+        document.getElementById('rate_quote').disabled = !!rate;
+        document.getElementById('rate_value').value = rate ? rate.rate : '';
+        document.getElementById('rate_date').value = rate ? rate.rate_date : ExchangeRatesModel.today();
+        document.getElementById('deleteRateBtn').classList.toggle('d-none', !rate);
+
+        this.rateModal.show();
+    }
+
+    /**
+     * Handle create/update rate
+     */
+    async handleSaveRate() {
+        const saveButton = document.getElementById('saveRateBtn');
+
+        try {
+            saveButton.disabled = true;
+
+            const rateId = document.getElementById('rate_id').value;
+            const value = parseFloat(document.getElementById('rate_value').value.replace(',', '.'));
+
+            if (isNaN(value) || value <= 0) {
+                this.showError('Le taux doit être un nombre positif');
+                return;
+            }
+
+            const rateData = {
+                rate: value,
+                rate_date: document.getElementById('rate_date').value
+            };
+
+            let result;
+            if (rateId) {
+                result = await ratchouApp.models.exchangeRates.update(rateId, rateData);
+            } else {
+                rateData.base = document.getElementById('rate_base').value;
+                rateData.quote = document.getElementById('rate_quote').value;
+
+                // Un seul taux par paire et par jour : la saisie remplace l'existant
+                const existing = await ratchouApp.models.exchangeRates.findRate(rateData.base, rateData.quote, rateData.rate_date);
+                result = existing
+                    ? await ratchouApp.models.exchangeRates.update(existing.id, { rate: value, source: 'manual' })
+                    : await ratchouApp.models.exchangeRates.create(rateData);
+            }
+
+            if (result.success) {
+                this.rateModal.hide();
+                this.showSuccess(rateId ? 'Taux mis à jour avec succès' : 'Taux enregistré avec succès');
+                await this.loadRates();
+            } else {
+                this.showError(result.message || 'Erreur lors de l\'enregistrement du taux');
+            }
+        } catch (error) {
+            console.error('Error saving exchange rate:', error);
+            this.showError('Erreur lors de l\'enregistrement du taux');
+        } finally {
+            saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Handle delete rate
+     */
+    async handleDeleteRate() {
+        const rateId = document.getElementById('rate_id').value;
+        if (!rateId || !confirm('Supprimer ce taux de change ?')) {
+            return;
+        }
+
+        try {
+            const result = await ratchouApp.models.exchangeRates.delete(rateId);
+            if (result.success) {
+                this.rateModal.hide();
+                this.showSuccess('Taux supprimé avec succès');
+                await this.loadRates();
+            } else {
+                this.showError(result.message || 'Erreur lors de la suppression du taux');
+            }
+        } catch (error) {
+            console.error('Error deleting exchange rate:', error);
+            this.showError('Erreur lors de la suppression du taux');
+        }
+    }
+
+    /**
+     * Import a rates file (CSV or JSON)
+     */
+    async handleImport(input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        try {
+            const result = await ratchouApp.models.exchangeRates.importRates(await file.text());
+            const count = result.imported + result.updated;
+
+            if (count === 0) {
+                this.showError(`Aucun taux importé${result.errors.length ? ' : ' + this.escapeHtml(result.errors[0]) : ''}`);
+            } else {
+                let message = `${result.imported} taux ajouté(s), ${result.updated} mis à jour`;
+                if (result.errors.length > 0) {
+                    message += `<br><small>${result.errors.length} erreur(s) : ${this.escapeHtml(result.errors.slice(0, 3).join(' ; '))}</small>`;
+                }
+                this.showAlert(message, result.errors.length ? 'warning' : 'success');
+            }
+            await this.loadRates();
+        } catch (error) {
+            console.error('Error importing exchange rates:', error);
+            this.showError('Erreur lors de l\'import du fichier');
+        } finally {
+            input.value = '';
+        }
+    }
+
+    /**
+     * Escape HTML characters
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, (m) => map[m]);
+    }
+}
+
+// Global instance
+let exchangeRatesController;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        // Initialize Ratchou app
+        await ratchouApp.initialize();
+
+        // Check authentication with guard system
+        if (window.auth && typeof window.auth.guardPage === 'function') {
+            if (!auth.guardPage('app')) {
+                return; // User was redirected, stop initialization
+            }
+        } else if (!ratchouApp.isAuthenticated()) {
+            location.replace('../index.html');
+            return;
+        }
+
+        exchangeRatesController = new ExchangeRatesController();
+        await exchangeRatesController.initialize();
+
+    } catch (error) {
+        console.error('Error initializing exchange rates page:', error);
+        alert('Erreur lors de l\'initialisation de la page');
+    }
+});
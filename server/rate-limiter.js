@@ -0,0 +1,55 @@
+/**
+ * RateLimiter - Limitation de débit par clé (adresse IP, appareil...)
+ *
+ * Fenêtre fixe : au-delà de `limit` requêtes dans `windowMs`, la clé est bloquée
+ * jusqu'à la fin de la fenêtre. Le client reçoit un 429 avec l'en-tête Retry-After
+ * (NetworkClient le transmet à SyncManager.setRateLimit()).
+ */
+
+'use strict';
+
+class RateLimiter {
+    /**
+     * @param {number} limit - Nombre de requêtes autorisées par fenêtre
+     * @param {number} windowMs - Durée de la fenêtre (ms)
+     */
+    constructor(limit, windowMs) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.hits = new Map(); // key -> { count, resetAt }
+    }
+
+    /**
+     * Compte une requête
+     * @returns {object} { allowed, retryAfter (secondes) }
+     */
+    hit(key) {
+        const now = Date.now();
+        let entry = this.hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + this.windowMs };
+            this.hits.set(key, entry);
+        }
+
+        entry.count++;
+        if (entry.count > this.limit) {
+            return { allowed: false, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+        }
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    /**
+     * Oublie les fenêtres terminées (évite une croissance infinie de la Map)
+     */
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.hits) {
+            if (entry.resetAt <= now) {
+                this.hits.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,641 @@
+#!/usr/bin/env node
+/**
+ * Relais de synchronisation Ratchou (implémentation de référence)
+ *
+ * Serveur Node.js sans dépendance qui implémente le protocole attendu par
+ * js/core/network-client.js et js/core/sync-manager.js :
+ *   /pair, /pairing/initiate, /pairing/claim, /push, /pull, /heartbeat,
+ *   /devices, /device-name, /revoke, /promote, /events
+ *
+ * - Une boîte aux lettres chiffrée par appareil (le relais ne peut rien déchiffrer)
+ * - Jetons d'appareil aléatoires, stockés hachés
+ * - Révocation, promotion d'un esclave quand le maître est absent
+ * - 429 + Retry-After en cas d'abus
+ * - Canal Server-Sent Events optionnel : prévient les appareils d'un nouveau message (moins de polling)
+ *
+ * Démarrage : node server/relay-server.js (voir server/README.md pour la configuration)
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const RelayStore = require('./relay-store');
+const RateLimiter = require('./rate-limiter');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const CONFIG = {
+    port: parseInt(process.env.PORT || '8787', 10),
+    host: process.env.HOST || '0.0.0.0',
+    dataFile: process.env.RATCHOU_DATA || path.join(__dirname, 'data', 'relay.json'),
+    corsOrigin: process.env.RATCHOU_CORS_ORIGIN || '*',
+    trustProxy: process.env.RATCHOU_TRUST_PROXY === '1',
+    maxBodyBytes: parseInt(process.env.RATCHOU_MAX_BODY || String(5 * 1024 * 1024), 10),
+    maxMailboxBytes: parseInt(process.env.RATCHOU_MAX_MAILBOX || String(50 * 1024 * 1024), 10),
+    maxMailboxMessages: 5000,
+    pullBatchSize: 100,
+    messageTtlMs: parseInt(process.env.RATCHOU_MESSAGE_TTL_DAYS || '30', 10) * DAY,
+    masterAliveMs: parseInt(process.env.RATCHOU_MASTER_ALIVE_HOURS || '24', 10) * HOUR,
+    promoteAfterMs: parseInt(process.env.RATCHOU_PROMOTE_AFTER_DAYS || '7', 10) * DAY,
+    pairingTtlMs: 10 * 60 * 1000,
+    revokedNoticeMs: 30 * DAY,
+    eventsEnabled: process.env.RATCHOU_EVENTS !== '0',
+    eventsKeepAliveMs: 25 * 1000,
+    maxEventStreams: 3
+};
+
+// Alphabet sans caractères ambigus (0/O, 1/I/L)
+const SHORT_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Erreur renvoyée au client sous la forme { success: false, error, message }
+ */
+class RelayError extends Error {
+    constructor(status, error, message, retryAfter = null) {
+        super(message);
+        this.status = status;
+        this.error = error;
+        this.retryAfter = retryAfter;
+    }
+}
+
+class RelayServer {
+    constructor(config) {
+        this.config = config;
+        this.store = new RelayStore(config.dataFile);
+
+        // Limites par adresse IP : générale, et stricte pour le pairing (codes courts devinables)
+        this.limiters = {
+            global: new RateLimiter(300, 60 * 1000),
+            pairing: new RateLimiter(10, 15 * 60 * 1000)
+        };
+
+        this.routes = {
+            '/pair': { handler: this.pair, limiter: 'pairing' },
+            '/pairing/initiate': { handler: this.pairingInitiate, limiter: 'pairing' },
+            '/pairing/claim': { handler: this.pairingClaim, limiter: 'pairing' },
+            '/push': { handler: this.push },
+            '/pull': { handler: this.pull },
+            '/heartbeat': { handler: this.heartbeat },
+            '/devices': { handler: this.devices },
+            '/device-name': { handler: this.deviceName },
+            '/revoke': { handler: this.revoke },
+            '/promote': { handler: this.promote },
+            '/events': { handler: this.events, stream: true }
+        };
+
+        // Flux /events ouverts : device_id -> Set de réponses HTTP
+        this.streams = new Map();
+    }
+
+    /**
+     * Démarre le serveur HTTP et le nettoyage périodique
+     */
+    start() {
+        this.store.load();
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.listen(this.config.port, this.config.host, () => {
+            console.log(`🚀 Relais Ratchou en écoute sur http://${this.config.host}:${this.config.port}`);
+        });
+
+        this.cleanupTimer = setInterval(() => this.cleanup(), 10 * 60 * 1000);
+        this.cleanup();
+
+        const shutdown = () => {
+            console.log('🛑 Arrêt du relais...');
+            clearInterval(this.cleanupTimer);
+            for (const deviceId of this.streams.keys()) {
+                this.closeStreams(deviceId);
+            }
+            this.server.close();
+            this.store.flush();
+            process.exit(0);
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+    }
+
+    cleanup() {
+        const purged = this.store.purge(this.config.messageTtlMs);
+        if (purged.messages || purged.pairings) {
+            console.log(`🧹 Purge : ${purged.messages} message(s) expiré(s), ${purged.pairings} code(s) de pairing`);
+        }
+        Object.values(this.limiters).forEach(limiter => limiter.prune());
+    }
+
+    // ==================== HTTP ====================
+
+    async handleRequest(req, res) {
+        this.setCorsHeaders(res);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        try {
+            const url = new URL(req.url, 'http://localhost');
+
+            if (req.method === 'GET' && url.pathname === '/health') {
+                this.send(res, 200, { success: true, status: 'ok', time: Date.now() });
+                return;
+            }
+
+            const route = this.routes[url.pathname];
+            if (!route) {
+                throw new RelayError(404, 'not_found', 'Endpoint inconnu');
+            }
+            if (req.method !== 'POST') {
+                throw new RelayError(405, 'method_not_allowed', 'Méthode non autorisée');
+            }
+
+            const ip = this.clientIp(req);
+            this.checkRate('global', ip);
+            if (route.limiter) {
+                this.checkRate(route.limiter, ip);
+            }
+
+            const body = await this.readJson(req);
+
+            // Flux : le handler écrit lui-même la réponse et la garde ouverte
+            if (route.stream) {
+                await route.handler.call(this, body, req, res);
+                return;
+            }
+
+            const result = await route.handler.call(this, body);
+            this.send(res, 200, { success: true, ...result });
+
+        } catch (error) {
+            if (!(error instanceof RelayError)) {
+                console.error('❌ Erreur interne:', error);
+                error = new RelayError(500, 'server_error', 'Erreur interne du relais');
+            }
+            if (error.retryAfter) {
+                res.setHeader('Retry-After', String(error.retryAfter));
+            }
+            this.send(res, error.status, { success: false, error: error.error, message: error.message });
+        }
+    }
+
+    setCorsHeaders(res) {
+        res.setHeader('Access-Control-Allow-Origin', this.config.corsOrigin);
+        res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        // NetworkClient lit Retry-After sur les réponses 429
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+        res.setHeader('Access-Control-Max-Age', '86400');
+    }
+
+    send(res, status, body) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(body));
+    }
+
+    clientIp(req) {
+        if (this.config.trustProxy && req.headers['x-forwarded-for']) {
+            return req.headers['x-forwarded-for'].split(',')[0].trim();
+        }
+        return req.socket.remoteAddress;
+    }
+
+    checkRate(limiterName, key) {
+        const { allowed, retryAfter } = this.limiters[limiterName].hit(key);
+        if (!allowed) {
+            throw new RelayError(429, 'rate_limit', 'Trop de requêtes. Veuillez patienter.', retryAfter);
+        }
+    }
+
+    readJson(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.config.maxBodyBytes) {
+                    reject(new RelayError(413, 'payload_too_large', 'Message trop volumineux'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                try {
+                    const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+                    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                        throw new Error('not an object');
+                    }
+                    resolve(body);
+                } catch (error) {
+                    reject(new RelayError(400, 'invalid_json', 'Corps JSON invalide'));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    // ==================== AUTHENTIFICATION ====================
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    static validId(value) {
+        return typeof value === 'string' && /^[A-Za-z0-9_-]{3,128}$/.test(value);
+    }
+
+    /**
+     * Vérifie device_id + device_token et renvoie l'appareil
+     */
+    authenticate(body) {
+        const device = RelayServer.validId(body.device_id) ? this.store.getDevice(body.device_id) : null;
+        const token = typeof body.device_token === 'string' ? body.device_token : '';
+
+        const expected = Buffer.from(device ? device.token_hash : '0'.repeat(64), 'hex');
+        const given = Buffer.from(RelayServer.hashToken(token), 'hex');
+        if (!device || !crypto.timingSafeEqual(expected, given)) {
+            throw new RelayError(401, 'invalid_token', 'Appareil inconnu ou jeton invalide');
+        }
+        if (device.revoked_at) {
+            throw new RelayError(403, 'device_revoked', 'Cet appareil a été révoqué');
+        }
+
+        this.store.touchDevice(device);
+        return device;
+    }
+
+    // ==================== PAIRING ====================
+
+    /**
+     * POST /pair - Enregistre un appareil et lui délivre son jeton
+     * Maître : { device_id, role: 'master', bootstrap: true } crée un nouveau cluster.
+     * Esclave : { device_id, role: 'slave', master_id } rejoint le cluster de ce maître.
+     */
+    async pair(body) {
+        const { device_id: deviceId, role } = body;
+
+        if (!RelayServer.validId(deviceId)) {
+            throw new RelayError(400, 'invalid_device_id', 'Identifiant d\'appareil invalide');
+        }
+        if (this.store.getDevice(deviceId)) {
+            throw new RelayError(409, 'device_exists', 'Cet identifiant d\'appareil est déjà enregistré');
+        }
+
+        let clusterId;
+        if (role === 'master') {
+            if (!body.bootstrap) {
+                // La restauration d'un maître passe par /promote depuis un appareil déjà appairé
+                throw new RelayError(400, 'bootstrap_required', 'Un maître ne peut être créé que par bootstrap');
+            }
+            clusterId = deviceId;
+        } else if (role === 'slave') {
+            const master = RelayServer.validId(body.master_id) ? this.store.getDevice(body.master_id) : null;
+            if (!master || master.revoked_at) {
+                throw new RelayError(404, 'master_not_found', 'Maître introuvable sur ce serveur');
+            }
+            clusterId = master.cluster_id;
+        } else {
+            throw new RelayError(400, 'invalid_role', 'Rôle invalide (master ou slave)');
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+        this.store.putDevice({
+            device_id: deviceId,
+            cluster_id: clusterId,
+            role,
+            token_hash: RelayServer.hashToken(token),
+            device_name: null,
+            created_at: now,
+            last_seen: now,
+            revoked_at: null,
+            revoke_reason: null
+        });
+
+        console.log(`🔗 Appareil appairé : ${deviceId} (${role}, cluster ${clusterId})`);
+
+        const master = this.store.getClusterMaster(clusterId);
+        return {
+            device_id: deviceId,
+            device_token: token,
+            role,
+            master_id: master ? master.device_id : null
+        };
+    }
+
+    /**
+     * POST /pairing/initiate - Le maître dépose le payload de pairing sous un code court
+     */
+    async pairingInitiate(body) {
+        const payload = body.payload;
+        const master = payload && RelayServer.validId(payload.master_id) ? this.store.getDevice(payload.master_id) : null;
+        if (!master || master.revoked_at || master.role !== 'master') {
+            throw new RelayError(404, 'master_not_found', 'Maître introuvable sur ce serveur');
+        }
+
+        let shortCode;
+        do {
+            const chars = Array.from(crypto.randomBytes(8), byte => SHORT_CODE_ALPHABET[byte % SHORT_CODE_ALPHABET.length]);
+            shortCode = `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+        } while (this.store.state.pairings[shortCode]);
+
+        const now = Date.now();
+        const expiresAt = now + this.config.pairingTtlMs;
+        this.store.putPairing(shortCode, {
+            payload,
+            cluster_id: master.cluster_id,
+            created_at: now,
+            expires_at: expiresAt
+        });
+
+        return { short_code: shortCode, expires_at: expiresAt };
+    }
+
+    /**
+     * POST /pairing/claim - L'esclave récupère le payload (usage unique)
+     */
+    async pairingClaim(body) {
+        const shortCode = typeof body.short_code === 'string' ? body.short_code.trim().toUpperCase() : '';
+        const pairing = this.store.takePairing(shortCode);
+
+        if (!pairing) {
+            throw new RelayError(404, 'invalid_code', 'Code de pairing inconnu');
+        }
+        if (pairing.expires_at <= Date.now()) {
+            throw new RelayError(410, 'code_expired', 'Code de pairing expiré');
+        }
+
+        return { payload: pairing.payload };
+    }
+
+    // ==================== SYNCHRONISATION ====================
+
+    /**
+     * POST /push - Dépose un message chiffré dans la boîte du destinataire
+     * Un message que le maître s'adresse à lui-même est diffusé à tous les esclaves actifs
+     * du cluster (une copie par boîte) et n'est jamais remis au maître.
+     */
+    async push(body) {
+        const sender = this.authenticate(body);
+        const recipient = RelayServer.validId(body.to) ? this.store.getDevice(body.to) : null;
+
+        if (!recipient || recipient.revoked_at || recipient.cluster_id !== sender.cluster_id) {
+            throw new RelayError(404, 'recipient_not_found', 'Destinataire introuvable dans ce cluster');
+        }
+        if (!body.payload || typeof body.payload !== 'object') {
+            throw new RelayError(400, 'invalid_payload', 'Payload chiffré manquant');
+        }
+
+        let recipients = [recipient];
+        if (recipient.device_id === sender.device_id) {
+            if (sender.role !== 'master') {
+                throw new RelayError(400, 'invalid_recipient', 'Seul le maître peut diffuser un message au cluster');
+            }
+            recipients = this.store.getClusterDevices(sender.cluster_id)
+                .filter(d => d.device_id !== sender.device_id);
+        }
+
+        // Vérifier toutes les boîtes avant de déposer : pas de diffusion partielle
+        const size = Buffer.byteLength(JSON.stringify(body.payload));
+        const usages = recipients.map(device => this.store.mailboxUsage(device.device_id));
+        if (usages.some(usage => usage.count >= this.config.maxMailboxMessages || usage.bytes + size > this.config.maxMailboxBytes)) {
+            throw new RelayError(507, 'mailbox_full', 'La boîte du destinataire est pleine');
+        }
+
+        const now = Date.now();
+        const messageIds = recipients.map((device, i) => {
+            const message = {
+                message_id: crypto.randomUUID(),
+                from: sender.device_id,
+                payload: body.payload,
+                created_at: now,
+                size
+            };
+            this.store.enqueue(device.device_id, message);
+            this.notify(device.device_id, 'mailbox', { count: usages[i].count + 1 });
+            return message.message_id;
+        });
+
+        return { message_id: messageIds[0] || null, recipients: messageIds.length };
+    }
+
+    /**
+     * POST /pull - Relève (et retire) les messages en attente, du plus ancien au plus récent
+     */
+    async pull(body) {
+        const device = this.authenticate(body);
+        const { messages, remaining } = this.store.dequeue(device.device_id, this.config.pullBatchSize);
+
+        return {
+            messages: messages.map(({ size, ...message }) => message),
+            has_more: remaining > 0
+        };
+    }
+
+    /**
+     * POST /heartbeat - Signale l'appareil comme actif et renvoie l'état du cluster
+     */
+    async heartbeat(body) {
+        const device = this.authenticate(body);
+        const now = Date.now();
+        const master = this.store.getClusterMaster(device.cluster_id);
+        const devices = this.store.getClusterDevices(device.cluster_id, true);
+
+        return {
+            cluster_status: {
+                master_id: master ? master.device_id : null,
+                master_alive: !!master && now - master.last_seen < this.config.masterAliveMs,
+                master_last_seen: master ? master.last_seen : null,
+                role: device.role,
+                devices_count: devices.filter(d => !d.revoked_at).length,
+                pending_messages: this.store.mailboxUsage(device.device_id).count,
+                revoked_devices: devices
+                    .filter(d => d.revoked_at && now - d.revoked_at < this.config.revokedNoticeMs)
+                    .map(d => d.device_id)
+            }
+        };
+    }
+
+    // ==================== GESTION DES APPAREILS ====================
+
+    /**
+     * POST /devices - Liste des appareils actifs du cluster
+     */
+    async devices(body) {
+        const device = this.authenticate(body);
+
+        return {
+            devices: this.store.getClusterDevices(device.cluster_id).map(d => ({
+                device_id: d.device_id,
+                role: d.role,
+                device_name: d.device_name,
+                created_at: d.created_at,
+                last_seen: d.last_seen
+            }))
+        };
+    }
+
+    /**
+     * POST /device-name - Renomme l'appareil appelant
+     */
+    async deviceName(body) {
+        const device = this.authenticate(body);
+        const name = typeof body.device_name === 'string' ? body.device_name.trim() : '';
+
+        if (!name || name.length > 64) {
+            throw new RelayError(400, 'invalid_name', 'Nom d\'appareil invalide (1 à 64 caractères)');
+        }
+
+        device.device_name = name;
+        this.store.putDevice(device);
+        return { device_name: name };
+    }
+
+    /**
+     * POST /revoke - Révoque un appareil
+     * Le maître peut révoquer n'importe quel appareil du cluster, un esclave seulement lui-même.
+     */
+    async revoke(body) {
+        const requester = this.authenticate(body);
+        const target = RelayServer.validId(body.target_device_id) ? this.store.getDevice(body.target_device_id) : null;
+
+        if (!target || target.cluster_id !== requester.cluster_id || target.revoked_at) {
+            throw new RelayError(404, 'device_not_found', 'Appareil introuvable dans ce cluster');
+        }
+        if (target.device_id !== requester.device_id && requester.role !== 'master') {
+            throw new RelayError(403, 'forbidden', 'Seul le maître peut révoquer un autre appareil');
+        }
+
+        target.revoked_at = Date.now();
+        target.revoke_reason = typeof body.reason === 'string' ? body.reason.slice(0, 64) : null;
+        this.store.putDevice(target);
+        this.store.dropMailbox(target.device_id);
+        this.closeStreams(target.device_id);
+
+        console.log(`🚫 Appareil révoqué : ${target.device_id} (${target.revoke_reason || 'sans motif'})`);
+
+        // Les autres appareils l'apprennent via cluster_status.revoked_devices au prochain heartbeat
+        return {
+            revoked_device_id: target.device_id,
+            notified_devices: this.store.getClusterDevices(target.cluster_id).length
+        };
+    }
+
+    /**
+     * POST /promote - Un esclave devient maître
+     * Autorisé si le maître indiqué est bien le maître actuel et qu'il est révoqué
+     * ou silencieux depuis plus de RATCHOU_PROMOTE_AFTER_DAYS.
+     */
+    async promote(body) {
+        const requester = this.authenticate(body);
+        if (requester.role !== 'slave') {
+            throw new RelayError(400, 'not_slave', 'Seul un esclave peut être promu');
+        }
+
+        const currentMaster = this.store.getClusterMaster(requester.cluster_id);
+        if (currentMaster && currentMaster.device_id !== body.master_id) {
+            throw new RelayError(409, 'master_mismatch', 'Le maître indiqué n\'est pas le maître actuel du cluster');
+        }
+
+        const now = Date.now();
+        if (currentMaster && now - currentMaster.last_seen < this.config.promoteAfterMs) {
+            const days = Math.round(this.config.promoteAfterMs / DAY);
+            throw new RelayError(409, 'master_alive', `Le maître est actif (promotion possible après ${days} jours sans activité)`);
+        }
+
+        if (currentMaster) {
+            currentMaster.role = 'slave';
+            this.store.putDevice(currentMaster);
+        }
+        requester.role = 'master';
+        this.store.putDevice(requester);
+
+        console.log(`👑 Promotion : ${requester.device_id} devient maître (ancien : ${currentMaster ? currentMaster.device_id : 'aucun'})`);
+
+        return {
+            master_id: requester.device_id,
+            previous_master_id: currentMaster ? currentMaster.device_id : (body.master_id || null),
+            notified_slaves: this.store.getClusterDevices(requester.cluster_id).filter(d => d.role === 'slave').length
+        };
+    }
+
+    // ==================== NOTIFICATIONS (SSE) ====================
+
+    /**
+     * POST /events - Flux Server-Sent Events de l'appareil
+     * Annonce seulement l'arrivée de messages (event: mailbox) : leur contenu passe toujours par /pull.
+     * Le corps authentifie comme les autres routes, pour ne pas mettre le jeton dans l'URL.
+     */
+    async events(body, req, res) {
+        if (!this.config.eventsEnabled) {
+            throw new RelayError(404, 'not_found', 'Canal de notification désactivé');
+        }
+
+        const device = this.authenticate(body);
+        const streams = this.streams.get(device.device_id) || new Set();
+        if (streams.size >= this.config.maxEventStreams) {
+            throw new RelayError(429, 'too_many_streams', 'Trop de connexions ouvertes pour cet appareil', 60);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // nginx : pas de mise en tampon du flux
+        });
+
+        streams.add(res);
+        this.streams.set(device.device_id, streams);
+
+        // Messages arrivés pendant la déconnexion
+        this.sendEvent(res, 'ready', { pending: this.store.mailboxUsage(device.device_id).count });
+
+        // Commentaire SSE régulier : évite la coupure par les reverse proxies inactifs
+        const keepAlive = setInterval(() => res.write(': ping\n\n'), this.config.eventsKeepAliveMs);
+
+        res.on('close', () => {
+            clearInterval(keepAlive);
+            streams.delete(res);
+            if (streams.size === 0) {
+                this.streams.delete(device.device_id);
+            }
+        });
+    }
+
+    sendEvent(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Prévient les flux ouverts d'un appareil
+     */
+    notify(deviceId, event, data) {
+        for (const res of (this.streams.get(deviceId) || [])) {
+            this.sendEvent(res, event, data);
+        }
+    }
+
+    closeStreams(deviceId) {
+        for (const res of (this.streams.get(deviceId) || [])) {
+            res.end();
+        }
+        this.streams.delete(deviceId);
+    }
+}
+
+if (require.main === module) {
+    new RelayServer(CONFIG).start();
+}
+
+module.exports = { RelayServer, RelayError, CONFIG };
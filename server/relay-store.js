@@ -0,0 +1,209 @@
+/**
+ * RelayStore - Stockage du relais de synchronisation Ratchou
+ *
+ * Tout l'état tient dans un fichier JSON (appareils, boîtes aux lettres, codes de pairing).
+ * Les écritures sont regroupées puis faites de façon atomique (fichier temporaire + rename),
+ * ce qui suffit largement pour une famille sur un NAS.
+ *
+ * Le relais ne voit jamais les données en clair : les messages sont chiffrés de bout en bout
+ * par les appareils (AES-256-GCM, voir js/core/sync-crypto.js). Les jetons d'appareil ne sont
+ * stockés que sous forme de hash SHA-256.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const EMPTY_STATE = () => ({
+    version: 1,
+    devices: {},    // device_id -> { device_id, cluster_id, role, token_hash, device_name, created_at, last_seen, revoked_at, revoke_reason }
+    mailboxes: {},  // device_id -> [{ message_id, from, payload, created_at, size }]
+    pairings: {}    // short_code -> { payload, cluster_id, created_at, expires_at }
+});
+
+class RelayStore {
+    /**
+     * @param {string} filePath - Fichier JSON de données
+     * @param {number} flushDelay - Délai de regroupement des écritures (ms)
+     */
+    constructor(filePath, flushDelay = 200) {
+        this.filePath = filePath;
+        this.flushDelay = flushDelay;
+        this.state = EMPTY_STATE();
+        this.flushTimer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Charge le fichier (crée le dossier si nécessaire)
+     */
+    load() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        if (fs.existsSync(this.filePath)) {
+            const content = fs.readFileSync(this.filePath, 'utf8');
+            this.state = { ...EMPTY_STATE(), ...JSON.parse(content) };
+        }
+
+        console.log(`💾 Store chargé : ${this.filePath} (${Object.keys(this.state.devices).length} appareil(s))`);
+    }
+
+    /**
+     * Planifie une écriture sur disque
+     */
+    save() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushDelay);
+    }
+
+    /**
+     * Écrit immédiatement l'état (atomique)
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.state), { mode: 0o600 });
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    // ==================== APPAREILS ====================
+
+    getDevice(deviceId) {
+        return this.state.devices[deviceId] || null;
+    }
+
+    putDevice(device) {
+        this.state.devices[device.device_id] = device;
+        this.save();
+        return device;
+    }
+
+    /**
+     * Appareils d'un cluster
+     * @param {boolean} includeRevoked - Inclure les appareils révoqués
+     */
+    getClusterDevices(clusterId, includeRevoked = false) {
+        return Object.values(this.state.devices)
+            .filter(device => device.cluster_id === clusterId && (includeRevoked || !device.revoked_at));
+    }
+
+    /**
+     * Maître actuel d'un cluster (null si révoqué ou absent)
+     */
+    getClusterMaster(clusterId) {
+        return this.getClusterDevices(clusterId).find(device => device.role === 'master') || null;
+    }
+
+    touchDevice(device) {
+        device.last_seen = Date.now();
+        this.save();
+    }
+
+    // ==================== BOÎTES AUX LETTRES ====================
+
+    /**
+     * Dépose un message chiffré dans la boîte d'un appareil
+     */
+    enqueue(deviceId, message) {
+        if (!this.state.mailboxes[deviceId]) {
+            this.state.mailboxes[deviceId] = [];
+        }
+        this.state.mailboxes[deviceId].push(message);
+        this.save();
+    }
+
+    /**
+     * Taille actuelle d'une boîte { count, bytes }
+     */
+    mailboxUsage(deviceId) {
+        const mailbox = this.state.mailboxes[deviceId] || [];
+        return {
+            count: mailbox.length,
+            bytes: mailbox.reduce((sum, message) => sum + (message.size || 0), 0)
+        };
+    }
+
+    /**
+     * Retire et renvoie les plus anciens messages d'une boîte (livraison unique)
+     */
+    dequeue(deviceId, limit) {
+        const mailbox = this.state.mailboxes[deviceId] || [];
+        const messages = mailbox.splice(0, limit);
+        if (mailbox.length === 0) {
+            delete this.state.mailboxes[deviceId];
+        }
+        if (messages.length > 0) {
+            this.save();
+        }
+        return { messages, remaining: mailbox.length };
+    }
+
+    dropMailbox(deviceId) {
+        delete this.state.mailboxes[deviceId];
+        this.save();
+    }
+
+    // ==================== PAIRING PAR CODE COURT ====================
+
+    putPairing(shortCode, pairing) {
+        this.state.pairings[shortCode] = pairing;
+        this.save();
+    }
+
+    /**
+     * Récupère et supprime un code de pairing (usage unique)
+     */
+    takePairing(shortCode) {
+        const pairing = this.state.pairings[shortCode] || null;
+        if (pairing) {
+            delete this.state.pairings[shortCode];
+            this.save();
+        }
+        return pairing;
+    }
+
+    // ==================== NETTOYAGE ====================
+
+    /**
+     * Purge les messages trop anciens et les codes de pairing expirés
+     * @param {number} messageTtlMs - Durée de conservation des messages non relevés
+     * @returns {object} { messages, pairings } nombre d'éléments supprimés
+     */
+    purge(messageTtlMs) {
+        const now = Date.now();
+        let messages = 0;
+        let pairings = 0;
+
+        for (const [deviceId, mailbox] of Object.entries(this.state.mailboxes)) {
+            const kept = mailbox.filter(message => now - message.created_at < messageTtlMs);
+            messages += mailbox.length - kept.length;
+            if (kept.length > 0) {
+                this.state.mailboxes[deviceId] = kept;
+            } else {
+                delete this.state.mailboxes[deviceId];
+            }
+        }
+
+        for (const [code, pairing] of Object.entries(this.state.pairings)) {
+            if (pairing.expires_at <= now) {
+                delete this.state.pairings[code];
+                pairings++;
+            }
+        }
+
+        if (messages > 0 || pairings > 0) {
+            this.save();
+        }
+        return { messages, pairings };
+    }
+}
+
+module.exports = RelayStore;
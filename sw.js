@@ -11,7 +11,7 @@
  */
 
 // 1) VERSIONNAGE : incrémente APP_VERSION à chaque release
-const APP_VERSION = '1.2.3'; // <- augmente ce nombre quand tu déploies une nouvelle version
+const APP_VERSION = '1.3.0'; // <- augmente ce nombre quand tu déploies une nouvelle version
 
 // 2) Noms de caches basés sur la version (important pour invalider l'ancien cache)
 const STATIC_CACHE = `ratchou-static-${APP_VERSION}`;
@@ -29,6 +29,7 @@ const STATIC_FILES = [
   './assets/js/bootstrap.bundle.min.js',
   './dashboard.html',
   './index.html',
+  './js/components/attachments-panel.js',
   './js/components/backup-reminder.js',
   './js/components/component-loader.js',
   './js/components/fixed-footer.js',
@@ -36,19 +37,26 @@ const STATIC_FILES = [
   './js/components/import-export.js',
   './js/components/modals.js',
   './js/components/sidebar.js',
+  './js/components/split-editor.js',
   './js/core/auth.js',
+  './js/core/bank-statement-parser.js',
   './js/core/crypto-utils.js',
   './js/core/indexeddb-wrapper.js',
   './js/core/models/base-model.js',
+  './js/core/models/budgets-model.js',
   './js/core/models/beneficiaires-model.js',
   './js/core/models/categories-model.js',
   './js/core/models/comptes-model.js',
   './js/core/models/mouvements-model.js',
+  './js/core/models/pieces-jointes-model.js',
   './js/core/models/recurrents-model.js',
+  './js/core/models/taux-change-model.js',
   './js/core/models/type_depenses-model.js',
   './js/core/network-client.js',
   './js/core/private-mode-detector.js',
+  './js/core/projection-service.js',
   './js/core/ratchou-app.js',
+  './js/core/report-builder.js',
   './js/core/sync-crypto.js',
   './js/core/sync-manager.js',
   './js/core/theme-manager.js',
@@ -56,29 +64,39 @@ const STATIC_FILES = [
   './js/lib/jszip.min.js',
   './js/pages/accounts.js',
   './js/pages/beneficiaires.js',
+  './js/pages/budgets.js',
   './js/pages/categories.js',
   './js/pages/dashboard.js',
   './js/pages/export.js',
+  './js/pages/import-releve.js',
   './js/pages/main-controller.js',
   './js/pages/mouvements.js',
   './js/pages/parametres.js',
   './js/pages/projection.js',
   './js/pages/pwa.js',
+  './js/pages/rapports.js',
   './js/pages/recurrents.js',
+  './js/pages/sync-log.js',
   './js/pages/sync-pairing.js',
+  './js/pages/taux-change.js',
   './js/pages/type_depenses.js',
   './js/pwa/install.js',
   './js/pwa/persistence.js',
   './manage/beneficiaires.html',
+  './manage/budgets.html',
   './manage/categories.html',
   './manage/comptes.html',
   './manage/export.html',
+  './manage/import-releve.html',
   './manage/mouvements.html',
   './manage/parametres.html',
   './manage/projection.html',
   './manage/pwa.html',
+  './manage/rapports.html',
   './manage/recurrents.html',
+  './manage/sync-log.html',
   './manage/sync-pairing.html',
+  './manage/taux-change.html',
   './manage/type_depenses.html',
   './manifest.json',
   './persistence-required.html',
@@ -92,6 +110,17 @@ const STATIC_FILES = [
 ];
 // END:STATIC_FILES
 
+// 4) MODULES DE SYNCHRONISATION : le SW réutilise le code des pages pour synchroniser app fermée.
+//    Ces scripts s'attachent à window.* -> dans un service worker, window n'existe pas, on le fait pointer sur self.
+self.window = self;
+importScripts(
+  './js/core/utils.js',
+  './js/core/indexeddb-wrapper.js',
+  './js/core/sync-crypto.js',
+  './js/core/network-client.js',
+  './js/core/sync-manager.js'
+);
+
 // INSTALLATION : on crée/alimente le cache statique
 self.addEventListener('install', (event) => {
   event.waitUntil((async () => {
@@ -189,6 +218,64 @@ self.addEventListener('message', (event) => {
   }
 });
 
+// SYNCHRONISATION EN ARRIÈRE-PLAN : le navigateur réveille le SW même si l'app est fermée
+// - 'sync' (Background Sync) : demandé par la page quand elle passe en arrière-plan avec des modifications en attente,
+//   déclenché dès que le réseau revient. Si la promesse échoue, le navigateur réessaie plus tard.
+// - 'periodicsync' (Periodic Background Sync) : PWA installée uniquement, au rythme choisi par le navigateur.
+self.addEventListener('sync', (event) => {
+  if (event.tag === SyncManager.BACKGROUND_SYNC_TAG) {
+    event.waitUntil(runBackgroundSync(true));
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === SyncManager.PERIODIC_SYNC_TAG) {
+    event.waitUntil(runBackgroundSync(false));
+  }
+});
+
+// Un cycle PUSH/PULL complet (SyncManager.tick), avec SYNC_QUEUE et SYNC_CONFIG lus directement dans IndexedDB
+async function runBackgroundSync(retryOnFailure) {
+  // Une page visible synchronise déjà toutes les 8 s ; un onglet masqué peut encore le faire :
+  // tick() prend alors le verrou SyncManager.SYNC_LOCK_NAME et renvoie 'busy' au lieu d'un second cycle
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.some(client => client.visibilityState === 'visible')) {
+    console.log('[SW] Sync ignorée : une page Ratchou est ouverte');
+    return;
+  }
+
+  const db = new IndexedDBWrapper();
+  await db.init();
+
+  try {
+    const config = await db.get('SYNC_CONFIG', 'config');
+    if (!config) {
+      console.log('[SW] Sync non configurée');
+      return;
+    }
+
+    // NetworkClient lit l'URL du relais via window.db ; pas de localStorage ici,
+    // l'identifiant de synchronisation sert pour les métadonnées (rev, device_id)
+    self.db = db;
+    RatchouUtils.device.getCurrentDeviceId = () => config.device_id;
+
+    const syncManager = new SyncManager(db, config);
+    await syncManager.start();
+    const result = await syncManager.tick();
+
+    console.log(`[SW] Sync en arrière-plan : ${result.recordsPushed} envoyé(s), ${result.recordsPulled} reçu(s)`);
+
+    // Échec (réseau, relais indisponible) -> on rejette pour que le navigateur reprogramme le 'sync'
+    // (sauf cycle déjà en cours dans une page, sync non configurée ou blocage du relais encore actif)
+    if (!result.success && retryOnFailure && !['not_configured', 'busy', 'rate_limited'].includes(result.reason)) {
+      throw new Error(result.error || result.reason || 'sync_failed');
+    }
+  } finally {
+    self.db = null;
+    db.close();
+  }
+}
+
 /* 
  * NOTES POUR DÉBUTANT
  * -------------------
@@ -198,4 +285,5 @@ self.addEventListener('message', (event) => {
  * - navigate fallback : si le téléphone est en mode avion, l'app démarre quand même car 'index.html' est renvoyé depuis le cache.
  * - navigationPreload : accélère la 1ère navigation en permettant au navigateur de faire la requête réseau pendant que le SW se réveille.
  * - Non-GET : le SW ne s'occupe pas des POST/PUT/DELETE pour éviter d'endommager la logique applicative.
+ * - Sync en arrière-plan : le SW charge les modules de sync (importScripts) et fait un tick() quand aucune page n'est visible.
  */